@@ -0,0 +1,299 @@
+const { validationResult } = require('express-validator');
+const AbsenceNote = require('../models/AbsenceNote');
+const Attendance = require('../models/Attendance');
+const Student = require('../models/Student');
+const Notification = require('../models/Notification');
+
+// @desc    Submit an absence note against an attendance sheet
+// @route   POST /api/attendance/:id/absence-notes
+// @access  Private (Student)
+const submitAbsenceNote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { requestedStatus, reason, lateMinutes, attachment, submittedAs, guardianName } = req.body;
+
+    const student = await Student.findOne({ userId: req.user.id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const attendance = await Attendance.findById(id);
+    if (!attendance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance sheet not found'
+      });
+    }
+
+    const record = attendance.studentAttendance.find(
+      item => item.studentId.toString() === student._id.toString()
+    );
+    if (!record) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not part of this attendance sheet'
+      });
+    }
+
+    if (submittedAs === 'Guardian' && !guardianName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Guardian name is required when a guardian submits the note'
+      });
+    }
+
+    const noteData = {
+      submittedBy: req.user.id,
+      submittedAs: submittedAs || 'Student',
+      guardianName: submittedAs === 'Guardian' ? guardianName : undefined,
+      requestedStatus,
+      lateMinutes: requestedStatus === 'Late' ? lateMinutes : undefined,
+      reason,
+      attachment
+    };
+
+    let note = await AbsenceNote.findOne({ attendanceId: attendance._id, studentId: student._id });
+
+    if (note && note.status !== 'Rejected') {
+      return res.status(400).json({
+        success: false,
+        message: note.status === 'Pending'
+          ? 'An absence note for this class day is already awaiting review'
+          : 'An absence note for this class day has already been approved'
+      });
+    }
+
+    if (note) {
+      // Allow a rejected note to be corrected and sent for review again
+      Object.assign(note, noteData);
+      note.status = 'Pending';
+      note.adminAction = undefined;
+    } else {
+      note = new AbsenceNote({
+        ...noteData,
+        attendanceId: attendance._id,
+        classId: attendance.classId,
+        studentId: student._id
+      });
+    }
+
+    await note.save();
+
+    const populatedNote = await AbsenceNote.findById(note._id)
+      .populate('classId', 'grade category')
+      .populate('attendanceId', 'date');
+
+    res.status(201).json({
+      success: true,
+      message: 'Absence note submitted successfully',
+      data: populatedNote
+    });
+
+  } catch (error) {
+    console.error('Error submitting absence note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting absence note'
+    });
+  }
+};
+
+// @desc    Get the logged-in student's absence notes
+// @route   GET /api/attendance/absence-notes/my
+// @access  Private (Student)
+const getMyAbsenceNotes = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user.id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const notes = await AbsenceNote.find({ studentId: student._id })
+      .populate('classId', 'grade category')
+      .populate('attendanceId', 'date')
+      .populate('adminAction.actionBy', 'fullName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: notes
+    });
+
+  } catch (error) {
+    console.error('Error fetching absence notes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching absence notes'
+    });
+  }
+};
+
+// @desc    Get absence notes for admin review
+// @route   GET /api/attendance/absence-notes
+// @access  Private (Admin/Moderator)
+const getAbsenceNotes = async (req, res) => {
+  try {
+    const { status, classId, attendanceId } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (classId) filter.classId = classId;
+    if (attendanceId) filter.attendanceId = attendanceId;
+
+    const notes = await AbsenceNote.find(filter)
+      .populate('studentId', 'firstName lastName studentId profilePicture guardianName')
+      .populate('classId', 'grade category')
+      .populate('attendanceId', 'date')
+      .populate('submittedBy', 'fullName email')
+      .populate('adminAction.actionBy', 'fullName email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: notes
+    });
+
+  } catch (error) {
+    console.error('Error fetching absence notes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching absence notes'
+    });
+  }
+};
+
+// @desc    Approve or reject an absence note
+// @route   PUT /api/attendance/absence-notes/:noteId/review
+// @access  Private (Admin/Moderator)
+const reviewAbsenceNote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { noteId } = req.params;
+    const { action, actionNote } = req.body; // action: 'Approved' or 'Rejected'
+
+    const note = await AbsenceNote.findById(noteId);
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Absence note not found'
+      });
+    }
+
+    if (note.status !== 'Pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Absence note has already been ${note.status.toLowerCase()}`
+      });
+    }
+
+    if (action === 'Approved') {
+      const attendance = await Attendance.findById(note.attendanceId);
+      if (!attendance) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attendance sheet not found'
+        });
+      }
+
+      const record = attendance.studentAttendance.find(
+        item => item.studentId.toString() === note.studentId.toString()
+      );
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student is no longer part of this attendance sheet'
+        });
+      }
+
+      // Apply the requested status to the student's attendance record
+      record.status = note.requestedStatus;
+      record.lateMinutes = note.requestedStatus === 'Late' ? note.lateMinutes : undefined;
+      record.reason = note.reason;
+      record.attachment = note.attachment;
+      record.absenceNote = note._id;
+      record.markedBy = req.user.id;
+      record.markedAt = new Date(new Date().toLocaleString("en-US", {timeZone: "Asia/Colombo"}));
+      record.markedVia = 'Admin';
+      await attendance.save();
+    }
+
+    note.status = action;
+    note.adminAction = {
+      actionBy: req.user.id,
+      actionDate: new Date(),
+      actionNote: actionNote || ''
+    };
+    await note.save();
+
+    // Notify the student about the decision
+    try {
+      const student = await Student.findById(note.studentId);
+      if (student) {
+        await Notification.createNotification({
+          recipient: student.userId,
+          type: 'absence_note_reviewed',
+          title: action === 'Approved' ? 'Absence note approved' : 'Absence note rejected',
+          message: action === 'Approved'
+            ? `Your absence note has been approved. Your attendance was marked as ${note.requestedStatus}.`
+            : `Your absence note has been rejected.${actionNote ? ` Note: ${actionNote}` : ''}`,
+          data: {
+            studentId: student._id,
+            classId: note.classId,
+            adminNote: actionNote
+          }
+        });
+      }
+    } catch (notificationError) {
+      console.error('Error creating absence note notification:', notificationError);
+    }
+
+    const populatedNote = await AbsenceNote.findById(note._id)
+      .populate('studentId', 'firstName lastName studentId')
+      .populate('classId', 'grade category')
+      .populate('attendanceId', 'date')
+      .populate('adminAction.actionBy', 'fullName email');
+
+    res.json({
+      success: true,
+      message: `Absence note ${action.toLowerCase()} successfully`,
+      data: populatedNote
+    });
+
+  } catch (error) {
+    console.error('Error reviewing absence note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing absence note'
+    });
+  }
+};
+
+module.exports = {
+  submitAbsenceNote,
+  getMyAbsenceNotes,
+  getAbsenceNotes,
+  reviewAbsenceNote
+};
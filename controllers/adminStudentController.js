@@ -4,6 +4,15 @@ const User = require('../models/User');
 const Class = require('../models/Class');
 const Notification = require('../models/Notification');
 const ClassRequest = require('../models/ClassRequest');
+const { buildStatement, buildStatementPdfBuffer } = require('../services/statementService');
+const { sendFile, CONTENT_TYPES } = require('../services/exportService');
+const { getFeeAccess } = require('../services/feeAccessService');
+const { offerFreeSeats } = require('../services/waitlistService');
+const { recordAudit, snapshot, describeStudent, describeClass } = require('../services/auditService');
+const { createImpersonationSession } = require('../services/authSessionService');
+
+// Student fields copied into audit log snapshots
+const STUDENT_AUDIT_FIELDS = ['status', 'enrolledClasses', 'paymentRole', 'paymentStatus', 'freeClasses', 'adminAction'];
 
 // Get all student registration requests
 exports.getStudentRegistrations = async (req, res) => {
@@ -113,6 +122,8 @@ exports.approveStudentRegistration = async (req, res) => {
       return res.status(400).json({ message: 'Student registration is not pending' });
     }
 
+    const before = snapshot(student, STUDENT_AUDIT_FIELDS);
+
     // Update student status
     student.status = 'Approved';
     student.adminAction = {
@@ -123,6 +134,15 @@ exports.approveStudentRegistration = async (req, res) => {
 
     await student.save();
 
+    await recordAudit(req, {
+      action: 'student.approve',
+      entityType: 'Student',
+      entityId: student._id,
+      summary: `Approved registration of ${describeStudent(student)}`,
+      before,
+      after: snapshot(student, STUDENT_AUDIT_FIELDS)
+    });
+
     // Add student to enrolled classes
     if (student.enrolledClasses.length > 0) {
       for (const classId of student.enrolledClasses) {
@@ -176,6 +196,8 @@ exports.rejectStudentRegistration = async (req, res) => {
       return res.status(400).json({ message: 'Student registration is not pending' });
     }
 
+    const before = snapshot(student, STUDENT_AUDIT_FIELDS);
+
     // Update student status
     student.status = 'Rejected';
     student.adminAction = {
@@ -186,6 +208,15 @@ exports.rejectStudentRegistration = async (req, res) => {
 
     await student.save();
 
+    await recordAudit(req, {
+      action: 'student.reject',
+      entityType: 'Student',
+      entityId: student._id,
+      summary: `Rejected registration of ${describeStudent(student)}`,
+      before,
+      after: snapshot(student, STUDENT_AUDIT_FIELDS)
+    });
+
     // Update user role back to 'user'
     const user = await User.findById(student.userId._id);
     if (user) {
@@ -230,6 +261,8 @@ exports.approveAllPending = async (req, res) => {
 
     // Update all pending students
     for (const student of pendingStudents) {
+      const before = snapshot(student, STUDENT_AUDIT_FIELDS);
+
       student.status = 'Approved';
       student.adminAction = {
         actionBy: req.user.id,
@@ -239,6 +272,15 @@ exports.approveAllPending = async (req, res) => {
 
       await student.save();
 
+      await recordAudit(req, {
+        action: 'student.approve',
+        entityType: 'Student',
+        entityId: student._id,
+        summary: `Approved registration of ${describeStudent(student)} (bulk approval)`,
+        before,
+        after: snapshot(student, STUDENT_AUDIT_FIELDS)
+      });
+
       // Add student to enrolled classes
       if (student.enrolledClasses.length > 0) {
         for (const classId of student.enrolledClasses) {
@@ -334,6 +376,7 @@ exports.changeStudentStatus = async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    const before = snapshot(student, STUDENT_AUDIT_FIELDS);
     const oldStatus = student.status;
     student.status = status;
     student.adminAction = {
@@ -344,6 +387,15 @@ exports.changeStudentStatus = async (req, res) => {
 
     await student.save();
 
+    await recordAudit(req, {
+      action: 'student.status_change',
+      entityType: 'Student',
+      entityId: student._id,
+      summary: `Changed status of ${describeStudent(student)} from ${oldStatus} to ${status}`,
+      before,
+      after: snapshot(student, STUDENT_AUDIT_FIELDS)
+    });
+
     // Create notification for student
     try {
       await Notification.createNotification({
@@ -424,6 +476,14 @@ exports.deleteStudentRegistration = async (req, res) => {
     // Delete student record (notification will remain for user to see)
     await Student.findByIdAndDelete(studentId);
 
+    await recordAudit(req, {
+      action: 'student.delete',
+      entityType: 'Student',
+      entityId: student._id,
+      summary: `Deleted registration of ${describeStudent(student)}`,
+      before: snapshot(student)
+    });
+
     // Auto-trigger cleanup of available spots
     try {
       const { cleanAndResetAvailableSpots } = require('./classController');
@@ -458,6 +518,8 @@ exports.removeStudentFromClass = async (req, res) => {
       return res.status(404).json({ message: 'Class not found' });
     }
 
+    const before = snapshot(student, ['enrolledClasses']);
+
     // Remove class from student's enrolled classes
     student.enrolledClasses = student.enrolledClasses.filter(
       id => !id.equals(classId)
@@ -471,6 +533,15 @@ exports.removeStudentFromClass = async (req, res) => {
     await student.save();
     await classItem.save();
 
+    await recordAudit(req, {
+      action: 'enrolment.remove',
+      entityType: 'Student',
+      entityId: student._id,
+      summary: `Removed ${describeStudent(student)} from ${describeClass(classItem)}`,
+      before,
+      after: snapshot(student, ['enrolledClasses'])
+    });
+
     // Auto-trigger cleanup of available spots
     try {
       const { cleanAndResetAvailableSpots } = require('./classController');
@@ -522,6 +593,8 @@ exports.changeStudentClass = async (req, res) => {
       return res.status(400).json({ message: 'New class is at full capacity' });
     }
 
+    const before = snapshot(student, ['enrolledClasses', 'selectedGrade']);
+
     // Remove from old class
     student.enrolledClasses = student.enrolledClasses.filter(
       id => !id.equals(oldClassId)
@@ -553,6 +626,18 @@ exports.changeStudentClass = async (req, res) => {
     await oldClass.save();
     await newClass.save();
 
+    await recordAudit(req, {
+      action: 'enrolment.change_class',
+      entityType: 'Student',
+      entityId: student._id,
+      summary: `Moved ${describeStudent(student)} from ${describeClass(oldClass)} to ${describeClass(newClass)}`,
+      before,
+      after: snapshot(student, ['enrolledClasses', 'selectedGrade'])
+    });
+
+    // Offer the seat left in the old class to its waitlist
+    await offerFreeSeats(oldClass._id);
+
     // Create notification for student
     await Notification.createNotification({
       recipient: student.userId,
@@ -681,6 +766,8 @@ exports.updatePaymentRole = async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    const before = snapshot(student, ['paymentRole', 'freeClasses']);
+
     // Set default admin note if not provided
     const defaultAdminNote = `Payment role updated from ${student.paymentRole} to ${paymentRole}`;
 
@@ -721,6 +808,15 @@ exports.updatePaymentRole = async (req, res) => {
 
     await student.save();
 
+    await recordAudit(req, {
+      action: 'student.payment_role_change',
+      entityType: 'Student',
+      entityId: student._id,
+      summary: `Changed payment role of ${describeStudent(student)} to ${paymentRole}`,
+      before,
+      after: snapshot(student, ['paymentRole', 'freeClasses'])
+    });
+
     // Create notification for student
     await Notification.createNotification({
       recipient: student.userId._id,
@@ -770,6 +866,8 @@ exports.updatePaymentStatus = async (req, res) => {
     // Set default admin note if not provided
     const defaultAdminNote = `Payments & Behavior status changed. check it in your Profile..! `;
 
+    const before = snapshot(student, ['paymentStatus']);
+
     // Update payment status
     student.paymentStatus = paymentStatus;
     student.adminAction = {
@@ -780,6 +878,15 @@ exports.updatePaymentStatus = async (req, res) => {
 
     await student.save();
 
+    await recordAudit(req, {
+      action: 'student.payment_status_change',
+      entityType: 'Student',
+      entityId: student._id,
+      summary: `Changed payments & behavior status of ${describeStudent(student)} to ${paymentStatus}`,
+      before,
+      after: snapshot(student, ['paymentStatus'])
+    });
+
     // Create notification for student
     await Notification.createNotification({
       recipient: student.userId._id,
@@ -822,14 +929,13 @@ exports.updateStudentProfile = async (req, res) => {
     // Update the updatedAt field
     updateData.updatedAt = new Date();
 
+    const existingStudent = await Student.findById(studentId);
+
     // If email is being updated, also update it in the User model
-    if (updateData.email) {
-      const student = await Student.findById(studentId);
-      if (student) {
-        await User.findByIdAndUpdate(student.userId, {
-          email: updateData.email
-        });
-      }
+    if (updateData.email && existingStudent) {
+      await User.findByIdAndUpdate(existingStudent.userId, {
+        email: updateData.email
+      });
     }
 
     const updatedStudent = await Student.findByIdAndUpdate(
@@ -848,6 +954,16 @@ exports.updateStudentProfile = async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    const changedFields = Object.keys(updateData).filter(field => field !== 'updatedAt');
+    await recordAudit(req, {
+      action: 'student.profile_update',
+      entityType: 'Student',
+      entityId: updatedStudent._id,
+      summary: `Updated profile of ${describeStudent(updatedStudent)}`,
+      before: snapshot(existingStudent, changedFields),
+      after: snapshot(updatedStudent, changedFields)
+    });
+
     // Add calculated fields to enrolled classes
     const studentObj = updatedStudent.toObject();
     if (studentObj.enrolledClasses && studentObj.enrolledClasses.length > 0) {
@@ -868,19 +984,23 @@ exports.updateStudentProfile = async (req, res) => {
   }
 };
 
-// Admin access as student - for admin view functionality
+// How long an "access as student" token lasts
+const IMPERSONATION_MINUTES = 30;
+
+// Admin access as student - for admin view functionality.
+// The token is read-only unless allowWrites is set (see middleware/auth).
 exports.accessAsStudent = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     console.log('accessAsStudent called with:', req.body);
     console.log('User role:', req.user?.role);
 
-    const { studentId, targetClassId } = req.body;
-
-    // Verify admin permissions
-    if (req.user.role !== 'admin' && req.user.role !== 'moderator') {
-      console.log('Access denied for user role:', req.user.role);
-      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
-    }
+    const { studentId, targetClassId, reason } = req.body;
+    const allowWrites = req.body.allowWrites === true;
 
     // Find the student
     const student = await Student.findById(studentId)
@@ -900,6 +1020,21 @@ exports.accessAsStudent = async (req, res) => {
       return res.status(400).json({ message: 'Student is not enrolled in the specified class' });
     }
 
+    const expiresAt = new Date(Date.now() + IMPERSONATION_MINUTES * 60 * 1000);
+
+    // Log the session first - its entry ID goes in the token so later writes can be traced back to it
+    const targetClass = student.enrolledClasses.find(classItem => classItem._id.toString() === targetClassId);
+    const session = await recordAudit(req, {
+      action: 'student.impersonate',
+      entityType: 'Student',
+      entityId: student._id,
+      summary: `Accessed ${describeStudent(student)} as student in ${describeClass(targetClass)}${allowWrites ? ' with changes allowed' : ' (read-only)'}${reason ? `: ${reason}` : ''}`,
+      after: { targetClassId, allowWrites, reason, expiresAt }
+    });
+
+    // A login session for the token, so it ends on logout or when the student's sessions are revoked
+    const authSession = await createImpersonationSession(student.userId._id, req, expiresAt);
+
     // Generate a temporary token for the student session
     const jwt = require('jsonwebtoken');
     const config = require('config');
@@ -909,18 +1044,47 @@ exports.accessAsStudent = async (req, res) => {
           id: student.userId._id,
           role: 'student'
         },
+        sessionId: authSession._id.toString(),
         adminView: true,
         originalAdmin: req.user.id,
-        studentId: student._id
+        studentId: student._id,
+        impersonation: {
+          sessionId: session ? session._id : undefined,
+          adminId: req.user.id,
+          adminName: req.user.fullName,
+          adminEmail: req.user.email,
+          adminRole: req.user.role,
+          allowWrites
+        }
       },
       config.get('jwtSecret'),
-      { expiresIn: '24h' }
+      { expiresIn: `${IMPERSONATION_MINUTES}m` }
     );
 
+    // Let the student know their account was opened
+    try {
+      await Notification.createNotification({
+        recipient: student.userId._id,
+        type: 'admin_view',
+        title: 'Your student account was viewed',
+        message: `${req.user.fullName || 'An administrator'} opened your student dashboard${allowWrites ? ' and may make changes on your behalf' : ' (view only)'}.`,
+        data: {
+          studentId: student._id,
+          classId: targetClassId,
+          adminNote: reason
+        }
+      });
+    } catch (notificationError) {
+      console.error('Error creating admin view notification:', notificationError);
+      // Continue even if notification fails
+    }
+
     res.json({
       success: true,
       message: 'Admin access as student granted',
       studentToken: studentToken,
+      expiresAt,
+      allowWrites,
       studentUserId: student.userId._id,
       studentEmail: student.userId.email,
       studentFullName: student.userId.fullName,
@@ -944,4 +1108,160 @@ exports.accessAsStudent = async (req, res) => {
     console.error('Error in accessAsStudent:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
-};
\ No newline at end of file
+};
+
+// Get a student's financial statement (JSON or PDF)
+exports.getStudentStatement = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const statement = await buildStatement(student, { year: req.query.year });
+
+    if (req.query.format === 'pdf') {
+      const pdfBuffer = await buildStatementPdfBuffer(student, statement);
+      return sendFile(res, pdfBuffer, `statement-${student.studentId}${statement.year ? `-${statement.year}` : ''}.pdf`, CONTENT_TYPES.pdf);
+    }
+
+    res.json({
+      success: true,
+      student: {
+        _id: student._id,
+        firstName: student.firstName,
+        lastName: student.lastName,
+        studentId: student.studentId
+      },
+      statement
+    });
+  } catch (error) {
+    console.error('Error building student statement:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Get a student's fee access for each enrolled class (gating, arrears and overrides)
+exports.getStudentFeeAccess = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId)
+      .populate('enrolledClasses', 'grade category feeGating')
+      .populate('feeAccessOverrides.grantedBy', 'fullName');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const classes = await Promise.all(student.enrolledClasses.map(async (classItem) => {
+      const access = await getFeeAccess({ id: student.userId, role: 'student' }, classItem._id);
+      const override = student.feeAccessOverrides.find(item => item.classId.toString() === classItem._id.toString());
+
+      return {
+        classId: classItem._id,
+        grade: classItem.grade,
+        category: classItem.category,
+        feeGating: classItem.feeGating,
+        ...access,
+        override: override || null
+      };
+    }));
+
+    res.json({
+      success: true,
+      classes
+    });
+  } catch (error) {
+    console.error('Error getting student fee access:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Let a student open a class's content despite unpaid fees
+exports.grantFeeAccessOverride = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { studentId, classId } = req.params;
+    const { expiresAt, reason } = req.body;
+
+    const student = await Student.findById(studentId);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (!student.enrolledClasses.some(id => id.toString() === classId)) {
+      return res.status(400).json({ message: 'Student is not enrolled in this class' });
+    }
+
+    const before = snapshot(student, ['feeAccessOverrides']);
+
+    // One override per class - replace any existing one
+    student.feeAccessOverrides = student.feeAccessOverrides.filter(item => item.classId.toString() !== classId);
+    student.feeAccessOverrides.push({
+      classId,
+      expiresAt: expiresAt || undefined,
+      reason,
+      grantedBy: req.user.id,
+      grantedAt: new Date()
+    });
+
+    await student.save();
+
+    await recordAudit(req, {
+      action: 'fee.override_grant',
+      entityType: 'Student',
+      entityId: student._id,
+      summary: `Granted fee access override to ${describeStudent(student)}${reason ? `: ${reason}` : ''}`,
+      before,
+      after: snapshot(student, ['feeAccessOverrides'])
+    });
+
+    res.json({
+      message: 'Fee access override granted successfully',
+      feeAccessOverrides: student.feeAccessOverrides
+    });
+  } catch (error) {
+    console.error('Error granting fee access override:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Remove a student's fee access override for a class
+exports.removeFeeAccessOverride = async (req, res) => {
+  try {
+    const { studentId, classId } = req.params;
+
+    const student = await Student.findById(studentId);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const remaining = student.feeAccessOverrides.filter(item => item.classId.toString() !== classId);
+    if (remaining.length === student.feeAccessOverrides.length) {
+      return res.status(404).json({ message: 'No fee access override found for this class' });
+    }
+
+    const before = snapshot(student, ['feeAccessOverrides']);
+    student.feeAccessOverrides = remaining;
+    await student.save();
+
+    await recordAudit(req, {
+      action: 'fee.override_remove',
+      entityType: 'Student',
+      entityId: student._id,
+      summary: `Removed fee access override from ${describeStudent(student)}`,
+      before,
+      after: snapshot(student, ['feeAccessOverrides'])
+    });
+
+    res.json({
+      message: 'Fee access override removed successfully',
+      feeAccessOverrides: student.feeAccessOverrides
+    });
+  } catch (error) {
+    console.error('Error removing fee access override:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
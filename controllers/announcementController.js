@@ -1,6 +1,7 @@
 const Announcement = require('../models/Announcement');
 const Class = require('../models/Class');
 const { validationResult } = require('express-validator');
+const { recordAudit, snapshot } = require('../services/auditService');
 const cloudinary = require('cloudinary').v2;
 
 // Configure Cloudinary
@@ -213,10 +214,15 @@ const deleteAnnouncement = async (req, res) => {
       });
     }
 
-    // Delete attachments from Cloudinary
+    // Delete attachments from Cloudinary (unless a cloned announcement still uses the file)
     if (announcement.attachments && announcement.attachments.length > 0) {
       for (const attachment of announcement.attachments) {
         try {
+          const inUse = await Announcement.exists({
+            _id: { $ne: announcement._id },
+            'attachments.publicId': attachment.publicId
+          });
+          if (inUse) continue;
           await cloudinary.uploader.destroy(attachment.publicId);
         } catch (cloudinaryError) {
           console.error('Error deleting from Cloudinary:', cloudinaryError);
@@ -227,6 +233,14 @@ const deleteAnnouncement = async (req, res) => {
     // Delete announcement
     await Announcement.findByIdAndDelete(req.params.id);
 
+    await recordAudit(req, {
+      action: 'announcement.delete',
+      entityType: 'Announcement',
+      entityId: announcement._id,
+      summary: `Deleted announcement "${announcement.title}"`,
+      before: snapshot(announcement)
+    });
+
     res.json({
       success: true,
       message: 'Announcement deleted successfully'
@@ -3,6 +3,8 @@ const Assignment = require('../models/Assignment');
 const AssignmentSubmission = require('../models/AssignmentSubmission');
 const Class = require('../models/Class');
 const Student = require('../models/Student');
+const { denyIfFeesOutstanding } = require('../services/feeAccessService');
+const { recordAudit, snapshot } = require('../services/auditService');
 
 // @desc    Create new assignment
 // @route   POST /api/assignments
@@ -151,6 +153,8 @@ const getAssignmentById = async (req, res) => {
       return res.status(403).json({ message: 'Assignment not available' });
     }
 
+    if (assignment.classId && await denyIfFeesOutstanding(req, res, assignment.classId._id)) return;
+
     // For students, also get their submission if exists
     if (req.user.role === 'student') {
       const studentData = await Student.findOne({ userId: req.user.id });
@@ -242,11 +246,19 @@ const deleteAssignment = async (req, res) => {
     }
 
     // Delete all submissions for this assignment
-    await AssignmentSubmission.deleteMany({ assignmentId: id });
+    const submissionDeleteResult = await AssignmentSubmission.deleteMany({ assignmentId: id });
 
     // Delete the assignment
     await Assignment.findByIdAndDelete(id);
 
+    await recordAudit(req, {
+      action: 'assignment.delete',
+      entityType: 'Assignment',
+      entityId: assignment._id,
+      summary: `Deleted assignment "${assignment.title}" with ${submissionDeleteResult.deletedCount} submission(s)`,
+      before: snapshot(assignment)
+    });
+
     res.json({ message: 'Assignment and all submissions deleted successfully' });
 
   } catch (error) {
@@ -321,6 +333,8 @@ const submitAssignment = async (req, res) => {
       return res.status(403).json({ message: 'You are not enrolled in this class' });
     }
 
+    if (await denyIfFeesOutstanding(req, res, assignment.classId)) return;
+
     // Check if submission already exists
     const existingSubmission = await AssignmentSubmission.findOne({
       assignmentId: id,
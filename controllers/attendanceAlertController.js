@@ -0,0 +1,347 @@
+const { validationResult } = require('express-validator');
+const Attendance = require('../models/Attendance');
+const AttendanceAlertSettings = require('../models/AttendanceAlertSettings');
+const AtRiskStudent = require('../models/AtRiskStudent');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const Notification = require('../models/Notification');
+const emailService = require('../services/emailService');
+const { getSriLankaDayRange } = require('../utils/dateHelpers');
+const { analyseStudentAttendance } = require('../services/attendanceAlertService');
+
+// Window used for the "monthly" attendance rate
+const RATE_WINDOW_DAYS = 30;
+
+// Create the student notification and guardian email for a newly flagged student
+const sendAtRiskAlerts = async (atRisk, student, classItem, settings) => {
+  const className = `${classItem.grade} - ${classItem.category}`;
+  const details = [];
+  if (atRisk.reasons.includes('consecutive_absences')) {
+    details.push(`${atRisk.consecutiveAbsences} consecutive absences`);
+  }
+  if (atRisk.reasons.includes('low_monthly_rate')) {
+    details.push(`${atRisk.monthlyRate}% attendance in the last ${RATE_WINDOW_DAYS} days`);
+  }
+
+  try {
+    await Notification.createNotification({
+      recipient: student.userId,
+      type: 'attendance_alert',
+      title: 'Attendance Alert',
+      message: `Your attendance in ${className} has dropped (${details.join(', ')}). Please attend classes regularly or contact our staff if you need help.`,
+      data: {
+        studentId: student._id,
+        classId: classItem._id
+      }
+    });
+    atRisk.studentNotifiedAt = new Date();
+  } catch (error) {
+    console.error('Error creating attendance alert notification:', error);
+  }
+
+  if (settings.emailGuardian) {
+    const result = await emailService.sendAttendanceAlertEmail(student.guardianEmail || student.email, {
+      guardianName: student.guardianName,
+      studentName: `${student.firstName} ${student.lastName}`,
+      studentId: student.studentId,
+      className,
+      consecutiveAbsences: atRisk.reasons.includes('consecutive_absences') ? atRisk.consecutiveAbsences : null,
+      monthlyRate: atRisk.reasons.includes('low_monthly_rate') ? atRisk.monthlyRate : null
+    });
+    if (result && result.success) {
+      atRisk.guardianEmailedAt = new Date();
+    }
+  }
+};
+
+// @desc    Detect students with chronic absences across all active classes
+// @route   POST /api/attendance/at-risk/run
+// @access  Private (Admin/Moderator) - also run nightly by the scheduler
+const runChronicAbsenceDetection = async (req, res) => {
+  try {
+    const settings = await AttendanceAlertSettings.getSettings();
+
+    // The scheduler respects the on/off switch; admins can always run it manually
+    if (!res && !settings.enabled) {
+      console.log('Chronic absence detection is disabled, skipping');
+      return { skipped: true };
+    }
+
+    const { end: todayEnd } = getSriLankaDayRange();
+    const rateWindowStart = new Date(todayEnd.getTime() - RATE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const now = new Date();
+
+    const classes = await Class.find({ isActive: true });
+
+    let studentsChecked = 0;
+    let newlyFlagged = 0;
+    let stillFlagged = 0;
+    let resolved = 0;
+
+    for (const classItem of classes) {
+      if (!classItem.enrolledStudents || classItem.enrolledStudents.length === 0) continue;
+
+      // Enough recent sheets to cover both the streak and the rate window
+      const sheets = await Attendance.find({
+        classId: classItem._id,
+        date: { $lte: todayEnd }
+      })
+        .sort({ date: -1 })
+        .limit(Math.max(settings.consecutiveAbsences * 3, 40));
+
+      if (sheets.length === 0) continue;
+
+      for (const studentId of classItem.enrolledStudents) {
+        studentsChecked++;
+
+        const analysis = analyseStudentAttendance(studentId, sheets, rateWindowStart);
+
+        const reasons = [];
+        if (analysis.consecutiveAbsences >= settings.consecutiveAbsences) {
+          reasons.push('consecutive_absences');
+        }
+        if (analysis.monthlyRate !== null &&
+            analysis.monthlySheets >= settings.minSheetsForRate &&
+            analysis.monthlyRate < settings.monthlyRateThreshold) {
+          reasons.push('low_monthly_rate');
+        }
+
+        let atRisk = await AtRiskStudent.findOne({
+          studentId,
+          classId: classItem._id,
+          status: { $in: ['Open', 'Acknowledged'] }
+        });
+
+        if (reasons.length === 0) {
+          // Student has recovered - close any open record
+          if (atRisk) {
+            atRisk.status = 'Resolved';
+            atRisk.resolvedAt = now;
+            await atRisk.save();
+            resolved++;
+          }
+          continue;
+        }
+
+        const isNew = !atRisk;
+        if (isNew) {
+          atRisk = new AtRiskStudent({
+            studentId,
+            classId: classItem._id,
+            firstDetectedAt: now
+          });
+        }
+
+        atRisk.reasons = reasons;
+        atRisk.consecutiveAbsences = analysis.consecutiveAbsences;
+        atRisk.monthlyRate = analysis.monthlyRate;
+        atRisk.monthlySheets = analysis.monthlySheets;
+        atRisk.lastAttendedDate = analysis.lastAttendedDate;
+        atRisk.lastDetectedAt = now;
+
+        if (isNew) {
+          // Alerts are only sent once per at-risk period
+          const student = await Student.findById(studentId);
+          if (student) {
+            await sendAtRiskAlerts(atRisk, student, classItem, settings);
+          }
+          newlyFlagged++;
+        } else {
+          stillFlagged++;
+        }
+
+        await atRisk.save();
+      }
+    }
+
+    const summary = {
+      classesProcessed: classes.length,
+      studentsChecked,
+      newlyFlagged,
+      stillFlagged,
+      resolved,
+      timestamp: new Date().toISOString()
+    };
+
+    console.log('Chronic absence detection completed:', summary);
+
+    if (res) {
+      // If called via API endpoint
+      res.json({
+        success: true,
+        message: `${newlyFlagged} student(s) newly flagged as at risk`,
+        data: summary
+      });
+    } else {
+      // If called internally
+      return summary;
+    }
+
+  } catch (error) {
+    console.error('Error in chronic absence detection:', error);
+    if (res) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error while detecting chronic absences'
+      });
+    } else {
+      throw error;
+    }
+  }
+};
+
+// @desc    Get the at-risk students list
+// @route   GET /api/attendance/at-risk
+// @access  Private (Admin/Moderator)
+const getAtRiskStudents = async (req, res) => {
+  try {
+    const { status, classId } = req.query;
+
+    const filter = {};
+    // Default to students that still need attention
+    filter.status = status ? status : { $in: ['Open', 'Acknowledged'] };
+    if (classId) filter.classId = classId;
+
+    const atRiskStudents = await AtRiskStudent.find(filter)
+      .populate('studentId', 'firstName lastName studentId profilePicture contactNumber whatsappNumber guardianName guardianContact guardianEmail')
+      .populate('classId', 'grade category date startTime endTime venue')
+      .populate('adminAction.actionBy', 'fullName email')
+      .sort({ consecutiveAbsences: -1, lastDetectedAt: -1 });
+
+    res.json({
+      success: true,
+      data: atRiskStudents
+    });
+
+  } catch (error) {
+    console.error('Error fetching at-risk students:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching at-risk students'
+    });
+  }
+};
+
+// @desc    Acknowledge or resolve an at-risk student record
+// @route   PUT /api/attendance/at-risk/:id
+// @access  Private (Admin/Moderator)
+const updateAtRiskStudent = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { status, actionNote } = req.body;
+
+    const atRisk = await AtRiskStudent.findById(req.params.id);
+    if (!atRisk) {
+      return res.status(404).json({
+        success: false,
+        message: 'At-risk record not found'
+      });
+    }
+
+    atRisk.status = status;
+    if (status === 'Resolved') {
+      atRisk.resolvedAt = new Date();
+    }
+    atRisk.adminAction = {
+      actionBy: req.user.id,
+      actionDate: new Date(),
+      actionNote: actionNote || ''
+    };
+    await atRisk.save();
+
+    const populatedRecord = await AtRiskStudent.findById(atRisk._id)
+      .populate('studentId', 'firstName lastName studentId')
+      .populate('classId', 'grade category')
+      .populate('adminAction.actionBy', 'fullName email');
+
+    res.json({
+      success: true,
+      message: 'At-risk record updated successfully',
+      data: populatedRecord
+    });
+
+  } catch (error) {
+    console.error('Error updating at-risk record:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating at-risk record'
+    });
+  }
+};
+
+// @desc    Get chronic-absence detection settings
+// @route   GET /api/attendance/alert-settings
+// @access  Private (Admin/Moderator)
+const getAlertSettings = async (req, res) => {
+  try {
+    const settings = await AttendanceAlertSettings.getSettings();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('Error fetching attendance alert settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching alert settings'
+    });
+  }
+};
+
+// @desc    Update chronic-absence detection settings
+// @route   PUT /api/attendance/alert-settings
+// @access  Private (Admin/Moderator)
+const updateAlertSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await AttendanceAlertSettings.getSettings();
+    const fields = ['enabled', 'consecutiveAbsences', 'monthlyRateThreshold', 'minSheetsForRate', 'emailGuardian'];
+
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        settings[field] = req.body[field];
+      }
+    });
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Alert settings updated successfully',
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('Error updating attendance alert settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating alert settings'
+    });
+  }
+};
+
+module.exports = {
+  runChronicAbsenceDetection,
+  getAtRiskStudents,
+  updateAtRiskStudent,
+  getAlertSettings,
+  updateAlertSettings
+};
@@ -1,8 +1,17 @@
 const { validationResult } = require('express-validator');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('config');
 const Attendance = require('../models/Attendance');
 const Class = require('../models/Class');
 const Student = require('../models/Student');
 const User = require('../models/User');
+const Holiday = require('../models/Holiday');
+const ClassSession = require('../models/ClassSession');
+const { materialiseClassSessions, findSessionForDay } = require('../services/sessionService');
+const { getSriLankaDayRange } = require('../utils/dateHelpers');
+const exportService = require('../services/exportService');
+const { recordAudit, snapshot } = require('../services/auditService');
 
 // @desc    Create new attendance sheet
 // @route   POST /api/attendance
@@ -105,6 +114,9 @@ const createAttendanceSheet = async (req, res) => {
       }
     }
 
+    // Attach the sheet to today's class session (if the class has one)
+    const session = await findSessionForDay(classData, todayStart, todayEnd);
+
     // Create student attendance records for all enrolled students
     const studentAttendance = classData.enrolledStudents.map(student => ({
       studentId: student._id,
@@ -124,6 +136,7 @@ const createAttendanceSheet = async (req, res) => {
       },
       studentAttendance,
       notes,
+      sessionId: session ? session._id : null,
       status: 'Draft'
     });
 
@@ -225,7 +238,8 @@ const getAttendanceSheet = async (req, res) => {
           studentAttendance,
           // Hide sensitive information for regular students
           monitorPermissions: undefined,
-          expectedPresentCount: undefined
+          expectedPresentCount: undefined,
+          selfCheckIn: undefined
         };
       }
     }
@@ -337,7 +351,8 @@ const getClassAttendance = async (req, res) => {
             studentAttendance,
             // Hide sensitive information for regular students
             monitorPermissions: undefined,
-            expectedPresentCount: undefined
+            expectedPresentCount: undefined,
+            selfCheckIn: undefined
           };
         }
       });
@@ -439,8 +454,16 @@ const updateAttendanceSheet = async (req, res) => {
         );
         if (existingRecord) {
           existingRecord.status = update.status;
+          existingRecord.lateMinutes = update.status === 'Late' ? update.lateMinutes : undefined;
+          if (update.reason !== undefined) {
+            existingRecord.reason = update.reason;
+          }
+          if (update.attachment !== undefined) {
+            existingRecord.attachment = update.attachment;
+          }
           existingRecord.markedBy = req.user.id;
           existingRecord.markedAt = new Date(new Date().toLocaleString("en-US", {timeZone: "Asia/Colombo"}));
+          existingRecord.markedVia = 'Admin';
         }
       });
     }
@@ -598,9 +621,12 @@ const updateAttendanceByMonitor = async (req, res) => {
       );
       if (existingRecord) {
         existingRecord.status = update.status;
+        existingRecord.lateMinutes = update.status === 'Late' ? update.lateMinutes : undefined;
         existingRecord.markedBy = req.user.id;
         existingRecord.markedAt = new Date(new Date().toLocaleString("en-US", {timeZone: "Asia/Colombo"}));
-        if (update.status === 'Present') {
+        existingRecord.markedVia = 'Monitor';
+        // Late students were in class and count towards the expected present count
+        if (Attendance.ATTENDED_STATUSES.includes(update.status)) {
           presentCount++;
         }
       }
@@ -664,6 +690,14 @@ const deleteAttendanceSheet = async (req, res) => {
     // Delete the attendance sheet
     await Attendance.findByIdAndDelete(id);
 
+    await recordAudit(req, {
+      action: 'attendance.delete',
+      entityType: 'Attendance',
+      entityId: attendance._id,
+      summary: `Deleted attendance sheet for ${attendance.date.toISOString().slice(0, 10)} (${attendance.studentAttendance.length} student record(s))`,
+      before: snapshot(attendance, ['classId', 'date', 'status', 'autoGenerated', 'sessionId', 'studentAttendance'])
+    });
+
     res.json({
       success: true,
       message: 'Attendance sheet deleted successfully'
@@ -687,8 +721,9 @@ const getAttendanceAnalytics = async (req, res) => {
     const sriLankaTime = new Date(new Date().toLocaleString("en-US", {timeZone: "Asia/Colombo"}));
     const { year = sriLankaTime.getFullYear() } = req.query;
 
-    // Get monthly attendance data
-    const monthlyData = await Attendance.aggregate([
+    // Per-sheet counts shared by the monthly and class-wise pipelines.
+    // Late students count as present; Excused/Medical students are left out of the total.
+    const sheetCountStages = [
       {
         $match: {
           date: {
@@ -699,25 +734,57 @@ const getAttendanceAnalytics = async (req, res) => {
       },
       {
         $addFields: {
-          // Calculate total students for each sheet
-          totalStudentsCount: { $size: { $ifNull: ['$studentAttendance', []] } },
-          // Calculate present students for each sheet
+          // Calculate total (non-excused) students for each sheet
+          totalStudentsCount: {
+            $size: {
+              $filter: {
+                input: { $ifNull: ['$studentAttendance', []] },
+                cond: { $not: [{ $in: ['$$this.status', Attendance.EXCUSED_STATUSES] }] }
+              }
+            }
+          },
+          // Calculate present (including late) students for each sheet
           presentStudentsCount: {
             $size: {
               $filter: {
                 input: { $ifNull: ['$studentAttendance', []] },
-                cond: { $eq: ['$$this.status', 'Present'] }
+                cond: { $in: ['$$this.status', Attendance.ATTENDED_STATUSES] }
+              }
+            }
+          },
+          // Calculate late students for each sheet
+          lateStudentsCount: {
+            $size: {
+              $filter: {
+                input: { $ifNull: ['$studentAttendance', []] },
+                cond: { $eq: ['$$this.status', 'Late'] }
+              }
+            }
+          },
+          // Calculate excused/medical students for each sheet
+          excusedStudentsCount: {
+            $size: {
+              $filter: {
+                input: { $ifNull: ['$studentAttendance', []] },
+                cond: { $in: ['$$this.status', Attendance.EXCUSED_STATUSES] }
               }
             }
           }
         }
-      },
+      }
+    ];
+
+    // Get monthly attendance data
+    const monthlyData = await Attendance.aggregate([
+      ...sheetCountStages,
       {
         $group: {
           _id: { $month: '$date' },
           totalSheets: { $sum: 1 },
           totalStudents: { $sum: '$totalStudentsCount' },
-          totalPresent: { $sum: '$presentStudentsCount' }
+          totalPresent: { $sum: '$presentStudentsCount' },
+          totalLate: { $sum: '$lateStudentsCount' },
+          totalExcused: { $sum: '$excusedStudentsCount' }
         }
       },
       {
@@ -727,46 +794,16 @@ const getAttendanceAnalytics = async (req, res) => {
 
     // Get class-wise attendance data
     const classWiseData = await Attendance.aggregate([
-      {
-        $match: {
-          date: {
-            $gte: new Date(year, 0, 1),
-            $lt: new Date(parseInt(year) + 1, 0, 1)
-          }
-        }
-      },
+      ...sheetCountStages,
       {
         $addFields: {
-          // Calculate total students for each sheet
-          totalStudentsCount: { $size: { $ifNull: ['$studentAttendance', []] } },
-          // Calculate present students for each sheet
-          presentStudentsCount: {
-            $size: {
-              $filter: {
-                input: { $ifNull: ['$studentAttendance', []] },
-                cond: { $eq: ['$$this.status', 'Present'] }
-              }
-            }
-          },
           // Calculate attendance percentage for each sheet
           attendancePercentage: {
             $cond: {
-              if: { $gt: [{ $size: { $ifNull: ['$studentAttendance', []] } }, 0] },
+              if: { $gt: ['$totalStudentsCount', 0] },
               then: {
                 $multiply: [
-                  {
-                    $divide: [
-                      {
-                        $size: {
-                          $filter: {
-                            input: { $ifNull: ['$studentAttendance', []] },
-                            cond: { $eq: ['$$this.status', 'Present'] }
-                          }
-                        }
-                      },
-                      { $size: { $ifNull: ['$studentAttendance', []] } }
-                    ]
-                  },
+                  { $divide: ['$presentStudentsCount', '$totalStudentsCount'] },
                   100
                 ]
               },
@@ -793,6 +830,8 @@ const getAttendanceAnalytics = async (req, res) => {
           totalSheets: { $sum: 1 },
           totalStudents: { $sum: '$totalStudentsCount' },
           totalPresent: { $sum: '$presentStudentsCount' },
+          totalLate: { $sum: '$lateStudentsCount' },
+          totalExcused: { $sum: '$excusedStudentsCount' },
           averageAttendance: { $avg: '$attendancePercentage' }
         }
       },
@@ -868,32 +907,21 @@ const getStudentAttendanceStats = async (req, res) => {
       date: { $gte: startDate, $lte: endDate }
     }).sort({ date: -1 });
 
-    let totalSheets = 0;
-    let presentCount = 0;
-    let absentCount = 0;
-
-    // Check student's attendance in each sheet
-    attendanceSheets.forEach(sheet => {
-      const studentAttendance = sheet.studentAttendance.find(
-        attendance => attendance.studentId.toString() === studentId
-      );
-
-      if (studentAttendance) {
-        totalSheets++;
-        if (studentAttendance.status === 'Present') {
-          presentCount++;
-        } else {
-          absentCount++;
-        }
-      }
-    });
-
-    // Calculate attendance percentage
-    const attendancePercentage = totalSheets > 0 ? Math.round((presentCount / totalSheets) * 100) : 0;
+    // Late counts as present; excused days are not counted in the percentage
+    const {
+      totalSheets,
+      presentCount,
+      lateCount,
+      excusedCount,
+      absentCount,
+      attendancePercentage
+    } = Attendance.summariseStudentAttendance(studentId, attendanceSheets);
 
     const stats = {
       totalSheets,
       presentCount,
+      lateCount,
+      excusedCount,
       absentCount,
       attendancePercentage,
       month: currentMonth,
@@ -917,6 +945,707 @@ const getStudentAttendanceStats = async (req, res) => {
   }
 };
 
+// Default length of a QR self check-in window (minutes)
+const DEFAULT_CHECK_IN_WINDOW_MINUTES = 15;
+
+// Signed httpOnly cookie identifying the device a student checks in from.
+// It is issued by the server, so a device can't pose as a new one by sending a different ID,
+// and only a cookie issued before the window opened counts - clearing cookies or using a
+// private window gets a new cookie that can't be used until the next window.
+const CHECK_IN_DEVICE_COOKIE = 'checkInDevice';
+const CHECK_IN_DEVICE_DAYS = 365;
+
+// Most check-ins one network address can make per window. Students on the institute's
+// Wi-Fi share an address, so this only stops one device checking in a whole class.
+const CHECK_IN_MAX_PER_IP = 10;
+
+// Check-in device from the request's cookie ({ deviceId, issuedAt }), or null if it is missing or not ours
+const readCheckInDevice = (req) => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${CHECK_IN_DEVICE_COOKIE}=`));
+  if (!cookie) return null;
+
+  try {
+    const decoded = jwt.verify(decodeURIComponent(cookie.slice(CHECK_IN_DEVICE_COOKIE.length + 1)), config.get('jwtSecret'));
+    if (decoded.purpose !== 'check_in_device') return null;
+    return { deviceId: decoded.deviceId, issuedAt: new Date(decoded.iat * 1000) };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Issue a new check-in device cookie and return its device ID
+const issueCheckInDevice = (res) => {
+  const deviceId = crypto.randomBytes(16).toString('hex');
+  const value = jwt.sign(
+    { purpose: 'check_in_device', deviceId },
+    config.get('jwtSecret'),
+    { expiresIn: `${CHECK_IN_DEVICE_DAYS}d` }
+  );
+
+  res.cookie(CHECK_IN_DEVICE_COOKIE, value, {
+    httpOnly: true,
+    secure: true,
+    // The website is served from a different origin to the API
+    sameSite: 'none',
+    maxAge: CHECK_IN_DEVICE_DAYS * 24 * 60 * 60 * 1000
+  });
+  return deviceId;
+};
+
+// @desc    Issue a signed QR check-in token for an attendance sheet
+// @route   POST /api/attendance/:id/check-in-token
+// @access  Private (Admin/Moderator)
+const issueCheckInToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const windowMinutes = req.body.windowMinutes
+      ? parseInt(req.body.windowMinutes)
+      : DEFAULT_CHECK_IN_WINDOW_MINUTES;
+
+    const attendance = await Attendance.findById(id);
+    if (!attendance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance sheet not found'
+      });
+    }
+
+    // A fresh nonce invalidates any QR code issued earlier for this sheet
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + windowMinutes * 60 * 1000);
+
+    const token = jwt.sign(
+      {
+        purpose: 'attendance_check_in',
+        attendanceId: attendance._id.toString(),
+        nonce
+      },
+      config.get('jwtSecret'),
+      { expiresIn: windowMinutes * 60 }
+    );
+
+    attendance.selfCheckIn.nonce = nonce;
+    attendance.selfCheckIn.issuedBy = req.user.id;
+    attendance.selfCheckIn.issuedAt = issuedAt;
+    attendance.selfCheckIn.expiresAt = expiresAt;
+    await attendance.save();
+
+    res.json({
+      success: true,
+      message: 'Check-in QR code issued successfully',
+      data: {
+        token,
+        // Payload to render in the QR code shown to students
+        qrPayload: JSON.stringify({ type: 'ak-attendance-check-in', token }),
+        issuedAt,
+        expiresAt,
+        windowMinutes
+      }
+    });
+
+  } catch (error) {
+    console.error('Error issuing check-in token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while issuing check-in token'
+    });
+  }
+};
+
+// @desc    Close the QR check-in window of an attendance sheet early
+// @route   DELETE /api/attendance/:id/check-in-token
+// @access  Private (Admin/Moderator)
+const closeCheckIn = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const attendance = await Attendance.findById(id);
+    if (!attendance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance sheet not found'
+      });
+    }
+
+    attendance.selfCheckIn.nonce = undefined;
+    attendance.selfCheckIn.expiresAt = new Date();
+    await attendance.save();
+
+    res.json({
+      success: true,
+      message: 'Check-in window closed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error closing check-in window:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while closing check-in window'
+    });
+  }
+};
+
+// @desc    Student marks themselves present by scanning the QR code
+// @route   POST /api/attendance/check-in
+// @access  Private (Student)
+const selfCheckIn = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { token } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.get('jwtSecret'));
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.name === 'TokenExpiredError'
+          ? 'The check-in window has closed'
+          : 'Invalid check-in code'
+      });
+    }
+
+    if (decoded.purpose !== 'attendance_check_in') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid check-in code'
+      });
+    }
+
+    const student = await Student.findOne({ userId: req.user.id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const attendance = await Attendance.findById(decoded.attendanceId);
+    if (!attendance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance sheet not found'
+      });
+    }
+
+    // The token must belong to the currently open window
+    if (!attendance.isCheckInOpen() || attendance.selfCheckIn.nonce !== decoded.nonce) {
+      return res.status(400).json({
+        success: false,
+        message: 'The check-in window has closed'
+      });
+    }
+
+    let record = attendance.studentAttendance.find(
+      item => item.studentId.toString() === student._id.toString()
+    );
+
+    if (!record) {
+      // Students enrolled after the sheet was created can still check in
+      const classData = await Class.findById(attendance.classId);
+      const isEnrolled = classData && classData.enrolledStudents.some(
+        enrolledId => enrolledId.toString() === student._id.toString()
+      );
+
+      if (!isEnrolled) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not enrolled in this class'
+        });
+      }
+
+      attendance.studentAttendance.push({ studentId: student._id, status: 'Absent' });
+      record = attendance.studentAttendance[attendance.studentAttendance.length - 1];
+    }
+
+    const alreadyCheckedIn = attendance.selfCheckIn.checkIns.some(
+      checkIn => checkIn.studentId.toString() === student._id.toString()
+    );
+    if (alreadyCheckedIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already checked in for this class'
+      });
+    }
+
+    // One device can only check in one student per sheet. A device without a cookie from
+    // before the window opened gets one now, for use from the next window.
+    const device = readCheckInDevice(req);
+    if (!device || device.issuedAt >= attendance.selfCheckIn.issuedAt) {
+      if (!device) issueCheckInDevice(res);
+      return res.status(403).json({
+        success: false,
+        message: 'This device can be used to check in from the next class. Please ask your teacher to mark your attendance today.'
+      });
+    }
+
+    const checkIns = attendance.selfCheckIn.checkIns;
+    const deviceUsed = checkIns.some(checkIn =>
+      checkIn.deviceId === device.deviceId ||
+      (req.user.sessionId && checkIn.authSessionId && checkIn.authSessionId.toString() === req.user.sessionId.toString())
+    );
+    if (deviceUsed) {
+      return res.status(403).json({
+        success: false,
+        message: 'This device has already been used to check in another student'
+      });
+    }
+
+    const ipCheckIns = checkIns.filter(checkIn => checkIn.ipAddress && checkIn.ipAddress === req.ip).length;
+    if (ipCheckIns >= CHECK_IN_MAX_PER_IP) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many check-ins from this network. Please ask your teacher to mark your attendance.'
+      });
+    }
+
+    const markedAt = new Date(new Date().toLocaleString("en-US", {timeZone: "Asia/Colombo"}));
+    record.status = 'Present';
+    record.markedBy = req.user.id;
+    record.markedAt = markedAt;
+    record.markedVia = 'SelfCheckIn';
+
+    attendance.selfCheckIn.checkIns.push({
+      studentId: student._id,
+      deviceId: device.deviceId,
+      authSessionId: req.user.sessionId,
+      ipAddress: req.ip,
+      checkedInAt: new Date()
+    });
+
+    await attendance.save();
+
+    res.json({
+      success: true,
+      message: 'Checked in successfully',
+      data: {
+        attendanceId: attendance._id,
+        classId: attendance.classId,
+        date: attendance.date,
+        status: record.status,
+        markedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error during self check-in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking in'
+    });
+  }
+};
+
+// @desc    Get self check-in summary compared with the expected present count
+// @route   GET /api/attendance/:id/check-in-summary
+// @access  Private (Admin/Moderator)
+const getCheckInSummary = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const attendance = await Attendance.findById(id)
+      .populate('classId', 'grade category type venue')
+      .populate('selfCheckIn.checkIns.studentId', 'firstName lastName studentId profilePicture')
+      .populate('selfCheckIn.issuedBy', 'fullName email');
+
+    if (!attendance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance sheet not found'
+      });
+    }
+
+    const checkIns = attendance.selfCheckIn.checkIns || [];
+    const selfCheckedInCount = checkIns.length;
+
+    res.json({
+      success: true,
+      data: {
+        attendanceId: attendance._id,
+        class: attendance.classId,
+        date: attendance.date,
+        isOpen: attendance.isCheckInOpen(),
+        issuedBy: attendance.selfCheckIn.issuedBy,
+        issuedAt: attendance.selfCheckIn.issuedAt,
+        expiresAt: attendance.selfCheckIn.expiresAt,
+        expectedPresentCount: attendance.expectedPresentCount,
+        actualPresentCount: attendance.actualPresentCount,
+        selfCheckedInCount,
+        difference: selfCheckedInCount - attendance.expectedPresentCount,
+        checkIns
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching check-in summary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching check-in summary'
+    });
+  }
+};
+
+// Resolve the monitor permissions for a generated sheet from the class defaults
+const resolveDefaultMonitorPermissions = (classItem) => {
+  const defaults = (classItem.autoAttendance && classItem.autoAttendance.monitorPermissions) || {};
+  const classMonitors = (classItem.monitors || []).map(monitor => monitor.toString());
+
+  if (defaults.adminOnly || classMonitors.length === 0) {
+    return { allMonitors: false, selectedMonitors: [], adminOnly: true };
+  }
+
+  if (defaults.allMonitors) {
+    return { allMonitors: true, selectedMonitors: [], adminOnly: false };
+  }
+
+  // Drop selected monitors who are no longer monitors of the class
+  const selectedMonitors = (defaults.selectedMonitors || [])
+    .filter(monitorId => classMonitors.includes(monitorId.toString()));
+
+  if (selectedMonitors.length === 0) {
+    return { allMonitors: false, selectedMonitors: [], adminOnly: true };
+  }
+
+  return { allMonitors: false, selectedMonitors, adminOnly: false };
+};
+
+// @desc    Generate Draft attendance sheets for classes meeting on a day
+// @route   POST /api/attendance/auto-generate
+// @access  Private (Admin/Moderator) - also run daily by the scheduler
+const generateScheduledAttendanceSheets = async (req, res) => {
+  try {
+    const targetDate = req && req.body && req.body.date ? new Date(req.body.date) : new Date();
+    const { start, end, weekday } = getSriLankaDayRange(targetDate);
+
+    console.log(`Generating attendance sheets for ${weekday} ${start.toDateString()}...`);
+
+    const classes = await Class.find({
+      type: 'Normal',
+      isActive: true,
+      'autoAttendance.enabled': { $ne: false }
+    });
+
+    // Make sure today's timetable sessions exist, then use the sessions actually held today
+    // (rescheduled and extra sessions included, cancelled ones skipped)
+    for (const classItem of classes) {
+      await materialiseClassSessions(classItem, start, end);
+    }
+    const sessions = await ClassSession.find({
+      classId: { $in: classes.map(classItem => classItem._id) },
+      date: { $gte: start, $lte: end }
+    }).sort({ startTime: 1 });
+
+    const created = [];
+    const skipped = [];
+    let classesScheduled = 0;
+
+    for (const classItem of classes) {
+      const className = `${classItem.grade} - ${classItem.category}`;
+      const classSessions = sessions.filter(session => session.classId.toString() === classItem._id.toString());
+      if (classSessions.length === 0) continue;
+      classesScheduled++;
+
+      try {
+        const session = classSessions.find(item => item.status === 'Scheduled');
+        if (!session) {
+          const cancelled = classSessions[0];
+          skipped.push({
+            classId: classItem._id,
+            className,
+            reason: `Session cancelled${cancelled.cancellationReason ? `: ${cancelled.cancellationReason}` : ''}`
+          });
+          continue;
+        }
+
+        const existingAttendance = await Attendance.findOne({
+          classId: classItem._id,
+          date: { $gte: start, $lte: end }
+        });
+        if (existingAttendance) {
+          skipped.push({ classId: classItem._id, className, reason: 'Sheet already exists' });
+          continue;
+        }
+
+        const holiday = await Holiday.findForClass(classItem._id, start, end);
+        if (holiday) {
+          skipped.push({
+            classId: classItem._id,
+            className,
+            reason: holiday.classId ? `Class cancelled: ${holiday.name}` : `Holiday: ${holiday.name}`
+          });
+          continue;
+        }
+
+        const attendance = new Attendance({
+          classId: classItem._id,
+          date: start,
+          createdBy: (req && req.user && req.user.id) || classItem.createdBy,
+          expectedPresentCount: classItem.enrolledStudents.length,
+          monitorPermissions: resolveDefaultMonitorPermissions(classItem),
+          studentAttendance: classItem.enrolledStudents.map(studentId => ({
+            studentId,
+            status: 'Absent' // Default to absent
+          })),
+          sessionId: session._id,
+          autoGenerated: true,
+          status: 'Draft'
+        });
+        await attendance.save();
+
+        created.push({ classId: classItem._id, className, attendanceId: attendance._id, sessionId: session._id });
+      } catch (error) {
+        console.error(`Error generating attendance sheet for class ${classItem._id}:`, error);
+        skipped.push({ classId: classItem._id, className, reason: 'Error: ' + error.message });
+      }
+    }
+
+    const summary = {
+      date: start,
+      weekday,
+      classesScheduled,
+      sheetsCreated: created.length,
+      created,
+      skipped,
+      timestamp: new Date().toISOString()
+    };
+
+    console.log('Attendance sheet generation completed:', summary);
+
+    if (res) {
+      // If called via API endpoint
+      res.json({
+        success: true,
+        message: `${created.length} attendance sheet(s) generated`,
+        data: summary
+      });
+    } else {
+      // If called internally
+      return summary;
+    }
+
+  } catch (error) {
+    console.error('Error generating attendance sheets:', error);
+    if (res) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error while generating attendance sheets'
+      });
+    } else {
+      throw error;
+    }
+  }
+};
+
+// Short codes used in the printed register
+const REGISTER_STATUS_CODES = {
+  Present: 'P',
+  Absent: 'A',
+  Late: 'L',
+  Excused: 'E',
+  Medical: 'M'
+};
+
+// @desc    Download the monthly attendance register for a class
+// @route   GET /api/attendance/register/:classId
+// @access  Private (Admin/Moderator)
+const exportAttendanceRegister = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { classId } = req.params;
+    const month = parseInt(req.query.month);
+    const year = parseInt(req.query.year);
+    const format = req.query.format || 'csv';
+
+    const classData = await Class.findById(classId)
+      .populate('enrolledStudents', 'firstName lastName studentId');
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    // Same month range as getClassAttendance
+    const startDate = new Date(year, month - 1, 1);
+    const endDate = new Date(year, month, 0, 23, 59, 59);
+
+    const attendanceSheets = await Attendance.find({
+      classId,
+      date: { $gte: startDate, $lte: endDate }
+    })
+      .populate('studentAttendance.studentId', 'firstName lastName studentId')
+      .sort({ date: 1 });
+
+    // One row per enrolled student, plus anyone recorded this month who has since left
+    const studentsById = new Map();
+    classData.enrolledStudents.forEach(student => {
+      studentsById.set(student._id.toString(), student);
+    });
+    attendanceSheets.forEach(sheet => {
+      sheet.studentAttendance.forEach(record => {
+        if (record.studentId && record.studentId._id && !studentsById.has(record.studentId._id.toString())) {
+          studentsById.set(record.studentId._id.toString(), record.studentId);
+        }
+      });
+    });
+
+    const sessionColumns = attendanceSheets.map((sheet, index) => {
+      const sheetDate = new Date(sheet.date);
+      return {
+        key: `session_${index}`,
+        header: `${String(sheetDate.getDate()).padStart(2, '0')}/${String(sheetDate.getMonth() + 1).padStart(2, '0')}`,
+        width: 7
+      };
+    });
+
+    const columns = [
+      { key: 'studentId', header: 'Student ID', width: 16 },
+      { key: 'name', header: 'Name', width: 26 },
+      ...sessionColumns,
+      { key: 'presentCount', header: 'Present', width: 8 },
+      { key: 'countedSessions', header: 'Sessions', width: 8 },
+      { key: 'percentage', header: '%', width: 7 }
+    ];
+
+    const rows = Array.from(studentsById.values())
+      .sort((a, b) => `${a.firstName} ${a.lastName}`.localeCompare(`${b.firstName} ${b.lastName}`))
+      .map(student => {
+        const row = {
+          studentId: student.studentId,
+          name: `${student.firstName} ${student.lastName}`
+        };
+        let presentCount = 0;
+        let countedSessions = 0;
+
+        attendanceSheets.forEach((sheet, index) => {
+          const record = sheet.studentAttendance.find(
+            item => item.studentId && item.studentId._id &&
+                    item.studentId._id.toString() === student._id.toString()
+          );
+
+          // Blank cell when the student was not on the sheet
+          row[`session_${index}`] = record ? REGISTER_STATUS_CODES[record.status] : '';
+          if (!record) return;
+
+          if (!Attendance.EXCUSED_STATUSES.includes(record.status)) {
+            countedSessions++;
+          }
+          if (Attendance.ATTENDED_STATUSES.includes(record.status)) {
+            presentCount++;
+          }
+        });
+
+        row.presentCount = presentCount;
+        row.countedSessions = countedSessions;
+        row.percentage = countedSessions > 0 ? Math.round((presentCount / countedSessions) * 100) : 0;
+        return row;
+      });
+
+    // Class totals row
+    const totalsRow = { studentId: '', name: 'Total present' };
+    attendanceSheets.forEach((sheet, index) => {
+      totalsRow[`session_${index}`] = sheet.actualPresentCount;
+    });
+    totalsRow.presentCount = rows.reduce((sum, row) => sum + row.presentCount, 0);
+    totalsRow.countedSessions = rows.reduce((sum, row) => sum + row.countedSessions, 0);
+    totalsRow.percentage = totalsRow.countedSessions > 0
+      ? Math.round((totalsRow.presentCount / totalsRow.countedSessions) * 100)
+      : 0;
+
+    const className = `${classData.grade} - ${classData.category}`;
+    const monthName = startDate.toLocaleString('en-US', { month: 'long' });
+    const title = `Attendance Register - ${className}`;
+    const subtitle = `${monthName} ${year} | ${classData.date} ${classData.startTime}-${classData.endTime} | ${classData.venue}`;
+    const legend = 'P = Present, L = Late, A = Absent, E = Excused, M = Medical. Late counts as present; Excused and Medical are not counted.';
+    const baseFilename = `attendance-register-${classData.grade}-${year}-${String(month).padStart(2, '0')}`
+      .replace(/[^a-zA-Z0-9-_]/g, '_');
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: {
+          class: {
+            _id: classData._id,
+            grade: classData.grade,
+            category: classData.category
+          },
+          month,
+          year,
+          sessions: attendanceSheets.map((sheet, index) => ({
+            attendanceId: sheet._id,
+            date: sheet.date,
+            header: sessionColumns[index].header
+          })),
+          columns,
+          rows,
+          totals: totalsRow
+        }
+      });
+    }
+
+    const allRows = [...rows, totalsRow];
+
+    if (format === 'xlsx') {
+      const buffer = await exportService.buildXlsxBuffer(columns, allRows, {
+        sheetName: `${monthName} ${year}`,
+        title,
+        subtitle: `${subtitle} | ${legend}`
+      });
+      return exportService.sendFile(res, buffer, `${baseFilename}.xlsx`, exportService.CONTENT_TYPES.xlsx);
+    }
+
+    if (format === 'pdf') {
+      const buffer = await exportService.buildTablePdfBuffer(columns, allRows, {
+        title,
+        subtitle,
+        footer: legend,
+        landscape: true,
+        fontSize: sessionColumns.length > 8 ? 7 : 8
+      });
+      return exportService.sendFile(res, buffer, `${baseFilename}.pdf`, exportService.CONTENT_TYPES.pdf);
+    }
+
+    const csv = exportService.buildCsv(columns, allRows);
+    return exportService.sendFile(res, csv, `${baseFilename}.csv`, exportService.CONTENT_TYPES.csv);
+
+  } catch (error) {
+    console.error('Error exporting attendance register:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting attendance register'
+    });
+  }
+};
+
 module.exports = {
   createAttendanceSheet,
   getAttendanceSheet,
@@ -925,5 +1654,11 @@ module.exports = {
   updateAttendanceByMonitor,
   deleteAttendanceSheet,
   getAttendanceAnalytics,
-  getStudentAttendanceStats
+  getStudentAttendanceStats,
+  issueCheckInToken,
+  closeCheckIn,
+  selfCheckIn,
+  getCheckInSummary,
+  generateScheduledAttendanceSheets,
+  exportAttendanceRegister
 };
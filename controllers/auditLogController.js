@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { buildCsv, sendFile, CONTENT_TYPES } = require('../services/exportService');
+
+// Most rows a single CSV export will contain
+const EXPORT_LIMIT = 10000;
+
+const CSV_COLUMNS = [
+  { key: 'createdAt', header: 'Date' },
+  { key: 'actorName', header: 'User' },
+  { key: 'actorEmail', header: 'Email' },
+  { key: 'actorRole', header: 'Role' },
+  { key: 'action', header: 'Action' },
+  { key: 'entityType', header: 'Record Type' },
+  { key: 'entityId', header: 'Record ID' },
+  { key: 'summary', header: 'Summary' },
+  { key: 'before', header: 'Before' },
+  { key: 'after', header: 'After' },
+  { key: 'ipAddress', header: 'IP Address' }
+];
+
+const FILTER_PARAMS = ['actor', 'action', 'entityType', 'entityId', 'from', 'to', 'search'];
+
+// Match user input literally inside a $regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build the query filter from the request's query string.
+// Returns { filter } or { error } when a parameter is not a plain string or not a valid date.
+const buildFilter = (query) => {
+  const invalid = FILTER_PARAMS.find(param => query[param] !== undefined && typeof query[param] !== 'string');
+  if (invalid) {
+    return { error: `Invalid ${invalid} filter` };
+  }
+
+  const { actor, action, entityType, entityId, from, to, search } = query;
+  const filter = {};
+
+  if (actor && mongoose.Types.ObjectId.isValid(actor)) filter.actor = actor;
+  if (entityType) filter.entityType = entityType;
+  if (entityId && mongoose.Types.ObjectId.isValid(entityId)) filter.entityId = entityId;
+
+  // "payment" matches every payment action, "payment.refund" just that one
+  if (action) {
+    filter.action = action.includes('.') ? action : { $regex: `^${escapeRegex(action)}\\.` };
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const start = new Date(from);
+      if (isNaN(start.getTime())) return { error: 'Invalid from date' };
+      filter.createdAt.$gte = start;
+    }
+    if (to) {
+      const end = new Date(to);
+      if (isNaN(end.getTime())) return { error: 'Invalid to date' };
+      end.setHours(23, 59, 59, 999);
+      filter.createdAt.$lte = end;
+    }
+  }
+
+  if (search) {
+    const pattern = escapeRegex(search);
+    filter.$or = [
+      { summary: { $regex: pattern, $options: 'i' } },
+      { actorName: { $regex: pattern, $options: 'i' } },
+      { actorEmail: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+
+  return { filter };
+};
+
+// @desc    Get audit log entries, newest first
+// @route   GET /api/audit-logs
+// @access  Private (audit.view)
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalEntries: total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the actions and record types in the log (for filter dropdowns)
+// @route   GET /api/audit-logs/filters
+// @access  Private (audit.view)
+exports.getAuditLogFilters = async (req, res) => {
+  try {
+    const [actions, entityTypes] = await Promise.all([
+      AuditLog.distinct('action'),
+      AuditLog.distinct('entityType')
+    ]);
+
+    res.json({
+      actions: actions.sort(),
+      entityTypes: entityTypes.sort()
+    });
+  } catch (error) {
+    console.error('Error fetching audit log filters:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Export audit log entries matching the filters as CSV
+// @route   GET /api/audit-logs/export
+// @access  Private (audit.view)
+exports.exportAuditLogs = async (req, res) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    const rows = entries.map(entry => ({
+      ...entry,
+      entityId: entry.entityId ? entry.entityId.toString() : '',
+      before: entry.before ? JSON.stringify(entry.before) : '',
+      after: entry.after ? JSON.stringify(entry.after) : ''
+    }));
+
+    const csv = buildCsv(CSV_COLUMNS, rows);
+    const today = new Date().toISOString().slice(0, 10);
+    return sendFile(res, csv, `audit-log-${today}.csv`, CONTENT_TYPES.csv);
+  } catch (error) {
+    console.error('Error exporting audit logs:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -1,11 +1,19 @@
 const User = require('../models/User');
 const OTP = require('../models/OTP');
 const admin = require('firebase-admin');
-const jwt = require('jsonwebtoken');
 const config = require('config');
 const { OAuth2Client } = require('google-auth-library');
 const { validationResult } = require('express-validator');
 const emailService = require('../services/emailService');
+const {
+  ACCESS_TOKEN_MINUTES,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  getUserSessions
+} = require('../services/authSessionService');
 
 // Initialize Firebase Admin
 const serviceAccount = {
@@ -118,19 +126,13 @@ exports.register = async (req, res) => {
       console.error('⚠️ Failed to send welcome email:', emailError.message);
     }
 
-    // Create JWT payload
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    // Generate token
-    const token = jwt.sign(payload, config.get('jwtSecret'), { expiresIn: '24h' });
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_MINUTES * 60,
       user: {
         email: user.email,
         fullName: user.fullName,
@@ -161,20 +163,14 @@ exports.login = async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Create JWT payload
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    // Generate token
-    const token = jwt.sign(payload, config.get('jwtSecret'), { expiresIn: '24h' });
+    // Start a session for this device
+    const { token, refreshToken } = await createSession(user, req);
 
     // Return token AND user data
     res.json({
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_MINUTES * 60,
       user: {
         email: user.email,
         fullName: user.fullName,
@@ -200,6 +196,95 @@ exports.getMe = async (req, res) => {
   }
 };
 
+// Swap a refresh token for a new access token (the refresh token is rotated too)
+exports.refreshToken = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({ message: result.error });
+    }
+
+    const user = await User.findById(result.session.user).select('role');
+    if (!user) {
+      await revokeSession(result.session._id, 'user_deleted');
+      return res.status(401).json({ message: 'Session has ended. Please sign in again.' });
+    }
+
+    res.json({
+      token: signAccessToken(user, result.session._id),
+      refreshToken: result.refreshToken,
+      expiresIn: ACCESS_TOKEN_MINUTES * 60
+    });
+  } catch (err) {
+    console.error('Error refreshing token:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Log out this device
+exports.logout = async (req, res) => {
+  try {
+    if (req.user.sessionId) {
+      await revokeSession(req.user.sessionId, 'logout', req.user.id);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Error logging out:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Log out every device, including this one
+exports.logoutAll = async (req, res) => {
+  try {
+    const sessionsEnded = await revokeUserSessions(req.user.id, 'logout_all');
+
+    res.json({
+      message: 'Logged out of all devices successfully',
+      sessionsEnded
+    });
+  } catch (err) {
+    console.error('Error logging out of all devices:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Get the devices the user is logged in on
+exports.getMySessions = async (req, res) => {
+  try {
+    res.json({
+      sessions: await getUserSessions(req.user.id, req.user.sessionId)
+    });
+  } catch (err) {
+    console.error('Error fetching sessions:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Log out one of the user's devices
+exports.revokeMySession = async (req, res) => {
+  try {
+    const ended = await revokeSession(req.params.sessionId, 'logout', req.user.id);
+    if (!ended) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Device logged out successfully' });
+  } catch (err) {
+    console.error('Error ending session:', err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
 // Firebase Google Auth
 exports.firebaseGoogleAuth = async (req, res) => {
   const { idToken } = req.body;
@@ -224,17 +309,12 @@ exports.firebaseGoogleAuth = async (req, res) => {
       await emailService.sendWelcomeEmail(email, name || email.split('@')[0]);
     }
 
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    const token = jwt.sign(payload, config.get('jwtSecret'), { expiresIn: '24h' });
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_MINUTES * 60,
       user: {
         email: user.email,
         fullName: user.fullName,
@@ -344,6 +424,9 @@ exports.resetUserPassword = async (req, res) => {
     user.password = newPassword; // Will be hashed by pre-save hook
     await user.save();
 
+    // Log out every device that was signed in with the old password
+    await revokeUserSessions(user._id, 'password_change');
+
     // Clean up used OTP
     await OTP.deleteMany({ email, purpose: 'password_reset' });
 
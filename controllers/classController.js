@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Class = require('../models/Class');
 const User = require('../models/User');
 const Student = require('../models/Student');
@@ -5,17 +6,32 @@ const Attendance = require('../models/Attendance');
 const ClassRequest = require('../models/ClassRequest');
 const Notification = require('../models/Notification');
 const { validationResult } = require('express-validator');
+const { toMinutes, findClassConflicts, getVenueUtilisation } = require('../services/classScheduleService');
+const { getWeekRange } = require('../services/timetableService');
+const { offerFreeSeats } = require('../services/waitlistService');
+const { copyClassMaterials } = require('../services/classCloneService');
+const { isTeacher } = require('../services/classScopeService');
+const { recordAudit, snapshot, describeStudent, describeClass } = require('../services/auditService');
+
+// Class fields copied into audit log snapshots when a class is edited
+const CLASS_AUDIT_FIELDS = [
+  'type', 'category', 'platform', 'grade', 'date', 'startTime', 'endTime', 'venue',
+  'capacity', 'isActive', 'isFreeClass', 'monthlyFee'
+];
 
 // Get all classes
 exports.getAllClasses = async (req, res) => {
   try {
-    const { page = 1, limit = 10, type, grade, isActive } = req.query;
+    const { page = 1, limit = 10, type, grade, isActive, academicYear, includeArchived } = req.query;
 
     // Build filter object
     const filter = {};
     if (type) filter.type = type;
     if (grade) filter.grade = grade;
     if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (academicYear) filter.academicYear = parseInt(academicYear);
+    // Classes archived by a year rollover are hidden unless asked for
+    if (includeArchived !== 'true') filter.isArchived = { $ne: true };
 
     const classes = await Class.find(filter)
       .populate('createdBy', 'fullName email')
@@ -59,7 +75,8 @@ exports.getClassById = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const isAdmin = user.role === 'admin' || user.role === 'moderator';
+    // Teachers only get here for their own classes (classScope middleware)
+    const isAdmin = user.role === 'admin' || user.role === 'moderator' || isTeacher(user);
     const isStudent = user.role === 'student';
 
     // For students, check if they are enrolled in this class
@@ -86,7 +103,8 @@ exports.getClassById = async (req, res) => {
 
     // Build population query based on user role
     let populateQuery = Class.findById(req.params.id)
-      .populate('createdBy', 'fullName email');
+      .populate('createdBy', 'fullName email')
+      .populate('teachers', 'fullName email');
 
     if (isAdmin) {
       // Admin gets full access to all data
@@ -136,42 +154,18 @@ exports.createClass = async (req, res) => {
     const { type, grade, date, startTime, endTime, venue, capacity, specialNote } = req.body;
 
     // Validate time format and logic
-    if (startTime >= endTime) {
+    if (toMinutes(startTime) >= toMinutes(endTime)) {
       return res.status(400).json({
         message: 'End time must be after start time'
       });
     }
 
     // Check for scheduling conflicts
-    const conflictingClass = await Class.findOne({
-      date,
-      venue,
-      isActive: true,
-      $or: [
-        {
-          $and: [
-            { startTime: { $lte: startTime } },
-            { endTime: { $gt: startTime } }
-          ]
-        },
-        {
-          $and: [
-            { startTime: { $lt: endTime } },
-            { endTime: { $gte: endTime } }
-          ]
-        },
-        {
-          $and: [
-            { startTime: { $gte: startTime } },
-            { endTime: { $lte: endTime } }
-          ]
-        }
-      ]
-    });
-
-    if (conflictingClass) {
+    const conflicts = await findClassConflicts({ type, date, startTime, endTime, venue, platform: req.body.platform });
+    if (conflicts.length > 0) {
       return res.status(400).json({
-        message: 'Time slot conflict with existing class at the same venue'
+        message: conflicts[0].message,
+        conflicts
       });
     }
 
@@ -205,6 +199,83 @@ exports.createClass = async (req, res) => {
   }
 };
 
+// Fields a clone can change from the original class
+const CLONE_OVERRIDE_FIELDS = [
+  'type', 'category', 'platform', 'locationLink', 'grade', 'date', 'startTime', 'endTime',
+  'venue', 'capacity', 'specialNote', 'isFreeClass', 'monthlyFee'
+];
+
+// Clone a class, optionally with its teaching materials
+exports.cloneClass = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const sourceClass = await Class.findById(req.params.id);
+    if (!sourceClass) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+
+    // Start from the original class and apply the changes sent for the new group
+    const fields = {};
+    CLONE_OVERRIDE_FIELDS.forEach(field => {
+      fields[field] = req.body[field] !== undefined ? req.body[field] : sourceClass[field];
+    });
+    if (fields.isFreeClass) {
+      fields.monthlyFee = 0;
+    }
+    fields.teachers = sourceClass.teachers;
+
+    if (toMinutes(fields.startTime) >= toMinutes(fields.endTime)) {
+      return res.status(400).json({
+        message: 'End time must be after start time'
+      });
+    }
+
+    // Check for scheduling conflicts
+    const conflicts = await findClassConflicts(fields);
+    if (conflicts.length > 0) {
+      return res.status(400).json({
+        message: conflicts[0].message,
+        conflicts
+      });
+    }
+
+    const newClass = new Class({
+      ...fields,
+      autoAttendance: {
+        enabled: sourceClass.autoAttendance ? sourceClass.autoAttendance.enabled : true
+      },
+      feeGating: sourceClass.feeGating,
+      academicYear: sourceClass.academicYear,
+      createdBy: req.user.id
+    });
+    // The class and its materials are saved together, so a failed copy leaves no half-cloned class
+    let copied;
+    await mongoose.connection.transaction(async (session) => {
+      await newClass.save({ session });
+      copied = await copyClassMaterials(sourceClass._id, newClass._id, req.body.copy, req.user.id, session);
+    });
+
+    const populatedClass = await Class.findById(newClass._id)
+      .populate('createdBy', 'fullName email');
+
+    res.status(201).json({
+      message: 'Class cloned successfully',
+      class: populatedClass,
+      copied
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
 // Helper function to create fee change notification
 const createFeeChangeNotification = async (classId, oldFee, newFee, isFreeClass) => {
   try {
@@ -267,46 +338,29 @@ exports.updateClass = async (req, res) => {
     }
 
     // Validate time format and logic
-    if (startTime >= endTime) {
+    if (toMinutes(startTime) >= toMinutes(endTime)) {
       return res.status(400).json({
         message: 'End time must be after start time'
       });
     }
 
-    // Check for scheduling conflicts (excluding current class)
-    const conflictingClass = await Class.findOne({
-      _id: { $ne: req.params.id },
-      date,
-      venue,
-      isActive: true,
-      $or: [
-        {
-          $and: [
-            { startTime: { $lte: startTime } },
-            { endTime: { $gt: startTime } }
-          ]
-        },
-        {
-          $and: [
-            { startTime: { $lt: endTime } },
-            { endTime: { $gte: endTime } }
-          ]
-        },
-        {
-          $and: [
-            { startTime: { $gte: startTime } },
-            { endTime: { $lte: endTime } }
-          ]
-        }
-      ]
-    });
-
-    if (conflictingClass) {
-      return res.status(400).json({
-        message: 'Time slot conflict with existing class at the same venue'
-      });
+    // Check for scheduling conflicts (excluding current class, and not for classes being deactivated)
+    const willBeActive = isActive !== undefined ? isActive : classItem.isActive;
+    if (willBeActive) {
+      const conflicts = await findClassConflicts(
+        { type, date, startTime, endTime, venue, platform, teachers: classItem.teachers },
+        { excludeId: req.params.id }
+      );
+      if (conflicts.length > 0) {
+        return res.status(400).json({
+          message: conflicts[0].message,
+          conflicts
+        });
+      }
     }
 
+    const before = snapshot(classItem, CLASS_AUDIT_FIELDS);
+
     // Check if fee is being changed
     const isFeeChange = classItem.monthlyFee !== monthlyFee || classItem.isFreeClass !== isFreeClass;
 
@@ -328,6 +382,20 @@ exports.updateClass = async (req, res) => {
 
     const updatedClass = await classItem.save();
 
+    await recordAudit(req, {
+      action: isFeeChange ? 'class.fee_change' : 'class.update',
+      entityType: 'Class',
+      entityId: updatedClass._id,
+      summary: isFeeChange
+        ? `Changed fee of ${describeClass(updatedClass)} from ${before.isFreeClass ? 'free' : `Rs. ${before.monthlyFee}`} to ${isFreeClass ? 'free' : `Rs. ${monthlyFee}`}`
+        : `Updated ${describeClass(updatedClass)}`,
+      before,
+      after: snapshot(updatedClass, CLASS_AUDIT_FIELDS)
+    });
+
+    // A larger capacity may free seats for the waitlist
+    await offerFreeSeats(updatedClass._id);
+
     // If fee was changed, create notifications
     if (isFeeChange) {
       await createFeeChangeNotification(
@@ -385,6 +453,14 @@ exports.deleteClass = async (req, res) => {
     // Finally, delete the class itself
     await Class.findByIdAndDelete(classId);
 
+    await recordAudit(req, {
+      action: 'class.delete',
+      entityType: 'Class',
+      entityId: classItem._id,
+      summary: `Deleted ${describeClass(classItem)} with ${classItem.enrolledStudents.length} enrolled student(s)`,
+      before: snapshot(classItem)
+    });
+
     res.json({
       message: 'Class deleted successfully',
       details: {
@@ -418,16 +494,88 @@ exports.getAvailableGrades = async (req, res) => {
   }
 };
 
+// Venues used by classes plus the institute's usual venues
+const getVenueList = async () => {
+  const venues = await Class.distinct('venue');
+  const defaultVenues = ['Home - De Zoisa Hall', 'Manawa Ruwanwella', 'Opulent Yatiyanthota'];
+
+  // Combine default venues with custom venues from database
+  return [...new Set([...defaultVenues, ...venues])].sort();
+};
+
 // Get available venues (for dropdown)
 exports.getAvailableVenues = async (req, res) => {
   try {
-    const venues = await Class.distinct('venue');
-    const defaultVenues = ['Home - De Zoisa Hall', 'Manawa Ruwanwella', 'Opulent Yatiyanthota'];
+    res.json(await getVenueList());
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
 
-    // Combine default venues with custom venues from database
-    const allVenues = [...new Set([...defaultVenues, ...venues])];
+// Check a class time against other active classes before saving
+exports.checkClassConflicts = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { type, date, startTime, endTime, venue, platform, teachers, excludeClassId } = req.body;
+
+    if (toMinutes(startTime) >= toMinutes(endTime)) {
+      return res.status(400).json({
+        message: 'End time must be after start time'
+      });
+    }
+
+    const conflicts = await findClassConflicts(
+      { type, date, startTime, endTime, venue, platform, teachers },
+      { excludeId: excludeClassId }
+    );
 
-    res.json(allVenues.sort());
+    res.json({
+      hasConflicts: conflicts.length > 0,
+      conflicts
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Get free and busy slots per weekday for each venue
+exports.getVenueUtilisation = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { venue, date, dayStart, dayEnd } = req.query;
+
+    if (dayStart && dayEnd && toMinutes(dayStart) >= toMinutes(dayEnd)) {
+      return res.status(400).json({
+        message: 'Closing time must be after opening time'
+      });
+    }
+
+    // Special classes are shown for the week containing ?date (default this week)
+    const { from, to } = getWeekRange(date ? new Date(date) : new Date());
+    const venues = venue ? [venue] : await getVenueList();
+
+    const utilisation = await getVenueUtilisation(venues, {
+      weekStart: from,
+      weekEnd: to,
+      dayStart,
+      dayEnd
+    });
+
+    res.json({
+      weekStart: from,
+      weekEnd: to,
+      venues: utilisation
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({ message: 'Server error', error: err.message });
@@ -465,11 +613,21 @@ exports.enrollStudent = async (req, res) => {
     await classItem.save();
 
     // Add class to student's enrolledClasses (bidirectional update)
+    const before = snapshot(student, ['enrolledClasses']);
     if (!student.enrolledClasses.includes(classId)) {
       student.enrolledClasses.push(classId);
       await student.save();
     }
 
+    await recordAudit(req, {
+      action: 'enrolment.add',
+      entityType: 'Student',
+      entityId: student._id,
+      summary: `Enrolled ${describeStudent(student)} in ${describeClass(classItem)}`,
+      before,
+      after: snapshot(student, ['enrolledClasses'])
+    });
+
     // Send notification to student about enrollment
     try {
       const notification = new Notification({
@@ -533,11 +691,21 @@ exports.removeStudent = async (req, res) => {
     await classItem.save();
 
     // Remove class from student's enrolledClasses (bidirectional update)
+    const before = snapshot(student, ['enrolledClasses']);
     student.enrolledClasses = student.enrolledClasses.filter(
       id => id.toString() !== classId
     );
     await student.save();
 
+    await recordAudit(req, {
+      action: 'enrolment.remove',
+      entityType: 'Student',
+      entityId: student._id,
+      summary: `Removed ${describeStudent(student)} from ${describeClass(classItem)}`,
+      before,
+      after: snapshot(student, ['enrolledClasses'])
+    });
+
     // Send notification to student about removal
     try {
       const notification = new Notification({
@@ -557,6 +725,9 @@ exports.removeStudent = async (req, res) => {
       // Don't fail the main operation if notification fails
     }
 
+    // Offer the freed seat to the next student on the waitlist
+    await offerFreeSeats(classId);
+
     const updatedClass = await Class.findById(classId)
       .populate('createdBy', 'fullName email')
       .populate('enrolledStudents', 'studentId firstName lastName fullName email profilePicture selectedGrade')
@@ -737,11 +908,21 @@ exports.bulkEnrollStudents = async (req, res) => {
         classItem.enrolledStudents.push(studentId);
 
         // Add class to student's enrolledClasses
+        const before = snapshot(student, ['enrolledClasses']);
         if (!student.enrolledClasses.includes(classId)) {
           student.enrolledClasses.push(classId);
           await student.save();
         }
 
+        await recordAudit(req, {
+          action: 'enrolment.add',
+          entityType: 'Student',
+          entityId: student._id,
+          summary: `Enrolled ${describeStudent(student)} in ${describeClass(classItem)} (bulk enrolment)`,
+          before,
+          after: snapshot(student, ['enrolledClasses'])
+        });
+
         // Send notification
         try {
           const notification = new Notification({
@@ -863,10 +1044,18 @@ exports.cleanAndResetAvailableSpots = async (req, res) => {
       totalClassesProcessed++;
     }
 
+    // Offer any free seats to students on class waitlists
+    let waitlistSeatsOffered = 0;
+    const waitlistedClassIds = await ClassRequest.distinct('class', { status: 'Waitlisted' });
+    for (const classId of waitlistedClassIds) {
+      waitlistSeatsOffered += (await offerFreeSeats(classId)).length;
+    }
+
     const summary = {
       totalClassesProcessed,
       totalStudentsRemoved,
       totalDeletedStudentsRemoved,
+      waitlistSeatsOffered,
       classesModified: cleanupReport.length,
       cleanupReport,
       timestamp: new Date().toISOString()
@@ -1039,7 +1228,8 @@ exports.getEnrolledStudents = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const isAdmin = user.role === 'admin' || user.role === 'moderator';
+    // Teachers only get here for their own classes (classScope middleware)
+    const isAdmin = user.role === 'admin' || user.role === 'moderator' || isTeacher(user);
     const isStudent = user.role === 'student';
 
     // For students, check if they are enrolled in this class
@@ -1224,4 +1414,191 @@ exports.confirmMonitors = async (req, res) => {
       throw error;
     }
   }
-};
\ No newline at end of file
+};
+// Update automatic attendance sheet generation settings
+exports.updateAutoAttendanceSettings = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { enabled, monitorPermissions } = req.body;
+    const classId = req.params.id;
+
+    const classItem = await Class.findById(classId);
+    if (!classItem) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+
+    if (classItem.type !== 'Normal') {
+      return res.status(400).json({ message: 'Automatic attendance sheets are only available for Normal classes' });
+    }
+
+    if (enabled !== undefined) {
+      classItem.autoAttendance.enabled = enabled;
+    }
+
+    if (monitorPermissions) {
+      // Selected monitors must be monitors of this class
+      const selectedMonitors = monitorPermissions.selectedMonitors || [];
+      const validMonitors = classItem.monitors.map(monitor => monitor.toString());
+      const invalidMonitors = selectedMonitors.filter(monitorId => !validMonitors.includes(monitorId));
+
+      if (invalidMonitors.length > 0) {
+        return res.status(400).json({ message: 'Some selected monitors are not monitors of this class' });
+      }
+
+      classItem.autoAttendance.monitorPermissions = {
+        allMonitors: monitorPermissions.allMonitors || false,
+        selectedMonitors,
+        adminOnly: monitorPermissions.adminOnly || false
+      };
+    }
+
+    await classItem.save();
+
+    const updatedClass = await Class.findById(classId)
+      .populate('createdBy', 'fullName email')
+      .populate('monitors', 'studentId firstName lastName fullName email profilePicture')
+      .populate('autoAttendance.monitorPermissions.selectedMonitors', 'studentId firstName lastName');
+
+    res.json({
+      message: `Automatic attendance sheets ${classItem.autoAttendance.enabled ? 'enabled' : 'disabled'} for this class`,
+      class: updatedClass
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Update fee arrears gating settings
+exports.updateFeeGatingSettings = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { enabled, graceDays } = req.body;
+
+    const classItem = await Class.findById(req.params.id);
+    if (!classItem) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+
+    const before = snapshot(classItem, ['feeGating']);
+
+    if (enabled !== undefined) {
+      classItem.feeGating.enabled = enabled;
+    }
+    if (graceDays !== undefined) {
+      classItem.feeGating.graceDays = graceDays;
+    }
+
+    await classItem.save();
+
+    await recordAudit(req, {
+      action: 'class.fee_gating',
+      entityType: 'Class',
+      entityId: classItem._id,
+      summary: `${classItem.feeGating.enabled ? 'Enabled' : 'Disabled'} fee arrears gating for ${describeClass(classItem)}`,
+      before,
+      after: snapshot(classItem, ['feeGating'])
+    });
+
+    res.json({
+      message: `Fee arrears gating ${classItem.feeGating.enabled ? 'enabled' : 'disabled'} for this class`,
+      feeGating: classItem.feeGating
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Get the classes the logged-in teacher is assigned to (all active classes for admins)
+exports.getTeachingClasses = async (req, res) => {
+  try {
+    const filter = { isArchived: { $ne: true } };
+    if (isTeacher(req.user)) {
+      filter.teachers = req.user.id;
+    } else {
+      filter.isActive = true;
+    }
+
+    const classes = await Class.find(filter)
+      .select('-enrolledStudents -monitors')
+      .populate('teachers', 'fullName email')
+      .sort({ date: 1, startTime: 1 });
+
+    res.json({ classes });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Set the teachers assigned to a class
+exports.setClassTeachers = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const teacherIds = [...new Set(req.body.teachers.map(String))];
+
+    const classItem = await Class.findById(req.params.id);
+    if (!classItem) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+
+    const teachers = await User.find({ _id: { $in: teacherIds }, role: 'Teacher' }).select('fullName email');
+    if (teachers.length !== teacherIds.length) {
+      return res.status(400).json({ message: 'Every assigned user must exist and have the Teacher role' });
+    }
+
+    // A teacher cannot take two classes at the same time
+    if (classItem.isActive) {
+      const conflicts = (await findClassConflicts(
+        { ...classItem.toObject(), teachers: teacherIds },
+        { excludeId: classItem._id }
+      )).filter(conflict => conflict.type === 'teacher');
+      if (conflicts.length > 0) {
+        return res.status(400).json({
+          message: conflicts[0].message,
+          conflicts
+        });
+      }
+    }
+
+    const before = snapshot(classItem, ['teachers']);
+    classItem.teachers = teacherIds;
+    await classItem.save();
+
+    await recordAudit(req, {
+      action: 'class.teachers',
+      entityType: 'Class',
+      entityId: classItem._id,
+      summary: `Set teachers of ${describeClass(classItem)} to ${teachers.map(teacher => teacher.fullName).join(', ') || 'none'}`,
+      before,
+      after: snapshot(classItem, ['teachers'])
+    });
+
+    res.json({
+      message: 'Class teachers updated successfully',
+      teachers
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
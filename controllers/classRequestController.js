@@ -3,6 +3,19 @@ const ClassRequest = require('../models/ClassRequest');
 const Student = require('../models/Student');
 const Class = require('../models/Class');
 const Notification = require('../models/Notification');
+const {
+  OFFER_HOURS,
+  shouldWaitlist,
+  getWaitlistPosition,
+  addToWaitlist,
+  offerFreeSeats,
+  expireOffers,
+  reorderWaitlist
+} = require('../services/waitlistService');
+const { recordAudit, snapshot, describeStudent, describeClass } = require('../services/auditService');
+
+// Class request fields copied into audit log snapshots
+const REQUEST_AUDIT_FIELDS = ['status', 'adminResponse'];
 
 // Create a new class enrollment request
 exports.createClassRequest = async (req, res) => {
@@ -41,15 +54,19 @@ exports.createClassRequest = async (req, res) => {
       return res.status(400).json({ message: 'Already enrolled in this class' });
     }
 
-    // Check if already has a pending request for this class
+    // Check if already has a pending request for this class (or is on its waitlist)
     const existingRequest = await ClassRequest.findOne({
       student: student._id,
       class: classId,
-      status: 'Pending'
+      status: { $in: ['Pending', 'Waitlisted', 'Offered'] }
     });
 
     if (existingRequest) {
-      return res.status(400).json({ message: 'You already have a pending request for this class' });
+      return res.status(400).json({
+        message: existingRequest.status === 'Pending'
+          ? 'You already have a pending request for this class'
+          : 'You are already on the waitlist for this class'
+      });
     }
 
     // Create class request
@@ -59,7 +76,13 @@ exports.createClassRequest = async (req, res) => {
       reason
     });
 
-    await classRequest.save();
+    // Full classes queue new requests on the waitlist
+    let waitlistPosition = null;
+    if (await shouldWaitlist(classItem)) {
+      waitlistPosition = await addToWaitlist(classRequest, classItem);
+    } else {
+      await classRequest.save();
+    }
 
     // Populate the request for response
     await classRequest.populate([
@@ -68,8 +91,11 @@ exports.createClassRequest = async (req, res) => {
     ]);
 
     res.status(201).json({
-      message: 'Class enrollment request submitted successfully',
-      request: classRequest
+      message: waitlistPosition
+        ? `This class is full. You have been added to the waitlist (position ${waitlistPosition}).`
+        : 'Class enrollment request submitted successfully',
+      request: classRequest,
+      waitlistPosition
     });
   } catch (err) {
     console.error(err.message);
@@ -86,10 +112,18 @@ exports.getStudentClassRequests = async (req, res) => {
       return res.status(404).json({ message: 'Student profile not found' });
     }
 
-    const requests = await ClassRequest.find({ student: student._id })
+    const classRequests = await ClassRequest.find({ student: student._id })
       .populate('class', 'type grade date startTime endTime venue category')
       .sort({ createdAt: -1 });
 
+    // Show waitlisted students where they are in the queue
+    const requests = await Promise.all(classRequests.map(async (classRequest) => ({
+      ...classRequest.toObject(),
+      queuePosition: classRequest.status === 'Waitlisted' && classRequest.class
+        ? await getWaitlistPosition(classRequest)
+        : null
+    })));
+
     res.json({
       requests
     });
@@ -207,9 +241,14 @@ exports.approveClassRequest = async (req, res) => {
 
     // If student is not already enrolled, check if there's space for one more
     if (!isStudentAlreadyEnrolled && enrolledCount >= classRequest.class.capacity) {
-      return res.status(400).json({ message: 'Class is at full capacity' });
+      return res.status(400).json({
+        message: 'Class is at full capacity. Add the request to the waitlist instead.',
+        canWaitlist: true
+      });
     }
 
+    const before = snapshot(classRequest, REQUEST_AUDIT_FIELDS);
+
     // Update request status
     classRequest.status = 'Approved';
     classRequest.adminResponse = {
@@ -244,6 +283,15 @@ exports.approveClassRequest = async (req, res) => {
       return res.status(500).json({ message: 'Error enrolling student in class' });
     }
 
+    await recordAudit(req, {
+      action: 'class_request.approve',
+      entityType: 'ClassRequest',
+      entityId: classRequest._id,
+      summary: `Approved enrolment of ${describeStudent(classRequest.student)} in ${describeClass(classRequest.class)}`,
+      before,
+      after: snapshot(classRequest, REQUEST_AUDIT_FIELDS)
+    });
+
     // Create notification for student
     try {
       await Notification.createNotification({
@@ -298,6 +346,8 @@ exports.rejectClassRequest = async (req, res) => {
       return res.status(400).json({ message: 'Class request is not pending' });
     }
 
+    const before = snapshot(classRequest, REQUEST_AUDIT_FIELDS);
+
     // Update request status
     classRequest.status = 'Rejected';
     classRequest.adminResponse = {
@@ -308,6 +358,15 @@ exports.rejectClassRequest = async (req, res) => {
 
     await classRequest.save();
 
+    await recordAudit(req, {
+      action: 'class_request.reject',
+      entityType: 'ClassRequest',
+      entityId: classRequest._id,
+      summary: `Rejected enrolment of ${describeStudent(classRequest.student)} in ${describeClass(classRequest.class)}`,
+      before,
+      after: snapshot(classRequest, REQUEST_AUDIT_FIELDS)
+    });
+
     // Create notification for student
     await Notification.createNotification({
       recipient: classRequest.student.userId,
@@ -357,6 +416,7 @@ exports.changeClassRequestStatus = async (req, res) => {
     }
 
     const oldStatus = classRequest.status;
+    const before = snapshot(classRequest, REQUEST_AUDIT_FIELDS);
 
     // If changing from approved to rejected/pending, remove student from class
     if (oldStatus === 'Approved' && status !== 'Approved') {
@@ -434,6 +494,20 @@ exports.changeClassRequestStatus = async (req, res) => {
 
     await classRequest.save();
 
+    await recordAudit(req, {
+      action: 'class_request.status_change',
+      entityType: 'ClassRequest',
+      entityId: classRequest._id,
+      summary: `Changed enrolment request of ${describeStudent(classRequest.student)} in ${describeClass(classRequest.class)} from ${oldStatus} to ${status}`,
+      before,
+      after: snapshot(classRequest, REQUEST_AUDIT_FIELDS)
+    });
+
+    // A seat freed up or an offer was withdrawn - offer it to the waitlist
+    if (['Approved', 'Offered'].includes(oldStatus) && status !== 'Approved') {
+      await offerFreeSeats(classRequest.class._id);
+    }
+
     // Create notification for student
     try {
       await Notification.createNotification({
@@ -475,19 +549,21 @@ exports.approveAllPendingRequests = async (req, res) => {
   try {
     const { adminNote } = req.body;
 
-    // Get all pending class requests
+    // Get all pending class requests (oldest first, so they keep their place if a class fills up)
     const pendingRequests = await ClassRequest.find({ status: 'Pending' })
       .populate({
         path: 'student',
         options: { virtuals: true }
       })
-      .populate('class');
+      .populate('class')
+      .sort({ createdAt: 1 });
 
     if (pendingRequests.length === 0) {
       return res.status(400).json({ message: 'No pending class requests found' });
     }
 
     let approvedCount = 0;
+    let waitlistedCount = 0;
     let failedCount = 0;
     const failedRequests = [];
 
@@ -499,14 +575,10 @@ exports.approveAllPendingRequests = async (req, res) => {
         const isStudentAlreadyEnrolled = classRequest.class.enrolledStudents &&
           classRequest.class.enrolledStudents.some(id => id.equals(classRequest.student._id));
 
-        // If student is not already enrolled, check if there's space for one more
+        // If student is not already enrolled and the class is full, queue them on the waitlist
         if (!isStudentAlreadyEnrolled && enrolledCount >= classRequest.class.capacity) {
-          failedCount++;
-          failedRequests.push({
-            studentName: `${classRequest.student.firstName} ${classRequest.student.lastName}`,
-            className: `${classRequest.class.grade} - ${classRequest.class.category}`,
-            reason: 'Class is at full capacity'
-          });
+          await addToWaitlist(classRequest, classRequest.class, { student: classRequest.student });
+          waitlistedCount++;
           continue;
         }
 
@@ -529,6 +601,7 @@ exports.approveAllPendingRequests = async (req, res) => {
         }
 
         // Update request status
+        const before = snapshot(classRequest, REQUEST_AUDIT_FIELDS);
         classRequest.status = 'Approved';
         classRequest.adminResponse = {
           actionBy: req.user.id,
@@ -538,6 +611,15 @@ exports.approveAllPendingRequests = async (req, res) => {
 
         await classRequest.save();
 
+        await recordAudit(req, {
+          action: 'class_request.approve',
+          entityType: 'ClassRequest',
+          entityId: classRequest._id,
+          summary: `Approved enrolment of ${describeStudent(classRequest.student)} in ${describeClass(classRequest.class)} (bulk approval)`,
+          before,
+          after: snapshot(classRequest, REQUEST_AUDIT_FIELDS)
+        });
+
         // Create notification for student
         try {
           await Notification.createNotification({
@@ -569,6 +651,9 @@ exports.approveAllPendingRequests = async (req, res) => {
     }
 
     let message = `Successfully approved ${approvedCount} class requests`;
+    if (waitlistedCount > 0) {
+      message += `. ${waitlistedCount} requests for full classes were added to the waitlist`;
+    }
     if (failedCount > 0) {
       message += `. ${failedCount} requests failed to approve.`;
     }
@@ -576,6 +661,7 @@ exports.approveAllPendingRequests = async (req, res) => {
     res.json({
       message,
       approvedCount,
+      waitlistedCount,
       failedCount,
       failedRequests: failedCount > 0 ? failedRequests : undefined
     });
@@ -609,9 +695,9 @@ exports.deleteClassRequest = async (req, res) => {
       return res.status(403).json({ message: 'You can only delete your own class requests' });
     }
 
-    // Only allow deletion of pending requests
-    if (classRequest.status !== 'Pending') {
-      return res.status(400).json({ message: 'You can only delete pending class requests' });
+    // Only allow deletion of pending requests (or leaving the waitlist)
+    if (!['Pending', 'Waitlisted'].includes(classRequest.status)) {
+      return res.status(400).json({ message: 'You can only delete pending or waitlisted class requests' });
     }
 
     // Delete the request
@@ -686,6 +772,19 @@ exports.adminDeleteClassRequest = async (req, res) => {
     // Delete the request
     await ClassRequest.findByIdAndDelete(requestId);
 
+    await recordAudit(req, {
+      action: 'class_request.delete',
+      entityType: 'ClassRequest',
+      entityId: classRequest._id,
+      summary: `Deleted ${classRequest.status} enrolment request of ${describeStudent(classRequest.student)} for ${describeClass(classRequest.class)}`,
+      before: snapshot(classRequest)
+    });
+
+    // Pass a freed or held seat on to the waitlist
+    if (['Approved', 'Offered'].includes(classRequest.status)) {
+      await offerFreeSeats(classRequest.class._id);
+    }
+
     res.json({
       message: 'Class request deleted successfully',
       deletedRequest: {
@@ -700,4 +799,302 @@ exports.adminDeleteClassRequest = async (req, res) => {
   }
 };
 
+// Accept a waitlist seat offer (Student)
+exports.acceptWaitlistOffer = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    const student = await Student.findOne({ userId: req.user.id });
+    if (!student) {
+      return res.status(404).json({ message: 'Student profile not found' });
+    }
+
+    const classRequest = await ClassRequest.findById(requestId).populate('class');
+    if (!classRequest) {
+      return res.status(404).json({ message: 'Class request not found' });
+    }
+
+    if (!classRequest.student.equals(student._id)) {
+      return res.status(403).json({ message: 'You can only respond to your own seat offers' });
+    }
+
+    if (classRequest.status !== 'Offered') {
+      return res.status(400).json({ message: 'There is no open seat offer for this request' });
+    }
+
+    if (classRequest.offer.expiresAt <= new Date()) {
+      return res.status(400).json({ message: 'This seat offer has expired' });
+    }
+
+    const classItem = classRequest.class;
+    if (!classItem || !classItem.isActive) {
+      return res.status(400).json({ message: 'Class is not available for enrollment' });
+    }
+
+    // The seat was held for this student, but an admin may have filled the class in the meantime
+    const isStudentAlreadyEnrolled = classItem.enrolledStudents &&
+      classItem.enrolledStudents.some(id => id.equals(student._id));
+    const enrolledCount = classItem.enrolledStudents ? classItem.enrolledStudents.length : 0;
+
+    if (!isStudentAlreadyEnrolled && enrolledCount >= classItem.capacity) {
+      classRequest.status = 'Waitlisted';
+      classRequest.offer = undefined;
+      await classRequest.save();
+      return res.status(400).json({
+        message: 'Sorry, the class filled up before you accepted. You have been kept at your place on the waitlist.'
+      });
+    }
+
+    // Claim the offer so it cannot be accepted twice
+    const claimed = await ClassRequest.findOneAndUpdate(
+      { _id: classRequest._id, status: 'Offered' },
+      {
+        $set: {
+          status: 'Approved',
+          waitlistPosition: null,
+          'offer.respondedAt': new Date(),
+          adminResponse: {
+            actionDate: new Date(),
+            actionNote: 'Accepted waitlist seat offer'
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({ message: 'There is no open seat offer for this request' });
+    }
+
+    // Add student to class and class to student (with duplicate prevention)
+    if (!classItem.enrolledStudents) {
+      classItem.enrolledStudents = [];
+    }
+    if (!isStudentAlreadyEnrolled) {
+      classItem.enrolledStudents.push(student._id);
+      await classItem.save();
+    }
+
+    if (!student.enrolledClasses) {
+      student.enrolledClasses = [];
+    }
+    if (!student.enrolledClasses.some(id => id.equals(classItem._id))) {
+      student.enrolledClasses.push(classItem._id);
+      await student.save();
+    }
+
+    try {
+      await Notification.createNotification({
+        recipient: student.userId,
+        type: 'class_request_approved',
+        title: 'Class Enrollment Confirmed! 🎉',
+        message: `You have been enrolled in ${classItem.grade} - ${classItem.category} class.`,
+        data: {
+          classRequestId: classRequest._id,
+          classId: classItem._id
+        }
+      });
+    } catch (notificationError) {
+      console.error('Error creating notification:', notificationError);
+      // Continue even if notification fails
+    }
+
+    res.json({
+      message: 'Seat accepted. You are now enrolled in the class.',
+      request: claimed
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Decline a waitlist seat offer (Student)
+exports.declineWaitlistOffer = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    const student = await Student.findOne({ userId: req.user.id });
+    if (!student) {
+      return res.status(404).json({ message: 'Student profile not found' });
+    }
+
+    const classRequest = await ClassRequest.findById(requestId);
+    if (!classRequest) {
+      return res.status(404).json({ message: 'Class request not found' });
+    }
+
+    if (!classRequest.student.equals(student._id)) {
+      return res.status(403).json({ message: 'You can only respond to your own seat offers' });
+    }
+
+    const declined = await ClassRequest.findOneAndUpdate(
+      { _id: classRequest._id, status: 'Offered' },
+      { $set: { status: 'Declined', waitlistPosition: null, 'offer.respondedAt': new Date() } },
+      { new: true }
+    );
+
+    if (!declined) {
+      return res.status(400).json({ message: 'There is no open seat offer for this request' });
+    }
+
+    // Offer the seat to the next student
+    await offerFreeSeats(classRequest.class);
+
+    res.json({
+      message: 'Seat offer declined',
+      request: declined
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Get the waitlist of a class, including open seat offers (Admin)
+exports.getClassWaitlist = async (req, res) => {
+  try {
+    const { classId } = req.params;
+
+    const classItem = await Class.findById(classId).select('grade category capacity enrolledStudents isActive');
+    if (!classItem) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+
+    const studentFields = 'studentId firstName lastName selectedGrade email';
+    const [waiting, offers] = await Promise.all([
+      ClassRequest.find({ class: classId, status: 'Waitlisted' })
+        .populate('student', studentFields)
+        .sort({ waitlistPosition: 1, waitlistedAt: 1 }),
+      ClassRequest.find({ class: classId, status: 'Offered' })
+        .populate('student', studentFields)
+        .sort({ 'offer.offeredAt': 1 })
+    ]);
+
+    res.json({
+      class: {
+        _id: classItem._id,
+        className: `${classItem.grade} - ${classItem.category}`,
+        capacity: classItem.capacity,
+        enrolledCount: classItem.enrolledStudents ? classItem.enrolledStudents.length : 0,
+        isActive: classItem.isActive
+      },
+      offerHours: OFFER_HOURS,
+      waitlist: waiting.map((classRequest, index) => ({
+        ...classRequest.toObject(),
+        queuePosition: index + 1
+      })),
+      offers
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Reorder the waitlist of a class (Admin)
+exports.reorderClassWaitlist = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { classId } = req.params;
+    const { requestIds } = req.body;
+
+    const classItem = await Class.findById(classId);
+    if (!classItem) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+
+    const order = await reorderWaitlist(classId, requestIds);
+
+    res.json({
+      message: 'Waitlist order updated successfully',
+      order
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Move a pending request for a full class onto its waitlist (Admin)
+exports.moveToWaitlist = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    const classRequest = await ClassRequest.findById(requestId)
+      .populate('student', 'userId firstName lastName studentId')
+      .populate('class');
+
+    if (!classRequest) {
+      return res.status(404).json({ message: 'Class request not found' });
+    }
+
+    if (classRequest.status !== 'Pending') {
+      return res.status(400).json({ message: 'Class request is not pending' });
+    }
+
+    const before = snapshot(classRequest, REQUEST_AUDIT_FIELDS);
+    const position = await addToWaitlist(classRequest, classRequest.class, { student: classRequest.student });
+
+    await recordAudit(req, {
+      action: 'class_request.waitlist',
+      entityType: 'ClassRequest',
+      entityId: classRequest._id,
+      summary: `Added ${describeStudent(classRequest.student)} to the waitlist for ${describeClass(classRequest.class)} (position ${position})`,
+      before,
+      after: snapshot(classRequest, [...REQUEST_AUDIT_FIELDS, 'waitlistPosition'])
+    });
+
+    // The class may have a free seat the queue can use straight away
+    await offerFreeSeats(classRequest.class._id);
+
+    res.json({
+      message: `Request added to the waitlist (position ${position})`,
+      request: await ClassRequest.findById(requestId)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Expire unanswered seat offers and offer free seats to waitlisted students
+// Can be called via API (with req, res) or internally by the scheduler (without parameters)
+exports.processWaitlists = async (req, res) => {
+  try {
+    const { offersExpired, seatsOffered: reoffered } = await expireOffers();
+
+    const classIds = await ClassRequest.distinct('class', { status: 'Waitlisted' });
+    let seatsOffered = reoffered;
+    for (const classId of classIds) {
+      seatsOffered += (await offerFreeSeats(classId)).length;
+    }
+
+    const summary = {
+      offersExpired,
+      classesWithWaitlist: classIds.length,
+      seatsOffered,
+      timestamp: new Date().toISOString()
+    };
+
+    if (res) {
+      return res.json({
+        message: 'Waitlists processed successfully',
+        summary
+      });
+    }
+    return summary;
+  } catch (error) {
+    console.error('Error processing waitlists:', error);
+    if (res) {
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+    throw error;
+  }
+};
+
 module.exports = exports;
@@ -0,0 +1,605 @@
+const { validationResult } = require('express-validator');
+const ClassSession = require('../models/ClassSession');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const Attendance = require('../models/Attendance');
+const OnlineSession = require('../models/OnlineSession');
+const {
+  materialiseAllSessions,
+  getSessionsForClasses,
+  formatSessionDay,
+  notifySessionChange
+} = require('../services/sessionService');
+const { getSriLankaDayRange } = require('../utils/dateHelpers');
+
+// Default calendar range and how far ahead the scheduler generates sessions
+const DEFAULT_RANGE_DAYS = 30;
+const GENERATE_AHEAD_DAYS = 56;
+const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read ?from=&to= (defaults to the next 30 days)
+const getDateRange = (query) => {
+  const from = query.from ? new Date(query.from) : new Date();
+  const to = query.to ? new Date(query.to) : new Date(from.getTime() + DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+    return { error: 'Invalid date range' };
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+  return { from, to };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const describeSlot = (session) => `${formatSessionDay(session.date)} ${session.startTime}-${session.endTime}`;
+
+// Attendance sheets and online sessions attached to the given sessions
+const attachLinkedRecords = async (sessions) => {
+  const sessionIds = sessions.map(session => session._id);
+  const [sheets, onlineSessions] = await Promise.all([
+    Attendance.find({ sessionId: { $in: sessionIds } }).select('sessionId status'),
+    OnlineSession.find({ sessionId: { $in: sessionIds }, isActive: true }).select('sessionId title')
+  ]);
+
+  return sessions.map(session => {
+    const sheet = sheets.find(item => item.sessionId.toString() === session._id.toString());
+    return {
+      ...session,
+      attendance: sheet ? { _id: sheet._id, status: sheet.status } : null,
+      onlineSessions: onlineSessions
+        .filter(item => item.sessionId.toString() === session._id.toString())
+        .map(item => ({ _id: item._id, title: item.title }))
+    };
+  });
+};
+
+// Find a session for an admin action, with the common not-found response
+const findSessionOrRespond = async (req, res) => {
+  const session = await ClassSession.findById(req.params.id);
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+    return null;
+  }
+  return session;
+};
+
+// Changing a session once attendance has been taken would leave the sheet on the wrong day
+const hasAttendanceSheet = (sessionId) => Attendance.exists({ sessionId });
+
+// @desc    Get the session calendar for all classes (or one class)
+// @route   GET /api/class-sessions?from=&to=&classId=
+// @access  Private (Admin/Moderator)
+const getSessions = async (req, res) => {
+  try {
+    const range = getDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+
+    const classFilter = { isActive: true };
+    if (req.query.classId) classFilter._id = req.query.classId;
+    const classes = await Class.find(classFilter);
+
+    const sessions = await getSessionsForClasses(classes, range.from, range.to);
+
+    res.json({
+      success: true,
+      data: await attachLinkedRecords(sessions)
+    });
+
+  } catch (error) {
+    console.error('Error fetching class sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching class sessions'
+    });
+  }
+};
+
+// @desc    Get the sessions of one class
+// @route   GET /api/class-sessions/class/:classId?from=&to=
+// @access  Private (Admin/Moderator, assigned teachers, or students enrolled in the class)
+const getClassSessions = async (req, res) => {
+  try {
+    const range = getDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+
+    const classItem = await Class.findById(req.params.classId);
+    if (!classItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    if (req.user.role === 'student') {
+      const student = await Student.findOne({ userId: req.user.id }).select('_id');
+      if (!student || !classItem.enrolledStudents.some(id => id.toString() === student._id.toString())) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not enrolled in this class'
+        });
+      }
+    }
+
+    const sessions = await getSessionsForClasses([classItem], range.from, range.to);
+
+    res.json({
+      success: true,
+      data: await attachLinkedRecords(sessions)
+    });
+
+  } catch (error) {
+    console.error('Error fetching class sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching class sessions'
+    });
+  }
+};
+
+// @desc    Get the logged in student's session calendar across all enrolled classes
+// @route   GET /api/class-sessions/my?from=&to=
+// @access  Private (Student)
+const getMySessions = async (req, res) => {
+  try {
+    const range = getDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+
+    const student = await Student.findOne({ userId: req.user.id }).populate('enrolledClasses');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const sessions = await getSessionsForClasses(student.enrolledClasses, range.from, range.to);
+
+    res.json({
+      success: true,
+      data: await attachLinkedRecords(sessions)
+    });
+
+  } catch (error) {
+    console.error('Error fetching student sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+};
+
+// @desc    Get a single session with its attendance sheet and online sessions
+// @route   GET /api/class-sessions/:id
+// @access  Private (Admin/Moderator)
+const getSessionById = async (req, res) => {
+  try {
+    const session = await ClassSession.findById(req.params.id)
+      .populate('classId', 'grade category type platform venue')
+      .populate('changes.changedBy', 'fullName')
+      .populate('createdBy', 'fullName');
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const [attendance, onlineSessions] = await Promise.all([
+      Attendance.findOne({ sessionId: session._id }).select('date status expectedPresentCount'),
+      OnlineSession.find({ sessionId: session._id, isActive: true })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...session.toObject(),
+        attendance,
+        onlineSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching class session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching class session'
+    });
+  }
+};
+
+// @desc    Add a one-off extra session to a class
+// @route   POST /api/class-sessions
+// @access  Private (Admin/Moderator)
+const createExtraSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { classId, date, startTime, endTime, venue, title, note } = req.body;
+
+    const classItem = await Class.findById(classId);
+    if (!classItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    if (toMinutes(startTime) >= toMinutes(endTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after start time'
+      });
+    }
+
+    const session = new ClassSession({
+      classId,
+      kind: 'Extra',
+      date: getSriLankaDayRange(new Date(date)).start,
+      startTime,
+      endTime,
+      venue: venue || classItem.venue,
+      isSubstituteVenue: Boolean(venue) && venue !== classItem.venue,
+      title,
+      note,
+      createdBy: req.user.id
+    });
+    await session.save();
+
+    await notifySessionChange(session, 'Extra');
+
+    res.status(201).json({
+      success: true,
+      message: 'Extra session added successfully',
+      data: session
+    });
+
+  } catch (error) {
+    console.error('Error creating extra session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating extra session'
+    });
+  }
+};
+
+// @desc    Cancel a session
+// @route   PUT /api/class-sessions/:id/cancel
+// @access  Private (Admin/Moderator)
+const cancelSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const session = await findSessionOrRespond(req, res);
+    if (!session) return;
+
+    if (session.status === 'Cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Session is already cancelled'
+      });
+    }
+
+    if (await hasAttendanceSheet(session._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attendance has already been taken for this session. Delete the attendance sheet first.'
+      });
+    }
+
+    const { reason } = req.body;
+    session.status = 'Cancelled';
+    session.cancellationReason = reason;
+    session.changes.push({ type: 'Cancelled', from: describeSlot(session), reason, changedBy: req.user.id });
+    await session.save();
+
+    await notifySessionChange(session, 'Cancelled');
+
+    res.json({
+      success: true,
+      message: 'Session cancelled successfully',
+      data: session
+    });
+
+  } catch (error) {
+    console.error('Error cancelling session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling session'
+    });
+  }
+};
+
+// @desc    Undo a session cancellation
+// @route   PUT /api/class-sessions/:id/restore
+// @access  Private (Admin/Moderator)
+const restoreSession = async (req, res) => {
+  try {
+    const session = await findSessionOrRespond(req, res);
+    if (!session) return;
+
+    if (session.status !== 'Cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Session is not cancelled'
+      });
+    }
+
+    session.status = 'Scheduled';
+    session.cancellationReason = undefined;
+    session.changes.push({ type: 'Restored', to: describeSlot(session), changedBy: req.user.id });
+    await session.save();
+
+    await notifySessionChange(session, 'Restored');
+
+    res.json({
+      success: true,
+      message: 'Session restored successfully',
+      data: session
+    });
+
+  } catch (error) {
+    console.error('Error restoring session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring session'
+    });
+  }
+};
+
+// @desc    Move a session to another day and/or time
+// @route   PUT /api/class-sessions/:id/reschedule
+// @access  Private (Admin/Moderator)
+const rescheduleSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const session = await findSessionOrRespond(req, res);
+    if (!session) return;
+
+    const { date, startTime, endTime, venue, reason } = req.body;
+
+    if (toMinutes(startTime) >= toMinutes(endTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after start time'
+      });
+    }
+
+    if (await hasAttendanceSheet(session._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attendance has already been taken for this session. Delete the attendance sheet first.'
+      });
+    }
+
+    const previous = describeSlot(session);
+
+    session.date = getSriLankaDayRange(new Date(date)).start;
+    session.startTime = startTime;
+    session.endTime = endTime;
+    if (venue) {
+      const classItem = await Class.findById(session.classId).select('venue');
+      session.venue = venue;
+      session.isSubstituteVenue = Boolean(classItem) && venue !== classItem.venue;
+    }
+    session.status = 'Scheduled';
+    session.cancellationReason = undefined;
+    session.isRescheduled = true;
+    session.changes.push({ type: 'Rescheduled', from: previous, to: describeSlot(session), reason, changedBy: req.user.id });
+    await session.save();
+
+    // Keep linked online sessions in step
+    await OnlineSession.updateMany(
+      { sessionId: session._id },
+      { sessionDate: session.date, startTime, endTime, updatedAt: Date.now() }
+    );
+
+    await notifySessionChange(session, 'Rescheduled', previous);
+
+    res.json({
+      success: true,
+      message: 'Session rescheduled successfully',
+      data: session
+    });
+
+  } catch (error) {
+    console.error('Error rescheduling session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rescheduling session'
+    });
+  }
+};
+
+// @desc    Hold a session at a substitute venue
+// @route   PUT /api/class-sessions/:id/venue
+// @access  Private (Admin/Moderator)
+const changeSessionVenue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const session = await findSessionOrRespond(req, res);
+    if (!session) return;
+
+    const { venue, reason } = req.body;
+    if (venue === session.venue) {
+      return res.status(400).json({
+        success: false,
+        message: 'Session is already at this venue'
+      });
+    }
+
+    const classItem = await Class.findById(session.classId).select('venue');
+    const previous = session.venue;
+
+    session.venue = venue;
+    session.isSubstituteVenue = Boolean(classItem) && venue !== classItem.venue;
+    session.changes.push({ type: 'VenueChanged', from: previous, to: venue, reason, changedBy: req.user.id });
+    await session.save();
+
+    await notifySessionChange(session, 'VenueChanged', previous);
+
+    res.json({
+      success: true,
+      message: 'Session venue changed successfully',
+      data: session
+    });
+
+  } catch (error) {
+    console.error('Error changing session venue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing session venue'
+    });
+  }
+};
+
+// @desc    Delete an extra session
+// @route   DELETE /api/class-sessions/:id
+// @access  Private (Admin/Moderator)
+const deleteExtraSession = async (req, res) => {
+  try {
+    const session = await findSessionOrRespond(req, res);
+    if (!session) return;
+
+    if (session.kind !== 'Extra') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only extra sessions can be deleted. Cancel regular sessions instead.'
+      });
+    }
+
+    if (await hasAttendanceSheet(session._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attendance has already been taken for this session. Delete the attendance sheet first.'
+      });
+    }
+
+    // Notify before deleting, while the session still exists
+    if (session.status === 'Scheduled') {
+      session.status = 'Cancelled';
+      await notifySessionChange(session, 'Cancelled');
+    }
+
+    await OnlineSession.updateMany({ sessionId: session._id }, { $unset: { sessionId: '' } });
+    await ClassSession.findByIdAndDelete(session._id);
+
+    res.json({
+      success: true,
+      message: 'Extra session deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting extra session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting extra session'
+    });
+  }
+};
+
+// @desc    Generate timetable sessions for the coming weeks
+// @route   POST /api/class-sessions/generate
+// @access  Private (Admin/Moderator) - also run daily by the scheduler
+const generateUpcomingSessions = async (req, res) => {
+  try {
+    const days = req && req.body && req.body.days
+      ? Math.min(parseInt(req.body.days), MAX_RANGE_DAYS)
+      : GENERATE_AHEAD_DAYS;
+    const from = new Date();
+    const to = new Date(from.getTime() + days * DAY_MS);
+
+    const result = await materialiseAllSessions(from, to);
+    const summary = {
+      ...result,
+      from,
+      to,
+      timestamp: new Date().toISOString()
+    };
+
+    console.log('Class session generation completed:', summary);
+
+    if (res) {
+      // If called via API endpoint
+      res.json({
+        success: true,
+        message: `${result.sessionsCreated} session(s) generated`,
+        data: summary
+      });
+    } else {
+      // If called internally
+      return summary;
+    }
+
+  } catch (error) {
+    console.error('Error generating class sessions:', error);
+    if (res) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error while generating class sessions'
+      });
+    } else {
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  getSessions,
+  getClassSessions,
+  getMySessions,
+  getSessionById,
+  createExtraSession,
+  cancelSession,
+  restoreSession,
+  rescheduleSession,
+  changeSessionVenue,
+  deleteExtraSession,
+  generateUpcomingSessions
+};
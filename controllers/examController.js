@@ -2,6 +2,8 @@ const Exam = require('../models/Exam');
 const ExamMark = require('../models/ExamMark');
 const Class = require('../models/Class');
 const Student = require('../models/Student');
+const { denyIfFeesOutstanding } = require('../services/feeAccessService');
+const { recordAudit, snapshot, describeStudent } = require('../services/auditService');
 const { validationResult } = require('express-validator');
 
 // Helper function to check if exam is overdue
@@ -172,6 +174,8 @@ const getExamById = async (req, res) => {
       });
     }
 
+    if (exam.classId && await denyIfFeesOutstanding(req, res, exam.classId._id)) return;
+
     // Add status information
     const examObj = exam.toObject();
     examObj.isOverdue = isExamOverdue(exam.examDate, exam.examEndTime);
@@ -265,11 +269,19 @@ const deleteExam = async (req, res) => {
     }
 
     // Delete associated marks
-    await ExamMark.deleteMany({ examId: req.params.id });
+    const markDeleteResult = await ExamMark.deleteMany({ examId: req.params.id });
 
     // Delete exam
     await Exam.findByIdAndDelete(req.params.id);
 
+    await recordAudit(req, {
+      action: 'exam.delete',
+      entityType: 'Exam',
+      entityId: exam._id,
+      summary: `Deleted exam "${exam.title}" with ${markDeleteResult.deletedCount} mark(s)`,
+      before: snapshot(exam)
+    });
+
     res.json({
       success: true,
       message: 'Exam deleted successfully'
@@ -331,6 +343,7 @@ const assignMarks = async (req, res) => {
 
     // Check if marks already exist for this student and exam
     let examMark = await ExamMark.findOne({ examId, studentId });
+    const before = examMark ? snapshot(examMark, ['marks', 'remarks', 'assignedBy']) : null;
 
     if (examMark) {
       // Update existing marks
@@ -350,6 +363,17 @@ const assignMarks = async (req, res) => {
       await examMark.save();
     }
 
+    await recordAudit(req, {
+      action: before ? 'exam.marks_update' : 'exam.marks_assign',
+      entityType: 'ExamMark',
+      entityId: examMark._id,
+      summary: before
+        ? `Changed marks for ${describeStudent(student)} in "${exam.title}" from ${before.marks} to ${marks}`
+        : `Assigned ${marks} marks to ${describeStudent(student)} in "${exam.title}"`,
+      before,
+      after: snapshot(examMark, ['examId', 'studentId', 'marks', 'remarks', 'assignedBy'])
+    });
+
     // Populate the response
     await examMark.populate('studentId', 'firstName lastName studentId');
     await examMark.populate('assignedBy', 'fullName');
@@ -0,0 +1,271 @@
+const { validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const FeeReminderSettings = require('../models/FeeReminderSettings');
+const FeeReminderLog = require('../models/FeeReminderLog');
+const { getReminderStage, buildReminderMessage, sendInvoiceReminder } = require('../services/feeReminderService');
+const { getChannelStatus, getSentMessages } = require('../services/messaging');
+
+const REMINDER_STAGES = ['beforeDue', 'dueToday', 'overdue'];
+
+const STUDENT_CONTACT_FIELDS = 'firstName lastName studentId email whatsappNumber guardianName guardianEmail guardianContact status';
+
+// @desc    Send today's fee reminders for every unpaid invoice
+// @route   POST /api/fee-reminders/run
+// @access  Private (Admin/Moderator) - also run daily by the scheduler
+exports.runFeeReminders = async (req, res) => {
+  try {
+    const body = (req && req.body) || {};
+    const dryRun = body.dryRun === true || body.dryRun === 'true';
+    const settings = await FeeReminderSettings.getSettings();
+
+    if (!settings.enabled && !dryRun) {
+      const summary = { enabled: false, invoicesChecked: 0, remindersDue: 0, sent: 0, stubbed: 0, failed: 0, skipped: 0 };
+      if (res) {
+        return res.json({ message: 'Fee reminders are turned off', summary });
+      }
+      return summary;
+    }
+
+    console.log(`Running fee reminders${dryRun ? ' (dry run)' : ''}...`);
+
+    const invoices = await Invoice.find({ status: { $in: ['Due', 'Part-Paid', 'Overdue'] } })
+      .populate('studentId', STUDENT_CONTACT_FIELDS)
+      .populate('classId', 'grade category');
+
+    let remindersDue = 0;
+    let sent = 0;
+    let stubbed = 0;
+    let failed = 0;
+    let skipped = 0;
+    const preview = [];
+
+    for (const invoice of invoices) {
+      if (!invoice.studentId || invoice.studentId.status !== 'Approved' || invoice.balance <= 0) continue;
+
+      const reminder = getReminderStage(invoice, settings);
+      if (!reminder) continue;
+      remindersDue++;
+
+      const result = await sendInvoiceReminder(invoice, reminder, settings, {
+        triggeredBy: req && req.user ? req.user.id : undefined,
+        dryRun
+      });
+      sent += result.sent;
+      stubbed += result.stubbed;
+      failed += result.failed;
+      skipped += result.skipped;
+      preview.push(...result.messages.map(message => ({
+        ...message,
+        invoiceId: invoice._id,
+        studentId: invoice.studentId.studentId
+      })));
+    }
+
+    const summary = {
+      enabled: settings.enabled,
+      dryRun,
+      invoicesChecked: invoices.length,
+      remindersDue,
+      sent,
+      stubbed,
+      failed,
+      skipped,
+      timestamp: new Date().toISOString()
+    };
+
+    console.log('Fee reminders completed:', summary);
+
+    if (res) {
+      return res.json({
+        message: dryRun ? 'Fee reminder dry run completed' : 'Fee reminders sent',
+        summary,
+        ...(dryRun && { messages: preview })
+      });
+    }
+
+    return summary;
+  } catch (error) {
+    console.error('Error running fee reminders:', error);
+    if (res) {
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+    throw error;
+  }
+};
+
+// @desc    Get fee reminder settings and channel status
+// @route   GET /api/fee-reminders/settings
+// @access  Private (Admin/Moderator)
+exports.getReminderSettings = async (req, res) => {
+  try {
+    const settings = await FeeReminderSettings.getSettings();
+    res.json({ settings, channels: getChannelStatus() });
+  } catch (error) {
+    console.error('Error fetching fee reminder settings:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update fee reminder settings and templates
+// @route   PUT /api/fee-reminders/settings
+// @access  Private (Admin/Moderator)
+exports.updateReminderSettings = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const settings = await FeeReminderSettings.getSettings();
+
+    ['enabled', 'daysBeforeDue', 'sendOnDueDate', 'whatsappLanguage'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        settings[field] = req.body[field];
+      }
+    });
+
+    const sections = {
+      overdue: ['enabled', 'firstAfterDays', 'repeatEveryDays', 'maxReminders'],
+      recipients: ['studentEmail', 'guardianEmail', 'studentWhatsapp', 'guardianWhatsapp']
+    };
+
+    Object.keys(sections).forEach(section => {
+      if (!req.body[section]) return;
+      sections[section].forEach(field => {
+        if (req.body[section][field] !== undefined) {
+          settings[section][field] = req.body[section][field];
+        }
+      });
+    });
+
+    if (req.body.templates) {
+      REMINDER_STAGES.forEach(stage => {
+        const template = req.body.templates[stage];
+        if (!template) return;
+        ['subject', 'body', 'whatsappTemplate'].forEach(field => {
+          if (template[field] !== undefined) {
+            settings.templates[stage][field] = template[field];
+          }
+        });
+      });
+    }
+
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    res.json({
+      message: 'Fee reminder settings updated successfully',
+      settings
+    });
+  } catch (error) {
+    console.error('Error updating fee reminder settings:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Preview a reminder template with an invoice (or sample data)
+// @route   POST /api/fee-reminders/preview
+// @access  Private (Admin/Moderator)
+exports.previewReminder = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { stage, invoiceId, template } = req.body;
+    const settings = await FeeReminderSettings.getSettings();
+
+    let invoice;
+    if (invoiceId) {
+      invoice = await Invoice.findById(invoiceId)
+        .populate('studentId', STUDENT_CONTACT_FIELDS)
+        .populate('classId', 'grade category');
+      if (!invoice) {
+        return res.status(404).json({ message: 'Invoice not found' });
+      }
+    } else {
+      // Sample invoice for trying out templates
+      const dueDate = new Date();
+      invoice = {
+        year: dueDate.getFullYear(),
+        month: dueDate.getMonth() + 1,
+        amount: 2000,
+        balance: 2000,
+        dueDate,
+        studentId: { firstName: 'Sample', lastName: 'Student', guardianName: 'Sample Guardian' },
+        classId: { grade: 'Grade 10', category: 'Theory' }
+      };
+    }
+
+    // Unsaved template edits can be previewed before saving
+    const previewSettings = {
+      whatsappLanguage: settings.whatsappLanguage,
+      templates: {
+        [stage]: {
+          subject: template && template.subject !== undefined ? template.subject : settings.templates[stage].subject,
+          body: template && template.body !== undefined ? template.body : settings.templates[stage].body,
+          whatsappTemplate: template && template.whatsappTemplate !== undefined ? template.whatsappTemplate : settings.templates[stage].whatsappTemplate
+        }
+      }
+    };
+
+    const daysOverdue = stage === 'overdue' ? settings.overdue.firstAfterDays : 0;
+    res.json({
+      stage,
+      ...buildReminderMessage(invoice, stage, previewSettings, daysOverdue)
+    });
+  } catch (error) {
+    console.error('Error previewing fee reminder:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the log of fee reminders sent
+// @route   GET /api/fee-reminders/logs
+// @access  Private (Admin/Moderator)
+exports.getReminderLogs = async (req, res) => {
+  try {
+    const { studentId, invoiceId, classId, stage, channel, status, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (studentId) filter.studentId = studentId;
+    if (invoiceId) filter.invoiceId = invoiceId;
+    if (classId) filter.classId = classId;
+    if (stage) filter.stage = stage;
+    if (channel) filter.channel = channel;
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [logs, total] = await Promise.all([
+      FeeReminderLog.find(filter)
+        .populate('studentId', 'firstName lastName studentId')
+        .populate('classId', 'grade category')
+        .populate('triggeredBy', 'fullName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      FeeReminderLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      logs,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching fee reminder logs:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get messages captured by the stub transport (development only)
+// @route   GET /api/fee-reminders/stub-messages
+// @access  Private (Admin/Moderator)
+exports.getStubMessages = async (req, res) => {
+  res.json({ messages: getSentMessages() });
+};
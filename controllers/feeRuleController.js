@@ -0,0 +1,307 @@
+const { validationResult } = require('express-validator');
+const FeeRuleSettings = require('../models/FeeRuleSettings');
+const Scholarship = require('../models/Scholarship');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const { computeFee } = require('../services/feeService');
+const { recordAudit, snapshot, describeStudent } = require('../services/auditService');
+
+// @desc    Get fee rule settings
+// @route   GET /api/fee-rules/settings
+// @access  Private (Admin/Moderator)
+exports.getFeeRuleSettings = async (req, res) => {
+  try {
+    const settings = await FeeRuleSettings.getSettings();
+    res.json({ settings });
+  } catch (error) {
+    console.error('Error fetching fee rule settings:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update fee rule settings
+// @route   PUT /api/fee-rules/settings
+// @access  Private (Admin/Moderator)
+exports.updateFeeRuleSettings = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const settings = await FeeRuleSettings.getSettings();
+    const before = snapshot(settings, ['proRating', 'siblingDiscount', 'attendanceRule']);
+    const sections = {
+      proRating: ['enabled', 'joinedAfterDay', 'feePercentage'],
+      siblingDiscount: ['enabled', 'percentage'],
+      attendanceRule: ['enabled', 'minPresentDays']
+    };
+
+    Object.keys(sections).forEach(section => {
+      if (!req.body[section]) return;
+      sections[section].forEach(field => {
+        if (req.body[section][field] !== undefined) {
+          settings[section][field] = req.body[section][field];
+        }
+      });
+    });
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    await recordAudit(req, {
+      action: 'fee.rules_update',
+      entityType: 'FeeRuleSettings',
+      entityId: settings._id,
+      summary: 'Updated fee rule settings',
+      before,
+      after: snapshot(settings, ['proRating', 'siblingDiscount', 'attendanceRule'])
+    });
+
+    res.json({
+      message: 'Fee rule settings updated successfully',
+      settings
+    });
+  } catch (error) {
+    console.error('Error updating fee rule settings:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get scholarships
+// @route   GET /api/fee-rules/scholarships
+// @access  Private (Admin/Moderator)
+exports.getScholarships = async (req, res) => {
+  try {
+    const { studentId, classId, isActive } = req.query;
+
+    const filter = {};
+    if (studentId) filter.studentId = studentId;
+    if (classId) filter.classId = classId;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const scholarships = await Scholarship.find(filter)
+      .populate('studentId', 'firstName lastName surname studentId')
+      .populate('classId', 'grade category monthlyFee')
+      .populate('createdBy', 'fullName email')
+      .sort({ createdAt: -1 });
+
+    res.json({ scholarships });
+  } catch (error) {
+    console.error('Error fetching scholarships:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Award a scholarship
+// @route   POST /api/fee-rules/scholarships
+// @access  Private (Admin/Moderator)
+exports.createScholarship = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { studentId, classId, name, discountType, value, startYear, startMonth, endYear, endMonth, note } = req.body;
+
+    const student = await Student.findById(studentId);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (classId) {
+      const classData = await Class.findById(classId);
+      if (!classData) {
+        return res.status(404).json({ message: 'Class not found' });
+      }
+    }
+
+    if (discountType === 'Percentage' && value > 100) {
+      return res.status(400).json({ message: 'Percentage scholarships cannot exceed 100%' });
+    }
+
+    const scholarship = new Scholarship({
+      studentId,
+      classId: classId || null,
+      name,
+      discountType,
+      value,
+      startYear,
+      startMonth,
+      endYear,
+      endMonth,
+      note,
+      createdBy: req.user.id
+    });
+    await scholarship.save();
+
+    await recordAudit(req, {
+      action: 'fee.scholarship_create',
+      entityType: 'Scholarship',
+      entityId: scholarship._id,
+      summary: `Awarded scholarship "${name}" to ${describeStudent(student)}`,
+      after: snapshot(scholarship)
+    });
+
+    res.status(201).json({
+      message: 'Scholarship awarded successfully',
+      scholarship
+    });
+  } catch (error) {
+    console.error('Error creating scholarship:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update a scholarship
+// @route   PUT /api/fee-rules/scholarships/:id
+// @access  Private (Admin/Moderator)
+exports.updateScholarship = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const scholarship = await Scholarship.findById(req.params.id);
+    if (!scholarship) {
+      return res.status(404).json({ message: 'Scholarship not found' });
+    }
+
+    const before = snapshot(scholarship);
+
+    const fields = ['name', 'discountType', 'value', 'startYear', 'startMonth', 'endYear', 'endMonth', 'isActive', 'note'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        scholarship[field] = req.body[field];
+      }
+    });
+
+    if (scholarship.discountType === 'Percentage' && scholarship.value > 100) {
+      return res.status(400).json({ message: 'Percentage scholarships cannot exceed 100%' });
+    }
+
+    await scholarship.save();
+
+    await recordAudit(req, {
+      action: 'fee.scholarship_update',
+      entityType: 'Scholarship',
+      entityId: scholarship._id,
+      summary: `Updated scholarship "${scholarship.name}"`,
+      before,
+      after: snapshot(scholarship)
+    });
+
+    res.json({
+      message: 'Scholarship updated successfully',
+      scholarship
+    });
+  } catch (error) {
+    console.error('Error updating scholarship:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete a scholarship
+// @route   DELETE /api/fee-rules/scholarships/:id
+// @access  Private (Admin/Moderator)
+exports.deleteScholarship = async (req, res) => {
+  try {
+    const scholarship = await Scholarship.findByIdAndDelete(req.params.id);
+    if (!scholarship) {
+      return res.status(404).json({ message: 'Scholarship not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'fee.scholarship_delete',
+      entityType: 'Scholarship',
+      entityId: scholarship._id,
+      summary: `Deleted scholarship "${scholarship.name}"`,
+      before: snapshot(scholarship)
+    });
+
+    res.json({ message: 'Scholarship deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting scholarship:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Link students as siblings (or clear their sibling group)
+// @route   PUT /api/fee-rules/siblings
+// @access  Private (Admin/Moderator)
+exports.setSiblingGroup = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { studentIds, siblingGroup } = req.body;
+
+    const students = await Student.find({ _id: { $in: studentIds } }).select('_id firstName lastName studentId siblingGroup');
+    if (students.length !== studentIds.length) {
+      return res.status(404).json({ message: 'One or more students were not found' });
+    }
+
+    const updateResult = await Student.updateMany(
+      { _id: { $in: studentIds } },
+      { siblingGroup: siblingGroup || null, updatedAt: new Date() }
+    );
+
+    for (const student of students) {
+      await recordAudit(req, {
+        action: 'fee.sibling_group',
+        entityType: 'Student',
+        entityId: student._id,
+        summary: siblingGroup
+          ? `Linked ${describeStudent(student)} to sibling group ${siblingGroup}`
+          : `Removed ${describeStudent(student)} from their sibling group`,
+        before: snapshot(student, ['siblingGroup']),
+        after: { siblingGroup: siblingGroup || null }
+      });
+    }
+
+    res.json({
+      message: siblingGroup
+        ? `${updateResult.modifiedCount} student(s) linked as siblings`
+        : `${updateResult.modifiedCount} student(s) removed from their sibling group`,
+      modifiedCount: updateResult.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error setting sibling group:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Preview the fee due for a student, class and month
+// @route   GET /api/fee-rules/preview/:studentId/:classId/:year/:month
+// @access  Private (Admin/Moderator)
+exports.previewFee = async (req, res) => {
+  try {
+    const { studentId, classId, year, month } = req.params;
+
+    const student = await Student.findById(studentId);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const classData = await Class.findById(classId);
+    if (!classData) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+
+    const fee = await computeFee(student, classData, parseInt(year), parseInt(month));
+
+    res.json({
+      studentId,
+      classId,
+      year: parseInt(year),
+      month: parseInt(month),
+      ...fee
+    });
+  } catch (error) {
+    console.error('Error previewing fee:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -1,6 +1,7 @@
 const Feedback = require('../models/Feedback');
 const User = require('../models/User');
 const Student = require('../models/Student');
+const { userHasPermission } = require('../services/permissionService');
 const { validationResult } = require('express-validator');
 
 // Helper function to get user details with contact info
@@ -179,7 +180,7 @@ const getFeedbackById = async (req, res) => {
     }
 
     // Check if user can access this feedback
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'moderator';
+    const isAdmin = await userHasPermission(req.user, 'messages.manage');
     const isOwner = feedback.submittedBy.toString() === req.user.id;
 
     if (!isAdmin && !isOwner) {
@@ -296,7 +297,7 @@ const deleteFeedback = async (req, res) => {
     }
 
     // Check permissions
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'moderator';
+    const isAdmin = await userHasPermission(req.user, 'messages.manage');
     const isOwner = feedback.submittedBy.toString() === req.user.id;
     const hasReply = feedback.reply;
 
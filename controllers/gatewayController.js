@@ -0,0 +1,501 @@
+const crypto = require('crypto');
+const { validationResult } = require('express-validator');
+const GatewayTransaction = require('../models/GatewayTransaction');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+const { computeFee } = require('../services/feeService');
+const { issueReceipt } = require('../services/receiptService');
+const { userHasPermission } = require('../services/permissionService');
+const { getActiveProvider, getProvider, isMockEnabled, getCallbackUrls } = require('../services/paymentGateway');
+
+// An unfinished checkout for the same record and amount is continued for this long
+const CHECKOUT_REUSE_MINUTES = 60;
+
+// Online tuition payments still waiting for the gateway after this long are abandoned
+const ABANDONED_CHECKOUT_HOURS = 24;
+
+// Our reference sent to the gateway (also used as the gateway's order ID)
+const generateReference = (prefix) => {
+  return `${prefix}-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+// Create the transaction and the checkout form for the browser. An unfinished checkout
+// for the same record is continued rather than starting a second one the customer could
+// also pay; any other unfinished checkout for it is cancelled.
+const beginCheckout = async ({ userId, targetType, targetId, amount, description, customer }) => {
+  const provider = getActiveProvider();
+  if (!provider.isConfigured()) {
+    throw new Error(`${provider.label} is not configured`);
+  }
+
+  const reuseAfter = new Date(Date.now() - CHECKOUT_REUSE_MINUTES * 60 * 1000);
+  const openTransactions = await GatewayTransaction.find({ targetType, targetId, status: 'Initiated' })
+    .sort({ createdAt: -1 });
+  let transaction = openTransactions.find(item =>
+    item.provider === provider.name && item.amount === amount && item.createdAt > reuseAfter
+  );
+
+  const staleIds = openTransactions.filter(item => item !== transaction).map(item => item._id);
+  if (staleIds.length > 0) {
+    await GatewayTransaction.updateMany(
+      { _id: { $in: staleIds }, status: 'Initiated' },
+      { $set: { status: 'Cancelled', updatedAt: new Date() } }
+    );
+  }
+
+  if (!transaction) {
+    transaction = await GatewayTransaction.create({
+      reference: generateReference(targetType === 'Payment' ? 'TUI' : 'ORD'),
+      provider: provider.name,
+      targetType,
+      targetId,
+      userId,
+      amount,
+      currency: 'LKR'
+    });
+  }
+  const { reference } = transaction;
+
+  const checkout = provider.createCheckout({
+    reference,
+    amount,
+    currency: transaction.currency,
+    description,
+    customer,
+    ...getCallbackUrls(provider, reference)
+  });
+
+  return { transaction, checkout, provider };
+};
+
+// Keep money from an online payment that can't be applied (the fee was already paid through
+// another checkout, or the payment was abandoned) as credit for the student's future fees
+const creditUnappliedPayment = async (transaction, payment) => {
+  const student = payment
+    ? { _id: payment.studentId }
+    : await Student.findOne({ userId: transaction.userId }).select('_id');
+  if (!student) {
+    console.error(`No student to credit for gateway transaction ${transaction.reference}`);
+    return;
+  }
+
+  await CreditTransaction.create({
+    studentId: student._id,
+    type: 'Issued',
+    amount: transaction.amount,
+    paymentId: payment ? payment._id : undefined,
+    note: `Online payment ${transaction.reference} could not be applied to a fee and was kept as credit`
+  });
+};
+
+// Approve a tuition payment paid online
+const applyPaymentSuccess = async (transaction, provider) => {
+  const payment = await Payment.findById(transaction.targetId);
+  const paidElsewhere = payment && payment.status === 'Approved' &&
+    (!payment.gateway || payment.gateway.reference !== transaction.reference);
+  if (!payment || paidElsewhere) {
+    await creditUnappliedPayment(transaction, payment);
+    return;
+  }
+
+  payment.status = 'Approved';
+  payment.gateway = {
+    provider: provider.name,
+    reference: transaction.reference,
+    providerPaymentId: transaction.providerPaymentId,
+    paidAt: new Date()
+  };
+  payment.adminAction = {
+    actionDate: new Date(),
+    actionNote: `Paid online via ${provider.label} (${transaction.providerPaymentId})`
+  };
+  await payment.save();
+
+  await Invoice.settleFromPayments(payment.studentId, payment.classId, payment.year, payment.month);
+  await issueReceipt(payment._id);
+};
+
+// Approve a shop order paid online (deducting stock as an admin approval would)
+const applyOrderSuccess = async (transaction, provider) => {
+  const order = await Order.findById(transaction.targetId).populate('items.product');
+  if (!order) return;
+
+  order.gateway = {
+    provider: provider.name,
+    reference: transaction.reference,
+    providerPaymentId: transaction.providerPaymentId,
+    paidAt: new Date()
+  };
+
+  if (order.status === 'awaiting_payment') {
+    const outOfStock = order.items.find(item => !item.product || item.product.availableQuantity < item.quantity);
+
+    if (outOfStock) {
+      // Paid but cannot be fulfilled automatically - leave it in the approval queue for an admin
+      order.status = 'pending';
+      order.adminNote = `Paid online via ${provider.label} (${transaction.providerPaymentId}) but ${outOfStock.productName} is out of stock. Please review.`;
+    } else {
+      for (const item of order.items) {
+        await Product.findByIdAndUpdate(
+          item.product._id,
+          { $inc: { availableQuantity: -item.quantity } }
+        );
+      }
+      order.status = 'approved';
+      order.approvedAt = new Date();
+    }
+  }
+
+  await order.save();
+};
+
+// Verify and apply a gateway notification. Safe to call more than once for the same notification.
+const processNotification = async (provider, body) => {
+  const result = provider.verifyNotification(body);
+  if (!result.valid) {
+    return { httpStatus: 400, message: 'Invalid signature' };
+  }
+
+  const transaction = await GatewayTransaction.findOne({ reference: result.reference, provider: provider.name });
+  if (!transaction) {
+    return { httpStatus: 404, message: 'Transaction not found' };
+  }
+
+  const notification = {
+    receivedAt: new Date(),
+    status: result.status,
+    providerPaymentId: result.providerPaymentId,
+    payload: body
+  };
+
+  if (result.status === 'Succeeded') {
+    if (Math.abs(result.amount - transaction.amount) > 0.01 || result.currency !== transaction.currency) {
+      await GatewayTransaction.updateOne({ _id: transaction._id }, { $push: { notifications: notification } });
+      console.error(`Gateway amount mismatch for ${transaction.reference}: expected ${transaction.amount} ${transaction.currency}, got ${result.amount} ${result.currency}`);
+      return { httpStatus: 400, message: 'Amount mismatch' };
+    }
+
+    // Only the first success notification moves the transaction on
+    const succeeded = await GatewayTransaction.findOneAndUpdate(
+      { _id: transaction._id, status: { $ne: 'Succeeded' } },
+      {
+        $set: { status: 'Succeeded', providerPaymentId: result.providerPaymentId, updatedAt: new Date() },
+        $push: { notifications: notification }
+      },
+      { new: true }
+    );
+
+    if (!succeeded) {
+      return { httpStatus: 200, message: 'Already processed' };
+    }
+
+    if (succeeded.targetType === 'Payment') {
+      await applyPaymentSuccess(succeeded, provider);
+    } else {
+      await applyOrderSuccess(succeeded, provider);
+    }
+
+    succeeded.processedAt = new Date();
+    await succeeded.save();
+
+    return { httpStatus: 200, message: 'Payment completed' };
+  }
+
+  if (result.status === 'Failed' || result.status === 'Cancelled') {
+    // A late failure never overrides a success
+    await GatewayTransaction.updateOne(
+      { _id: transaction._id, status: 'Initiated' },
+      { $set: { status: result.status, updatedAt: new Date() } }
+    );
+  }
+
+  await GatewayTransaction.updateOne({ _id: transaction._id }, { $push: { notifications: notification } });
+  return { httpStatus: 200, message: `Notification recorded (${result.status})` };
+};
+
+// @desc    Start an online checkout for a month's tuition fee
+// @route   POST /api/gateway/checkout/tuition
+// @access  Private (Student)
+exports.startTuitionCheckout = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { classId } = req.body;
+    const year = parseInt(req.body.year);
+    const month = parseInt(req.body.month);
+
+    const student = await Student.findOne({ userId: req.user.id });
+    if (!student) {
+      return res.status(404).json({ message: 'Student profile not found' });
+    }
+
+    const classData = await Class.findById(classId);
+    if (!classData) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+
+    const fee = await computeFee(student, classData, year, month);
+    if (fee.amountDue <= 0) {
+      return res.status(400).json({ message: 'No fee is due for this class and month', feeBreakdown: fee.breakdown });
+    }
+
+    let payment = await Payment.findOne({ studentId: student._id, classId, year, month });
+
+    if (payment && payment.status === 'Approved') {
+      return res.status(400).json({ message: 'This month has already been paid' });
+    }
+    if (payment && payment.paymentMethod !== 'Online') {
+      return res.status(400).json({ message: 'A bank slip payment request already exists for this month. Please delete it from "My Payment Requests" before paying online.' });
+    }
+
+    // Re-use an unfinished online payment for the month. It stays out of the admin
+    // approval queue until the gateway confirms it.
+    if (payment) {
+      payment.amount = fee.amountDue;
+      payment.status = 'AwaitingGateway';
+    } else {
+      payment = new Payment({
+        studentId: student._id,
+        classId,
+        year,
+        month,
+        amount: fee.amountDue,
+        paymentMethod: 'Online',
+        status: 'AwaitingGateway',
+        attendanceData: { presentDays: 0, totalClassDays: 0 }
+      });
+    }
+    await payment.save();
+
+    const { transaction, checkout, provider } = await beginCheckout({
+      userId: req.user.id,
+      targetType: 'Payment',
+      targetId: payment._id,
+      amount: fee.amountDue,
+      description: `Tuition fee - ${classData.grade} ${classData.category} (${year}-${String(month).padStart(2, '0')})`,
+      customer: {
+        firstName: student.firstName,
+        lastName: student.lastName,
+        email: student.email,
+        phone: student.contactNumber,
+        address: student.address
+      }
+    });
+
+    res.status(201).json({
+      message: 'Checkout started',
+      provider: provider.name,
+      reference: transaction.reference,
+      amount: transaction.amount,
+      feeBreakdown: fee.breakdown,
+      checkout
+    });
+  } catch (error) {
+    console.error('Error starting tuition checkout:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Start an online checkout for a shop order
+// @route   POST /api/gateway/checkout/order/:orderId
+// @access  Private
+exports.startOrderCheckout = async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.orderId, user: req.user.id });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.paymentMethod !== 'online') {
+      return res.status(400).json({ message: 'This order is not set up for online payment' });
+    }
+    if (order.status !== 'awaiting_payment' || (order.gateway && order.gateway.paidAt)) {
+      return res.status(400).json({ message: 'This order is not awaiting payment' });
+    }
+
+    const user = await User.findById(req.user.id);
+    const [firstName, ...otherNames] = (order.deliveryInfo && order.deliveryInfo.recipientName
+      ? order.deliveryInfo.recipientName
+      : (user && user.fullName) || '').split(' ');
+
+    const { transaction, checkout, provider } = await beginCheckout({
+      userId: req.user.id,
+      targetType: 'Order',
+      targetId: order._id,
+      amount: order.totalAmount,
+      description: `Shop order ${order.orderId}`,
+      customer: {
+        firstName,
+        lastName: otherNames.join(' '),
+        email: order.userEmail,
+        phone: order.deliveryInfo ? order.deliveryInfo.contactNumber : '',
+        address: order.deliveryInfo ? order.deliveryInfo.address : ''
+      }
+    });
+
+    res.status(201).json({
+      message: 'Checkout started',
+      provider: provider.name,
+      reference: transaction.reference,
+      amount: transaction.amount,
+      checkout
+    });
+  } catch (error) {
+    console.error('Error starting order checkout:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Server-to-server payment notification from a gateway
+// @route   POST /api/gateway/notify/:provider
+// @access  Public (verified by the gateway signature)
+exports.handleNotification = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider || (provider.name === 'mock' && !isMockEnabled())) {
+      return res.status(404).json({ message: 'Unknown payment gateway' });
+    }
+
+    const result = await processNotification(provider, req.body);
+    res.status(result.httpStatus).json({ message: result.message });
+  } catch (error) {
+    console.error('Error handling gateway notification:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Complete a mock checkout (development only)
+// @route   POST /api/gateway/mock/complete/:reference
+// @access  Private
+exports.completeMockCheckout = async (req, res) => {
+  try {
+    const mockProvider = getProvider('mock');
+    if (!isMockEnabled()) {
+      return res.status(404).json({ message: 'Not found' });
+    }
+
+    const transaction = await GatewayTransaction.findOne({
+      reference: req.params.reference,
+      provider: mockProvider.name,
+      userId: req.user.id
+    });
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+
+    const outcome = { success: 'Succeeded', failed: 'Failed', cancelled: 'Cancelled' }[req.body.outcome || 'success'];
+    if (!outcome) {
+      return res.status(400).json({ message: 'Outcome must be success, failed or cancelled' });
+    }
+
+    const notification = mockProvider.buildNotification({
+      reference: transaction.reference,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      status: outcome
+    });
+    const result = await processNotification(mockProvider, notification);
+
+    res.status(result.httpStatus).json({ message: result.message });
+  } catch (error) {
+    console.error('Error completing mock checkout:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Cancel online tuition payments nobody finished paying, so they don't linger as
+// AwaitingGateway. A payment that still succeeds later is kept as credit.
+// Can be called via API (with req, res) or internally by the scheduler (without parameters)
+exports.expireAbandonedCheckouts = async (req, res) => {
+  try {
+    const cutoff = new Date(Date.now() - ABANDONED_CHECKOUT_HOURS * 60 * 60 * 1000);
+    const payments = await Payment.find({ status: 'AwaitingGateway', updatedAt: { $lt: cutoff } }).select('_id');
+
+    let paymentsExpired = 0;
+    for (const payment of payments) {
+      await GatewayTransaction.updateMany(
+        { targetType: 'Payment', targetId: payment._id, status: 'Initiated' },
+        { $set: { status: 'Cancelled', updatedAt: new Date() } }
+      );
+      const result = await Payment.deleteOne({ _id: payment._id, status: 'AwaitingGateway' });
+      paymentsExpired += result.deletedCount;
+    }
+
+    const summary = { paymentsExpired };
+    if (res) {
+      return res.json({ message: 'Abandoned checkouts expired', ...summary });
+    }
+    return summary;
+  } catch (error) {
+    console.error('Error expiring abandoned checkouts:', error);
+    if (res) {
+      return res.status(500).json({ message: 'Server error', error: error.message });
+    }
+    throw error;
+  }
+};
+
+// @desc    Get the status of a checkout (for the payment result page)
+// @route   GET /api/gateway/transactions/:reference
+// @access  Private
+exports.getTransactionStatus = async (req, res) => {
+  try {
+    const transaction = await GatewayTransaction.findOne({ reference: req.params.reference })
+      .select('-notifications');
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+
+    const isOwner = transaction.userId.toString() === req.user.id;
+    if (!isOwner && !(await userHasPermission(req.user, 'payments.view'))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({ transaction });
+  } catch (error) {
+    console.error('Error fetching gateway transaction:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get gateway transactions for admin
+// @route   GET /api/gateway/transactions
+// @access  Private (Admin/Moderator)
+exports.getTransactions = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, targetType } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (targetType) filter.targetType = targetType;
+
+    const transactions = await GatewayTransaction.find(filter)
+      .populate('userId', 'fullName email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const totalCount = await GatewayTransaction.countDocuments(filter);
+
+    res.json({
+      transactions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching gateway transactions:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
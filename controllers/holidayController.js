@@ -0,0 +1,145 @@
+const { validationResult } = require('express-validator');
+const Holiday = require('../models/Holiday');
+const Class = require('../models/Class');
+const { getSriLankaDayRange } = require('../utils/dateHelpers');
+
+// @desc    Get holidays and class cancellations
+// @route   GET /api/holidays
+// @access  Private (Admin/Moderator)
+const getHolidays = async (req, res) => {
+  try {
+    const { year, month, classId } = req.query;
+
+    const filter = {};
+    if (year) {
+      const startDate = month ? new Date(year, month - 1, 1) : new Date(year, 0, 1);
+      const endDate = month ? new Date(year, month, 0, 23, 59, 59, 999) : new Date(year, 11, 31, 23, 59, 59, 999);
+      filter.date = { $gte: startDate, $lte: endDate };
+    }
+    if (classId) {
+      filter.$or = [{ classId: null }, { classId }];
+    }
+
+    const holidays = await Holiday.find(filter)
+      .populate('classId', 'grade category date startTime endTime venue')
+      .populate('createdBy', 'fullName email')
+      .sort({ date: 1 });
+
+    res.json({
+      success: true,
+      data: holidays
+    });
+
+  } catch (error) {
+    console.error('Error fetching holidays:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching holidays'
+    });
+  }
+};
+
+// @desc    Add a holiday or cancel a class for a day
+// @route   POST /api/holidays
+// @access  Private (Admin/Moderator)
+const createHoliday = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { date, name, classId, reason } = req.body;
+
+    if (classId) {
+      const classData = await Class.findById(classId);
+      if (!classData) {
+        return res.status(404).json({
+          success: false,
+          message: 'Class not found'
+        });
+      }
+    }
+
+    // Store the start of the Sri Lanka day, the same way attendance sheets do
+    const { start, end } = getSriLankaDayRange(new Date(date));
+
+    const existingHoliday = await Holiday.findOne({
+      date: { $gte: start, $lte: end },
+      classId: classId || null
+    });
+    if (existingHoliday) {
+      return res.status(400).json({
+        success: false,
+        message: classId
+          ? 'This class is already cancelled on that day'
+          : 'A holiday already exists on that day'
+      });
+    }
+
+    const holiday = new Holiday({
+      date: start,
+      name,
+      classId: classId || null,
+      reason,
+      createdBy: req.user.id
+    });
+    await holiday.save();
+
+    const populatedHoliday = await Holiday.findById(holiday._id)
+      .populate('classId', 'grade category date startTime endTime venue')
+      .populate('createdBy', 'fullName email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday added successfully',
+      data: populatedHoliday
+    });
+
+  } catch (error) {
+    console.error('Error creating holiday:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating holiday'
+    });
+  }
+};
+
+// @desc    Delete a holiday or class cancellation
+// @route   DELETE /api/holidays/:id
+// @access  Private (Admin/Moderator)
+const deleteHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    await Holiday.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Holiday deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting holiday:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting holiday'
+    });
+  }
+};
+
+module.exports = {
+  getHolidays,
+  createHoliday,
+  deleteHoliday
+};
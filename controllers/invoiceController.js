@@ -0,0 +1,485 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const FeeRuleSettings = require('../models/FeeRuleSettings');
+const { DEFAULT_DUE_DAY, BILLING_STUDENT_FIELDS, getDueDate, createMonthInvoice } = require('../services/billingService');
+const { getSriLankaNow } = require('../utils/dateHelpers');
+const { recordAudit, snapshot } = require('../services/auditService');
+
+// Statuses that still have money outstanding
+const OUTSTANDING_STATUSES = ['Due', 'Part-Paid', 'Overdue'];
+
+// @desc    Create invoices for every Pay Card student in each paid class for a month
+// @route   POST /api/invoices/billing-run
+// @access  Private (Admin/Moderator) - also run monthly by the scheduler
+exports.runMonthlyBilling = async (req, res) => {
+  try {
+    const sriLankaTime = getSriLankaNow();
+    const body = (req && req.body) || {};
+    const year = body.year ? parseInt(body.year) : sriLankaTime.getFullYear();
+    const month = body.month ? parseInt(body.month) : sriLankaTime.getMonth() + 1;
+    const dueDay = body.dueDay ? parseInt(body.dueDay) : DEFAULT_DUE_DAY;
+
+    const dueDate = getDueDate(year, month, dueDay);
+
+    console.log(`Running monthly billing for ${year}-${month}...`);
+
+    const classes = await Class.find({
+      isActive: true,
+      isFreeClass: { $ne: true },
+      monthlyFee: { $gt: 0 }
+    }).populate('enrolledStudents', BILLING_STUDENT_FIELDS);
+
+    const feeSettings = await FeeRuleSettings.getSettings();
+
+    let invoicesCreated = 0;
+    let alreadyInvoiced = 0;
+    let skippedStudents = 0;
+    let creditApplied = 0;
+    const classReport = [];
+
+    for (const classItem of classes) {
+      let classCreated = 0;
+
+      for (const student of classItem.enrolledStudents) {
+        const result = await createMonthInvoice(student, classItem, year, month, {
+          settings: feeSettings,
+          dueDate,
+          createdBy: req && req.user ? req.user.id : undefined
+        });
+
+        if (result.status === 'exists') {
+          alreadyInvoiced++;
+          continue;
+        }
+        if (result.status === 'skipped') {
+          skippedStudents++;
+          continue;
+        }
+
+        if (result.creditUsed > 0) {
+          creditApplied += result.creditUsed;
+        }
+
+        invoicesCreated++;
+        classCreated++;
+      }
+
+      if (classCreated > 0) {
+        classReport.push({
+          classId: classItem._id,
+          className: `${classItem.grade} - ${classItem.category}`,
+          invoicesCreated: classCreated
+        });
+      }
+    }
+
+    const summary = {
+      year,
+      month,
+      dueDate,
+      classesProcessed: classes.length,
+      invoicesCreated,
+      alreadyInvoiced,
+      skippedStudents,
+      creditApplied,
+      classReport,
+      timestamp: new Date().toISOString()
+    };
+
+    console.log('Monthly billing completed:', summary);
+
+    if (res) {
+      await recordAudit(req, {
+        action: 'invoice.billing_run',
+        entityType: 'Invoice',
+        summary: `Ran billing for ${year}-${String(month).padStart(2, '0')}: ${invoicesCreated} invoice(s) created`,
+        after: { year, month, dueDate, invoicesCreated, alreadyInvoiced, skippedStudents, creditApplied }
+      });
+
+      // If called via API endpoint
+      res.json({
+        success: true,
+        message: `${invoicesCreated} invoice(s) created for ${year}-${String(month).padStart(2, '0')}`,
+        summary
+      });
+    } else {
+      // If called internally
+      return summary;
+    }
+
+  } catch (error) {
+    console.error('Error in monthly billing:', error);
+    if (res) {
+      res.status(500).json({
+        success: false,
+        message: 'Error running monthly billing',
+        error: error.message
+      });
+    } else {
+      throw error;
+    }
+  }
+};
+
+// Mark unpaid invoices past their due date as overdue (run daily by the scheduler)
+exports.markOverdueInvoices = async () => {
+  const result = await Invoice.updateMany(
+    {
+      status: { $in: ['Due', 'Part-Paid'] },
+      dueDate: { $lt: new Date() }
+    },
+    { $set: { status: 'Overdue', updatedAt: new Date() } }
+  );
+
+  return { invoicesMarkedOverdue: result.modifiedCount };
+};
+
+// @desc    Get the logged-in student's invoices
+// @route   GET /api/invoices/my
+// @access  Private (Student)
+exports.getMyInvoices = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user.id });
+    if (!student) {
+      return res.status(404).json({ message: 'Student profile not found' });
+    }
+
+    const filter = { studentId: student._id };
+    if (req.query.year) filter.year = parseInt(req.query.year);
+    if (req.query.classId) filter.classId = req.query.classId;
+
+    const invoices = await Invoice.find(filter)
+      .populate('classId', 'grade category monthlyFee')
+      .sort({ year: -1, month: -1 });
+
+    const totalOutstanding = invoices
+      .filter(invoice => OUTSTANDING_STATUSES.includes(invoice.status))
+      .reduce((sum, invoice) => sum + invoice.balance, 0);
+
+    res.json({
+      success: true,
+      invoices,
+      totalOutstanding
+    });
+  } catch (error) {
+    console.error('Error fetching student invoices:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get invoices for admin (filter by class, period, status, student)
+// @route   GET /api/invoices
+// @access  Private (Admin/Moderator)
+exports.getInvoices = async (req, res) => {
+  try {
+    const { page = 1, limit = 100, classId, studentId, year, month, status } = req.query;
+
+    const filter = {};
+    if (classId) filter.classId = classId;
+    if (studentId) filter.studentId = studentId;
+    if (year) filter.year = parseInt(year);
+    if (month) filter.month = parseInt(month);
+    if (status) filter.status = status;
+
+    const invoices = await Invoice.find(filter)
+      .populate('studentId', 'firstName lastName surname studentId email contactNumber')
+      .populate('classId', 'grade category monthlyFee')
+      .populate('waiver.waivedBy', 'fullName email')
+      .sort({ year: -1, month: -1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const totalCount = await Invoice.countDocuments(filter);
+
+    res.json({
+      invoices,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / limit),
+        totalCount,
+        hasNext: page * limit < totalCount,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get arrears totals for every class
+// @route   GET /api/invoices/arrears
+// @access  Private (Admin/Moderator)
+exports.getArrearsSummary = async (req, res) => {
+  try {
+    const summary = await Invoice.aggregate([
+      { $match: { status: { $in: OUTSTANDING_STATUSES } } },
+      {
+        $group: {
+          _id: '$classId',
+          outstandingInvoices: { $sum: 1 },
+          overdueInvoices: { $sum: { $cond: [{ $eq: ['$status', 'Overdue'] }, 1, 0] } },
+          totalOutstanding: { $sum: { $subtract: ['$amount', { $add: ['$amountPaid', { $ifNull: ['$creditApplied', 0] }] }] } },
+          totalOverdue: {
+            $sum: {
+              $cond: [{ $eq: ['$status', 'Overdue'] }, { $subtract: ['$amount', { $add: ['$amountPaid', { $ifNull: ['$creditApplied', 0] }] }] }, 0]
+            }
+          },
+          students: { $addToSet: '$studentId' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'classes',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'classInfo'
+        }
+      },
+      { $unwind: '$classInfo' },
+      {
+        $project: {
+          classId: '$_id',
+          className: { $concat: ['$classInfo.grade', ' - ', '$classInfo.category'] },
+          outstandingInvoices: 1,
+          overdueInvoices: 1,
+          totalOutstanding: 1,
+          totalOverdue: 1,
+          studentsInArrears: { $size: '$students' }
+        }
+      },
+      { $sort: { totalOverdue: -1 } }
+    ]);
+
+    res.json({
+      success: true,
+      classes: summary,
+      totalOutstanding: summary.reduce((sum, item) => sum + item.totalOutstanding, 0),
+      totalOverdue: summary.reduce((sum, item) => sum + item.totalOverdue, 0)
+    });
+  } catch (error) {
+    console.error('Error fetching arrears summary:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get arrears report for a class, grouped by student
+// @route   GET /api/invoices/arrears/class/:classId
+// @access  Private (Admin/Moderator)
+exports.getClassArrears = async (req, res) => {
+  try {
+    const { classId } = req.params;
+
+    const classData = await Class.findById(classId);
+    if (!classData) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+
+    const invoices = await Invoice.find({
+      classId,
+      status: { $in: OUTSTANDING_STATUSES }
+    })
+      .populate('studentId', 'firstName lastName surname studentId email contactNumber whatsappNumber guardianName guardianContact')
+      .sort({ year: 1, month: 1 });
+
+    // Group outstanding invoices by student
+    const studentsMap = new Map();
+    invoices.forEach(invoice => {
+      if (!invoice.studentId) return;
+      const key = invoice.studentId._id.toString();
+      if (!studentsMap.has(key)) {
+        studentsMap.set(key, {
+          student: invoice.studentId,
+          unpaidMonths: [],
+          totalOutstanding: 0,
+          totalOverdue: 0
+        });
+      }
+      const entry = studentsMap.get(key);
+      entry.unpaidMonths.push({
+        invoiceId: invoice._id,
+        year: invoice.year,
+        month: invoice.month,
+        amount: invoice.amount,
+        amountPaid: invoice.amountPaid,
+        balance: invoice.balance,
+        dueDate: invoice.dueDate,
+        status: invoice.status
+      });
+      entry.totalOutstanding += invoice.balance;
+      if (invoice.status === 'Overdue') {
+        entry.totalOverdue += invoice.balance;
+      }
+    });
+
+    const students = Array.from(studentsMap.values())
+      .sort((a, b) => b.totalOverdue - a.totalOverdue);
+
+    res.json({
+      success: true,
+      classData: {
+        _id: classData._id,
+        grade: classData.grade,
+        category: classData.category,
+        monthlyFee: classData.monthlyFee
+      },
+      students,
+      totalOutstanding: students.reduce((sum, item) => sum + item.totalOutstanding, 0),
+      totalOverdue: students.reduce((sum, item) => sum + item.totalOverdue, 0)
+    });
+  } catch (error) {
+    console.error('Error fetching class arrears:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get arrears report for a student, grouped by class
+// @route   GET /api/invoices/arrears/student/:studentId
+// @access  Private (Admin/Moderator)
+exports.getStudentArrears = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const student = await Student.findById(studentId)
+      .select('firstName lastName surname studentId email contactNumber paymentRole');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const invoices = await Invoice.find({
+      studentId,
+      status: { $in: OUTSTANDING_STATUSES }
+    })
+      .populate('classId', 'grade category monthlyFee')
+      .sort({ year: 1, month: 1 });
+
+    const classes = await Invoice.aggregate([
+      {
+        $match: {
+          studentId: new mongoose.Types.ObjectId(studentId),
+          status: { $in: OUTSTANDING_STATUSES }
+        }
+      },
+      {
+        $group: {
+          _id: '$classId',
+          unpaidMonths: { $sum: 1 },
+          totalOutstanding: { $sum: { $subtract: ['$amount', { $add: ['$amountPaid', { $ifNull: ['$creditApplied', 0] }] }] } },
+          totalOverdue: {
+            $sum: {
+              $cond: [{ $eq: ['$status', 'Overdue'] }, { $subtract: ['$amount', { $add: ['$amountPaid', { $ifNull: ['$creditApplied', 0] }] }] }, 0]
+            }
+          }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      student,
+      invoices,
+      classes,
+      totalOutstanding: classes.reduce((sum, item) => sum + item.totalOutstanding, 0),
+      totalOverdue: classes.reduce((sum, item) => sum + item.totalOverdue, 0)
+    });
+  } catch (error) {
+    console.error('Error fetching student arrears:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Waive an invoice
+// @route   PUT /api/invoices/:invoiceId/waive
+// @access  Private (Admin/Moderator)
+exports.waiveInvoice = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const invoice = await Invoice.findById(req.params.invoiceId);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status === 'Paid') {
+      return res.status(400).json({ message: 'Cannot waive an invoice that has been paid' });
+    }
+
+    const before = snapshot(invoice, ['status', 'amount', 'amountPaid', 'waiver']);
+
+    invoice.status = 'Waived';
+    invoice.waiver = {
+      waivedBy: req.user.id,
+      waivedAt: new Date(),
+      note: req.body.note || ''
+    };
+    await invoice.save();
+
+    await recordAudit(req, {
+      action: 'invoice.waive',
+      entityType: 'Invoice',
+      entityId: invoice._id,
+      summary: `Waived Rs. ${invoice.amount} invoice for ${invoice.year}-${String(invoice.month).padStart(2, '0')}`,
+      before,
+      after: snapshot(invoice, ['status', 'amount', 'amountPaid', 'waiver'])
+    });
+
+    const populatedInvoice = await Invoice.findById(invoice._id)
+      .populate('studentId', 'firstName lastName surname studentId')
+      .populate('classId', 'grade category monthlyFee')
+      .populate('waiver.waivedBy', 'fullName email');
+
+    res.json({
+      message: 'Invoice waived successfully',
+      invoice: populatedInvoice
+    });
+  } catch (error) {
+    console.error('Error waiving invoice:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Reinstate a waived invoice
+// @route   PUT /api/invoices/:invoiceId/unwaive
+// @access  Private (Admin/Moderator)
+exports.unwaiveInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.invoiceId);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status !== 'Waived') {
+      return res.status(400).json({ message: 'Invoice is not waived' });
+    }
+
+    const before = snapshot(invoice, ['status', 'amount', 'amountPaid', 'waiver']);
+
+    invoice.status = 'Due';
+    invoice.waiver = undefined;
+    invoice.refreshStatus();
+    await invoice.save();
+
+    await recordAudit(req, {
+      action: 'invoice.unwaive',
+      entityType: 'Invoice',
+      entityId: invoice._id,
+      summary: `Reinstated waived invoice for ${invoice.year}-${String(invoice.month).padStart(2, '0')}`,
+      before,
+      after: snapshot(invoice, ['status', 'amount', 'amountPaid', 'waiver'])
+    });
+
+    res.json({
+      message: 'Invoice reinstated successfully',
+      invoice
+    });
+  } catch (error) {
+    console.error('Error reinstating invoice:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
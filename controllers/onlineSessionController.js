@@ -1,5 +1,9 @@
 const OnlineSession = require('../models/OnlineSession');
 const Class = require('../models/Class');
+const ClassSession = require('../models/ClassSession');
+const { findSessionForDay } = require('../services/sessionService');
+const { getSriLankaDayRange } = require('../utils/dateHelpers');
+const { denyIfFeesOutstanding } = require('../services/feeAccessService');
 
 // @desc    Create a new online session
 // @route   POST /api/online-sessions
@@ -16,7 +20,8 @@ const createOnlineSession = async (req, res) => {
       endTime,
       guidelines,
       additionalNote,
-      classId
+      classId,
+      sessionId
     } = req.body;
 
     // Validate required fields
@@ -58,6 +63,21 @@ const createOnlineSession = async (req, res) => {
       });
     }
 
+    // Link to the class session: the one given, or the class's session on that day
+    let classSession = null;
+    if (sessionId) {
+      classSession = await ClassSession.findOne({ _id: sessionId, classId });
+      if (!classSession) {
+        return res.status(400).json({
+          success: false,
+          message: 'Class session not found for this class'
+        });
+      }
+    } else {
+      const { start, end } = getSriLankaDayRange(new Date(sessionDate));
+      classSession = await findSessionForDay(classExists, start, end);
+    }
+
     // Create online session
     const onlineSession = new OnlineSession({
       title,
@@ -70,6 +90,7 @@ const createOnlineSession = async (req, res) => {
       guidelines: guidelines || [],
       additionalNote,
       classId,
+      sessionId: classSession ? classSession._id : undefined,
       createdBy: req.user.id
     });
 
@@ -180,6 +201,8 @@ const getOnlineSession = async (req, res) => {
       });
     }
 
+    if (session.classId && await denyIfFeesOutstanding(req, res, session.classId._id)) return;
+
     res.json({
       success: true,
       data: session
@@ -3,6 +3,9 @@ const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const { DeliveryCharge } = require('../models/DeliveryCharge');
 const { validationResult } = require('express-validator');
+const { checkSlips, setBankReference } = require('../services/slipCheckService');
+const { userHasPermission } = require('../services/permissionService');
+const { recordAudit, snapshot } = require('../services/auditService');
 const cloudinary = require('cloudinary').v2;
 
 // Configure Cloudinary
@@ -12,6 +15,16 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
+// Order fields copied into audit log snapshots when an admin updates an order
+const ORDER_AUDIT_FIELDS = ['status', 'adminNote', 'deliveryStatus', 'totalAmount'];
+
+// Audit actions for order status changes
+const ORDER_STATUS_ACTIONS = {
+  approved: 'order.approve',
+  rejected: 'order.reject',
+  cancelled: 'order.cancel'
+};
+
 // Create new order
 exports.createOrder = async (req, res) => {
   try {
@@ -146,7 +159,7 @@ exports.createOrder = async (req, res) => {
       paymentReceipts: paymentReceipts || [],
       paidInPerson,
       adminPaymentInfo: paidInPerson ? adminPaymentInfo : undefined,
-      status: paidInPerson ? 'approved' : 'pending'
+      status: paidInPerson ? 'approved' : (paymentMethod === 'online' ? 'awaiting_payment' : 'pending')
     });
 
     await order.save();
@@ -169,6 +182,12 @@ exports.createOrder = async (req, res) => {
     cart.items = [];
     await cart.save();
 
+    // Flag bank slips that have been used before (before responding - work after the
+    // response may never run on serverless hosting; it never throws)
+    if (order.paymentReceipts.length > 0) {
+      await checkSlips('Order', order);
+    }
+
     // Populate order details before sending response
     await order.populate('items.product', 'name category images');
 
@@ -238,8 +257,8 @@ exports.getOrderById = async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    // Check if user owns this order or is admin
-    if (order.user._id.toString() !== req.user.id && req.user.role !== 'admin' && req.user.role !== 'moderator') {
+    // Check if user owns this order or can manage the shop
+    if (order.user._id.toString() !== req.user.id && !(await userHasPermission(req.user, 'shop.manage'))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -336,6 +355,13 @@ exports.updateOrderStatus = async (req, res) => {
     }
 
     const previousStatus = order.status;
+    const before = snapshot(order, ORDER_AUDIT_FIELDS);
+
+    // Online orders are approved by the gateway once paid, not by hand
+    if (previousStatus === 'awaiting_payment' && status === 'approved') {
+      return res.status(400).json({ message: 'This order is waiting for online payment and cannot be approved manually' });
+    }
+
     console.log(`Updating order ${order.orderId} from ${previousStatus} to ${status}`);
 
     // Handle inventory management based on status changes
@@ -393,6 +419,18 @@ exports.updateOrderStatus = async (req, res) => {
 
     await order.save();
 
+    const statusChanged = order.status !== previousStatus;
+    await recordAudit(req, {
+      action: statusChanged ? (ORDER_STATUS_ACTIONS[order.status] || 'order.status_change') : 'order.update',
+      entityType: 'Order',
+      entityId: order._id,
+      summary: statusChanged
+        ? `Changed order ${order.orderId} (${order.userEmail}) from ${previousStatus} to ${order.status}`
+        : `Updated order ${order.orderId} (${order.userEmail})`,
+      before,
+      after: snapshot(order, ORDER_AUDIT_FIELDS)
+    });
+
     // Populate order details before sending response
     await order.populate('items.product', 'name category images');
     await order.populate('user', 'fullName email');
@@ -406,3 +444,45 @@ exports.updateOrderStatus = async (req, res) => {
     res.status(500).json({ message: 'Server error' });
   }
 };
+
+// Record the bank slip details for an order and re-check for duplicate slips (Admin only)
+exports.updateOrderSlipDetails = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bankReference, bankName, slipAmount, slipDate } = req.body;
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    order.slipDetails = {
+      bankReference,
+      bankName,
+      slipAmount,
+      slipDate,
+      enteredBy: req.user.id,
+      enteredAt: new Date()
+    };
+    await order.save();
+
+    const slipCheck = await setBankReference('Order', order);
+
+    res.json({
+      message: 'Slip details saved successfully',
+      slipDetails: order.slipDetails,
+      slipCheck
+    });
+  } catch (err) {
+    console.error('Error updating order slip details:', err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
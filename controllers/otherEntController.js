@@ -2,6 +2,7 @@ const { validationResult } = require('express-validator');
 const OtherEntFolder = require('../models/OtherEntFolder');
 const OtherEntFile = require('../models/OtherEntFile');
 const OtherEntComment = require('../models/OtherEntComment');
+const { userHasPermission } = require('../services/permissionService');
 
 // Folder Controllers
 const createFolder = async (req, res) => {
@@ -330,8 +331,8 @@ const deleteComment = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Comment not found' });
     }
 
-    // Check if user owns the comment or is admin
-    if (comment.user.toString() !== req.user.id && req.user.role !== 'admin' && req.user.role !== 'moderator') {
+    // Check if user owns the comment or can manage the library
+    if (comment.user.toString() !== req.user.id && !(await userHasPermission(req.user, 'library.manage'))) {
       return res.status(403).json({ success: false, message: 'Not authorized to delete this comment' });
     }
 
@@ -3,6 +3,35 @@ const Payment = require('../models/Payment');
 const Student = require('../models/Student');
 const Class = require('../models/Class');
 const Attendance = require('../models/Attendance');
+const Invoice = require('../models/Invoice');
+const CreditTransaction = require('../models/CreditTransaction');
+const Notification = require('../models/Notification');
+const FeeRuleSettings = require('../models/FeeRuleSettings');
+const { computeFee, loadFeeContext } = require('../services/feeService');
+const { issueReceipt, loadReceiptPayment, getReceiptData, buildReceiptPdfBuffer } = require('../services/receiptService');
+const { sendFile, CONTENT_TYPES } = require('../services/exportService');
+const { buildStatement, buildStatementPdfBuffer } = require('../services/statementService');
+const { checkSlips, setBankReference } = require('../services/slipCheckService');
+const { recordAudit, snapshot, describeStudent } = require('../services/auditService');
+
+// Payment fields copied into audit log snapshots
+const PAYMENT_AUDIT_FIELDS = ['status', 'amount', 'year', 'month', 'adminAction', 'refundedAmount'];
+
+// "Rs. 1500 payment for 2024-03" for audit summaries
+const describePayment = (payment) =>
+  `Rs. ${payment.amount} payment for ${payment.year}-${String(payment.month).padStart(2, '0')}`;
+
+// Count a student's attendance on a month's sheets. Excused/Medical days are not
+// class days they were expected at, so they are left out of totalClassDays.
+const summariseAttendance = (studentId, attendanceSheets) => {
+  const summary = Attendance.summariseStudentAttendance(studentId, attendanceSheets);
+  return {
+    presentDays: summary.presentCount,
+    totalClassDays: summary.countedSheets,
+    lateDays: summary.lateCount,
+    excusedDays: summary.excusedCount
+  };
+};
 
 // Helper function to calculate attendance for a student in a specific class and month
 const calculateAttendance = async (studentId, classId, year, month) => {
@@ -18,28 +47,20 @@ const calculateAttendance = async (studentId, classId, year, month) => {
         $gte: startDate,
         $lte: endDate
       }
-    });
-
-    let presentDays = 0;
-    const totalClassDays = attendanceSheets.length;
-
-    // Count present days for this student
-    attendanceSheets.forEach(sheet => {
-      const studentAttendance = sheet.studentAttendance.find(
-        attendance => attendance.studentId.toString() === studentId.toString()
-      );
-      if (studentAttendance && studentAttendance.status === 'Present') {
-        presentDays++;
-      }
-    });
+    }).select(Attendance.SUMMARY_FIELDS);
 
-    return { presentDays, totalClassDays };
+    return summariseAttendance(studentId, attendanceSheets);
   } catch (error) {
     console.error('Error calculating attendance:', error);
-    return { presentDays: 0, totalClassDays: 0 };
+    return { presentDays: 0, totalClassDays: 0, lateDays: 0, excusedDays: 0 };
   }
 };
 
+// Re-apply a payment's month to its invoice (if one has been billed)
+const settleInvoice = (payment) => {
+  return Invoice.settleFromPayments(payment.studentId, payment.classId, payment.year, payment.month);
+};
+
 // @desc    Get payment status for a student's class in a specific year
 // @route   GET /api/payments/student/:classId/:year
 // @access  Private (Student)
@@ -67,19 +88,33 @@ exports.getStudentPaymentStatus = async (req, res) => {
     // Check if this class is free for the student
     const isFreeClass = student.freeClasses.includes(classId) || classData.isFreeClass;
 
-    // Get all payments for this student and class in the specified year
-    const payments = await Payment.find({
-      studentId: studentId,
-      classId: classId,
-      year: parseInt(year)
-    }).sort({ month: 1 });
+    // Load the year's payments, attendance sheets and fee inputs once;
+    // each month is then worked out in memory
+    const [payments, attendanceSheets, feeContext] = await Promise.all([
+      Payment.find({
+        studentId: studentId,
+        classId: classId,
+        year: parseInt(year)
+      }).sort({ month: 1 }),
+      Attendance.find({
+        classId: classId,
+        date: {
+          $gte: new Date(parseInt(year), 0, 1),
+          $lte: new Date(parseInt(year), 11, 31, 23, 59, 59)
+        }
+      }).select(Attendance.SUMMARY_FIELDS),
+      loadFeeContext(student, classData, parseInt(year))
+    ]);
 
     // Calculate payment status for each month
     const monthlyStatus = [];
     
     for (let month = 1; month <= 12; month++) {
       const existingPayment = payments.find(p => p.month === month);
-      const attendance = await calculateAttendance(studentId, classId, parseInt(year), month);
+      const monthSheets = attendanceSheets.filter(sheet => sheet.date.getMonth() + 1 === month);
+      const attendance = summariseAttendance(studentId, monthSheets);
+      const fee = await computeFee(student, classData, parseInt(year), month, { attendance, context: feeContext });
+      const requiresPayment = !isFreeClass && fee.amountDue > 0;
       
       const monthData = {
         month,
@@ -87,9 +122,11 @@ exports.getStudentPaymentStatus = async (req, res) => {
         attendance,
         isFreeClass,
         monthlyFee: classData.monthlyFee,
+        amountDue: fee.amountDue,
+        feeBreakdown: fee.breakdown,
         payment: existingPayment || null,
-        requiresPayment: attendance.presentDays >= 2 && !isFreeClass,
-        isOverdue: attendance.presentDays >= 2 && !isFreeClass && !existingPayment && month < new Date().getMonth() + 1
+        requiresPayment,
+        isOverdue: requiresPayment && !existingPayment && month < new Date().getMonth() + 1
       };
 
       monthlyStatus.push(monthData);
@@ -144,9 +181,31 @@ exports.submitPaymentRequest = async (req, res) => {
       return res.status(400).json({ message: 'මෙම මාසය සඳහා ගෙවීම් ඉල්ලීමක් දැනටමත් පවතී (බොහෝ දුරට ප්‍රතික්ෂේප වූ එකක්). කරුණාකර එය ඔබේ Student Dashboard එකෙහි ⤵️ යට ම ඇති ➡️ Quick Actions ➡️ "මගේ පන්ති ගෙවීම් ඉල්ලීම්" පිටුව පරීක්ශා කර බලා, එය ඉවත් කර 🗑️ නැවත උත්සාහ කරන්න. නැතහොත් අපගේ කාර්‍යමණ්ඩලය සම්භන්ධ කර ගන්න.' });
     }
 
+    const classData = await Class.findById(classId);
+    if (!classData) {
+      return res.status(404).json({ message: 'Class not found' });
+    }
+
     // Calculate attendance for validation
     const attendance = await calculateAttendance(studentId, classId, year, month);
 
+    // The amount must match the fee worked out by the fee rules
+    // (attendance is not applied here so students can pay before the month's classes are held)
+    const fee = await computeFee(student, classData, parseInt(year), parseInt(month));
+    if (fee.amountDue <= 0) {
+      return res.status(400).json({
+        message: 'No fee is due for this class and month',
+        feeBreakdown: fee.breakdown
+      });
+    }
+    if (Math.abs(parseFloat(amount) - fee.amountDue) > 0.01) {
+      return res.status(400).json({
+        message: `Payment amount must be Rs. ${fee.amountDue} for this month`,
+        amountDue: fee.amountDue,
+        feeBreakdown: fee.breakdown
+      });
+    }
+
     // Create new payment request
     const payment = new Payment({
       studentId,
@@ -162,6 +221,11 @@ exports.submitPaymentRequest = async (req, res) => {
     });
 
     await payment.save();
+    await settleInvoice(payment);
+
+    // Flag the slip if it has been used before (before responding - work after the
+    // response may never run on serverless hosting; it never throws)
+    await checkSlips('Payment', payment);
 
     // Populate the payment before sending response
     const populatedPayment = await Payment.findById(payment._id)
@@ -224,6 +288,9 @@ exports.updatePaymentRequest = async (req, res) => {
 
     await payment.save();
 
+    // The slip may have changed, so check it again (it never throws)
+    await checkSlips('Payment', payment);
+
     // Populate the payment before sending response
     const populatedPayment = await Payment.findById(payment._id)
       .populate('studentId', 'fullName studentId')
@@ -258,18 +325,22 @@ exports.getAdminPaymentRequests = async (req, res) => {
     .sort({ createdAt: -1 });
 
     // Get all enrolled students for this class
-    const classData = await Class.findById(classId).populate('enrolledStudents', 'firstName lastName surname fullName studentId email contactNumber freeClasses paymentStatus');
+    const classData = await Class.findById(classId).populate('enrolledStudents', 'firstName lastName surname fullName studentId email contactNumber freeClasses paymentStatus paymentRole siblingGroup');
 
     if (!classData) {
       return res.status(404).json({ message: 'Class not found' });
     }
 
+    const feeSettings = await FeeRuleSettings.getSettings();
+
     // Calculate attendance and payment status for all enrolled students
     const studentsWithStatus = await Promise.all(
       classData.enrolledStudents.map(async (student) => {
         const attendance = await calculateAttendance(student._id, classId, parseInt(year), parseInt(month));
         const existingPayment = paymentRequests.find(p => p.studentId._id.toString() === student._id.toString());
         const isFreeClass = student.freeClasses.includes(classId) || classData.isFreeClass;
+        const fee = await computeFee(student, classData, parseInt(year), parseInt(month), { attendance, settings: feeSettings });
+        const requiresPayment = !isFreeClass && fee.amountDue > 0;
 
         return {
           student: {
@@ -286,8 +357,10 @@ exports.getAdminPaymentRequests = async (req, res) => {
           attendance,
           payment: existingPayment || null,
           isFreeClass,
-          requiresPayment: attendance.presentDays >= 2 && !isFreeClass,
-          isOverdue: attendance.presentDays >= 2 && !isFreeClass && !existingPayment && parseInt(month) < new Date().getMonth() + 1
+          amountDue: fee.amountDue,
+          feeBreakdown: fee.breakdown,
+          requiresPayment,
+          isOverdue: requiresPayment && !existingPayment && parseInt(month) < new Date().getMonth() + 1
         };
       })
     );
@@ -301,6 +374,7 @@ exports.getAdminPaymentRequests = async (req, res) => {
         isFreeClass: classData.isFreeClass
       },
       paymentRequests: paymentRequests.filter(p => p.status === 'Pending'),
+      flaggedSlipCount: paymentRequests.filter(p => p.status === 'Pending' && p.slipCheck && p.slipCheck.status === 'Flagged').length,
       allStudentsStatus: studentsWithStatus,
       year: parseInt(year),
       month: parseInt(month)
@@ -329,6 +403,12 @@ exports.processPaymentRequest = async (req, res) => {
       return res.status(404).json({ message: 'Payment request not found' });
     }
 
+    if (payment.status === 'AwaitingGateway') {
+      return res.status(400).json({ message: 'This payment is waiting for the online payment gateway and cannot be processed manually' });
+    }
+
+    const before = snapshot(payment, PAYMENT_AUDIT_FIELDS);
+
     // Update payment status
     payment.status = action;
     payment.adminAction = {
@@ -338,6 +418,21 @@ exports.processPaymentRequest = async (req, res) => {
     };
 
     await payment.save();
+    await settleInvoice(payment);
+
+    await recordAudit(req, {
+      action: action === 'Approved' ? 'payment.approve' : 'payment.reject',
+      entityType: 'Payment',
+      entityId: payment._id,
+      summary: `${action} ${describePayment(payment)}`,
+      before,
+      after: snapshot(payment, PAYMENT_AUDIT_FIELDS)
+    });
+
+    // Issue the official receipt and email it to the student
+    if (action === 'Approved') {
+      await issueReceipt(payment._id, req.user.id);
+    }
 
     // Populate the payment before sending response
     const populatedPayment = await Payment.findById(payment._id)
@@ -371,9 +466,13 @@ exports.bulkProcessPaymentRequests = async (req, res) => {
       return res.status(400).json({ message: 'Payment IDs array is required' });
     }
 
+    // Online payments still waiting for the gateway are left alone
+    const paymentsBefore = await Payment.find({ _id: { $in: paymentIds }, status: { $ne: 'AwaitingGateway' } });
+    const processIds = paymentsBefore.map(payment => payment._id);
+
     // Update all specified payments
     const updateResult = await Payment.updateMany(
-      { _id: { $in: paymentIds } },
+      { _id: { $in: processIds } },
       {
         status: action,
         'adminAction.actionBy': req.user.id,
@@ -382,6 +481,24 @@ exports.bulkProcessPaymentRequests = async (req, res) => {
       }
     );
 
+    // Settle the invoices affected by the status change
+    const updatedPayments = await Payment.find({ _id: { $in: processIds } });
+    for (const payment of updatedPayments) {
+      await settleInvoice(payment);
+      if (action === 'Approved') {
+        await issueReceipt(payment._id, req.user.id);
+      }
+
+      await recordAudit(req, {
+        action: action === 'Approved' ? 'payment.approve' : 'payment.reject',
+        entityType: 'Payment',
+        entityId: payment._id,
+        summary: `${action} ${describePayment(payment)} (bulk)`,
+        before: snapshot(paymentsBefore.find(item => item._id.equals(payment._id)), PAYMENT_AUDIT_FIELDS),
+        after: snapshot(payment, PAYMENT_AUDIT_FIELDS)
+      });
+    }
+
     res.json({
       message: `${updateResult.modifiedCount} payment requests ${action.toLowerCase()} successfully`,
       modifiedCount: updateResult.modifiedCount
@@ -488,6 +605,12 @@ exports.updatePaymentRequestStatus = async (req, res) => {
       return res.status(404).json({ message: 'Payment request not found' });
     }
 
+    if (payment.status === 'AwaitingGateway') {
+      return res.status(400).json({ message: 'This payment is waiting for the online payment gateway and cannot be processed manually' });
+    }
+
+    const before = snapshot(payment, PAYMENT_AUDIT_FIELDS);
+
     // Update payment status (convert to proper case for database)
     const statusMap = {
       'approved': 'Approved',
@@ -502,6 +625,20 @@ exports.updatePaymentRequestStatus = async (req, res) => {
     };
 
     await payment.save();
+    await settleInvoice(payment);
+
+    await recordAudit(req, {
+      action: 'payment.status_change',
+      entityType: 'Payment',
+      entityId: payment._id,
+      summary: `Changed status of ${describePayment(payment)} from ${before.status} to ${payment.status}`,
+      before,
+      after: snapshot(payment, PAYMENT_AUDIT_FIELDS)
+    });
+
+    if (payment.status === 'Approved') {
+      await issueReceipt(payment._id, req.user.id);
+    }
 
     // Populate the payment before sending response
     const populatedPayment = await Payment.findById(payment._id)
@@ -532,6 +669,15 @@ exports.deletePaymentRequest = async (req, res) => {
     }
 
     await Payment.findByIdAndDelete(paymentId);
+    await settleInvoice(payment);
+
+    await recordAudit(req, {
+      action: 'payment.delete',
+      entityType: 'Payment',
+      entityId: payment._id,
+      summary: `Deleted ${payment.status.toLowerCase()} ${describePayment(payment)}`,
+      before: snapshot(payment)
+    });
 
     res.json({
       message: 'Payment request deleted successfully'
@@ -570,11 +716,17 @@ exports.getMyPaymentRequests = async (req, res) => {
       month: payment.month,
       year: payment.year,
       amount: payment.amount,
+      paymentMethod: payment.paymentMethod,
       status: payment.status.toLowerCase(), // Convert to lowercase for frontend
       receiptUrl: payment.receiptUrl,
       attachments: payment.attachments || [], // Include attachments
       note: payment.additionalNote, // Use additionalNote from the model
       createdAt: payment.createdAt,
+      receipt: payment.status === 'Approved' && payment.receipt && payment.receipt.receiptNumber ? {
+        receiptNumber: payment.receipt.receiptNumber,
+        issuedAt: payment.receipt.issuedAt,
+        downloadUrl: `/api/payments/${payment._id}/receipt`
+      } : null,
       adminAction: payment.adminAction ? {
         ...payment.adminAction,
         actionNote: payment.adminAction.actionNote
@@ -622,6 +774,7 @@ exports.deleteMyPaymentRequest = async (req, res) => {
     }
 
     await Payment.findByIdAndDelete(paymentId);
+    await settleInvoice(payment);
 
     res.json({
       message: 'Payment request deleted successfully'
@@ -631,3 +784,390 @@ exports.deleteMyPaymentRequest = async (req, res) => {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
+
+// Send a payment's receipt PDF
+const sendReceiptPdf = async (res, payment) => {
+  const receiptData = getReceiptData(payment);
+  const pdfBuffer = await buildReceiptPdfBuffer(receiptData);
+  sendFile(res, pdfBuffer, `receipt-${receiptData.receiptNumber}.pdf`, CONTENT_TYPES.pdf);
+};
+
+// @desc    Download the receipt for student's own approved payment
+// @route   GET /api/payments/:paymentId/receipt
+// @access  Private (Student)
+exports.downloadMyPaymentReceipt = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user.id });
+    if (!student) {
+      return res.status(404).json({ message: 'Student profile not found' });
+    }
+
+    const payment = await loadReceiptPayment(req.params.paymentId);
+    if (!payment || !payment.studentId || payment.studentId._id.toString() !== student._id.toString()) {
+      return res.status(404).json({ message: 'Payment request not found' });
+    }
+
+    if (payment.status !== 'Approved' || !payment.receipt || !payment.receipt.receiptNumber) {
+      return res.status(400).json({ message: 'A receipt is only available for approved payments' });
+    }
+
+    await sendReceiptPdf(res, payment);
+  } catch (error) {
+    console.error('Error downloading payment receipt:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Download (issuing if needed) the receipt for an approved payment
+// @route   GET /api/payments/admin/:paymentId/receipt
+// @access  Private (Admin/Moderator)
+exports.downloadPaymentReceipt = async (req, res) => {
+  try {
+    const existingPayment = await Payment.findById(req.params.paymentId);
+    if (!existingPayment) {
+      return res.status(404).json({ message: 'Payment request not found' });
+    }
+
+    if (existingPayment.status !== 'Approved') {
+      return res.status(400).json({ message: 'A receipt is only available for approved payments' });
+    }
+
+    // Payments approved before receipts were introduced get one now
+    if (!existingPayment.receipt || !existingPayment.receipt.receiptNumber) {
+      await issueReceipt(existingPayment._id, existingPayment.adminAction.actionBy || req.user.id);
+    }
+
+    const payment = await loadReceiptPayment(existingPayment._id);
+    await sendReceiptPdf(res, payment);
+  } catch (error) {
+    console.error('Error downloading payment receipt:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Record the bank slip details read off a payment's slip and re-check for duplicates
+// @route   PUT /api/payments/admin/:paymentId/slip-details
+// @access  Private (Admin/Moderator)
+exports.updateSlipDetails = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { bankReference, bankName, slipAmount, slipDate } = req.body;
+
+    const payment = await Payment.findById(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment request not found' });
+    }
+
+    const before = snapshot(payment, ['slipDetails']);
+
+    payment.slipDetails = {
+      bankReference,
+      bankName,
+      slipAmount,
+      slipDate,
+      enteredBy: req.user.id,
+      enteredAt: new Date()
+    };
+    await payment.save();
+
+    await recordAudit(req, {
+      action: 'payment.slip_details',
+      entityType: 'Payment',
+      entityId: payment._id,
+      summary: `Entered slip details for ${describePayment(payment)}`,
+      before,
+      after: snapshot(payment, ['slipDetails'])
+    });
+
+    const slipCheck = await setBankReference('Payment', payment);
+
+    res.json({
+      message: 'Slip details saved successfully',
+      slipDetails: payment.slipDetails,
+      slipCheck
+    });
+  } catch (error) {
+    console.error('Error updating slip details:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Re-run the duplicate slip check for a payment
+// @route   POST /api/payments/admin/:paymentId/slip-check
+// @access  Private (Admin/Moderator)
+exports.recheckPaymentSlip = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment request not found' });
+    }
+
+    const slipCheck = await checkSlips('Payment', payment);
+    if (!slipCheck) {
+      return res.status(502).json({ message: 'Could not check the payment slip, please try again' });
+    }
+
+    res.json({
+      message: 'Slip check completed',
+      slipCheck
+    });
+  } catch (error) {
+    console.error('Error checking payment slip:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get student's own financial statement
+// @route   GET /api/payments/statement?year=2025&format=pdf
+// @access  Private (Student)
+exports.getMyStatement = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user.id });
+    if (!student) {
+      return res.status(404).json({ message: 'Student profile not found' });
+    }
+
+    const statement = await buildStatement(student, { year: req.query.year });
+
+    if (req.query.format === 'pdf') {
+      const pdfBuffer = await buildStatementPdfBuffer(student, statement);
+      return sendFile(res, pdfBuffer, `statement-${student.studentId}${statement.year ? `-${statement.year}` : ''}.pdf`, CONTENT_TYPES.pdf);
+    }
+
+    res.json({
+      success: true,
+      statement
+    });
+  } catch (error) {
+    console.error('Error building student statement:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+const REFUND_REASON_LABELS = {
+  Overpayment: 'overpayment',
+  ClassCancelled: 'class cancelled',
+  Dropout: 'student left the class',
+  Other: 'adjustment'
+};
+
+// @desc    Refund part or all of an approved payment, or convert it to credit
+// @route   POST /api/admin/payment-requests/:paymentId/refund
+// @access  Private (Admin/Moderator)
+exports.refundPayment = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { paymentId } = req.params;
+    const { type, reasonType, reason } = req.body;
+    const amount = parseFloat(req.body.amount);
+
+    const payment = await Payment.findById(paymentId).populate('classId', 'grade category');
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment request not found' });
+    }
+
+    if (payment.status !== 'Approved') {
+      return res.status(400).json({ message: 'Only approved payments can be refunded' });
+    }
+
+    const refundable = payment.amount - (payment.refundedAmount || 0);
+    if (amount > refundable + 0.001) {
+      return res.status(400).json({ message: `Only Rs. ${refundable} of this payment can still be refunded` });
+    }
+
+    const before = snapshot(payment, [...PAYMENT_AUDIT_FIELDS, 'refunds']);
+
+    payment.refunds.push({
+      amount,
+      type,
+      reasonType,
+      reason,
+      processedBy: req.user.id,
+      processedAt: new Date()
+    });
+    payment.refundedAmount = (payment.refundedAmount || 0) + amount;
+    await payment.save();
+
+    await recordAudit(req, {
+      action: type === 'Credit' ? 'payment.credit' : 'payment.refund',
+      entityType: 'Payment',
+      entityId: payment._id,
+      summary: `${type === 'Credit' ? 'Converted' : 'Refunded'} Rs. ${amount} of ${describePayment(payment)}${type === 'Credit' ? ' to credit' : ''} (${REFUND_REASON_LABELS[reasonType]})`,
+      before,
+      after: snapshot(payment, [...PAYMENT_AUDIT_FIELDS, 'refunds'])
+    });
+
+    if (type === 'Credit') {
+      await CreditTransaction.create({
+        studentId: payment.studentId,
+        type: 'Issued',
+        amount,
+        paymentId: payment._id,
+        classId: payment.classId._id,
+        note: reason || `Credit from ${REFUND_REASON_LABELS[reasonType]}`,
+        createdBy: req.user.id
+      });
+    }
+
+    // Unless the student simply paid too much, the month's fee goes down by the same amount
+    if (reasonType !== 'Overpayment') {
+      const invoice = await Invoice.findOne({
+        studentId: payment.studentId,
+        classId: payment.classId._id,
+        year: payment.year,
+        month: payment.month
+      });
+      if (invoice) {
+        const reduction = Math.min(amount, invoice.amount);
+        invoice.amount -= reduction;
+        invoice.feeBreakdown.push({
+          rule: 'fee_adjustment',
+          label: `Fee reduced (${REFUND_REASON_LABELS[reasonType]})`,
+          amount: -reduction
+        });
+        await invoice.save();
+      }
+    }
+
+    await settleInvoice(payment);
+
+    // Let the student know
+    try {
+      const student = await Student.findById(payment.studentId);
+      if (student) {
+        const className = `${payment.classId.grade} - ${payment.classId.category}`;
+        await Notification.createNotification({
+          recipient: student.userId,
+          type: 'payment_refund',
+          title: type === 'Credit' ? 'Payment credit added' : 'Payment refunded',
+          message: type === 'Credit'
+            ? `Rs. ${amount} from your ${payment.year}-${String(payment.month).padStart(2, '0')} payment for ${className} has been added to your account as credit. It will be used against your next class fee.`
+            : `Rs. ${amount} from your ${payment.year}-${String(payment.month).padStart(2, '0')} payment for ${className} has been refunded.${reason ? ` Reason: ${reason}` : ''}`,
+          data: {
+            studentId: student._id,
+            classId: payment.classId._id,
+            adminNote: reason
+          }
+        });
+      }
+    } catch (notificationError) {
+      console.error('Error creating refund notification:', notificationError);
+    }
+
+    const populatedPayment = await Payment.findById(payment._id)
+      .populate('studentId', 'firstName lastName surname fullName studentId email')
+      .populate('classId', 'grade category monthlyFee')
+      .populate('refunds.processedBy', 'fullName email');
+
+    res.json({
+      message: type === 'Credit' ? 'Payment converted to credit successfully' : 'Payment refunded successfully',
+      payment: populatedPayment,
+      creditBalance: await CreditTransaction.getBalance(payment.studentId)
+    });
+  } catch (error) {
+    console.error('Error refunding payment:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Credit balance and history for a student
+const getCreditSummary = async (studentId) => {
+  const [balance, history] = await Promise.all([
+    CreditTransaction.getBalance(studentId),
+    CreditTransaction.find({ studentId })
+      .populate('classId', 'grade category')
+      .populate('createdBy', 'fullName')
+      .sort({ createdAt: -1 })
+  ]);
+  return { balance, history };
+};
+
+// @desc    Get a student's credit balance and history
+// @route   GET /api/admin/credits/:studentId
+// @access  Private (Admin/Moderator)
+exports.getStudentCredits = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId).select('firstName lastName studentId');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    res.json({
+      student,
+      ...(await getCreditSummary(student._id))
+    });
+  } catch (error) {
+    console.error('Error fetching student credits:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Give a student credit that is not tied to a payment (e.g. a cancelled class paid in cash)
+// @route   POST /api/admin/credits/:studentId
+// @access  Private (Admin/Moderator)
+exports.issueStudentCredit = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const student = await Student.findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const credit = await CreditTransaction.create({
+      studentId: student._id,
+      type: 'Issued',
+      amount: parseFloat(req.body.amount),
+      note: req.body.note,
+      createdBy: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'credit.issue',
+      entityType: 'Student',
+      entityId: student._id,
+      summary: `Issued Rs. ${credit.amount} credit to ${describeStudent(student)}`,
+      after: snapshot(credit, ['type', 'amount', 'note'])
+    });
+
+    res.status(201).json({
+      message: 'Credit added successfully',
+      credit,
+      balance: await CreditTransaction.getBalance(student._id)
+    });
+  } catch (error) {
+    console.error('Error issuing student credit:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get student's own credit balance and history
+// @route   GET /api/payments/credits
+// @access  Private (Student)
+exports.getMyCredits = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user.id });
+    if (!student) {
+      return res.status(404).json({ message: 'Student profile not found' });
+    }
+
+    res.json({
+      success: true,
+      ...(await getCreditSummary(student._id))
+    });
+  } catch (error) {
+    console.error('Error fetching student credits:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -1,5 +1,6 @@
 const Product = require('../models/Product');
 const { validationResult } = require('express-validator');
+const { recordAudit, snapshot } = require('../services/auditService');
 const cloudinary = require('cloudinary').v2;
 
 // Configure Cloudinary
@@ -251,6 +252,14 @@ exports.deleteProduct = async (req, res) => {
 
     await Product.findByIdAndDelete(req.params.id);
 
+    await recordAudit(req, {
+      action: 'product.delete',
+      entityType: 'Product',
+      entityId: product._id,
+      summary: `Deleted product "${product.name}"`,
+      before: snapshot(product)
+    });
+
     res.json({ message: 'Product deleted successfully' });
   } catch (err) {
     console.error('Error deleting product:', err.message);
@@ -1,5 +1,7 @@
 const Resource = require('../models/Resource');
 const Class = require('../models/Class');
+const { denyIfFeesOutstanding } = require('../services/feeAccessService');
+const { recordAudit, snapshot } = require('../services/auditService');
 const { validationResult } = require('express-validator');
 const cloudinary = require('cloudinary').v2;
 
@@ -115,6 +117,8 @@ const getResourceById = async (req, res) => {
       });
     }
 
+    if (resource.classId && await denyIfFeesOutstanding(req, res, resource.classId._id)) return;
+
     res.json({
       success: true,
       resource
@@ -192,10 +196,15 @@ const deleteResource = async (req, res) => {
       });
     }
 
-    // Delete attachments from Cloudinary
+    // Delete attachments from Cloudinary (unless a cloned resource still uses the file)
     if (resource.attachments && resource.attachments.length > 0) {
       for (const attachment of resource.attachments) {
         try {
+          const inUse = await Resource.exists({
+            _id: { $ne: resource._id },
+            'attachments.publicId': attachment.publicId
+          });
+          if (inUse) continue;
           await cloudinary.uploader.destroy(attachment.publicId);
         } catch (cloudinaryError) {
           console.error('Error deleting from Cloudinary:', cloudinaryError);
@@ -206,6 +215,14 @@ const deleteResource = async (req, res) => {
     // Delete resource
     await Resource.findByIdAndDelete(req.params.id);
 
+    await recordAudit(req, {
+      action: 'resource.delete',
+      entityType: 'Resource',
+      entityId: resource._id,
+      summary: `Deleted resource "${resource.title}"`,
+      before: snapshot(resource)
+    });
+
     res.json({
       success: true,
       message: 'Resource deleted successfully'
@@ -0,0 +1,296 @@
+const { validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSIONS, isPermission, getUserPermissions } = require('../services/permissionService');
+const { recordAudit, snapshot } = require('../services/auditService');
+
+// Role fields copied into audit log snapshots
+const ROLE_AUDIT_FIELDS = ['name', 'description', 'permissions'];
+
+// Permission keys from the request that are not in the catalogue
+const getUnknownPermissions = (permissions) => (permissions || []).filter(permission => !isPermission(permission));
+
+// @desc    Get every permission with its description, grouped by area
+// @route   GET /api/roles/permissions
+// @access  Private (roles.manage)
+exports.getPermissions = async (req, res) => {
+  const groups = {};
+  Object.keys(PERMISSIONS).forEach(key => {
+    const area = key.split('.')[0];
+    if (!groups[area]) groups[area] = [];
+    groups[area].push({ key, description: PERMISSIONS[key] });
+  });
+
+  res.json({ permissions: groups });
+};
+
+// @desc    Get the logged-in user's permissions
+// @route   GET /api/roles/me
+// @access  Private (Staff)
+exports.getMyPermissions = async (req, res) => {
+  res.json({
+    role: req.user.role,
+    permissions: req.user.permissions
+  });
+};
+
+// @desc    Get all roles with the number of users assigned to each
+// @route   GET /api/roles
+// @access  Private (roles.manage)
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find()
+      .populate('updatedBy', 'fullName email')
+      .sort({ isSystem: -1, name: 1 });
+
+    const counts = await User.aggregate([
+      { $unwind: '$roles' },
+      { $group: { _id: '$roles', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      roles: roles.map(role => {
+        const assigned = counts.find(count => count._id.equals(role._id));
+        return { ...role.toObject(), assignedUsers: assigned ? assigned.count : 0 };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create a role
+// @route   POST /api/roles
+// @access  Private (roles.manage)
+exports.createRole = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, description, permissions } = req.body;
+
+    const unknown = getUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown permissions: ${unknown.join(', ')}` });
+    }
+
+    const existing = await Role.findOne({ name: name.trim() });
+    if (existing) {
+      return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: 'role.create',
+      entityType: 'Role',
+      entityId: role._id,
+      summary: `Created role ${role.name}`,
+      after: snapshot(role, ROLE_AUDIT_FIELDS)
+    });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Error creating role:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update a role's name, description or permissions
+// @route   PUT /api/roles/:id
+// @access  Private (roles.manage)
+exports.updateRole = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, description, permissions } = req.body;
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const before = snapshot(role, ROLE_AUDIT_FIELDS);
+
+    if (permissions !== undefined) {
+      const unknown = getUnknownPermissions(permissions);
+      if (unknown.length > 0) {
+        return res.status(400).json({ message: `Unknown permissions: ${unknown.join(', ')}` });
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (name !== undefined && name.trim() !== role.name) {
+      const existing = await Role.findOne({ name: name.trim(), _id: { $ne: role._id } });
+      if (existing) {
+        return res.status(400).json({ message: 'A role with this name already exists' });
+      }
+      role.name = name;
+    }
+    if (description !== undefined) role.description = description;
+    role.updatedBy = req.user.id;
+
+    await role.save();
+
+    await recordAudit(req, {
+      action: 'role.update',
+      entityType: 'Role',
+      entityId: role._id,
+      summary: `Updated role ${role.name}`,
+      before,
+      after: snapshot(role, ROLE_AUDIT_FIELDS)
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete a role and remove it from the users it was assigned to
+// @route   DELETE /api/roles/:id
+// @access  Private (roles.manage)
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({ message: 'Default roles cannot be deleted. Edit their permissions instead.' });
+    }
+
+    const result = await User.updateMany({ roles: role._id }, { $pull: { roles: role._id } });
+    await role.deleteOne();
+
+    await recordAudit(req, {
+      action: 'role.delete',
+      entityType: 'Role',
+      entityId: role._id,
+      summary: `Deleted role ${role.name} (removed from ${result.modifiedCount} user(s))`,
+      before: snapshot(role, ROLE_AUDIT_FIELDS)
+    });
+
+    res.json({
+      message: 'Role deleted successfully',
+      usersUpdated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a user's assigned roles and the permissions they end up with
+// @route   GET /api/roles/users/:userId
+// @access  Private (roles.manage)
+exports.getUserRoles = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId)
+      .select('fullName email role roles')
+      .populate('roles', 'name description permissions');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      user: {
+        _id: user._id,
+        fullName: user.fullName,
+        email: user.email,
+        role: user.role
+      },
+      roles: user.roles,
+      permissions: await getUserPermissions(user)
+    });
+  } catch (error) {
+    console.error('Error fetching user roles:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Set the roles assigned to a user (replaces the current list)
+// @route   PUT /api/roles/users/:userId
+// @access  Private (roles.manage)
+exports.setUserRoles = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (req.params.userId === req.user.id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own roles' });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.role === 'student') {
+      return res.status(400).json({ message: 'Roles cannot be assigned to student accounts' });
+    }
+
+    const roleIds = [...new Set(req.body.roles.map(String))];
+    const roles = await Role.find({ _id: { $in: roleIds } }).select('name description permissions');
+    if (roles.length !== roleIds.length) {
+      return res.status(400).json({ message: 'One or more roles were not found' });
+    }
+
+    const before = snapshot(user, ['roles']);
+    user.roles = roleIds;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.roles',
+      entityType: 'User',
+      entityId: user._id,
+      summary: `Set roles of ${user.fullName} to ${roles.map(role => role.name).join(', ') || 'none'}`,
+      before,
+      after: snapshot(user, ['roles'])
+    });
+
+    res.json({
+      message: 'User roles updated successfully',
+      roles,
+      permissions: await getUserPermissions(user)
+    });
+  } catch (error) {
+    console.error('Error updating user roles:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,203 @@
+const { validationResult } = require('express-validator');
+const AcademicRollover = require('../models/AcademicRollover');
+const {
+  buildRolloverPlan,
+  applyRolloverPlan,
+  getUndoBlockers,
+  undoRollover
+} = require('../services/rolloverService');
+const { getSriLankaNow } = require('../utils/dateHelpers');
+const { recordAudit } = require('../services/auditService');
+
+// Rollover options from the request (defaults to the current year into the next)
+const getRolloverOptions = (body) => {
+  const fromYear = body.fromYear ? parseInt(body.fromYear, 10) : getSriLankaNow().getFullYear();
+  return {
+    fromYear,
+    toYear: body.toYear ? parseInt(body.toYear, 10) : fromYear + 1,
+    gradeMap: body.gradeMap || {},
+    reEnrol: body.reEnrol === true || body.reEnrol === 'true'
+  };
+};
+
+// @desc    Dry run: report what the academic year rollover would change
+// @route   POST /api/rollover/preview
+// @access  Private (Admin/Moderator)
+exports.previewRollover = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const options = getRolloverOptions(req.body);
+    if (options.toYear <= options.fromYear) {
+      return res.status(400).json({ message: 'The new academic year must be after the old one' });
+    }
+
+    const plan = await buildRolloverPlan(options);
+    const existing = await AcademicRollover.findOne({ fromYear: options.fromYear, status: 'Applied' });
+
+    res.json({
+      dryRun: true,
+      alreadyRolledOver: Boolean(existing),
+      plan
+    });
+  } catch (error) {
+    console.error('Error previewing academic year rollover:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Apply the academic year rollover
+// @route   POST /api/rollover/apply
+// @access  Private (Admin/Moderator)
+exports.applyRollover = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const options = getRolloverOptions(req.body);
+    if (options.toYear <= options.fromYear) {
+      return res.status(400).json({ message: 'The new academic year must be after the old one' });
+    }
+
+    const existing = await AcademicRollover.findOne({ fromYear: options.fromYear, status: 'Applied' });
+    if (existing) {
+      return res.status(400).json({
+        message: `${options.fromYear} has already been rolled over. Undo that rollover first to run it again.`,
+        rolloverId: existing._id
+      });
+    }
+
+    // The plan is worked out again so the rollover matches the data as it is now
+    const plan = await buildRolloverPlan(options);
+    if (plan.classes.length === 0 && plan.summary.studentsPromoted === 0) {
+      return res.status(400).json({ message: `Nothing to roll over for ${options.fromYear}` });
+    }
+
+    console.log(`Applying academic year rollover ${options.fromYear} -> ${options.toYear}...`);
+    const rollover = await applyRolloverPlan(plan, req.user.id);
+    console.log('Academic year rollover completed:', rollover.summary);
+
+    await recordAudit(req, {
+      action: 'rollover.apply',
+      entityType: 'AcademicRollover',
+      entityId: rollover._id,
+      summary: `Rolled the academic year over from ${rollover.fromYear} to ${rollover.toYear}`,
+      after: { gradeMap: Object.fromEntries(rollover.gradeMap || []), reEnrol: rollover.reEnrol, summary: rollover.summary }
+    });
+
+    res.status(201).json({
+      message: `Academic year rolled over from ${options.fromYear} to ${options.toYear}`,
+      rollover,
+      warnings: plan.warnings
+    });
+  } catch (error) {
+    console.error('Error applying academic year rollover:', error);
+    // Another rollover of the same year was applied at the same time
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This year has already been rolled over. Undo that rollover first to run it again.' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get rollover history
+// @route   GET /api/rollover
+// @access  Private (Admin/Moderator)
+exports.getRollovers = async (req, res) => {
+  try {
+    const rollovers = await AcademicRollover.find()
+      .select('-students -classes')
+      .populate('appliedBy', 'fullName email')
+      .populate('undoneBy', 'fullName email')
+      .sort({ createdAt: -1 });
+
+    res.json({ rollovers });
+  } catch (error) {
+    console.error('Error fetching rollovers:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a rollover with the classes and students it changed
+// @route   GET /api/rollover/:id
+// @access  Private (Admin/Moderator)
+exports.getRolloverById = async (req, res) => {
+  try {
+    const rollover = await AcademicRollover.findById(req.params.id)
+      .populate('appliedBy', 'fullName email')
+      .populate('undoneBy', 'fullName email')
+      .populate('classes.fromClassId', 'grade category type date startTime endTime venue')
+      .populate('classes.toClassId', 'grade category type date startTime endTime venue')
+      .populate('students.studentId', 'firstName lastName studentId selectedGrade');
+
+    if (!rollover) {
+      return res.status(404).json({ message: 'Rollover not found' });
+    }
+
+    res.json({ rollover });
+  } catch (error) {
+    console.error('Error fetching rollover:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Rollover not found' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Undo the most recent rollover
+// @route   POST /api/rollover/:id/undo
+// @access  Private (Admin/Moderator)
+exports.undoRollover = async (req, res) => {
+  try {
+    const rollover = await AcademicRollover.findById(req.params.id);
+    if (!rollover) {
+      return res.status(404).json({ message: 'Rollover not found' });
+    }
+
+    if (rollover.status !== 'Applied') {
+      return res.status(400).json({ message: 'This rollover has already been undone' });
+    }
+
+    const latest = await AcademicRollover.findOne({ status: 'Applied' }).sort({ createdAt: -1 });
+    if (!latest || !latest._id.equals(rollover._id)) {
+      return res.status(400).json({ message: 'Only the most recent rollover can be undone' });
+    }
+
+    const blockers = await getUndoBlockers(rollover);
+    if (blockers.payments > 0 || blockers.attendanceSheets > 0 || blockers.enrolments > 0) {
+      return res.status(400).json({
+        message: 'The new year\'s classes already have payments, attendance or newly enrolled students, so this rollover can no longer be undone',
+        blockers
+      });
+    }
+
+    console.log(`Undoing academic year rollover ${rollover.fromYear} -> ${rollover.toYear}...`);
+    const result = await undoRollover(rollover, req.user.id);
+    console.log('Academic year rollover undone:', result);
+
+    await recordAudit(req, {
+      action: 'rollover.undo',
+      entityType: 'AcademicRollover',
+      entityId: rollover._id,
+      summary: `Undid the academic year rollover from ${rollover.fromYear} to ${rollover.toYear}`,
+      before: { summary: rollover.summary },
+      after: result
+    });
+
+    res.json({
+      message: `Rollover from ${rollover.fromYear} to ${rollover.toYear} undone`,
+      result
+    });
+  } catch (error) {
+    console.error('Error undoing academic year rollover:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Rollover not found' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -1,5 +1,6 @@
 const SpecialNotice = require('../models/SpecialNotice');
 const { validationResult } = require('express-validator');
+const { userHasPermission } = require('../services/permissionService');
 
 // @desc    Create new special notice
 // @route   POST /api/special-notices
@@ -309,7 +310,7 @@ const deleteQuestion = async (req, res) => {
     }
 
     // Check permissions
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'moderator';
+    const isAdmin = await userHasPermission(req.user, 'notices.manage');
     const isQuestionOwner = question.askedBy.toString() === req.user.id;
     const hasReply = question.reply;
 
@@ -1,6 +1,7 @@
 const StudentMessage = require('../models/StudentMessage');
 const User = require('../models/User');
 const Student = require('../models/Student');
+const { userHasPermission } = require('../services/permissionService');
 const { validationResult } = require('express-validator');
 
 // Helper function to get user with contact information
@@ -411,9 +412,9 @@ const deleteMessage = async (req, res) => {
       });
     }
 
-    // Check if user is admin or the message owner
-    if (req.user.role !== 'admin' && req.user.role !== 'moderator' &&
-        message.submittedBy.toString() !== req.user.id) {
+    // Check if user can manage messages or is the message owner
+    const canManage = await userHasPermission(req.user, 'messages.manage');
+    if (!canManage && message.submittedBy.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this message'
@@ -421,7 +422,7 @@ const deleteMessage = async (req, res) => {
     }
 
     // Students can only delete if not replied, admins can delete anytime
-    if (req.user.role !== 'admin' && req.user.role !== 'moderator' && message.reply) {
+    if (!canManage && message.reply) {
       return res.status(400).json({
         success: false,
         message: 'Cannot delete message that has been replied to'
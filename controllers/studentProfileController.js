@@ -1,6 +1,7 @@
 const Student = require('../models/Student');
 const User = require('../models/User');
 const Class = require('../models/Class');
+const { recordAudit, snapshot, describeStudent } = require('../services/auditService');
 
 // Get student profile by ID (Admin access)
 exports.getStudentProfileById = async (req, res) => {
@@ -55,14 +56,13 @@ exports.updateStudentProfileById = async (req, res) => {
     // Update the updatedAt field
     updateData.updatedAt = new Date();
 
+    const existingStudent = await Student.findById(studentId);
+
     // If email is being updated, also update it in the User model
-    if (updateData.email) {
-      const student = await Student.findById(studentId);
-      if (student) {
-        await User.findByIdAndUpdate(student.userId, { 
-          email: updateData.email 
-        });
-      }
+    if (updateData.email && existingStudent) {
+      await User.findByIdAndUpdate(existingStudent.userId, { 
+        email: updateData.email 
+      });
     }
 
     const updatedStudent = await Student.findByIdAndUpdate(
@@ -81,6 +81,16 @@ exports.updateStudentProfileById = async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    const changedFields = Object.keys(updateData).filter(field => field !== 'updatedAt');
+    await recordAudit(req, {
+      action: 'student.profile_update',
+      entityType: 'Student',
+      entityId: updatedStudent._id,
+      summary: `Updated profile of ${describeStudent(updatedStudent)}`,
+      before: snapshot(existingStudent, changedFields),
+      after: snapshot(updatedStudent, changedFields)
+    });
+
     res.json({
       message: 'Student profile updated successfully',
       student: updatedStudent
@@ -142,12 +152,6 @@ exports.getStudentProfileForAdminAccess = async (req, res) => {
   try {
     const { studentId } = req.params;
 
-    // Verify admin role
-    const adminUser = await User.findById(req.user.id);
-    if (!adminUser || (adminUser.role !== 'admin' && adminUser.role !== 'moderator')) {
-      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
-    }
-
     // Get student data
     const student = await Student.findById(studentId)
       .populate('userId', 'email fullName emailVerified role')
@@ -164,10 +168,10 @@ exports.getStudentProfileForAdminAccess = async (req, res) => {
     // Create a context object for admin-as-student access
     const adminContext = {
       originalAdmin: {
-        id: adminUser._id,
-        email: adminUser.email,
-        fullName: adminUser.fullName,
-        role: adminUser.role
+        id: req.user.id,
+        email: req.user.email,
+        fullName: req.user.fullName,
+        role: req.user.role
       },
       accessingAsStudent: {
         id: student._id,
@@ -195,12 +199,6 @@ exports.validateAdminAsStudentAccess = async (req, res) => {
   try {
     const { studentId, classId } = req.params;
 
-    // Verify admin role
-    const adminUser = await User.findById(req.user.id);
-    if (!adminUser || (adminUser.role !== 'admin' && adminUser.role !== 'moderator')) {
-      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
-    }
-
     // Verify student exists and is enrolled in the class
     const student = await Student.findById(studentId);
     if (!student) {
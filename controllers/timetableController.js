@@ -0,0 +1,229 @@
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const ClassSession = require('../models/ClassSession');
+const {
+  getWeekRange,
+  getFeedRange,
+  getTimetableEvents,
+  buildIcs,
+  generateCalendarToken,
+  verifyFeedToken,
+  getStudentFeedUrl,
+  getClassFeedUrl,
+  getVenueFeedUrl
+} = require('../services/timetableService');
+
+// Longest range a timetable request may cover
+const MAX_TIMETABLE_DAYS = 62;
+
+const CLASS_FIELDS = 'type grade date startTime endTime venue category platform isActive';
+
+// Send an iCalendar document
+const sendIcs = (res, ics, filename) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}.ics"`);
+  res.set('Cache-Control', 'private, max-age=900');
+  res.send(ics);
+};
+
+// Strip characters that do not belong in a file name
+const toFilename = (value) => String(value).replace(/[^a-z0-9-]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase();
+
+// The student's active enrolled classes
+const getStudentClasses = (student) => (student.enrolledClasses || [])
+  .filter(classItem => classItem && classItem.isActive !== false);
+
+// @desc    Get the student's combined timetable (class sessions, online sessions, exams, assignment due dates)
+// @route   GET /api/students/timetable
+// @access  Private (Student)
+exports.getMyTimetable = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user.id })
+      .populate('enrolledClasses', CLASS_FIELDS);
+
+    if (!student) {
+      return res.status(404).json({ message: 'Student profile not found' });
+    }
+
+    // Defaults to the week containing ?date (or today); ?from&to picks a custom range
+    let { from, to } = getWeekRange(req.query.date ? new Date(req.query.date) : new Date());
+    if (req.query.from && req.query.to) {
+      from = new Date(req.query.from);
+      to = new Date(req.query.to);
+    }
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+    if (from > to) {
+      return res.status(400).json({ message: 'From date must be before to date' });
+    }
+    if ((to - from) / (24 * 60 * 60 * 1000) > MAX_TIMETABLE_DAYS) {
+      return res.status(400).json({ message: `Timetable range cannot exceed ${MAX_TIMETABLE_DAYS} days` });
+    }
+
+    const classes = getStudentClasses(student);
+    const events = await getTimetableEvents(classes, from, to);
+
+    res.json({
+      from,
+      to,
+      classes,
+      events
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// @desc    Get the student's secret calendar feed URL (created on first request)
+// @route   GET /api/students/timetable/calendar-feed
+// @access  Private (Student)
+exports.getMyCalendarFeed = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user.id }).select('+calendarToken');
+
+    if (!student) {
+      return res.status(404).json({ message: 'Student profile not found' });
+    }
+
+    if (!student.calendarToken) {
+      student.calendarToken = generateCalendarToken();
+      await student.save();
+    }
+
+    res.json({ url: getStudentFeedUrl(student.calendarToken) });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// @desc    Replace the calendar feed URL (the old link stops working)
+// @route   POST /api/students/timetable/calendar-feed/reset
+// @access  Private (Student)
+exports.resetMyCalendarFeed = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user.id }).select('+calendarToken');
+
+    if (!student) {
+      return res.status(404).json({ message: 'Student profile not found' });
+    }
+
+    student.calendarToken = generateCalendarToken();
+    await student.save();
+
+    res.json({
+      message: 'Calendar link reset. Subscribe again with the new link.',
+      url: getStudentFeedUrl(student.calendarToken)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// @desc    Student calendar feed for calendar apps
+// @route   GET /api/calendar/student/:token.ics
+// @access  Public (secret link)
+exports.getStudentCalendar = async (req, res) => {
+  try {
+    const student = await Student.findOne({ calendarToken: req.params.token })
+      .populate('enrolledClasses', CLASS_FIELDS);
+
+    if (!student) {
+      return res.status(404).send('Calendar not found');
+    }
+
+    const { from, to } = getFeedRange();
+    const events = await getTimetableEvents(getStudentClasses(student), from, to);
+
+    sendIcs(res, buildIcs(events, `${student.firstName} ${student.lastName} - Timetable`), 'timetable');
+  } catch (err) {
+    console.error('Error building student calendar:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Class calendar feed for calendar apps
+// @route   GET /api/calendar/class/:classId.ics?token=
+// @access  Public (signed link from the admin feed list)
+exports.getClassCalendar = async (req, res) => {
+  try {
+    if (!verifyFeedToken('class', req.params.classId, req.query.token)) {
+      return res.status(404).send('Calendar not found');
+    }
+
+    const classItem = await Class.findById(req.params.classId);
+    if (!classItem) {
+      return res.status(404).send('Calendar not found');
+    }
+
+    const { from, to } = getFeedRange();
+    const events = await getTimetableEvents([classItem], from, to);
+    const className = `${classItem.grade} - ${classItem.category}`;
+
+    sendIcs(res, buildIcs(events, className), toFilename(className));
+  } catch (err) {
+    console.error('Error building class calendar:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Venue calendar feed (every class session held at the venue)
+// @route   GET /api/calendar/venue/:venue.ics?token=
+// @access  Public (signed link from the admin feed list)
+exports.getVenueCalendar = async (req, res) => {
+  try {
+    const venue = req.params.venue.trim();
+    if (!verifyFeedToken('venue', venue, req.query.token)) {
+      return res.status(404).send('Calendar not found');
+    }
+
+    const { from, to } = getFeedRange();
+    const classes = await Class.find({ isActive: true });
+    const events = (await getTimetableEvents(classes, from, to, { sessionsOnly: true }))
+      .filter(event => event.venue && event.venue.trim().toLowerCase() === venue.toLowerCase());
+
+    sendIcs(res, buildIcs(events, `${venue} - Venue Schedule`), toFilename(venue));
+  } catch (err) {
+    console.error('Error building venue calendar:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// @desc    Get the calendar feed URLs for every class and venue
+// @route   GET /api/calendar/feeds
+// @access  Private (Admin/Moderator)
+exports.getCalendarFeeds = async (req, res) => {
+  try {
+    const classes = await Class.find({ isActive: true })
+      .select('grade category type date startTime endTime venue')
+      .sort({ grade: 1, category: 1 });
+
+    // Venues from the timetable plus any substitute venues used by sessions
+    const sessionVenues = await ClassSession.distinct('venue', { date: { $gte: getFeedRange().from } });
+    const venues = [...new Set([...classes.map(classItem => classItem.venue), ...sessionVenues]
+      .filter(Boolean)
+      .map(venue => venue.trim()))]
+      .sort();
+
+    res.json({
+      classes: classes.map(classItem => ({
+        classId: classItem._id,
+        className: `${classItem.grade} - ${classItem.category}`,
+        type: classItem.type,
+        schedule: `${classItem.date} ${classItem.startTime}-${classItem.endTime}`,
+        url: getClassFeedUrl(classItem._id)
+      })),
+      venues: venues.map(venue => ({
+        venue,
+        url: getVenueFeedUrl(venue)
+      }))
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const config = require('config');
 const User = require('../models/User');
+const { getUserPermissions } = require('../services/permissionService');
+const { isTokenSessionActive } = require('../services/authSessionService');
 
 module.exports = async (req, res, next) => {
   // Get token from header
@@ -14,6 +16,10 @@ module.exports = async (req, res, next) => {
   // Verify token
   try {
     const decoded = jwt.verify(token, config.get('jwtSecret'));
+
+    if (!(await isTokenSessionActive(decoded))) {
+      return res.status(401).json({ message: 'Session has ended. Logout and Sign Again.' });
+    }
     
     // Get user from database to check current role
     const user = await User.findById(decoded.user.id).select('-password');
@@ -22,18 +28,22 @@ module.exports = async (req, res, next) => {
       return res.status(401).json({ message: 'Token is not valid. Logout and Sign Again.' });
     }
 
-    // Check if user has admin or moderator role
-    if (user.role !== 'admin' && user.role !== 'moderator') {
+    // Check if user has admin or moderator role, or has been given a staff role
+    const hasStaffRoles = user.roles && user.roles.length > 0;
+    if (user.role !== 'admin' && user.role !== 'moderator' && !hasStaffRoles) {
       return res.status(403).json({ 
         message: 'Access denied. Admin or moderator role required.' 
       });
     }
 
+    // What the user may do is checked per route with requirePermission
     req.user = {
       id: user._id,
       role: user.role,
       email: user.email,
-      fullName: user.fullName
+      fullName: user.fullName,
+      permissions: await getUserPermissions(user),
+      sessionId: decoded.sessionId
     };
     
     next();
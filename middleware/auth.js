@@ -1,6 +1,11 @@
 const jwt = require('jsonwebtoken');
 const config = require('config');
 const User = require('../models/User');
+const { recordAudit } = require('../services/auditService');
+const { isTokenSessionActive } = require('../services/authSessionService');
+
+// Methods an "access as student" token can always use
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 module.exports = async (req, res, next) => {
   // Get token from header
@@ -14,11 +19,55 @@ module.exports = async (req, res, next) => {
   // Verify token
   try {
     const decoded = jwt.verify(token, config.get('jwtSecret'));
-    console.log('Auth middleware - decoded token:', decoded);
-    req.user = decoded.user;
+
+    // Logging out, changing password or deleting the account ends the token's session.
+    // The current role is used so a demoted user loses access straight away.
+    const [sessionActive, user] = await Promise.all([
+      isTokenSessionActive(decoded),
+      User.findById(decoded.user.id).select('role')
+    ]);
+    if (!sessionActive) {
+      return res.status(401).json({ message: 'Session has ended. Logout and Sign Again.' });
+    }
+    if (!user) {
+      return res.status(401).json({ message: 'Token is not valid. Logout and Sign Again.' });
+    }
+
+    req.user = { ...decoded.user, role: user.role, sessionId: decoded.sessionId };
+
+    // "Access as student" tokens are read-only unless the admin opted in to writes,
+    // and every write is put down to the admin in the audit log
+    if (decoded.adminView) {
+      const impersonation = decoded.impersonation || {};
+      req.user.impersonationId = impersonation.sessionId;
+      req.user.impersonatedBy = {
+        id: impersonation.adminId || decoded.originalAdmin,
+        fullName: impersonation.adminName,
+        email: impersonation.adminEmail,
+        role: impersonation.adminRole
+      };
+
+      if (!READ_METHODS.includes(req.method)) {
+        if (!impersonation.allowWrites) {
+          return res.status(403).json({
+            message: 'This is a read-only student view. Start a new student view with changes allowed to do this.',
+            readOnly: true
+          });
+        }
+
+        await recordAudit(req, {
+          action: 'student.impersonated_write',
+          entityType: 'Student',
+          entityId: decoded.studentId,
+          summary: `${req.method} ${req.originalUrl} while accessing as student`,
+          after: { sessionId: impersonation.sessionId }
+        });
+      }
+    }
+
     next();
   } catch (err) {
     console.error('Auth middleware error:', err.message);
     res.status(401).json({ message: 'Token is not valid. Logout and Sign Again.' });
   }
-};
\ No newline at end of file
+};
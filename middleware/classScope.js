@@ -0,0 +1,46 @@
+const {
+  isTeacher,
+  canAccessClass,
+  getRecordClassId,
+  getSubmissionClassId
+} = require('../services/classScopeService');
+
+// Keeps teachers to the classes they are assigned to. Other roles pass straight through.
+// Must run after auth or staffAuth.
+const classScope = (getClassId) => async (req, res, next) => {
+  try {
+    if (!isTeacher(req.user)) return next();
+
+    // Missing IDs and records are left to the validation and the controller to report
+    const classId = await getClassId(req);
+    if (!classId) return next();
+
+    if (!(await canAccessClass(req.user, classId))) {
+      return res.status(403).json({ message: 'Access denied. You are not assigned to this class.' });
+    }
+    next();
+  } catch (err) {
+    console.error('Class scope middleware error:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+// Class ID in the URL (/class/:classId)
+const scopeByParam = (param = 'classId') => classScope(req => req.params[param]);
+
+// Class ID in the request body (creating a record)
+const scopeByBody = (field = 'classId') => classScope(req => req.body[field]);
+
+// Class of an existing record (/:id)
+const scopeByRecord = (Model, param = 'id') => classScope(req => getRecordClassId(Model, req.params[param]));
+
+// Class of an assignment submission (/submissions/:submissionId)
+const scopeBySubmission = (param = 'submissionId') => classScope(req => getSubmissionClassId(req.params[param]));
+
+module.exports = {
+  classScope,
+  scopeByParam,
+  scopeByBody,
+  scopeByRecord,
+  scopeBySubmission
+};
@@ -0,0 +1,13 @@
+const { denyIfFeesOutstanding } = require('../services/feeAccessService');
+
+// Blocks students with fee arrears from class content routes (/class/:classId).
+// Must run after auth.
+module.exports = async (req, res, next) => {
+  try {
+    if (await denyIfFeesOutstanding(req, res, req.params.classId)) return;
+    next();
+  } catch (err) {
+    console.error('Fee access middleware error:', err.message);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
@@ -0,0 +1,24 @@
+const { isPermission } = require('../services/permissionService');
+
+// Only lets the request through when the user has every listed permission.
+// Must run after adminAuth or staffAuth, which load req.user.permissions.
+module.exports = (...permissions) => {
+  permissions.forEach(permission => {
+    if (!isPermission(permission)) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+  });
+
+  return (req, res, next) => {
+    const granted = (req.user && req.user.permissions) || [];
+    const missing = permissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        message: `Access denied. Missing permission: ${missing.join(', ')}`,
+        missingPermissions: missing
+      });
+    }
+    next();
+  };
+};
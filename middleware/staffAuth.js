@@ -0,0 +1,55 @@
+const jwt = require('jsonwebtoken');
+const config = require('config');
+const User = require('../models/User');
+const { STAFF_ROLES } = require('../services/classScopeService');
+const { getUserPermissions } = require('../services/permissionService');
+const { isTokenSessionActive } = require('../services/authSessionService');
+
+// Like adminAuth, but also lets teachers in. Routes using it must limit teachers
+// to their own classes with the classScope middleware.
+module.exports = async (req, res, next) => {
+  // Get token from header
+  const token = req.header('x-auth-token');
+
+  // Check if no token
+  if (!token) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  // Verify token
+  try {
+    const decoded = jwt.verify(token, config.get('jwtSecret'));
+
+    if (!(await isTokenSessionActive(decoded))) {
+      return res.status(401).json({ message: 'Session has ended. Logout and Sign Again.' });
+    }
+
+    // Get user from database to check current role
+    const user = await User.findById(decoded.user.id).select('-password');
+
+    if (!user) {
+      return res.status(401).json({ message: 'Token is not valid. Logout and Sign Again.' });
+    }
+
+    const hasStaffRoles = user.roles && user.roles.length > 0;
+    if (!STAFF_ROLES.includes(user.role) && !hasStaffRoles) {
+      return res.status(403).json({
+        message: 'Access denied. Admin, moderator or teacher role required.'
+      });
+    }
+
+    req.user = {
+      id: user._id,
+      role: user.role,
+      email: user.email,
+      fullName: user.fullName,
+      permissions: await getUserPermissions(user),
+      sessionId: decoded.sessionId
+    };
+
+    next();
+  } catch (err) {
+    console.error('Staff auth middleware error:', err.message);
+    res.status(401).json({ message: 'Token is not valid. Logout and Sign Again.' });
+  }
+};
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const AbsenceNoteSchema = new mongoose.Schema({
+  // Attendance sheet the note is submitted against
+  attendanceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    required: true
+  },
+
+  // Class reference (copied from the sheet for easier filtering)
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+
+  // Student the note is for
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+
+  // User account that submitted the note
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Whether the student or their guardian wrote the note
+  submittedAs: {
+    type: String,
+    enum: ['Student', 'Guardian'],
+    default: 'Student'
+  },
+  guardianName: {
+    type: String,
+    trim: true
+  },
+
+  // Status requested for the attendance record
+  requestedStatus: {
+    type: String,
+    enum: ['Late', 'Excused', 'Medical'],
+    required: true
+  },
+
+  // Minutes late (only for Late requests)
+  lateMinutes: {
+    type: Number,
+    min: [0, 'Late minutes cannot be negative']
+  },
+
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  // Optional supporting document (e.g. medical certificate)
+  attachment: {
+    url: {
+      type: String,
+      trim: true
+    },
+    publicId: {
+      type: String,
+      trim: true
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['image', 'pdf']
+    }
+  },
+
+  // Review status
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected'],
+    default: 'Pending'
+  },
+
+  // Admin action details
+  adminAction: {
+    actionBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actionDate: {
+      type: Date
+    },
+    actionNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Action note cannot exceed 500 characters']
+    }
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+AbsenceNoteSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// One note per student per attendance sheet
+AbsenceNoteSchema.index({ attendanceId: 1, studentId: 1 }, { unique: true });
+
+// Index for better query performance
+AbsenceNoteSchema.index({ status: 1 });
+AbsenceNoteSchema.index({ classId: 1, status: 1 });
+AbsenceNoteSchema.index({ studentId: 1 });
+
+module.exports = mongoose.model('AbsenceNote', AbsenceNoteSchema);
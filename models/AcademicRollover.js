@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// One academic year rollover. Records everything it changed so it can be undone.
+const AcademicRolloverSchema = new mongoose.Schema({
+  fromYear: {
+    type: Number,
+    required: true
+  },
+  toYear: {
+    type: Number,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['Applied', 'Undone'],
+    default: 'Applied'
+  },
+
+  // Options the rollover was applied with
+  gradeMap: {
+    type: Map,
+    of: String
+  },
+  reEnrol: {
+    type: Boolean,
+    default: false
+  },
+
+  // Old class -> its clone in the new year (clone is empty for classes that were only archived)
+  classes: [{
+    fromClassId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class',
+      required: true
+    },
+    toClassId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class'
+    },
+    wasActive: {
+      type: Boolean,
+      default: true
+    },
+    // The old class had no academic year and the rollover set it
+    setAcademicYear: {
+      type: Boolean,
+      default: false
+    }
+  }],
+
+  // Grade and enrolment changes per student
+  students: [{
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true
+    },
+    fromGrade: {
+      type: String
+    },
+    toGrade: {
+      type: String
+    },
+    removedClasses: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class'
+    }],
+    addedClasses: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class'
+    }]
+  }],
+
+  // Counts shown in the history list
+  summary: {
+    studentsPromoted: { type: Number, default: 0 },
+    classesArchived: { type: Number, default: 0 },
+    classesCreated: { type: Number, default: 0 },
+    studentsReEnrolled: { type: Number, default: 0 },
+    paymentsArchived: { type: Number, default: 0 },
+    attendanceArchived: { type: Number, default: 0 }
+  },
+
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  undoneAt: {
+    type: Date
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+AcademicRolloverSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index for better query performance
+AcademicRolloverSchema.index({ status: 1, createdAt: -1 });
+// A year can only be rolled over once at a time (also stops two applies racing)
+AcademicRolloverSchema.index({ fromYear: 1 }, { unique: true, partialFilterExpression: { status: 'Applied' } });
+
+module.exports = mongoose.model('AcademicRollover', AcademicRolloverSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const AtRiskStudentSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+
+  // Why the student was flagged
+  reasons: [{
+    type: String,
+    enum: ['consecutive_absences', 'low_monthly_rate']
+  }],
+
+  // Metrics at the latest detection run
+  consecutiveAbsences: {
+    type: Number,
+    default: 0
+  },
+  monthlyRate: {
+    type: Number
+  },
+  monthlySheets: {
+    type: Number,
+    default: 0
+  },
+  lastAttendedDate: {
+    type: Date
+  },
+
+  // Open: newly flagged, Acknowledged: admin is following up, Resolved: no longer at risk
+  status: {
+    type: String,
+    enum: ['Open', 'Acknowledged', 'Resolved'],
+    default: 'Open'
+  },
+
+  firstDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Alerts sent for this record
+  studentNotifiedAt: {
+    type: Date
+  },
+  guardianEmailedAt: {
+    type: Date
+  },
+
+  // Admin follow-up
+  adminAction: {
+    actionBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actionDate: {
+      type: Date
+    },
+    actionNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Action note cannot exceed 500 characters']
+    }
+  },
+
+  resolvedAt: {
+    type: Date
+  }
+});
+
+// Index for better query performance
+AtRiskStudentSchema.index({ studentId: 1, classId: 1, status: 1 });
+AtRiskStudentSchema.index({ status: 1, lastDetectedAt: -1 });
+AtRiskStudentSchema.index({ classId: 1 });
+
+module.exports = mongoose.model('AtRiskStudent', AtRiskStudentSchema);
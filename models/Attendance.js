@@ -58,18 +58,116 @@ const AttendanceSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['Present', 'Absent'],
+      enum: ['Present', 'Absent', 'Late', 'Excused', 'Medical'],
       default: 'Absent'
     },
+    // Minutes late (only for Late status)
+    lateMinutes: {
+      type: Number,
+      min: [0, 'Late minutes cannot be negative']
+    },
+    // Optional reason for Late/Excused/Medical statuses
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    // Optional supporting document (e.g. medical certificate)
+    attachment: {
+      url: {
+        type: String,
+        trim: true
+      },
+      publicId: {
+        type: String,
+        trim: true
+      },
+      name: {
+        type: String,
+        trim: true
+      },
+      type: {
+        type: String,
+        enum: ['image', 'pdf']
+      }
+    },
+    // Absence note that set this status (if any)
+    absenceNote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AbsenceNote'
+    },
     markedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
     markedAt: {
       type: Date
+    },
+    // How the record was last marked
+    markedVia: {
+      type: String,
+      enum: ['Admin', 'Monitor', 'SelfCheckIn']
     }
   }],
 
+  // QR self check-in window
+  selfCheckIn: {
+    // Random nonce embedded in the signed token; re-issuing invalidates older tokens
+    nonce: {
+      type: String
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    issuedAt: {
+      type: Date
+    },
+    expiresAt: {
+      type: Date
+    },
+    // Students who marked themselves present by scanning the QR code
+    checkIns: [{
+      studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+      },
+      // Server-issued identifier of the scanning device (check-in device cookie)
+      deviceId: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      // Login session the student checked in from
+      authSessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AuthSession'
+      },
+      ipAddress: {
+        type: String,
+        trim: true
+      },
+      checkedInAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+
+  // Class session the sheet was taken for
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassSession',
+    default: null
+  },
+
+  // Whether the sheet was generated automatically from the class timetable
+  autoGenerated: {
+    type: Boolean,
+    default: false
+  },
+
   // Attendance sheet status
   status: {
     type: String,
@@ -107,6 +205,19 @@ const AttendanceSchema = new mongoose.Schema({
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
 
+  // Set when the academic year rollover archives this record
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date
+  },
+  rolloverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicRollover'
+  },
+
   // Timestamps
   createdAt: {
     type: Date,
@@ -124,10 +235,21 @@ AttendanceSchema.pre('save', function(next) {
   next();
 });
 
-// Virtual for actual present count
+// Statuses that count as attending the class
+const ATTENDED_STATUSES = ['Present', 'Late'];
+// Statuses that are excluded from attendance percentages (neither present nor absent)
+const EXCUSED_STATUSES = ['Excused', 'Medical'];
+
+// Virtual for actual present count (Late students were in class)
 AttendanceSchema.virtual('actualPresentCount').get(function() {
   return this.studentAttendance ?
-    this.studentAttendance.filter(record => record.status === 'Present').length : 0;
+    this.studentAttendance.filter(record => ATTENDED_STATUSES.includes(record.status)).length : 0;
+});
+
+// Virtual for excused count
+AttendanceSchema.virtual('excusedCount').get(function() {
+  return this.studentAttendance ?
+    this.studentAttendance.filter(record => EXCUSED_STATUSES.includes(record.status)).length : 0;
 });
 
 // Virtual for total students
@@ -135,9 +257,9 @@ AttendanceSchema.virtual('totalStudents').get(function() {
   return this.studentAttendance ? this.studentAttendance.length : 0;
 });
 
-// Virtual for attendance percentage
+// Virtual for attendance percentage (excused students are not counted)
 AttendanceSchema.virtual('attendancePercentage').get(function() {
-  const total = this.totalStudents;
+  const total = this.totalStudents - this.excusedCount;
   const present = this.actualPresentCount;
   return total > 0 ? Math.round((present / total) * 100) : 0;
 });
@@ -166,6 +288,14 @@ AttendanceSchema.methods.canMonitorUpdate = function(monitorId) {
   );
 };
 
+// Method to check if the self check-in window is open
+AttendanceSchema.methods.isCheckInOpen = function() {
+  return !!(this.selfCheckIn &&
+    this.selfCheckIn.nonce &&
+    this.selfCheckIn.expiresAt &&
+    this.selfCheckIn.expiresAt > new Date());
+};
+
 // Method to lock monitor updates
 AttendanceSchema.methods.lockMonitorUpdate = function(monitorId, presentCount) {
   this.monitorUpdate.updatedBy = monitorId;
@@ -184,6 +314,8 @@ AttendanceSchema.index({ classId: 1, date: 1 });
 AttendanceSchema.index({ createdBy: 1 });
 AttendanceSchema.index({ date: 1 });
 AttendanceSchema.index({ status: 1 });
+AttendanceSchema.index({ sessionId: 1 });
+AttendanceSchema.index({ rolloverId: 1 });
 
 // Compound index for monthly queries
 AttendanceSchema.index({
@@ -191,4 +323,48 @@ AttendanceSchema.index({
   date: 1
 });
 
-module.exports = mongoose.model('Attendance', AttendanceSchema);
+const Attendance = mongoose.model('Attendance', AttendanceSchema);
+
+// Status groups shared by attendance, payment and analytics calculations
+Attendance.ATTENDED_STATUSES = ATTENDED_STATUSES;
+Attendance.EXCUSED_STATUSES = EXCUSED_STATUSES;
+
+// Whether a record is still the default from an auto-generated Draft sheet (everyone
+// starts Absent) and nobody has marked it yet - it says nothing about attendance
+Attendance.isUnmarkedRecord = (sheet, record) => Boolean(sheet.autoGenerated && sheet.status === 'Draft' && !record.markedAt);
+
+// Sheet fields summariseStudentAttendance needs - select at least these
+Attendance.SUMMARY_FIELDS = 'date studentAttendance autoGenerated status';
+
+// A student's attendance across sheets, as used for payments and the student's stats.
+// Late counts as present; Excused/Medical days are left out of countedSheets and the percentage.
+Attendance.summariseStudentAttendance = (studentId, sheets) => {
+  const summary = { totalSheets: 0, presentCount: 0, lateCount: 0, excusedCount: 0, absentCount: 0 };
+
+  sheets.forEach(sheet => {
+    const record = sheet.studentAttendance.find(
+      item => item.studentId.toString() === studentId.toString()
+    );
+    if (!record || Attendance.isUnmarkedRecord(sheet, record)) return;
+
+    summary.totalSheets++;
+    if (ATTENDED_STATUSES.includes(record.status)) {
+      summary.presentCount++;
+      if (record.status === 'Late') {
+        summary.lateCount++;
+      }
+    } else if (EXCUSED_STATUSES.includes(record.status)) {
+      summary.excusedCount++;
+    } else {
+      summary.absentCount++;
+    }
+  });
+
+  summary.countedSheets = summary.totalSheets - summary.excusedCount;
+  summary.attendancePercentage = summary.countedSheets > 0
+    ? Math.round((summary.presentCount / summary.countedSheets) * 100)
+    : 0;
+  return summary;
+};
+
+module.exports = Attendance;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Single settings document for chronic-absence detection
+const AttendanceAlertSettingsSchema = new mongoose.Schema({
+  // Whether the nightly detection runs
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Flag a student after this many consecutive absences in a class
+  consecutiveAbsences: {
+    type: Number,
+    default: 3,
+    min: [1, 'Consecutive absences must be at least 1']
+  },
+
+  // Flag a student whose attendance rate over the last 30 days is below this percentage
+  monthlyRateThreshold: {
+    type: Number,
+    default: 60,
+    min: [0, 'Threshold cannot be negative'],
+    max: [100, 'Threshold cannot exceed 100']
+  },
+
+  // Minimum number of counted sheets before the monthly rate is considered
+  minSheetsForRate: {
+    type: Number,
+    default: 3,
+    min: [1, 'Minimum sheets must be at least 1']
+  },
+
+  // Whether to email the guardian when a student is flagged
+  emailGuardian: {
+    type: Boolean,
+    default: true
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+AttendanceAlertSettingsSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Static method to get the settings document, creating it with defaults if missing
+AttendanceAlertSettingsSchema.statics.getSettings = async function() {
+  let settings = await this.findOne();
+  if (!settings) {
+    settings = await this.create({});
+  }
+  return settings;
+};
+
+module.exports = mongoose.model('AttendanceAlertSettings', AttendanceAlertSettingsSchema);
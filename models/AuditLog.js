@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// One admin action. Entries are append-only: they are never updated or deleted.
+const AuditLogSchema = new mongoose.Schema({
+  // Who did it (name, email and role are copied so the entry survives the user being deleted)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorName: {
+    type: String
+  },
+  actorEmail: {
+    type: String
+  },
+  actorRole: {
+    type: String
+  },
+
+  // What was done, e.g. "student.approve", "payment.delete"
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Which record it was done to
+  entityType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  summary: {
+    type: String,
+    trim: true
+  },
+
+  // Snapshots of the changed fields before and after the action
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Block changes to existing entries
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be changed'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']
+  .forEach(operation => {
+    AuditLogSchema.pre(operation, function(next) {
+      next(new Error('Audit log entries cannot be changed'));
+    });
+  });
+
+// Index for better query performance
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
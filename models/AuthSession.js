@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// One logged-in device. Access tokens carry the session ID, so revoking the
+// session logs the device out straight away (see services/authSessionService).
+const AuthSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 of the current refresh token. The previous one is kept so a reused
+  // (stolen) token can be spotted after it has been rotated.
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHash: {
+    type: String
+  },
+  // When the refresh token was last swapped, and the new secret encrypted with the
+  // previous one - lets a second request with the previous token within the grace
+  // period get the current token (see services/authSessionService)
+  rotatedAt: {
+    type: Date
+  },
+  sealedRefreshSecret: {
+    type: String
+  },
+
+  // Admin using the account through "access as student" (no refresh token)
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Device details shown in the session list
+  userAgent: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_change', 'user_deleted', 'admin', 'token_reuse']
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+AuthSessionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Whether the session can still be used
+AuthSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Index for better query performance
+AuthSessionSchema.index({ user: 1, revokedAt: 1 });
+// Remove sessions once their refresh token has expired
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthSession', AuthSessionSchema);
@@ -107,6 +107,20 @@ const ClassSchema = new mongoose.Schema({
       message: 'this Student already student this class'
     }
   },
+  // When each student joined the class (their join date for fee pro-rating).
+  // Kept in step with enrolledStudents when the class is saved.
+  enrolmentDates: [{
+    _id: false,
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true
+    },
+    enrolledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   monitors: {
     type: [{
       type: mongoose.Schema.Types.ObjectId,
@@ -131,6 +145,73 @@ const ClassSchema = new mongoose.Schema({
       }
     ]
   },
+  // Teachers who run the class; they can only manage the classes they are assigned to
+  teachers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    default: []
+  },
+  // Automatic attendance sheet generation (Normal classes only)
+  autoAttendance: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Default monitor permissions for generated sheets
+    monitorPermissions: {
+      allMonitors: {
+        type: Boolean,
+        default: true
+      },
+      selectedMonitors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student'
+      }],
+      adminOnly: {
+        type: Boolean,
+        default: false
+      }
+    }
+  },
+  // Restrict class content for Pay Card students with unpaid fees
+  feeGating: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Days after an invoice's due date before content is restricted
+    graceDays: {
+      type: Number,
+      default: 14,
+      min: [0, 'Grace period cannot be negative'],
+      max: [180, 'Grace period cannot exceed 180 days']
+    }
+  },
+  // Academic year the class belongs to (empty for classes created before year rollovers)
+  academicYear: {
+    type: Number,
+    default: null
+  },
+  // The previous year's class this one was cloned from by the rollover
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    default: null
+  },
+  // Set when the academic year rollover archives this class
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date
+  },
+  rolloverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicRollover'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -147,6 +228,58 @@ ClassSchema.pre('save', function (next) {
   next();
 });
 
+// Enrolled student IDs as strings (enrolledStudents may be populated)
+const getEnrolledIds = (classDoc) => (classDoc.enrolledStudents || [])
+  .map(student => (student && student._id ? student._id : student).toString());
+
+// Remember who was enrolled when the class was loaded, to spot new enrolments on save
+ClassSchema.post('init', function (doc) {
+  doc.$locals.loadedStudentIds = getEnrolledIds(doc);
+});
+
+// Date new enrolments and drop the dates of students who have left
+ClassSchema.pre('save', function (next) {
+  if (!this.isNew && !this.isModified('enrolledStudents')) return next();
+
+  const enrolledIds = getEnrolledIds(this);
+  const loadedIds = this.$locals.loadedStudentIds || [];
+  const datedIds = new Set();
+
+  this.enrolmentDates = (this.enrolmentDates || []).filter(entry => {
+    const id = entry.studentId.toString();
+    if (!enrolledIds.includes(id) || datedIds.has(id)) return false;
+    datedIds.add(id);
+    return true;
+  });
+
+  const newlyEnrolled = enrolledIds.filter(id => !loadedIds.includes(id));
+  newlyEnrolled
+    .filter(id => !datedIds.has(id))
+    .forEach(id => this.enrolmentDates.push({ studentId: id, enrolledAt: new Date() }));
+
+  this.$locals.newlyEnrolledIds = newlyEnrolled;
+  next();
+});
+
+// Bill newly enrolled students for the current month (pro-rated by the fee rules)
+ClassSchema.post('save', function (doc) {
+  const newlyEnrolled = doc.$locals.newlyEnrolledIds || [];
+  doc.$locals.loadedStudentIds = getEnrolledIds(doc);
+  doc.$locals.newlyEnrolledIds = [];
+
+  if (newlyEnrolled.length > 0) {
+    // Required here as the billing service itself loads this model
+    const { billNewEnrolments } = require('../services/billingService');
+    billNewEnrolments(doc._id, newlyEnrolled);
+  }
+});
+
+// When a student joined the class (null for enrolments from before dates were kept)
+ClassSchema.methods.getEnrolmentDate = function (studentId) {
+  const entry = (this.enrolmentDates || []).find(item => item.studentId.toString() === studentId.toString());
+  return entry ? entry.enrolledAt : null;
+};
+
 // Virtual for enrolled count
 ClassSchema.virtual('enrolledCount').get(function () {
   return this.enrolledStudents ? this.enrolledStudents.length : 0;
@@ -165,6 +298,8 @@ ClassSchema.set('toObject', { virtuals: true });
 // Index for better query performance
 ClassSchema.index({ type: 1, grade: 1, isActive: 1 });
 ClassSchema.index({ createdBy: 1 });
+ClassSchema.index({ teachers: 1 });
 ClassSchema.index({ date: 1, startTime: 1 });
+ClassSchema.index({ academicYear: 1, isArchived: 1 });
 
 module.exports = mongoose.model('Class', ClassSchema);
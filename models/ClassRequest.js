@@ -20,9 +20,29 @@ const ClassRequestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Pending', 'Approved', 'Rejected'],
+    // Waitlisted: queued for a full class. Offered: a seat is held for the student until offer.expiresAt
+    enum: ['Pending', 'Approved', 'Rejected', 'Waitlisted', 'Offered', 'Declined', 'Expired'],
     default: 'Pending'
   },
+  // Place in the class waitlist (lower goes first; admins can reorder)
+  waitlistPosition: {
+    type: Number,
+    default: null
+  },
+  waitlistedAt: {
+    type: Date
+  },
+  offer: {
+    offeredAt: {
+      type: Date
+    },
+    expiresAt: {
+      type: Date
+    },
+    respondedAt: {
+      type: Date
+    }
+  },
   adminResponse: {
     actionBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -57,5 +77,7 @@ ClassRequestSchema.index({ student: 1 });
 ClassRequestSchema.index({ class: 1 });
 ClassRequestSchema.index({ status: 1 });
 ClassRequestSchema.index({ createdAt: -1 });
+ClassRequestSchema.index({ class: 1, status: 1, waitlistPosition: 1 });
+ClassRequestSchema.index({ status: 1, 'offer.expiresAt': 1 });
 
 module.exports = mongoose.model('ClassRequest', ClassRequestSchema);
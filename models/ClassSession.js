@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+const TIME_FORMAT = [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format. Use HH:MM'];
+
+// A single meeting of a class. Regular sessions are generated from the class timetable
+// (weekday for Normal classes, the set date for Special classes); Extra sessions are one-offs.
+const ClassSessionSchema = new mongoose.Schema({
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+
+  kind: {
+    type: String,
+    enum: ['Regular', 'Extra'],
+    default: 'Regular'
+  },
+
+  // Day the timetable put this session on (start of the Sri Lanka day, Regular sessions only).
+  // Stays the same when the session is rescheduled so it is not generated again.
+  scheduledDate: {
+    type: Date,
+    default: null
+  },
+
+  // When and where the session actually takes place (start of the Sri Lanka day)
+  date: {
+    type: Date,
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: TIME_FORMAT
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: TIME_FORMAT
+  },
+  venue: {
+    type: String,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: ['Scheduled', 'Cancelled'],
+    default: 'Scheduled'
+  },
+  isRescheduled: {
+    type: Boolean,
+    default: false
+  },
+  isSubstituteVenue: {
+    type: Boolean,
+    default: false
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  // Title and note shown for extra sessions
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+
+  // History of changes made by admins
+  changes: [{
+    type: {
+      type: String,
+      enum: ['Cancelled', 'Restored', 'Rescheduled', 'VenueChanged'],
+      required: true
+    },
+    from: {
+      type: String
+    },
+    to: {
+      type: String
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Empty for sessions generated by the timetable
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+ClassSessionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// One regular session per class per timetable day
+ClassSessionSchema.index(
+  { classId: 1, scheduledDate: 1 },
+  { unique: true, partialFilterExpression: { kind: 'Regular' } }
+);
+
+// Index for better query performance
+ClassSessionSchema.index({ classId: 1, date: 1 });
+ClassSessionSchema.index({ date: 1, status: 1 });
+
+module.exports = mongoose.model('ClassSession', ClassSessionSchema);
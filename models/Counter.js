@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Named sequence counters (e.g. receipt numbers)
+const CounterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static method to atomically get the next number in a sequence
+CounterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
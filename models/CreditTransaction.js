@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Tuition credit history for a student. The credit balance is the total
+// Issued minus the total Applied; credits are applied to new invoices for any class.
+const CreditTransactionSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['Issued', 'Applied'],
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than 0']
+  },
+
+  // Payment the credit came from (Issued from a refund/overpayment)
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+
+  // Invoice the credit was used against (Applied)
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+
+  // Admin who issued the credit (not set when applied automatically)
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Static method to get a student's available credit
+CreditTransactionSchema.statics.getBalance = async function (studentId) {
+  const totals = await this.aggregate([
+    { $match: { studentId: new mongoose.Types.ObjectId(studentId.toString()) } },
+    { $group: { _id: '$type', total: { $sum: '$amount' } } }
+  ]);
+
+  const issued = totals.find(item => item._id === 'Issued');
+  const applied = totals.find(item => item._id === 'Applied');
+  return Math.max(0, (issued ? issued.total : 0) - (applied ? applied.total : 0));
+};
+
+// Static method to use available credit against an invoice's outstanding balance
+CreditTransactionSchema.statics.applyToInvoice = async function (invoice) {
+  if (invoice.status === 'Waived' || invoice.balance <= 0) return 0;
+
+  const available = await this.getBalance(invoice.studentId);
+  const amount = Math.min(available, invoice.balance);
+  if (amount <= 0) return 0;
+
+  await this.create({
+    studentId: invoice.studentId,
+    type: 'Applied',
+    amount,
+    invoiceId: invoice._id,
+    classId: invoice.classId,
+    note: `Applied to ${invoice.year}-${String(invoice.month).padStart(2, '0')} fee`
+  });
+
+  invoice.creditApplied = (invoice.creditApplied || 0) + amount;
+  invoice.refreshStatus();
+  await invoice.save();
+
+  return amount;
+};
+
+// Index for better query performance
+CreditTransactionSchema.index({ studentId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CreditTransaction', CreditTransactionSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// One reminder message sent (or attempted) for an invoice
+const FeeReminderLogSchema = new mongoose.Schema({
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  },
+
+  // Which reminder this was
+  stage: {
+    type: String,
+    enum: ['beforeDue', 'dueToday', 'overdue'],
+    required: true
+  },
+  // Overdue reminders are numbered 1, 2, 3...
+  sequence: {
+    type: Number,
+    default: 1
+  },
+
+  channel: {
+    type: String,
+    enum: ['email', 'whatsapp'],
+    required: true
+  },
+  recipientType: {
+    type: String,
+    enum: ['studentEmail', 'guardianEmail', 'studentWhatsapp', 'guardianWhatsapp'],
+    required: true
+  },
+  recipient: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  subject: {
+    type: String
+  },
+  message: {
+    type: String
+  },
+
+  // Stubbed - captured by the stub transport, not delivered
+  status: {
+    type: String,
+    enum: ['Sent', 'Stubbed', 'Failed'],
+    required: true
+  },
+  provider: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+
+  // Admin who ran the reminders by hand (empty for the scheduler)
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+FeeReminderLogSchema.index({ invoiceId: 1, stage: 1, sequence: 1 });
+FeeReminderLogSchema.index({ studentId: 1, createdAt: -1 });
+FeeReminderLogSchema.index({ status: 1, createdAt: -1 });
+FeeReminderLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('FeeReminderLog', FeeReminderLogSchema);
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+// Reminder message template. Placeholders: {{studentName}}, {{guardianName}}, {{className}},
+// {{period}}, {{amount}}, {{balance}}, {{dueDate}}, {{daysOverdue}}
+// WhatsApp can't send free text, so it uses the approved template named in whatsappTemplate
+// with the parameters in WHATSAPP_TEMPLATE_PARAMETERS (services/feeReminderService).
+const TemplateSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  whatsappTemplate: {
+    type: String,
+    trim: true,
+    maxlength: [512, 'WhatsApp template name cannot exceed 512 characters']
+  }
+}, { _id: false });
+
+// Single settings document for automated fee reminders
+const FeeReminderSettingsSchema = new mongoose.Schema({
+  // Whether the daily reminder run sends anything
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Send the first reminder this many days before the due date (0 = off)
+  daysBeforeDue: {
+    type: Number,
+    default: 3,
+    min: [0, 'Days cannot be negative'],
+    max: [28, 'Days cannot exceed 28']
+  },
+
+  // Send a reminder on the due date
+  sendOnDueDate: {
+    type: Boolean,
+    default: true
+  },
+
+  // Reminders once an invoice is overdue
+  overdue: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // First overdue reminder this many days after the due date
+    firstAfterDays: {
+      type: Number,
+      default: 1,
+      min: [1, 'Days must be at least 1']
+    },
+    // Then again every this many days
+    repeatEveryDays: {
+      type: Number,
+      default: 7,
+      min: [1, 'Days must be at least 1']
+    },
+    // Stop after this many overdue reminders
+    maxReminders: {
+      type: Number,
+      default: 3,
+      min: [1, 'At least 1 reminder is required'],
+      max: [12, 'Cannot exceed 12 reminders']
+    }
+  },
+
+  // Who receives reminders
+  recipients: {
+    studentEmail: {
+      type: Boolean,
+      default: true
+    },
+    guardianEmail: {
+      type: Boolean,
+      default: true
+    },
+    studentWhatsapp: {
+      type: Boolean,
+      default: true
+    },
+    guardianWhatsapp: {
+      type: Boolean,
+      default: true
+    }
+  },
+
+  // Language code the WhatsApp templates were approved in
+  whatsappLanguage: {
+    type: String,
+    trim: true,
+    default: 'en'
+  },
+
+  templates: {
+    beforeDue: {
+      type: TemplateSchema,
+      default: () => ({
+        subject: 'Fee reminder: {{className}} - {{period}}',
+        body: 'Dear {{studentName}},\n\nThis is a reminder that the class fee of Rs. {{balance}} for {{className}} ({{period}}) is due on {{dueDate}}.\n\nThank you,\nAyanna Kiyanna Sinhala Institute',
+        whatsappTemplate: 'fee_reminder_before_due'
+      })
+    },
+    dueToday: {
+      type: TemplateSchema,
+      default: () => ({
+        subject: 'Fee due today: {{className}} - {{period}}',
+        body: 'Dear {{studentName}},\n\nThe class fee of Rs. {{balance}} for {{className}} ({{period}}) is due today ({{dueDate}}). Please settle it through the student portal.\n\nThank you,\nAyanna Kiyanna Sinhala Institute',
+        whatsappTemplate: 'fee_reminder_due_today'
+      })
+    },
+    overdue: {
+      type: TemplateSchema,
+      default: () => ({
+        subject: 'Overdue fee: {{className}} - {{period}}',
+        body: 'Dear {{studentName}},\n\nThe class fee of Rs. {{balance}} for {{className}} ({{period}}) was due on {{dueDate}} and is now {{daysOverdue}} day(s) overdue. Please settle it as soon as possible.\n\nIf you have already paid, please ignore this message.\n\nAyanna Kiyanna Sinhala Institute',
+        whatsappTemplate: 'fee_reminder_overdue'
+      })
+    }
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+FeeReminderSettingsSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Static method to get the settings document, creating it with defaults if missing
+FeeReminderSettingsSchema.statics.getSettings = async function() {
+  let settings = await this.findOne();
+  if (!settings) {
+    settings = await this.create({});
+  }
+  return settings;
+};
+
+module.exports = mongoose.model('FeeReminderSettings', FeeReminderSettingsSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Single settings document for the tuition fee rules
+const FeeRuleSettingsSchema = new mongoose.Schema({
+  // Reduced fee for students who join a class part-way through a month
+  proRating: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Students whose first class day falls after this day of the month pay the reduced fee
+    joinedAfterDay: {
+      type: Number,
+      default: 15,
+      min: [1, 'Day must be between 1-31'],
+      max: [31, 'Day must be between 1-31']
+    },
+    // Percentage of the monthly fee charged for that first month
+    feePercentage: {
+      type: Number,
+      default: 50,
+      min: [0, 'Percentage cannot be negative'],
+      max: [100, 'Percentage cannot exceed 100']
+    }
+  },
+
+  // Discount for brothers and sisters studying at the institute
+  siblingDiscount: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Discount given to every sibling except the first one registered
+    percentage: {
+      type: Number,
+      default: 10,
+      min: [0, 'Percentage cannot be negative'],
+      max: [100, 'Percentage cannot exceed 100']
+    }
+  },
+
+  // No fee is due for a month the student barely attended
+  attendanceRule: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    minPresentDays: {
+      type: Number,
+      default: 2,
+      min: [0, 'Minimum present days cannot be negative']
+    }
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+FeeRuleSettingsSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Static method to get the settings document, creating it with defaults if missing
+FeeRuleSettingsSchema.statics.getSettings = async function() {
+  let settings = await this.findOne();
+  if (!settings) {
+    settings = await this.create({});
+  }
+  return settings;
+};
+
+module.exports = mongoose.model('FeeRuleSettings', FeeRuleSettingsSchema);
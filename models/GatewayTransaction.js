@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// An online checkout started through a payment gateway for a tuition Payment or shop Order
+const GatewayTransactionSchema = new mongoose.Schema({
+  // Our reference sent to the gateway as the order ID
+  reference: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // Gateway used (payhere, mock)
+  provider: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Record being paid for
+  targetType: {
+    type: String,
+    enum: ['Payment', 'Order'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'targetType'
+  },
+
+  // User who started the checkout
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'LKR'
+  },
+
+  status: {
+    type: String,
+    enum: ['Initiated', 'Succeeded', 'Failed', 'Cancelled'],
+    default: 'Initiated'
+  },
+
+  // Gateway's own payment ID (set by the notification)
+  providerPaymentId: {
+    type: String,
+    trim: true
+  },
+
+  // Every verified notification received for this transaction
+  notifications: [{
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
+    status: {
+      type: String
+    },
+    providerPaymentId: {
+      type: String
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    _id: false
+  }],
+
+  // When the target record was updated from a successful notification
+  processedAt: {
+    type: Date
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+GatewayTransactionSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index for better query performance
+GatewayTransactionSchema.index({ targetType: 1, targetId: 1 });
+GatewayTransactionSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GatewayTransaction', GatewayTransactionSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const HolidaySchema = new mongoose.Schema({
+  // Day of the holiday (start of the Sri Lanka day)
+  date: {
+    type: Date,
+    required: true
+  },
+
+  // Holiday name or cancellation title
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Name cannot exceed 200 characters']
+  },
+
+  // When set, only this class is cancelled; otherwise it is an institute-wide holiday
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    default: null
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  // Admin who added the holiday
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+HolidaySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Static method to find a holiday or cancellation affecting a class on a given day
+HolidaySchema.statics.findForClass = async function(classId, dayStart, dayEnd) {
+  return this.findOne({
+    date: { $gte: dayStart, $lte: dayEnd },
+    $or: [{ classId: null }, { classId }]
+  });
+};
+
+// Index for better query performance
+HolidaySchema.index({ date: 1, classId: 1 });
+
+module.exports = mongoose.model('Holiday', HolidaySchema);
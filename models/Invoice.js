@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+
+const InvoiceSchema = new mongoose.Schema({
+  // Student reference
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+
+  // Class reference
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+
+  // Billing period
+  year: {
+    type: Number,
+    required: true,
+    min: 2020,
+    max: 2050
+  },
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+
+  // Amount owed for the month
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+
+  // How the amount was worked out by the fee rules
+  feeBreakdown: [{
+    rule: {
+      type: String
+    },
+    label: {
+      type: String
+    },
+    amount: {
+      type: Number
+    },
+    _id: false
+  }],
+
+  // Total of approved payments applied to this invoice
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount paid cannot be negative']
+  },
+
+  dueDate: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['Due', 'Part-Paid', 'Paid', 'Overdue', 'Waived'],
+    default: 'Due'
+  },
+
+  // Carried-forward credit used against this invoice
+  creditApplied: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit applied cannot be negative']
+  },
+
+  // Payments (receipt submissions) made against this invoice
+  payments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+
+  // Waiver details
+  waiver: {
+    waivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    waivedAt: {
+      type: Date
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Waiver note cannot exceed 500 characters']
+    }
+  },
+
+  // Admin or billing run that created the invoice
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+InvoiceSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for outstanding balance
+InvoiceSchema.virtual('balance').get(function () {
+  if (this.status === 'Waived') return 0;
+  return Math.max(0, this.amount - this.amountPaid - (this.creditApplied || 0));
+});
+
+// Work out the status from the amounts and due date
+InvoiceSchema.methods.refreshStatus = function (now = new Date()) {
+  if (this.status === 'Waived') return this.status;
+
+  if (this.amountPaid + (this.creditApplied || 0) >= this.amount) {
+    this.status = 'Paid';
+  } else if (this.dueDate < now) {
+    this.status = 'Overdue';
+  } else if (this.amountPaid > 0 || this.creditApplied > 0) {
+    this.status = 'Part-Paid';
+  } else {
+    this.status = 'Due';
+  }
+  return this.status;
+};
+
+// Static method to re-apply approved payments (less refunds) to the invoice for a student/class/month
+InvoiceSchema.statics.settleFromPayments = async function (studentId, classId, year, month) {
+  const Payment = mongoose.model('Payment');
+
+  const invoice = await this.findOne({ studentId, classId, year, month });
+  if (!invoice) return null;
+
+  const payments = await Payment.find({ studentId, classId, year, month });
+  invoice.payments = payments.map(payment => payment._id);
+  invoice.amountPaid = payments
+    .filter(payment => payment.status === 'Approved')
+    .reduce((sum, payment) => sum + payment.amount - (payment.refundedAmount || 0), 0);
+  invoice.refreshStatus();
+
+  await invoice.save();
+  return invoice;
+};
+
+// Ensure virtuals are included in JSON output
+InvoiceSchema.set('toJSON', { virtuals: true });
+InvoiceSchema.set('toObject', { virtuals: true });
+
+// One invoice per student, class and month
+InvoiceSchema.index({ studentId: 1, classId: 1, year: 1, month: 1 }, { unique: true });
+
+// Index for better query performance
+InvoiceSchema.index({ status: 1, dueDate: 1 });
+InvoiceSchema.index({ classId: 1, year: 1, month: 1 });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
@@ -23,7 +23,14 @@ const NotificationSchema = new mongoose.Schema({
       'monitor_removed',
       'class_fee_change',
       'payment_role_change',
-      'payment_status_change'
+      'payment_status_change',
+      'absence_note_reviewed',
+      'attendance_alert',
+      'payment_refund',
+      'class_session_change',
+      'waitlist_offer',
+      'waitlist_update',
+      'admin_view'
     ],
     required: true
   },
@@ -51,6 +58,10 @@ const NotificationSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'ClassRequest'
     },
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ClassSession'
+    },
     adminNote: {
       type: String,
       trim: true
@@ -175,6 +186,6 @@ setInterval(async () => {
   } catch (error) {
     console.error('Error auto-deleting expired notifications:', error);
   }
-}, 60 * 60 * 1000); // Run every hour
+}, 60 * 60 * 1000).unref(); // Run every hour (without keeping scripts and tests alive)
 
 module.exports = Notification;
@@ -81,6 +81,12 @@ const OnlineSessionSchema = new mongoose.Schema({
     ref: 'Class',
     required: true
   },
+
+  // Class session this online meeting is for
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassSession'
+  },
   
   // Creator Information
   createdBy: {
@@ -114,6 +120,7 @@ OnlineSessionSchema.pre('save', function(next) {
 
 // Index for better query performance
 OnlineSessionSchema.index({ classId: 1, sessionDate: 1 });
+OnlineSessionSchema.index({ sessionId: 1 });
 OnlineSessionSchema.index({ createdBy: 1 });
 OnlineSessionSchema.index({ isActive: 1 });
 
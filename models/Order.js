@@ -107,9 +107,28 @@ const OrderSchema = new mongoose.Schema({
   // Payment Information
   paymentMethod: {
     type: String,
-    enum: ['bank_transfer', 'cash_on_pickup'],
+    enum: ['bank_transfer', 'cash_on_pickup', 'online'],
     required: true
   },
+
+  // Online gateway details (online payment method only)
+  gateway: {
+    provider: {
+      type: String,
+      trim: true
+    },
+    reference: {
+      type: String,
+      trim: true
+    },
+    providerPaymentId: {
+      type: String,
+      trim: true
+    },
+    paidAt: {
+      type: Date
+    }
+  },
   paymentReceipts: [{
     url: {
       type: String,
@@ -128,11 +147,70 @@ const OrderSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+
+  // Bank slip details typed in by an admin while checking the slip
+  slipDetails: {
+    bankReference: {
+      type: String,
+      trim: true
+    },
+    bankName: {
+      type: String,
+      trim: true
+    },
+    slipAmount: {
+      type: Number,
+      min: 0
+    },
+    slipDate: {
+      type: Date
+    },
+    enteredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    enteredAt: {
+      type: Date
+    }
+  },
+
+  // Duplicate slip check result
+  slipCheck: {
+    status: {
+      type: String,
+      enum: ['Unchecked', 'Clear', 'Flagged'],
+      default: 'Unchecked'
+    },
+    matches: [{
+      sourceType: {
+        type: String,
+        enum: ['Payment', 'Order']
+      },
+      sourceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'slipCheck.matches.sourceType'
+      },
+      // ContentHash = identical file, ImageHash = visually the same image, BankReference = same bank reference
+      matchType: {
+        type: String,
+        enum: ['ContentHash', 'ImageHash', 'BankReference']
+      },
+      distance: {
+        type: Number
+      },
+      description: {
+        type: String
+      }
+    }],
+    checkedAt: {
+      type: Date
+    }
+  },
   
-  // Order Status
+  // Order Status (online orders are awaiting_payment until the gateway confirms them)
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'completed', 'cancelled'],
+    enum: ['awaiting_payment', 'pending', 'approved', 'rejected', 'completed', 'cancelled'],
     default: 'pending'
   },
   deliveryStatus: {
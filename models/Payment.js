@@ -36,15 +36,41 @@ const PaymentSchema = new mongoose.Schema({
     min: 0
   },
 
-  // Receipt information (backward compatibility)
+  // How the student paid (bank slip upload or online gateway)
+  paymentMethod: {
+    type: String,
+    enum: ['BankSlip', 'Online'],
+    default: 'BankSlip'
+  },
+
+  // Online gateway details (Online payments only)
+  gateway: {
+    provider: {
+      type: String,
+      trim: true
+    },
+    reference: {
+      type: String,
+      trim: true
+    },
+    providerPaymentId: {
+      type: String,
+      trim: true
+    },
+    paidAt: {
+      type: Date
+    }
+  },
+
+  // Receipt information (backward compatibility) - not needed for online payments
   receiptUrl: {
     type: String,
-    required: true,
+    required: function () { return this.paymentMethod !== 'Online'; },
     trim: true
   },
   receiptPublicId: {
     type: String,
-    required: true,
+    required: function () { return this.paymentMethod !== 'Online'; },
     trim: true
   },
 
@@ -88,10 +114,10 @@ const PaymentSchema = new mongoose.Schema({
     maxlength: [500, 'Additional note cannot exceed 500 characters']
   },
 
-  // Payment status
+  // Payment status (online payments are AwaitingGateway until the gateway confirms them)
   status: {
     type: String,
-    enum: ['Pending', 'Approved', 'Rejected'],
+    enum: ['Pending', 'AwaitingGateway', 'Approved', 'Rejected'],
     default: 'Pending'
   },
 
@@ -111,6 +137,124 @@ const PaymentSchema = new mongoose.Schema({
     }
   },
 
+  // Official receipt issued when the payment is approved
+  receipt: {
+    receiptNumber: {
+      type: String,
+      trim: true
+    },
+    issuedAt: {
+      type: Date
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    emailedAt: {
+      type: Date
+    }
+  },
+
+  // Refunds and credit conversions made after approval
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Refund amount must be greater than 0']
+    },
+    // Refund = money returned, Credit = kept as credit for future fees
+    type: {
+      type: String,
+      enum: ['Refund', 'Credit'],
+      required: true
+    },
+    // Overpayments leave the month's fee unchanged; anything else reduces it
+    reasonType: {
+      type: String,
+      enum: ['Overpayment', 'ClassCancelled', 'Dropout', 'Other'],
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    processedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Total of the refunds above
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Bank slip details typed in by an admin while checking the slip
+  slipDetails: {
+    bankReference: {
+      type: String,
+      trim: true
+    },
+    bankName: {
+      type: String,
+      trim: true
+    },
+    slipAmount: {
+      type: Number,
+      min: 0
+    },
+    slipDate: {
+      type: Date
+    },
+    enteredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    enteredAt: {
+      type: Date
+    }
+  },
+
+  // Duplicate slip check result
+  slipCheck: {
+    status: {
+      type: String,
+      enum: ['Unchecked', 'Clear', 'Flagged'],
+      default: 'Unchecked'
+    },
+    matches: [{
+      sourceType: {
+        type: String,
+        enum: ['Payment', 'Order']
+      },
+      sourceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'slipCheck.matches.sourceType'
+      },
+      // ContentHash = identical file, ImageHash = visually the same image, BankReference = same bank reference
+      matchType: {
+        type: String,
+        enum: ['ContentHash', 'ImageHash', 'BankReference']
+      },
+      distance: {
+        type: Number
+      },
+      description: {
+        type: String
+      }
+    }],
+    checkedAt: {
+      type: Date
+    }
+  },
+
   // Attendance data at time of payment
   attendanceData: {
     presentDays: {
@@ -125,6 +269,19 @@ const PaymentSchema = new mongoose.Schema({
     }
   },
 
+  // Set when the academic year rollover archives this record
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date
+  },
+  rolloverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicRollover'
+  },
+
   // Timestamps
   createdAt: {
     type: Date,
@@ -149,5 +306,8 @@ PaymentSchema.index({ studentId: 1, classId: 1, year: 1, month: 1 }, { unique: t
 PaymentSchema.index({ status: 1 });
 PaymentSchema.index({ year: 1, month: 1 });
 PaymentSchema.index({ classId: 1, year: 1, month: 1 });
+PaymentSchema.index({ 'receipt.receiptNumber': 1 }, { unique: true, sparse: true });
+PaymentSchema.index({ 'slipCheck.status': 1 });
+PaymentSchema.index({ rolloverId: 1 });
 
 module.exports = mongoose.model('Payment', PaymentSchema);
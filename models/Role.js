@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A named set of permissions that can be assigned to users (see services/permissionService)
+const RoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+
+  // Account role (User.role) this is the default role for. Every user with that
+  // account role gets these permissions without being assigned the role.
+  baseRole: {
+    type: String,
+    enum: ['moderator', 'Teacher']
+  },
+  // Default roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+RoleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Index for better query performance
+RoleSchema.index({ baseRole: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Role', RoleSchema);
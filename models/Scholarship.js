@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const ScholarshipSchema = new mongoose.Schema({
+  // Student reference
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+
+  // Class the scholarship applies to (null = all of the student's classes)
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    default: null
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Scholarship name is required'],
+    trim: true,
+    maxlength: [200, 'Name cannot exceed 200 characters']
+  },
+
+  // Percentage off the fee, or a fixed amount off
+  discountType: {
+    type: String,
+    enum: ['Percentage', 'Fixed'],
+    default: 'Percentage'
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: [0, 'Value cannot be negative']
+  },
+
+  // First month the scholarship applies
+  startYear: {
+    type: Number,
+    required: true,
+    min: 2020,
+    max: 2050
+  },
+  startMonth: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+
+  // Last month the scholarship applies (open-ended when not set)
+  endYear: {
+    type: Number,
+    min: 2020,
+    max: 2050
+  },
+  endMonth: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+ScholarshipSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Check whether the scholarship covers a given month
+ScholarshipSchema.methods.appliesTo = function (year, month) {
+  if (!this.isActive) return false;
+
+  const period = year * 12 + month;
+  if (period < this.startYear * 12 + this.startMonth) return false;
+  if (this.endYear && this.endMonth && period > this.endYear * 12 + this.endMonth) return false;
+
+  return true;
+};
+
+// Index for better query performance
+ScholarshipSchema.index({ studentId: 1, isActive: 1 });
+
+module.exports = mongoose.model('Scholarship', ScholarshipSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Fingerprint of an uploaded bank slip, used to spot the same slip being submitted twice
+const SlipFingerprintSchema = new mongoose.Schema({
+  // Record the slip was attached to
+  sourceType: {
+    type: String,
+    enum: ['Payment', 'Order'],
+    required: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'sourceType'
+  },
+
+  // Uploader
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  },
+
+  // Amount of the payment/order, to narrow down image hash comparisons
+  amount: {
+    type: Number
+  },
+
+  url: {
+    type: String,
+    trim: true
+  },
+  publicId: {
+    type: String,
+    trim: true
+  },
+
+  // Cloudinary etag (MD5 of the file contents)
+  contentHash: {
+    type: String
+  },
+
+  // Cloudinary perceptual hash (64-bit, hex) for images
+  phash: {
+    type: String
+  },
+
+  // Bank reference typed in by an admin (normalised: upper case, no spaces)
+  bankReference: {
+    type: String
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+SlipFingerprintSchema.index({ sourceType: 1, sourceId: 1 });
+SlipFingerprintSchema.index({ contentHash: 1 });
+SlipFingerprintSchema.index({ bankReference: 1 });
+SlipFingerprintSchema.index({ createdAt: -1 });
+SlipFingerprintSchema.index({ studentId: 1, createdAt: -1 });
+SlipFingerprintSchema.index({ userId: 1, createdAt: -1 });
+SlipFingerprintSchema.index({ amount: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SlipFingerprint', SlipFingerprintSchema);
@@ -84,6 +84,19 @@ const StudentSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  guardianEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^$|\S+@\S+\.\S+/, 'is invalid']
+  },
+
+  // Students sharing a sibling group are brothers/sisters (used for sibling discounts)
+  siblingGroup: {
+    type: String,
+    trim: true,
+    default: null
+  },
 
   // Academic Information
   selectedGrade: {
@@ -130,6 +143,31 @@ const StudentSchema = new mongoose.Schema({
       message: 'Duplicate free classes not allowed'
     }
   },
+  // Admin overrides of fee arrears gating, per class
+  feeAccessOverrides: [{
+    classId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Class',
+      required: true
+    },
+    // No expiry = until removed
+    expiresAt: {
+      type: Date
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   paymentStatus: {
     type: String,
     enum: ['admissioned', 'Paid', 'Unpaid'],
@@ -149,6 +187,12 @@ const StudentSchema = new mongoose.Schema({
     minlength: 6
   },
 
+  // Secret for the personal calendar (iCal) feed URL - regenerate to revoke old links
+  calendarToken: {
+    type: String,
+    select: false
+  },
+
   // Registration Status
   status: {
     type: String,
@@ -296,5 +340,7 @@ StudentSchema.index({ email: 1 });
 StudentSchema.index({ userId: 1 });
 StudentSchema.index({ status: 1 });
 StudentSchema.index({ selectedGrade: 1 });
+StudentSchema.index({ siblingGroup: 1 });
+StudentSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
 
 module.exports = mongoose.model('Student', StudentSchema);
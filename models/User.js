@@ -25,6 +25,11 @@ const UserSchema = new mongoose.Schema({
     enum: ['user', 'admin', 'student', 'Teacher', 'moderator'],
     default: 'user'
   },
+  // Extra permission roles on top of the default role for the account role
+  roles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  }],
   studentPassword: {
     type: String,
     minlength: 6
@@ -4,12 +4,16 @@ const { check } = require('express-validator');
 
 // Import middlewares
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 // Import controllers
 const {
   getAllPaymentRequests,
   updatePaymentRequestStatus,
-  deletePaymentRequest
+  deletePaymentRequest,
+  refundPayment,
+  getStudentCredits,
+  issueStudentCredit
 } = require('../controllers/paymentController');
 
 // Validation rules
@@ -21,19 +25,54 @@ const statusUpdateValidation = [
     .isLength({ max: 500 })
 ];
 
+const refundValidation = [
+  check('amount', 'Amount is required and must be greater than 0')
+    .isFloat({ gt: 0 }),
+  check('type', 'Type must be Refund or Credit')
+    .isIn(['Refund', 'Credit']),
+  check('reasonType', 'Reason type must be Overpayment, ClassCancelled, Dropout or Other')
+    .isIn(['Overpayment', 'ClassCancelled', 'Dropout', 'Other']),
+  check('reason', 'Reason cannot exceed 500 characters')
+    .optional()
+    .isLength({ max: 500 })
+];
+
+const creditValidation = [
+  check('amount', 'Amount is required and must be greater than 0')
+    .isFloat({ gt: 0 }),
+  check('note', 'Note is required and cannot exceed 500 characters')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+];
+
 // @route   GET /api/admin/all-payment-requests
 // @desc    Get all payment requests across all classes for admin dashboard
 // @access  Private (Admin/Moderator)
-router.get('/all-payment-requests', adminAuth, getAllPaymentRequests);
+router.get('/all-payment-requests', [adminAuth, requirePermission('payments.view')], getAllPaymentRequests);
 
 // @route   PUT /api/admin/payment-requests/:paymentId/status
 // @desc    Update payment request status (for all payment requests page)
 // @access  Private (Admin/Moderator)
-router.put('/payment-requests/:paymentId/status', [adminAuth, ...statusUpdateValidation], updatePaymentRequestStatus);
+router.put('/payment-requests/:paymentId/status', [adminAuth, requirePermission('payments.approve'), ...statusUpdateValidation], updatePaymentRequestStatus);
 
 // @route   DELETE /api/admin/payment-requests/:paymentId
 // @desc    Delete payment request
 // @access  Private (Admin/Moderator)
-router.delete('/payment-requests/:paymentId', adminAuth, deletePaymentRequest);
+router.delete('/payment-requests/:paymentId', [adminAuth, requirePermission('payments.approve')], deletePaymentRequest);
+
+// @route   POST /api/admin/payment-requests/:paymentId/refund
+// @desc    Refund an approved payment or convert it to credit
+// @access  Private (Admin/Moderator)
+router.post('/payment-requests/:paymentId/refund', [adminAuth, requirePermission('payments.refund'), ...refundValidation], refundPayment);
+
+// @route   GET /api/admin/credits/:studentId
+// @desc    Get a student's credit balance and history
+// @access  Private (Admin/Moderator)
+router.get('/credits/:studentId', [adminAuth, requirePermission('payments.view')], getStudentCredits);
+
+// @route   POST /api/admin/credits/:studentId
+// @desc    Give a student credit
+// @access  Private (Admin/Moderator)
+router.post('/credits/:studentId', [adminAuth, requirePermission('payments.refund'), ...creditValidation], issueStudentCredit);
 
 module.exports = router;
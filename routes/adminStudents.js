@@ -4,6 +4,7 @@ const { check } = require('express-validator');
 
 // Import middlewares
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 // Import controllers
 const {
@@ -23,7 +24,11 @@ const {
   updatePaymentRole,
   updatePaymentStatus,
   updateStudentProfile,
-  accessAsStudent
+  accessAsStudent,
+  getStudentStatement,
+  getStudentFeeAccess,
+  grantFeeAccessOverride,
+  removeFeeAccessOverride
 } = require('../controllers/adminStudentController');
 
 // Validation rules for admin actions
@@ -57,88 +62,120 @@ const statusChangeValidation = [
 ];
 
 // @route   POST /api/admin/students/access-as-student
-// @desc    Admin access as student for admin view functionality
+// @desc    Admin access as student for admin view functionality (read-only unless allowWrites is true)
 // @access  Private (Admin/Moderator)
 router.post('/access-as-student', [
   adminAuth,
+  requirePermission('students.impersonate'),
   check('studentId', 'Student ID is required').not().isEmpty(),
-  check('targetClassId', 'Target class ID is required').not().isEmpty()
+  check('targetClassId', 'Target class ID is required').not().isEmpty(),
+  check('allowWrites', 'allowWrites must be true or false').optional().isBoolean({ strict: true }),
+  check('reason', 'Reason cannot exceed 300 characters').optional().trim().isLength({ max: 300 })
 ], accessAsStudent);
 
 // @route   GET /api/admin/students/available-classes
 // @desc    Get available classes for assignment
 // @access  Private (Admin/Moderator)
-router.get('/available-classes', adminAuth, getAvailableClassesForAssignment);
+router.get('/available-classes', [adminAuth, requirePermission('students.view')], getAvailableClassesForAssignment);
 
 // @route   GET /api/admin/students/available-grades
 // @desc    Get available grades for filtering
 // @access  Private (Admin/Moderator)
-router.get('/available-grades', adminAuth, getAvailableGrades);
+router.get('/available-grades', [adminAuth, requirePermission('students.view')], getAvailableGrades);
 
 // @route   PUT /api/admin/students/approve-all
 // @desc    Approve all pending registrations
 // @access  Private (Admin/Moderator)
-router.put('/approve-all', [adminAuth, ...adminActionValidation], approveAllPending);
+router.put('/approve-all', [adminAuth, requirePermission('students.manage'), ...adminActionValidation], approveAllPending);
 
 // @route   GET /api/admin/students
 // @desc    Get all student registrations
 // @access  Private (Admin/Moderator)
-router.get('/', adminAuth, getStudentRegistrations);
+router.get('/', [adminAuth, requirePermission('students.view')], getStudentRegistrations);
 
 // @route   GET /api/admin/students/stats
 // @desc    Get student registration statistics
 // @access  Private (Admin/Moderator)
-router.get('/stats', adminAuth, getStudentStats);
+router.get('/stats', [adminAuth, requirePermission('students.view')], getStudentStats);
 
 // @route   GET /api/admin/students/:studentId
 // @desc    Get student details by ID
 // @access  Private (Admin/Moderator)
-router.get('/:studentId', adminAuth, getStudentById);
+router.get('/:studentId', [adminAuth, requirePermission('students.view')], getStudentById);
 
 // @route   GET /api/admin/students/:studentId/profile
 // @desc    Get complete student profile with user details
 // @access  Private (Admin/Moderator)
-router.get('/:studentId/profile', adminAuth, getStudentById);
+router.get('/:studentId/profile', [adminAuth, requirePermission('students.view')], getStudentById);
+
+// @route   GET /api/admin/students/:studentId/statement
+// @desc    Get student financial statement (JSON or PDF)
+// @access  Private (Admin/Moderator)
+router.get('/:studentId/statement', [adminAuth, requirePermission('payments.view')], getStudentStatement);
+
+// @route   GET /api/admin/students/:studentId/fee-access
+// @desc    Get a student's fee access (arrears gating and overrides) for each enrolled class
+// @access  Private (Admin/Moderator)
+router.get('/:studentId/fee-access', [adminAuth, requirePermission('payments.view')], getStudentFeeAccess);
+
+// @route   PUT /api/admin/students/:studentId/fee-access/:classId
+// @desc    Grant a student access to a class's content despite unpaid fees
+// @access  Private (Admin/Moderator)
+router.put(
+  '/:studentId/fee-access/:classId',
+  [
+    adminAuth,
+    requirePermission('fees.manage'),
+    check('expiresAt', 'Expiry must be a valid date').optional({ nullable: true }).isISO8601(),
+    check('reason', 'Reason cannot exceed 500 characters').optional().isLength({ max: 500 })
+  ],
+  grantFeeAccessOverride
+);
+
+// @route   DELETE /api/admin/students/:studentId/fee-access/:classId
+// @desc    Remove a student's fee access override for a class
+// @access  Private (Admin/Moderator)
+router.delete('/:studentId/fee-access/:classId', [adminAuth, requirePermission('fees.manage')], removeFeeAccessOverride);
 
 // @route   PUT /api/admin/students/:studentId/update
 // @desc    Update student profile
 // @access  Private (Admin/Moderator)
-router.put('/:studentId/update', adminAuth, updateStudentProfile);
+router.put('/:studentId/update', [adminAuth, requirePermission('students.manage')], updateStudentProfile);
 
 // @route   PUT /api/admin/students/:studentId/approve
 // @desc    Approve student registration
 // @access  Private (Admin/Moderator)
-router.put('/:studentId/approve', [adminAuth, ...adminActionValidationOptional], approveStudentRegistration);
+router.put('/:studentId/approve', [adminAuth, requirePermission('students.manage'), ...adminActionValidationOptional], approveStudentRegistration);
 
 // @route   PUT /api/admin/students/:studentId/reject
 // @desc    Reject student registration
 // @access  Private (Admin/Moderator)
-router.put('/:studentId/reject', [adminAuth, ...adminActionValidationOptional], rejectStudentRegistration);
+router.put('/:studentId/reject', [adminAuth, requirePermission('students.manage'), ...adminActionValidationOptional], rejectStudentRegistration);
 
 // @route   PUT /api/admin/students/:studentId/change-status
 // @desc    Change student status (approved to pending, etc.)
 // @access  Private (Admin/Moderator)
-router.put('/:studentId/change-status', [adminAuth, ...statusChangeValidation], changeStudentStatus);
+router.put('/:studentId/change-status', [adminAuth, requirePermission('students.manage'), ...statusChangeValidation], changeStudentStatus);
 
 // @route   DELETE /api/admin/students/:studentId
 // @desc    Delete student registration
 // @access  Private (Admin/Moderator)
-router.delete('/:studentId', adminAuth, deleteStudentRegistration);
+router.delete('/:studentId', [adminAuth, requirePermission('students.delete')], deleteStudentRegistration);
 
 // @route   DELETE /api/admin/students/:studentId/classes/:classId
 // @desc    Remove student from class
 // @access  Private (Admin/Moderator)
-router.delete('/:studentId/classes/:classId', adminAuth, removeStudentFromClass);
+router.delete('/:studentId/classes/:classId', [adminAuth, requirePermission('students.manage')], removeStudentFromClass);
 
 // @route   PUT /api/admin/students/:studentId/change-class
 // @desc    Change student's class
 // @access  Private (Admin/Moderator)
-router.put('/:studentId/change-class', [adminAuth, ...classChangeValidation], changeStudentClass);
+router.put('/:studentId/change-class', [adminAuth, requirePermission('students.manage'), ...classChangeValidation], changeStudentClass);
 
 // @route   POST /api/admin/students/:studentId/message
 // @desc    Send message to student
 // @access  Private (Admin/Moderator)
-router.post('/:studentId/message', [adminAuth, ...messageValidation], sendMessageToStudent);
+router.post('/:studentId/message', [adminAuth, requirePermission('students.manage'), ...messageValidation], sendMessageToStudent);
 
 // @route   PUT /api/admin/students/:studentId/payment-role
 // @desc    Update student payment role
@@ -147,6 +184,7 @@ router.put(
   '/:studentId/payment-role',
   [
     adminAuth,
+    requirePermission('payments.approve'),
     check('paymentRole', 'Payment role is required').isIn(['Pay Card', 'Free Card']),
     check('adminNote', 'Admin note is required').not().isEmpty()
   ],
@@ -160,6 +198,7 @@ router.put(
   '/:studentId/payment-status',
   [
     adminAuth,
+    requirePermission('payments.approve'),
     check('paymentStatus', 'Payment status is required').isIn(['admissioned', 'Paid', 'Unpaid']),
     check('adminNote', 'Admin note is required').not().isEmpty()
   ],
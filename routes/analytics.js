@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const {
   getProductAnalytics,
   getInventoryStatus
@@ -10,11 +11,11 @@ const {
 // @route   GET /api/analytics/products
 // @desc    Get product sales analytics
 // @access  Private (Admin only)
-router.get('/products', auth, adminAuth, getProductAnalytics);
+router.get('/products', auth, adminAuth, requirePermission('shop.manage'), getProductAnalytics);
 
 // @route   GET /api/analytics/inventory
 // @desc    Get inventory status and analytics
 // @access  Private (Admin only)
-router.get('/inventory', auth, adminAuth, getInventoryStatus);
+router.get('/inventory', auth, adminAuth, requirePermission('shop.manage'), getInventoryStatus);
 
 module.exports = router;
@@ -4,7 +4,10 @@ const { check } = require('express-validator');
 
 // Import middlewares
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const staffAuth = require('../middleware/staffAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { scopeByParam, scopeByBody, scopeByRecord } = require('../middleware/classScope');
+const Announcement = require('../models/Announcement');
 
 // Import controllers
 const {
@@ -55,32 +58,32 @@ const announcementUpdateValidation = [
 
 // @route   POST /api/announcements
 // @desc    Create new announcement
-// @access  Private (Admin/Moderator)
-router.post('/', [adminAuth, ...announcementValidation], createAnnouncement);
+// @access  Private (Admin/Moderator/Teacher)
+router.post('/', [staffAuth, requirePermission('content.manage'), scopeByBody(), ...announcementValidation], createAnnouncement);
 
 // @route   GET /api/announcements/class/:classId
 // @desc    Get all announcements for a class
-// @access  Private (Admin/Moderator/Student)
-router.get('/class/:classId', auth, getClassAnnouncements);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/class/:classId', [auth, scopeByParam()], getClassAnnouncements);
 
 // @route   GET /api/announcements/class/:classId/count
 // @desc    Get announcement count for a class
-// @access  Private (Admin/Moderator/Student)
-router.get('/class/:classId/count', auth, getClassAnnouncementCount);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/class/:classId/count', [auth, scopeByParam()], getClassAnnouncementCount);
 
 // @route   GET /api/announcements/:id
 // @desc    Get announcement by ID
-// @access  Private (Admin/Moderator/Student)
-router.get('/:id', auth, getAnnouncementById);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/:id', [auth, scopeByRecord(Announcement)], getAnnouncementById);
 
 // @route   PUT /api/announcements/:id
 // @desc    Update announcement
-// @access  Private (Admin/Moderator)
-router.put('/:id', [adminAuth, ...announcementUpdateValidation], updateAnnouncement);
+// @access  Private (Admin/Moderator/Teacher)
+router.put('/:id', [staffAuth, requirePermission('content.manage'), scopeByRecord(Announcement), ...announcementUpdateValidation], updateAnnouncement);
 
 // @route   DELETE /api/announcements/:id
 // @desc    Delete announcement
-// @access  Private (Admin/Moderator)
-router.delete('/:id', adminAuth, deleteAnnouncement);
+// @access  Private (Admin/Moderator/Teacher)
+router.delete('/:id', [staffAuth, requirePermission('content.manage'), scopeByRecord(Announcement)], deleteAnnouncement);
 
 module.exports = router;
@@ -4,7 +4,11 @@ const { check } = require('express-validator');
 
 // Import middlewares
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const staffAuth = require('../middleware/staffAuth');
+const requirePermission = require('../middleware/requirePermission');
+const feeAccess = require('../middleware/feeAccess');
+const { scopeByParam, scopeByBody, scopeByRecord, scopeBySubmission } = require('../middleware/classScope');
+const Assignment = require('../models/Assignment');
 
 // Import controllers
 const {
@@ -68,34 +72,36 @@ const gradeValidation = [
 
 // @route   POST /api/assignments
 // @desc    Create new assignment
-// @access  Private (Admin/Moderator)
-router.post('/', [adminAuth, ...assignmentValidation], createAssignment);
+// @access  Private (Admin/Moderator/Teacher)
+router.post('/', [staffAuth, requirePermission('content.manage'), scopeByBody(), ...assignmentValidation], createAssignment);
 
 // @route   GET /api/assignments/class/:classId
 // @desc    Get all assignments for a class
-// @access  Private (Admin/Moderator/Student)
-router.get('/class/:classId', auth, getClassAssignments);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/class/:classId', [auth, scopeByParam(), feeAccess], getClassAssignments);
 
 // @route   GET /api/assignments/:id
 // @desc    Get assignment by ID
-// @access  Private (Admin/Moderator/Student)
-router.get('/:id', auth, getAssignmentById);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/:id', [auth, scopeByRecord(Assignment)], getAssignmentById);
 
 // @route   PUT /api/assignments/:id
 // @desc    Update assignment
-// @access  Private (Admin/Moderator)
-router.put('/:id', [adminAuth, ...assignmentUpdateValidation], updateAssignment);
+// @access  Private (Admin/Moderator/Teacher)
+router.put('/:id', [staffAuth, requirePermission('content.manage'), scopeByRecord(Assignment), ...assignmentUpdateValidation], updateAssignment);
 
 // @route   DELETE /api/assignments/:id
 // @desc    Delete assignment
-// @access  Private (Admin/Moderator)
-router.delete('/:id', adminAuth, deleteAssignment);
+// @access  Private (Admin/Moderator/Teacher)
+router.delete('/:id', [staffAuth, requirePermission('content.manage'), scopeByRecord(Assignment)], deleteAssignment);
 
 // @route   PUT /api/assignments/:id/publish
 // @desc    Publish/Unpublish assignment
-// @access  Private (Admin/Moderator)
+// @access  Private (Admin/Moderator/Teacher)
 router.put('/:id/publish', [
-  adminAuth,
+  staffAuth,
+  requirePermission('content.publish'),
+  scopeByRecord(Assignment),
   check('isPublished', 'Published status is required').isBoolean()
 ], togglePublishAssignment);
 
@@ -113,17 +119,17 @@ router.put('/:id/submit', [auth, ...submissionValidation], updateSubmission);
 
 // @route   GET /api/assignments/:id/submissions
 // @desc    Get assignment submissions (Admin)
-// @access  Private (Admin/Moderator)
-router.get('/:id/submissions', adminAuth, getAssignmentSubmissions);
+// @access  Private (Admin/Moderator/Teacher)
+router.get('/:id/submissions', [staffAuth, requirePermission('marks.manage'), scopeByRecord(Assignment)], getAssignmentSubmissions);
 
 // @route   PUT /api/assignments/submissions/:submissionId/grade
 // @desc    Grade assignment submission
-// @access  Private (Admin/Moderator)
-router.put('/submissions/:submissionId/grade', [adminAuth, ...gradeValidation], gradeSubmission);
+// @access  Private (Admin/Moderator/Teacher)
+router.put('/submissions/:submissionId/grade', [staffAuth, requirePermission('marks.manage'), scopeBySubmission(), ...gradeValidation], gradeSubmission);
 
 // @route   GET /api/assignments/submissions/:submissionId
 // @desc    Get submission by ID
-// @access  Private (Admin/Moderator/Student)
-router.get('/submissions/:submissionId', auth, getSubmissionById);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/submissions/:submissionId', [auth, scopeBySubmission()], getSubmissionById);
 
 module.exports = router;
@@ -5,6 +5,10 @@ const { check } = require('express-validator');
 // Import middlewares
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const staffAuth = require('../middleware/staffAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { scopeByParam, scopeByBody, scopeByRecord } = require('../middleware/classScope');
+const Attendance = require('../models/Attendance');
 
 // Import controllers
 const {
@@ -15,8 +19,31 @@ const {
   updateAttendanceByMonitor,
   deleteAttendanceSheet,
   getAttendanceAnalytics,
-  getStudentAttendanceStats
+  getStudentAttendanceStats,
+  issueCheckInToken,
+  closeCheckIn,
+  selfCheckIn,
+  getCheckInSummary,
+  generateScheduledAttendanceSheets,
+  exportAttendanceRegister
 } = require('../controllers/attendanceController');
+const {
+  submitAbsenceNote,
+  getMyAbsenceNotes,
+  getAbsenceNotes,
+  reviewAbsenceNote
+} = require('../controllers/absenceNoteController');
+const {
+  runChronicAbsenceDetection,
+  getAtRiskStudents,
+  updateAtRiskStudent,
+  getAlertSettings,
+  updateAlertSettings
+} = require('../controllers/attendanceAlertController');
+
+// Statuses an admin can set, and the subset monitors can set
+const ATTENDANCE_STATUSES = ['Present', 'Absent', 'Late', 'Excused', 'Medical'];
+const MONITOR_STATUSES = ['Present', 'Absent', 'Late'];
 
 // Validation rules for attendance creation
 const attendanceValidation = [
@@ -66,9 +93,15 @@ const attendanceUpdateValidation = [
   check('studentAttendance.*.studentId', 'Student ID is required and must be valid')
     .optional()
     .isMongoId(),
-  check('studentAttendance.*.status', 'Status must be Present or Absent')
+  check('studentAttendance.*.status', 'Status must be Present, Absent, Late, Excused or Medical')
+    .optional()
+    .isIn(ATTENDANCE_STATUSES),
+  check('studentAttendance.*.lateMinutes', 'Late minutes must be a non-negative number')
     .optional()
-    .isIn(['Present', 'Absent']),
+    .isInt({ min: 0 }),
+  check('studentAttendance.*.reason', 'Reason cannot exceed 500 characters')
+    .optional()
+    .isLength({ max: 500 }),
   check('notes', 'Notes cannot exceed 500 characters')
     .optional()
     .isLength({ max: 500 })
@@ -81,48 +114,204 @@ const monitorUpdateValidation = [
     .notEmpty(),
   check('studentAttendance.*.studentId', 'Student ID is required and must be valid')
     .isMongoId(),
-  check('studentAttendance.*.status', 'Status must be Present or Absent')
-    .isIn(['Present', 'Absent'])
+  check('studentAttendance.*.status', 'Status must be Present, Absent or Late')
+    .isIn(MONITOR_STATUSES),
+  check('studentAttendance.*.lateMinutes', 'Late minutes must be a non-negative number')
+    .optional()
+    .isInt({ min: 0 })
+];
+
+// Validation rules for absence note submission
+const absenceNoteValidation = [
+  check('requestedStatus', 'Requested status must be Late, Excused or Medical')
+    .isIn(['Late', 'Excused', 'Medical']),
+  check('reason', 'Reason is required and cannot exceed 500 characters')
+    .trim()
+    .isLength({ min: 1, max: 500 }),
+  check('lateMinutes', 'Late minutes must be a non-negative number')
+    .optional()
+    .isInt({ min: 0 }),
+  check('submittedAs', 'Submitted as must be Student or Guardian')
+    .optional()
+    .isIn(['Student', 'Guardian']),
+  check('attachment.url', 'Attachment URL is required')
+    .if(check('attachment').exists())
+    .notEmpty(),
+  check('attachment.type', 'Attachment type must be image or pdf')
+    .optional()
+    .isIn(['image', 'pdf'])
+];
+
+// Validation rules for absence note review
+const absenceNoteReviewValidation = [
+  check('action', 'Action is required and must be Approved or Rejected')
+    .isIn(['Approved', 'Rejected']),
+  check('actionNote', 'Action note cannot exceed 500 characters')
+    .optional()
+    .isLength({ max: 500 })
+];
+
+// Validation rules for issuing a QR check-in token
+const checkInTokenValidation = [
+  check('windowMinutes', 'Check-in window must be between 1 and 180 minutes')
+    .optional()
+    .isInt({ min: 1, max: 180 })
+];
+
+// Validation rules for student self check-in
+const selfCheckInValidation = [
+  check('token', 'Check-in code is required').notEmpty()
+];
+
+// Validation rules for chronic-absence alert settings
+const alertSettingsValidation = [
+  check('enabled', 'Enabled must be a boolean').optional().isBoolean(),
+  check('consecutiveAbsences', 'Consecutive absences must be a number between 1 and 50')
+    .optional()
+    .isInt({ min: 1, max: 50 }),
+  check('monthlyRateThreshold', 'Monthly rate threshold must be between 0 and 100')
+    .optional()
+    .isFloat({ min: 0, max: 100 }),
+  check('minSheetsForRate', 'Minimum sheets must be a number between 1 and 31')
+    .optional()
+    .isInt({ min: 1, max: 31 }),
+  check('emailGuardian', 'Email guardian must be a boolean').optional().isBoolean()
+];
+
+// Validation rules for at-risk record updates
+const atRiskUpdateValidation = [
+  check('status', 'Status must be Acknowledged or Resolved')
+    .isIn(['Acknowledged', 'Resolved']),
+  check('actionNote', 'Action note cannot exceed 500 characters')
+    .optional()
+    .isLength({ max: 500 })
 ];
 
 // @route   POST /api/attendance
 // @desc    Create new attendance sheet
+// @access  Private (Admin/Moderator/Teacher)
+router.post('/', [staffAuth, requirePermission('attendance.manage'), scopeByBody(), ...attendanceValidation], createAttendanceSheet);
+
+// @route   POST /api/attendance/auto-generate
+// @desc    Generate Draft sheets for classes meeting on a day (defaults to today)
 // @access  Private (Admin/Moderator)
-router.post('/', [adminAuth, ...attendanceValidation], createAttendanceSheet);
+router.post('/auto-generate', [
+  adminAuth,
+  requirePermission('attendance.admin'),
+  check('date', 'Date must be a valid date').optional().isISO8601()
+], generateScheduledAttendanceSheets);
 
 // @route   GET /api/attendance/analytics
 // @desc    Get attendance analytics for admin dashboard
 // @access  Private (Admin/Moderator)
-router.get('/analytics', adminAuth, getAttendanceAnalytics);
+router.get('/analytics', [adminAuth, requirePermission('attendance.admin')], getAttendanceAnalytics);
 
 // @route   GET /api/attendance/student-stats/:studentId/:classId
 // @desc    Get student's personal attendance statistics for a specific class and month
-// @access  Private (Student/Admin/Moderator)
-router.get('/student-stats/:studentId/:classId', auth, getStudentAttendanceStats);
+// @access  Private (Student/Admin/Moderator/Teacher)
+router.get('/student-stats/:studentId/:classId', [auth, scopeByParam()], getStudentAttendanceStats);
+
+// @route   POST /api/attendance/check-in
+// @desc    Mark own attendance by scanning the sheet's QR code
+// @access  Private (Student)
+router.post('/check-in', [auth, ...selfCheckInValidation], selfCheckIn);
+
+// @route   GET /api/attendance/at-risk
+// @desc    Get students flagged for chronic absence
+// @access  Private (Admin/Moderator)
+router.get('/at-risk', [adminAuth, requirePermission('attendance.admin')], getAtRiskStudents);
+
+// @route   POST /api/attendance/at-risk/run
+// @desc    Run chronic-absence detection now
+// @access  Private (Admin/Moderator)
+router.post('/at-risk/run', [adminAuth, requirePermission('attendance.admin')], runChronicAbsenceDetection);
+
+// @route   PUT /api/attendance/at-risk/:id
+// @desc    Acknowledge or resolve an at-risk student
+// @access  Private (Admin/Moderator)
+router.put('/at-risk/:id', [adminAuth, requirePermission('attendance.admin'), ...atRiskUpdateValidation], updateAtRiskStudent);
+
+// @route   GET /api/attendance/alert-settings
+// @desc    Get chronic-absence detection settings
+// @access  Private (Admin/Moderator)
+router.get('/alert-settings', [adminAuth, requirePermission('attendance.admin')], getAlertSettings);
+
+// @route   PUT /api/attendance/alert-settings
+// @desc    Update chronic-absence detection settings
+// @access  Private (Admin/Moderator)
+router.put('/alert-settings', [adminAuth, requirePermission('attendance.admin'), ...alertSettingsValidation], updateAlertSettings);
+
+// @route   GET /api/attendance/absence-notes
+// @desc    Get absence notes for review
+// @access  Private (Admin/Moderator)
+router.get('/absence-notes', [adminAuth, requirePermission('attendance.admin')], getAbsenceNotes);
+
+// @route   GET /api/attendance/absence-notes/my
+// @desc    Get logged-in student's absence notes
+// @access  Private (Student)
+router.get('/absence-notes/my', auth, getMyAbsenceNotes);
+
+// @route   PUT /api/attendance/absence-notes/:noteId/review
+// @desc    Approve or reject an absence note
+// @access  Private (Admin/Moderator)
+router.put('/absence-notes/:noteId/review', [adminAuth, requirePermission('attendance.admin'), ...absenceNoteReviewValidation], reviewAbsenceNote);
+
+// @route   GET /api/attendance/register/:classId?month=&year=&format=csv|xlsx|pdf|json
+// @desc    Download the monthly attendance register for a class
+// @access  Private (Admin/Moderator/Teacher)
+router.get('/register/:classId', [
+  staffAuth,
+  requirePermission('attendance.manage'),
+  scopeByParam(),
+  check('classId', 'Invalid class ID format').isMongoId(),
+  check('month', 'Month is required and must be between 1-12').isInt({ min: 1, max: 12 }),
+  check('year', 'Year is required and must be a valid number').isInt({ min: 2020, max: 2050 }),
+  check('format', 'Format must be csv, xlsx, pdf or json').optional().isIn(['csv', 'xlsx', 'pdf', 'json'])
+], exportAttendanceRegister);
 
 // @route   GET /api/attendance/class/:classId
 // @desc    Get attendance sheets for a class
-// @access  Private (Admin/Moderator/Student)
-router.get('/class/:classId', auth, getClassAttendance);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/class/:classId', [auth, scopeByParam()], getClassAttendance);
 
 // @route   GET /api/attendance/:id
 // @desc    Get single attendance sheet
-// @access  Private (Admin/Moderator/Student)
-router.get('/:id', auth, getAttendanceSheet);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/:id', [auth, scopeByRecord(Attendance)], getAttendanceSheet);
 
 // @route   PUT /api/attendance/:id
 // @desc    Update attendance sheet (Admin only)
-// @access  Private (Admin/Moderator)
-router.put('/:id', [adminAuth, ...attendanceUpdateValidation], updateAttendanceSheet);
+// @access  Private (Admin/Moderator/Teacher)
+router.put('/:id', [staffAuth, requirePermission('attendance.manage'), scopeByRecord(Attendance), ...attendanceUpdateValidation], updateAttendanceSheet);
 
 // @route   PUT /api/attendance/:id/monitor-update
 // @desc    Update attendance by monitor
 // @access  Private (Student - Monitor only)
 router.put('/:id/monitor-update', [auth, ...monitorUpdateValidation], updateAttendanceByMonitor);
 
+// @route   POST /api/attendance/:id/absence-notes
+// @desc    Submit a late/excused/medical note against an attendance sheet
+// @access  Private (Student/Guardian)
+router.post('/:id/absence-notes', [auth, ...absenceNoteValidation], submitAbsenceNote);
+
+// @route   POST /api/attendance/:id/check-in-token
+// @desc    Issue a short-lived QR check-in token for an attendance sheet
+// @access  Private (Admin/Moderator/Teacher)
+router.post('/:id/check-in-token', [staffAuth, requirePermission('attendance.manage'), scopeByRecord(Attendance), ...checkInTokenValidation], issueCheckInToken);
+
+// @route   DELETE /api/attendance/:id/check-in-token
+// @desc    Close the QR check-in window early
+// @access  Private (Admin/Moderator/Teacher)
+router.delete('/:id/check-in-token', [staffAuth, requirePermission('attendance.manage'), scopeByRecord(Attendance)], closeCheckIn);
+
+// @route   GET /api/attendance/:id/check-in-summary
+// @desc    Get self check-ins compared with the expected present count
+// @access  Private (Admin/Moderator/Teacher)
+router.get('/:id/check-in-summary', [staffAuth, requirePermission('attendance.manage'), scopeByRecord(Attendance)], getCheckInSummary);
+
 // @route   DELETE /api/attendance/:id
 // @desc    Delete attendance sheet
-// @access  Private (Admin/Moderator)
-router.delete('/:id', adminAuth, deleteAttendanceSheet);
+// @access  Private (Admin/Moderator/Teacher)
+router.delete('/:id', [staffAuth, requirePermission('attendance.manage'), scopeByRecord(Attendance)], deleteAttendanceSheet);
 
 module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middlewares
+const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+
+// Import controllers
+const {
+  getAuditLogs,
+  getAuditLogFilters,
+  exportAuditLogs
+} = require('../controllers/auditLogController');
+
+// @route   GET /api/audit-logs/filters
+// @desc    Get the actions and record types in the log (for filter dropdowns)
+// @access  Private (audit.view)
+router.get('/filters', [adminAuth, requirePermission('audit.view')], getAuditLogFilters);
+
+// @route   GET /api/audit-logs/export
+// @desc    Export entries matching the filters as CSV
+// @access  Private (audit.view)
+router.get('/export', [adminAuth, requirePermission('audit.view')], exportAuditLogs);
+
+// @route   GET /api/audit-logs
+// @desc    Get audit log entries (filters: actor, action, entityType, entityId, from, to, search)
+// @access  Private (audit.view)
+router.get('/', [adminAuth, requirePermission('audit.view')], getAuditLogs);
+
+module.exports = router;
@@ -10,6 +10,11 @@ const {
   register,
   login,
   getMe,
+  refreshToken,
+  logout,
+  logoutAll,
+  getMySessions,
+  revokeMySession,
   firebaseGoogleAuth,
   sendEmailOTP,
   verifyEmailOTP,
@@ -60,6 +65,38 @@ router.post(
 router.get("/me", auth, getMe);
 router.post("/firebase-google", firebaseGoogleAuth);
 
+// Session Routes
+// @route   POST /api/auth/refresh
+// @desc    Swap a refresh token for a new access token and refresh token
+// @access  Public
+router.post(
+  "/refresh",
+  [
+    check("refreshToken", "Refresh token is required").not().isEmpty()
+  ],
+  refreshToken
+);
+
+// @route   POST /api/auth/logout
+// @desc    Log out this device
+// @access  Private
+router.post("/logout", auth, logout);
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out every device
+// @access  Private
+router.post("/logout-all", auth, logoutAll);
+
+// @route   GET /api/auth/sessions
+// @desc    Get the devices the user is logged in on
+// @access  Private
+router.get("/sessions", auth, getMySessions);
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Log out one device
+// @access  Private
+router.delete("/sessions/:sessionId", auth, revokeMySession);
+
 // Password Reset Routes (Public - no auth required)
 // @route   POST /api/auth/forgot-password
 // @desc    Send password reset OTP to email
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middlewares
+const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+
+// Import controllers
+const {
+  getStudentCalendar,
+  getClassCalendar,
+  getVenueCalendar,
+  getCalendarFeeds
+} = require('../controllers/timetableController');
+
+// @route   GET /api/calendar/feeds
+// @desc    Get calendar feed URLs for every class and venue
+// @access  Private (Admin/Moderator)
+router.get('/feeds', [adminAuth, requirePermission('classes.view')], getCalendarFeeds);
+
+// Calendar apps cannot send auth headers, so the feeds below are secured by the link itself
+
+// @route   GET /api/calendar/student/:token.ics
+// @desc    Student timetable feed
+// @access  Public (secret link)
+router.get('/student/:token.ics', getStudentCalendar);
+
+// @route   GET /api/calendar/class/:classId.ics
+// @desc    Class schedule feed (?token= signed link)
+// @access  Public (signed link)
+router.get('/class/:classId.ics', getClassCalendar);
+
+// @route   GET /api/calendar/venue/:venue.ics
+// @desc    Venue schedule feed (?token= signed link)
+// @access  Public (signed link)
+router.get('/venue/:venue.ics', getVenueCalendar);
+
+module.exports = router;
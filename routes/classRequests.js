@@ -5,6 +5,7 @@ const { check } = require('express-validator');
 // Import middlewares
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 // Import controllers
 const {
@@ -17,7 +18,13 @@ const {
   changeClassRequestStatus,
   approveAllPendingRequests,
   deleteClassRequest,
-  adminDeleteClassRequest
+  adminDeleteClassRequest,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  getClassWaitlist,
+  reorderClassWaitlist,
+  moveToWaitlist,
+  processWaitlists
 } = require('../controllers/classRequestController');
 
 // Validation rules
@@ -58,32 +65,67 @@ router.get('/my-requests', auth, getStudentClassRequests);
 // @route   GET /api/class-requests/pending-count
 // @desc    Get count of pending class requests
 // @access  Private (Admin/Moderator)
-router.get('/pending-count', adminAuth, getPendingClassRequestsCount);
+router.get('/pending-count', [adminAuth, requirePermission('classes.enrol')], getPendingClassRequestsCount);
 
 // @route   GET /api/class-requests
 // @desc    Get all class requests (Admin)
 // @access  Private (Admin/Moderator)
-router.get('/', adminAuth, getAllClassRequests);
+router.get('/', [adminAuth, requirePermission('classes.enrol')], getAllClassRequests);
+
+// @route   POST /api/class-requests/waitlist/process
+// @desc    Expire unanswered seat offers and offer free seats to waitlisted students
+// @access  Private (Admin/Moderator)
+router.post('/waitlist/process', [adminAuth, requirePermission('classes.enrol')], processWaitlists);
+
+// @route   GET /api/class-requests/waitlist/:classId
+// @desc    Get a class waitlist and its open seat offers
+// @access  Private (Admin/Moderator)
+router.get('/waitlist/:classId', [adminAuth, requirePermission('classes.enrol')], getClassWaitlist);
+
+// @route   PUT /api/class-requests/waitlist/:classId/reorder
+// @desc    Reorder a class waitlist
+// @access  Private (Admin/Moderator)
+router.put('/waitlist/:classId/reorder', [
+  adminAuth,
+  requirePermission('classes.enrol'),
+  check('requestIds', 'Request IDs array is required').isArray({ min: 1 }),
+  check('requestIds.*', 'Each request ID must be a valid MongoDB ObjectId').isMongoId()
+], reorderClassWaitlist);
 
 // @route   PUT /api/class-requests/approve-all
 // @desc    Approve all pending class requests
 // @access  Private (Admin/Moderator)
-router.put('/approve-all', [adminAuth, ...adminActionValidation], approveAllPendingRequests);
+router.put('/approve-all', [adminAuth, requirePermission('classes.enrol'), ...adminActionValidation], approveAllPendingRequests);
 
 // @route   PUT /api/class-requests/:requestId/approve
 // @desc    Approve class request
 // @access  Private (Admin/Moderator)
-router.put('/:requestId/approve', [adminAuth, ...adminActionValidation], approveClassRequest);
+router.put('/:requestId/approve', [adminAuth, requirePermission('classes.enrol'), ...adminActionValidation], approveClassRequest);
 
 // @route   PUT /api/class-requests/:requestId/reject
 // @desc    Reject class request
 // @access  Private (Admin/Moderator)
-router.put('/:requestId/reject', [adminAuth, ...adminActionValidation], rejectClassRequest);
+router.put('/:requestId/reject', [adminAuth, requirePermission('classes.enrol'), ...adminActionValidation], rejectClassRequest);
 
 // @route   PUT /api/class-requests/:requestId/change-status
 // @desc    Change class request status
 // @access  Private (Admin/Moderator)
-router.put('/:requestId/change-status', [adminAuth, ...statusChangeValidation], changeClassRequestStatus);
+router.put('/:requestId/change-status', [adminAuth, requirePermission('classes.enrol'), ...statusChangeValidation], changeClassRequestStatus);
+
+// @route   PUT /api/class-requests/:requestId/waitlist
+// @desc    Move a pending request onto the class waitlist
+// @access  Private (Admin/Moderator)
+router.put('/:requestId/waitlist', [adminAuth, requirePermission('classes.enrol')], moveToWaitlist);
+
+// @route   PUT /api/class-requests/:requestId/accept-offer
+// @desc    Accept a waitlist seat offer
+// @access  Private (Student)
+router.put('/:requestId/accept-offer', auth, acceptWaitlistOffer);
+
+// @route   PUT /api/class-requests/:requestId/decline-offer
+// @desc    Decline a waitlist seat offer
+// @access  Private (Student)
+router.put('/:requestId/decline-offer', auth, declineWaitlistOffer);
 
 // @route   DELETE /api/class-requests/:requestId
 // @desc    Delete class request (Student can delete their own pending requests)
@@ -93,6 +135,6 @@ router.delete('/:requestId', auth, deleteClassRequest);
 // @route   DELETE /api/class-requests/admin/:requestId
 // @desc    Delete class request (Admin can delete any request)
 // @access  Private (Admin/Moderator)
-router.delete('/admin/:requestId', adminAuth, adminDeleteClassRequest);
+router.delete('/admin/:requestId', [adminAuth, requirePermission('classes.enrol')], adminDeleteClassRequest);
 
 module.exports = router;
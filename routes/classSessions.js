@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+
+// Import middlewares
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { scopeByParam } = require('../middleware/classScope');
+
+// Import controllers
+const {
+  getSessions,
+  getClassSessions,
+  getMySessions,
+  getSessionById,
+  createExtraSession,
+  cancelSession,
+  restoreSession,
+  rescheduleSession,
+  changeSessionVenue,
+  deleteExtraSession,
+  generateUpcomingSessions
+} = require('../controllers/classSessionController');
+
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Validation rules
+const extraSessionValidation = [
+  check('classId', 'Valid class ID is required').isMongoId(),
+  check('date', 'A valid date is required').isISO8601(),
+  check('startTime', 'Start time must be in HH:MM format').matches(TIME_REGEX),
+  check('endTime', 'End time must be in HH:MM format').matches(TIME_REGEX),
+  check('venue', 'Venue cannot exceed 200 characters').optional().trim().isLength({ max: 200 }),
+  check('title', 'Title cannot exceed 200 characters').optional().trim().isLength({ max: 200 }),
+  check('note', 'Note cannot exceed 500 characters').optional().isLength({ max: 500 })
+];
+
+const reasonValidation = [
+  check('reason', 'Reason cannot exceed 500 characters').optional().isLength({ max: 500 })
+];
+
+const rescheduleValidation = [
+  check('date', 'A valid date is required').isISO8601(),
+  check('startTime', 'Start time must be in HH:MM format').matches(TIME_REGEX),
+  check('endTime', 'End time must be in HH:MM format').matches(TIME_REGEX),
+  check('venue', 'Venue cannot exceed 200 characters').optional().trim().isLength({ max: 200 }),
+  ...reasonValidation
+];
+
+const venueValidation = [
+  check('venue', 'Venue is required and cannot exceed 200 characters').trim().isLength({ min: 1, max: 200 }),
+  ...reasonValidation
+];
+
+// @route   GET /api/class-sessions/my
+// @desc    Get the logged in student's session calendar
+// @access  Private (Student)
+router.get('/my', auth, getMySessions);
+
+// @route   GET /api/class-sessions/class/:classId
+// @desc    Get the sessions of a class
+// @access  Private (Admin/Moderator, assigned teachers, enrolled students)
+router.get('/class/:classId', [auth, scopeByParam()], getClassSessions);
+
+// @route   POST /api/class-sessions/generate
+// @desc    Generate timetable sessions for the coming weeks
+// @access  Private (Admin/Moderator)
+router.post('/generate', [adminAuth, requirePermission('classes.schedule')], generateUpcomingSessions);
+
+// @route   GET /api/class-sessions
+// @desc    Get the session calendar for all classes
+// @access  Private (Admin/Moderator)
+router.get('/', [adminAuth, requirePermission('classes.view')], getSessions);
+
+// @route   POST /api/class-sessions
+// @desc    Add an extra session to a class
+// @access  Private (Admin/Moderator)
+router.post('/', [adminAuth, requirePermission('classes.schedule'), ...extraSessionValidation], createExtraSession);
+
+// @route   GET /api/class-sessions/:id
+// @desc    Get a session with its attendance sheet and online sessions
+// @access  Private (Admin/Moderator)
+router.get('/:id', [adminAuth, requirePermission('classes.view')], getSessionById);
+
+// @route   PUT /api/class-sessions/:id/cancel
+// @desc    Cancel a session
+// @access  Private (Admin/Moderator)
+router.put('/:id/cancel', [adminAuth, requirePermission('classes.schedule'), ...reasonValidation], cancelSession);
+
+// @route   PUT /api/class-sessions/:id/restore
+// @desc    Undo a session cancellation
+// @access  Private (Admin/Moderator)
+router.put('/:id/restore', [adminAuth, requirePermission('classes.schedule')], restoreSession);
+
+// @route   PUT /api/class-sessions/:id/reschedule
+// @desc    Move a session to another day/time
+// @access  Private (Admin/Moderator)
+router.put('/:id/reschedule', [adminAuth, requirePermission('classes.schedule'), ...rescheduleValidation], rescheduleSession);
+
+// @route   PUT /api/class-sessions/:id/venue
+// @desc    Hold a session at a substitute venue
+// @access  Private (Admin/Moderator)
+router.put('/:id/venue', [adminAuth, requirePermission('classes.schedule'), ...venueValidation], changeSessionVenue);
+
+// @route   DELETE /api/class-sessions/:id
+// @desc    Delete an extra session
+// @access  Private (Admin/Moderator)
+router.delete('/:id', [adminAuth, requirePermission('classes.schedule')], deleteExtraSession);
+
+module.exports = router;
@@ -5,6 +5,9 @@ const { check } = require('express-validator');
 // Import middlewares
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const staffAuth = require('../middleware/staffAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { scopeByParam } = require('../middleware/classScope');
 
 // Import controllers
 const {
@@ -25,7 +28,14 @@ const {
   confirmMonitors,
   getNormalClasses,
   getPublicClasses,
-  bulkEnrollStudents
+  bulkEnrollStudents,
+  updateAutoAttendanceSettings,
+  updateFeeGatingSettings,
+  getTeachingClasses,
+  setClassTeachers,
+  checkClassConflicts,
+  getVenueUtilisation,
+  cloneClass
 } = require('../controllers/classController');
 
 // Validation rules for class creation/update
@@ -79,12 +89,12 @@ const classValidation = [
 // @route   GET /api/classes
 // @desc    Get all classes with optional filtering
 // @access  Private (Admin/Moderator)
-router.get('/', adminAuth, getAllClasses);
+router.get('/', [adminAuth, requirePermission('classes.view')], getAllClasses);
 
 // @route   GET /api/classes/normal-classes
 // @desc    Get all normal category classes for filtering
 // @access  Private (Admin/Moderator)
-router.get('/normal-classes', adminAuth, getNormalClasses);
+router.get('/normal-classes', [adminAuth, requirePermission('classes.view')], getNormalClasses);
 
 // @route   GET /api/classes/public-classes
 // @desc    Get all normal active classes for public viewing
@@ -94,43 +104,103 @@ router.get('/public-classes', getPublicClasses);
 // @route   GET /api/classes/grades
 // @desc    Get available grades for dropdown
 // @access  Private (Admin/Moderator)
-router.get('/grades', adminAuth, getAvailableGrades);
+router.get('/grades', [adminAuth, requirePermission('classes.view')], getAvailableGrades);
 
 // @route   GET /api/classes/venues
 // @desc    Get available venues for dropdown
 // @access  Private (Admin/Moderator)
-router.get('/venues', adminAuth, getAvailableVenues);
+router.get('/venues', [adminAuth, requirePermission('classes.view')], getAvailableVenues);
+
+// @route   GET /api/classes/venues/utilisation
+// @desc    Get free and busy slots per weekday for each venue (?venue=, ?date= week for special classes, ?dayStart=&dayEnd= opening hours)
+// @access  Private (Admin/Moderator)
+router.get('/venues/utilisation', [
+  adminAuth,
+  requirePermission('classes.view'),
+  check('date', 'Date must be a valid date').optional().isISO8601(),
+  check('dayStart', 'Opening time must be in HH:MM format').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  check('dayEnd', 'Closing time must be in HH:MM format').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+], getVenueUtilisation);
+
+// @route   POST /api/classes/check-conflicts
+// @desc    Check a class time for clashes with other active classes (excludeClassId when editing)
+// @access  Private (Admin/Moderator)
+router.post('/check-conflicts', [
+  adminAuth,
+  requirePermission('classes.view'),
+  check('type', 'Type must be Normal or Special').isIn(['Normal', 'Special']),
+  check('date', 'Date is required').not().isEmpty().trim(),
+  check('startTime', 'Start time is required and must be in HH:MM format').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  check('endTime', 'End time is required and must be in HH:MM format').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  check('venue', 'Venue is required').not().isEmpty().trim(),
+  check('platform', 'Platform must be Physical, Online or Hybrid').optional().isIn(['Physical', 'Online', 'Hybrid']),
+  check('teachers', 'Teachers must be a list of user IDs').optional().isArray(),
+  check('teachers.*', 'Invalid teacher ID').optional().isMongoId(),
+  check('excludeClassId', 'Invalid class ID').optional().isMongoId()
+], checkClassConflicts);
 
 // @route   GET /api/classes/clean-and-reset-spots
 // @desc    Clean and reset available spots - Data integrity check
 // @access  Private (Admin/Moderator)
-router.post('/clean-and-reset-spots', adminAuth, cleanAndResetAvailableSpots);
+router.post('/clean-and-reset-spots', [adminAuth, requirePermission('classes.manage')], cleanAndResetAvailableSpots);
+
+// @route   GET /api/classes/teaching
+// @desc    Get the classes the logged-in teacher is assigned to
+// @access  Private (Admin/Moderator/Teacher)
+router.get('/teaching', staffAuth, getTeachingClasses);
 
 // @route   GET /api/classes/:id
 // @desc    Get class by ID
-// @access  Private (Admin/Moderator or Student)
-router.get('/:id', auth, getClassById);
+// @access  Private (Admin/Moderator/Teacher or Student)
+router.get('/:id', [auth, scopeByParam('id')], getClassById);
 
 // @route   POST /api/classes
 // @desc    Create new class
 // @access  Private (Admin/Moderator)
-router.post('/', [adminAuth, ...classValidation], createClass);
+router.post('/', [adminAuth, requirePermission('classes.manage'), ...classValidation], createClass);
 
 // @route   PUT /api/classes/:id
 // @desc    Update class
 // @access  Private (Admin/Moderator)
-router.put('/:id', [adminAuth, ...classValidation], updateClass);
+router.put('/:id', [adminAuth, requirePermission('classes.manage'), ...classValidation], updateClass);
+
+// @route   POST /api/classes/:id/clone
+// @desc    Clone a class (send any class fields to change, and copy flags for materials to bring along)
+// @access  Private (Admin/Moderator)
+router.post('/:id/clone', [
+  adminAuth,
+  requirePermission('classes.manage'),
+  check('type', 'Type must be Normal or Special').optional().isIn(['Normal', 'Special']),
+  check('category', 'Category must be one of: Hall Class, Group Class, Individual Class, Special Class, Other')
+    .optional()
+    .isIn(['Hall Class', 'Group Class', 'Individual Class', 'Special Class', 'Other']),
+  check('platform', 'Platform must be Physical, Online or Hybrid').optional().isIn(['Physical', 'Online', 'Hybrid']),
+  check('grade', 'Grade cannot be empty').optional().not().isEmpty().trim(),
+  check('date', 'Date cannot be empty').optional().not().isEmpty().trim(),
+  check('startTime', 'Start time must be in HH:MM format').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  check('endTime', 'End time must be in HH:MM format').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  check('venue', 'Venue cannot be empty').optional().not().isEmpty().trim(),
+  check('capacity', 'Capacity must be a number between 1 and 500').optional().isInt({ min: 1, max: 500 }),
+  check('specialNote', 'Special note cannot exceed 500 characters').optional().isLength({ max: 500 }),
+  check('isFreeClass', 'isFreeClass must be a boolean').optional().isBoolean(),
+  check('monthlyFee', 'Monthly fee must be a non-negative number').optional().isFloat({ min: 0 }),
+  check('copy', 'Copy options must be an object').optional().isObject(),
+  check(['copy.resources', 'copy.timeSchedules', 'copy.assignments', 'copy.exams', 'copy.announcements'], 'Copy options must be booleans')
+    .optional()
+    .isBoolean()
+], cloneClass);
 
 // @route   DELETE /api/classes/:id
 // @desc    Delete class
 // @access  Private (Admin/Moderator)
-router.delete('/:id', adminAuth, deleteClass);
+router.delete('/:id', [adminAuth, requirePermission('classes.manage')], deleteClass);
 
 // @route   POST /api/classes/:id/enroll
 // @desc    Enroll student in class
 // @access  Private (Admin/Moderator)
 router.post('/:id/enroll', [
   adminAuth,
+  requirePermission('classes.enrol'),
   check('studentId', 'Student ID is required').not().isEmpty()
 ], enrollStudent);
 
@@ -139,6 +209,7 @@ router.post('/:id/enroll', [
 // @access  Private (Admin/Moderator)
 router.post('/:id/remove-student', [
   adminAuth,
+  requirePermission('classes.enrol'),
   check('studentId', 'Student ID is required').not().isEmpty()
 ], removeStudent);
 
@@ -147,6 +218,7 @@ router.post('/:id/remove-student', [
 // @access  Private (Admin/Moderator)
 router.post('/:id/add-monitor', [
   adminAuth,
+  requirePermission('classes.enrol'),
   check('studentId', 'Student ID is required').not().isEmpty()
 ], addMonitor);
 
@@ -155,31 +227,66 @@ router.post('/:id/add-monitor', [
 // @access  Private (Admin/Moderator)
 router.post('/:id/remove-monitor', [
   adminAuth,
+  requirePermission('classes.enrol'),
   check('studentId', 'Student ID is required').not().isEmpty()
 ], removeMonitor);
 
 // @route   GET /api/classes/:id/students
 // @desc    Get enrolled students for a class (with search)
-// @access  Private (Admin/Moderator or Student)
-router.get('/:id/students', auth, getEnrolledStudents);
+// @access  Private (Admin/Moderator/Teacher or Student)
+router.get('/:id/students', [auth, scopeByParam('id')], getEnrolledStudents);
 
 // @route   GET /api/classes/:id/available-students
 // @desc    Get available students for enrollment (not already enrolled in this class)
 // @access  Private (Admin/Moderator)
-router.get('/:id/available-students', adminAuth, getAvailableStudents);
+router.get('/:id/available-students', [adminAuth, requirePermission('classes.enrol')], getAvailableStudents);
 
 // @route   POST /api/classes/:id/confirm-monitors
 // @desc    Confirm monitors - Check if monitor students are currently enrolled in the class
 // @access  Private (Admin/Moderator)
-router.post('/:id/confirm-monitors', adminAuth, confirmMonitors);
+router.post('/:id/confirm-monitors', [adminAuth, requirePermission('classes.enrol')], confirmMonitors);
 
 // @route   POST /api/classes/:id/bulk-enroll
 // @desc    Bulk enroll multiple students in a class
 // @access  Private (Admin/Moderator)
 router.post('/:id/bulk-enroll', [
   adminAuth,
+  requirePermission('classes.enrol'),
   check('studentIds', 'Student IDs array is required').isArray(),
   check('studentIds.*', 'Each student ID must be a valid MongoDB ObjectId').isMongoId()
 ], bulkEnrollStudents);
 
+// @route   PUT /api/classes/:id/auto-attendance
+// @desc    Turn automatic attendance sheet generation on/off and set default monitor permissions
+// @access  Private (Admin/Moderator)
+router.put('/:id/auto-attendance', [
+  adminAuth,
+  requirePermission('classes.manage'),
+  check('enabled', 'Enabled must be a boolean').optional().isBoolean(),
+  check('monitorPermissions.allMonitors', 'All monitors permission must be a boolean').optional().isBoolean(),
+  check('monitorPermissions.adminOnly', 'Admin only permission must be a boolean').optional().isBoolean(),
+  check('monitorPermissions.selectedMonitors', 'Selected monitors must be an array').optional().isArray(),
+  check('monitorPermissions.selectedMonitors.*', 'Each selected monitor must be a valid MongoDB ObjectId').isMongoId()
+], updateAutoAttendanceSettings);
+
+// @route   PUT /api/classes/:id/fee-gating
+// @desc    Turn fee arrears gating on/off and set the grace period (days after the due date)
+// @access  Private (Admin/Moderator)
+router.put('/:id/fee-gating', [
+  adminAuth,
+  requirePermission('fees.manage'),
+  check('enabled', 'Enabled must be a boolean').optional().isBoolean(),
+  check('graceDays', 'Grace period must be between 0 and 180 days').optional().isInt({ min: 0, max: 180 })
+], updateFeeGatingSettings);
+
+// @route   PUT /api/classes/:id/teachers
+// @desc    Set the teachers assigned to a class (replaces the current list)
+// @access  Private (Admin/Moderator)
+router.put('/:id/teachers', [
+  adminAuth,
+  requirePermission('classes.manage'),
+  check('teachers', 'Teachers must be a list of user IDs').isArray(),
+  check('teachers.*', 'Invalid teacher ID').isMongoId()
+], setClassTeachers);
+
 module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { body } = require('express-validator');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const {
   getAllDeliveryCharges,
   getDeliveryChargeByDistrict,
@@ -41,9 +42,9 @@ router.get('/districts', getDistricts);
 router.get('/district/:district', getDeliveryChargeByDistrict);
 
 // Admin Routes
-router.post('/', [adminAuth, ...deliveryChargeValidation], createOrUpdateDeliveryCharge);
-router.put('/:id', [adminAuth, ...updateDeliveryChargeValidation], updateDeliveryCharge);
-router.delete('/:id', adminAuth, deleteDeliveryCharge);
-router.post('/initialize', adminAuth, initializeDeliveryCharges);
+router.post('/', [adminAuth, requirePermission('shop.manage'), ...deliveryChargeValidation], createOrUpdateDeliveryCharge);
+router.put('/:id', [adminAuth, requirePermission('shop.manage'), ...updateDeliveryChargeValidation], updateDeliveryCharge);
+router.delete('/:id', [adminAuth, requirePermission('shop.manage')], deleteDeliveryCharge);
+router.post('/initialize', [adminAuth, requirePermission('shop.manage')], initializeDeliveryCharges);
 
 module.exports = router;
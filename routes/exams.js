@@ -4,7 +4,11 @@ const { check } = require('express-validator');
 
 // Import middlewares
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const staffAuth = require('../middleware/staffAuth');
+const requirePermission = require('../middleware/requirePermission');
+const feeAccess = require('../middleware/feeAccess');
+const { scopeByParam, scopeByBody, scopeByRecord } = require('../middleware/classScope');
+const Exam = require('../models/Exam');
 
 // Import controllers
 const {
@@ -64,47 +68,47 @@ const marksValidation = [
 
 // @route   POST /api/exams
 // @desc    Create new exam
-// @access  Private (Admin/Moderator)
-router.post('/', [adminAuth, ...examValidation], createExam);
+// @access  Private (Admin/Moderator/Teacher)
+router.post('/', [staffAuth, requirePermission('content.manage'), scopeByBody(), ...examValidation], createExam);
 
 // @route   GET /api/exams/class/:classId
 // @desc    Get all exams for a class
-// @access  Private (Admin/Moderator/Student)
-router.get('/class/:classId', auth, getClassExams);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/class/:classId', [auth, scopeByParam(), feeAccess], getClassExams);
 
 // @route   GET /api/exams/:id
 // @desc    Get exam by ID
-// @access  Private (Admin/Moderator/Student)
-router.get('/:id', auth, getExamById);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/:id', [auth, scopeByRecord(Exam)], getExamById);
 
 // @route   PUT /api/exams/:id
 // @desc    Update exam
-// @access  Private (Admin/Moderator)
-router.put('/:id', [adminAuth, ...examUpdateValidation], updateExam);
+// @access  Private (Admin/Moderator/Teacher)
+router.put('/:id', [staffAuth, requirePermission('content.manage'), scopeByRecord(Exam), ...examUpdateValidation], updateExam);
 
 // @route   DELETE /api/exams/:id
 // @desc    Delete exam
-// @access  Private (Admin/Moderator)
-router.delete('/:id', adminAuth, deleteExam);
+// @access  Private (Admin/Moderator/Teacher)
+router.delete('/:id', [staffAuth, requirePermission('content.manage'), scopeByRecord(Exam)], deleteExam);
 
 // @route   POST /api/exams/:id/marks
 // @desc    Assign marks to student for exam
-// @access  Private (Admin/Moderator)
-router.post('/:id/marks', [adminAuth, ...marksValidation], assignMarks);
+// @access  Private (Admin/Moderator/Teacher)
+router.post('/:id/marks', [staffAuth, requirePermission('marks.manage'), scopeByRecord(Exam), ...marksValidation], assignMarks);
 
 // @route   GET /api/exams/:id/marks
 // @desc    Get marks for an exam
-// @access  Private (Admin/Moderator/Student)
-router.get('/:id/marks', auth, getExamMarks);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/:id/marks', [auth, scopeByRecord(Exam)], getExamMarks);
 
 // @route   GET /api/exams/:id/students
 // @desc    Get enrolled students for exam marks assignment
-// @access  Private (Admin/Moderator)
-router.get('/:id/students', adminAuth, getExamStudents);
+// @access  Private (Admin/Moderator/Teacher)
+router.get('/:id/students', [staffAuth, requirePermission('marks.manage'), scopeByRecord(Exam)], getExamStudents);
 
 // @route   PUT /api/exams/:id/publish
 // @desc    Toggle exam publish status
-// @access  Private (Admin/Moderator)
-router.put('/:id/publish', adminAuth, togglePublishExam);
+// @access  Private (Admin/Moderator/Teacher)
+router.put('/:id/publish', [staffAuth, requirePermission('content.publish'), scopeByRecord(Exam)], togglePublishExam);
 
 module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { check } = require('express-validator');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const { createFolder, getAllFolders, getFolderById, updateFolder, deleteFolder, createFile, getFolderFiles, getFileById, updateFile, deleteFile } = require('../controllers/extracurricularController');
 
 const folderValidation = [
@@ -23,15 +24,15 @@ const fileUpdateValidation = [
   check('content').optional().isLength({ max: 5000 }).withMessage('Content must not exceed 5000 characters')
 ];
 
-router.post('/folders', [adminAuth, ...folderValidation], createFolder);
+router.post('/folders', [adminAuth, requirePermission('library.manage'), ...folderValidation], createFolder);
 router.get('/folders', auth, getAllFolders);
 router.get('/folders/:id', auth, getFolderById);
-router.put('/folders/:id', [adminAuth, ...folderValidation], updateFolder);
-router.delete('/folders/:id', adminAuth, deleteFolder);
-router.post('/files', [adminAuth, ...fileValidation], createFile);
+router.put('/folders/:id', [adminAuth, requirePermission('library.manage'), ...folderValidation], updateFolder);
+router.delete('/folders/:id', [adminAuth, requirePermission('library.manage')], deleteFolder);
+router.post('/files', [adminAuth, requirePermission('library.manage'), ...fileValidation], createFile);
 router.get('/folders/:folderId/files', auth, getFolderFiles);
 router.get('/files/:id', auth, getFileById);
-router.put('/files/:id', [adminAuth, ...fileUpdateValidation], updateFile);
-router.delete('/files/:id', adminAuth, deleteFile);
+router.put('/files/:id', [adminAuth, requirePermission('library.manage'), ...fileUpdateValidation], updateFile);
+router.delete('/files/:id', [adminAuth, requirePermission('library.manage')], deleteFile);
 
 module.exports = router;
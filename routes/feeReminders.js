@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+
+// Import middlewares
+const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+
+// Import controllers
+const {
+  runFeeReminders,
+  getReminderSettings,
+  updateReminderSettings,
+  previewReminder,
+  getReminderLogs,
+  getStubMessages
+} = require('../controllers/feeReminderController');
+
+const REMINDER_STAGES = ['beforeDue', 'dueToday', 'overdue'];
+
+// Validation rules
+const settingsValidation = [
+  check('enabled').optional().isBoolean(),
+  check('daysBeforeDue', 'Days before due must be between 0-28')
+    .optional()
+    .isInt({ min: 0, max: 28 }),
+  check('sendOnDueDate').optional().isBoolean(),
+  check('overdue.enabled').optional().isBoolean(),
+  check('overdue.firstAfterDays', 'First overdue reminder must be at least 1 day after the due date')
+    .optional()
+    .isInt({ min: 1 }),
+  check('overdue.repeatEveryDays', 'Repeat interval must be at least 1 day')
+    .optional()
+    .isInt({ min: 1 }),
+  check('overdue.maxReminders', 'Overdue reminders must be between 1-12')
+    .optional()
+    .isInt({ min: 1, max: 12 }),
+  check('recipients.studentEmail').optional().isBoolean(),
+  check('recipients.guardianEmail').optional().isBoolean(),
+  check('recipients.studentWhatsapp').optional().isBoolean(),
+  check('recipients.guardianWhatsapp').optional().isBoolean(),
+  check('templates.*.subject', 'Subject cannot exceed 200 characters')
+    .optional()
+    .isLength({ max: 200 }),
+  check('templates.*.body', 'Message is required and cannot exceed 2000 characters')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 2000 }),
+  check('templates.*.whatsappTemplate', 'WhatsApp template name may only contain lower case letters, numbers and underscores')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9_]{1,512}$/),
+  check('whatsappLanguage', 'WhatsApp language must be a language code such as en or si')
+    .optional()
+    .trim()
+    .matches(/^[a-z]{2,3}(_[A-Z]{2})?$/)
+];
+
+const previewValidation = [
+  check('stage', 'Stage must be beforeDue, dueToday or overdue').isIn(REMINDER_STAGES),
+  check('invoiceId', 'Invalid invoice ID format').optional().isMongoId()
+];
+
+// @route   GET /api/fee-reminders/settings
+// @desc    Get fee reminder settings, templates and channel status
+// @access  Private (Admin/Moderator)
+router.get('/settings', [adminAuth, requirePermission('fees.manage')], getReminderSettings);
+
+// @route   PUT /api/fee-reminders/settings
+// @desc    Update fee reminder settings and templates
+// @access  Private (Admin/Moderator)
+router.put('/settings', [adminAuth, requirePermission('fees.manage'), ...settingsValidation], updateReminderSettings);
+
+// @route   POST /api/fee-reminders/preview
+// @desc    Preview a reminder template with an invoice or sample data
+// @access  Private (Admin/Moderator)
+router.post('/preview', [adminAuth, requirePermission('fees.manage'), ...previewValidation], previewReminder);
+
+// @route   POST /api/fee-reminders/run
+// @desc    Send today's fee reminders now (dryRun: true to only list them)
+// @access  Private (Admin/Moderator)
+router.post('/run', [adminAuth, requirePermission('fees.manage')], runFeeReminders);
+
+// @route   GET /api/fee-reminders/logs
+// @desc    Get the log of fee reminders sent
+// @access  Private (Admin/Moderator)
+router.get('/logs', [adminAuth, requirePermission('fees.manage')], getReminderLogs);
+
+// @route   GET /api/fee-reminders/stub-messages
+// @desc    Get messages captured by the stub messaging transport
+// @access  Private (Admin/Moderator)
+router.get('/stub-messages', [adminAuth, requirePermission('fees.manage')], getStubMessages);
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+
+// Import middlewares
+const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+
+// Import controllers
+const {
+  getFeeRuleSettings,
+  updateFeeRuleSettings,
+  getScholarships,
+  createScholarship,
+  updateScholarship,
+  deleteScholarship,
+  setSiblingGroup,
+  previewFee
+} = require('../controllers/feeRuleController');
+
+// Validation rules
+const settingsValidation = [
+  check('proRating.enabled').optional().isBoolean(),
+  check('proRating.joinedAfterDay', 'Joined-after day must be between 1-31')
+    .optional()
+    .isInt({ min: 1, max: 31 }),
+  check('proRating.feePercentage', 'Pro-rated fee percentage must be between 0-100')
+    .optional()
+    .isFloat({ min: 0, max: 100 }),
+  check('siblingDiscount.enabled').optional().isBoolean(),
+  check('siblingDiscount.percentage', 'Sibling discount must be between 0-100')
+    .optional()
+    .isFloat({ min: 0, max: 100 }),
+  check('attendanceRule.enabled').optional().isBoolean(),
+  check('attendanceRule.minPresentDays', 'Minimum present days must be a positive number')
+    .optional()
+    .isInt({ min: 0 })
+];
+
+const scholarshipPeriodValidation = [
+  check('endYear', 'End year must be a valid number')
+    .optional({ nullable: true })
+    .isInt({ min: 2020, max: 2050 }),
+  check('endMonth', 'End month must be between 1-12')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 12 }),
+  check('note', 'Note cannot exceed 500 characters')
+    .optional()
+    .isLength({ max: 500 })
+];
+
+const scholarshipValidation = [
+  check('studentId', 'Valid student ID is required').isMongoId(),
+  check('classId', 'Invalid class ID format')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId(),
+  check('name', 'Scholarship name is required and cannot exceed 200 characters')
+    .trim()
+    .isLength({ min: 1, max: 200 }),
+  check('discountType', 'Discount type must be Percentage or Fixed')
+    .isIn(['Percentage', 'Fixed']),
+  check('value', 'Value is required and must be a positive number')
+    .isFloat({ min: 0 }),
+  check('startYear', 'Start year is required and must be a valid number')
+    .isInt({ min: 2020, max: 2050 }),
+  check('startMonth', 'Start month is required and must be between 1-12')
+    .isInt({ min: 1, max: 12 }),
+  ...scholarshipPeriodValidation
+];
+
+const scholarshipUpdateValidation = [
+  check('name', 'Scholarship name cannot exceed 200 characters')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 }),
+  check('discountType', 'Discount type must be Percentage or Fixed')
+    .optional()
+    .isIn(['Percentage', 'Fixed']),
+  check('value', 'Value must be a positive number')
+    .optional()
+    .isFloat({ min: 0 }),
+  check('startYear', 'Start year must be a valid number')
+    .optional()
+    .isInt({ min: 2020, max: 2050 }),
+  check('startMonth', 'Start month must be between 1-12')
+    .optional()
+    .isInt({ min: 1, max: 12 }),
+  check('isActive').optional().isBoolean(),
+  ...scholarshipPeriodValidation
+];
+
+const siblingValidation = [
+  check('studentIds', 'Student IDs array is required').isArray({ min: 1 }),
+  check('studentIds.*', 'Invalid student ID format').isMongoId(),
+  check('siblingGroup', 'Sibling group cannot exceed 100 characters')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+];
+
+// @route   GET /api/fee-rules/settings
+// @desc    Get fee rule settings
+// @access  Private (Admin/Moderator)
+router.get('/settings', [adminAuth, requirePermission('fees.manage')], getFeeRuleSettings);
+
+// @route   PUT /api/fee-rules/settings
+// @desc    Update fee rule settings
+// @access  Private (Admin/Moderator)
+router.put('/settings', [adminAuth, requirePermission('fees.manage'), ...settingsValidation], updateFeeRuleSettings);
+
+// @route   GET /api/fee-rules/scholarships
+// @desc    Get scholarships
+// @access  Private (Admin/Moderator)
+router.get('/scholarships', [adminAuth, requirePermission('fees.manage')], getScholarships);
+
+// @route   POST /api/fee-rules/scholarships
+// @desc    Award a scholarship
+// @access  Private (Admin/Moderator)
+router.post('/scholarships', [adminAuth, requirePermission('fees.manage'), ...scholarshipValidation], createScholarship);
+
+// @route   PUT /api/fee-rules/scholarships/:id
+// @desc    Update a scholarship
+// @access  Private (Admin/Moderator)
+router.put('/scholarships/:id', [adminAuth, requirePermission('fees.manage'), ...scholarshipUpdateValidation], updateScholarship);
+
+// @route   DELETE /api/fee-rules/scholarships/:id
+// @desc    Delete a scholarship
+// @access  Private (Admin/Moderator)
+router.delete('/scholarships/:id', [adminAuth, requirePermission('fees.manage')], deleteScholarship);
+
+// @route   PUT /api/fee-rules/siblings
+// @desc    Link students as siblings
+// @access  Private (Admin/Moderator)
+router.put('/siblings', [adminAuth, requirePermission('fees.manage'), ...siblingValidation], setSiblingGroup);
+
+// @route   GET /api/fee-rules/preview/:studentId/:classId/:year/:month
+// @desc    Preview the fee due for a student, class and month
+// @access  Private (Admin/Moderator)
+router.get('/preview/:studentId/:classId/:year/:month', [adminAuth, requirePermission('fees.manage')], previewFee);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { body } = require('express-validator');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 const {
   submitFeedback,
@@ -82,16 +83,16 @@ router.delete('/:id', auth, deleteFeedback);
 // @route   GET /api/feedback/admin/all
 // @desc    Get all feedbacks (Admin only)
 // @access  Private (Admin/Moderator)
-router.get('/admin/all', adminAuth, getAllFeedbacks);
+router.get('/admin/all', [adminAuth, requirePermission('messages.manage')], getAllFeedbacks);
 
 // @route   GET /api/feedback/admin/unreplied-count
 // @desc    Get unreplied feedbacks count (Admin only)
 // @access  Private (Admin/Moderator)
-router.get('/admin/unreplied-count', adminAuth, getUnrepliedFeedbacksCount);
+router.get('/admin/unreplied-count', [adminAuth, requirePermission('messages.manage')], getUnrepliedFeedbacksCount);
 
 // @route   PUT /api/feedback/:id/reply
 // @desc    Reply to feedback (Admin only)
 // @access  Private (Admin/Moderator)
-router.put('/:id/reply', [adminAuth, ...replyValidation], replyToFeedback);
+router.put('/:id/reply', [adminAuth, requirePermission('messages.manage'), ...replyValidation], replyToFeedback);
 
 module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+
+// Import middlewares
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+
+// Import controllers
+const {
+  startTuitionCheckout,
+  startOrderCheckout,
+  handleNotification,
+  completeMockCheckout,
+  getTransactionStatus,
+  getTransactions,
+  expireAbandonedCheckouts
+} = require('../controllers/gatewayController');
+
+// Validation rules
+const tuitionCheckoutValidation = [
+  check('classId', 'Valid class ID is required').isMongoId(),
+  check('year', 'Year is required and must be a valid number')
+    .isInt({ min: 2020, max: 2050 }),
+  check('month', 'Month is required and must be between 1-12')
+    .isInt({ min: 1, max: 12 })
+];
+
+// @route   POST /api/gateway/checkout/tuition
+// @desc    Start an online checkout for a month's tuition fee
+// @access  Private (Student)
+router.post('/checkout/tuition', [auth, ...tuitionCheckoutValidation], startTuitionCheckout);
+
+// @route   POST /api/gateway/checkout/order/:orderId
+// @desc    Start an online checkout for a shop order
+// @access  Private
+router.post('/checkout/order/:orderId', auth, startOrderCheckout);
+
+// @route   POST /api/gateway/notify/:provider
+// @desc    Payment notification from the gateway (server-to-server)
+// @access  Public (signature verified)
+router.post('/notify/:provider', handleNotification);
+
+// @route   POST /api/gateway/mock/complete/:reference
+// @desc    Complete a mock checkout (development only)
+// @access  Private
+router.post('/mock/complete/:reference', auth, completeMockCheckout);
+
+// @route   GET /api/gateway/transactions
+// @desc    Get online payment transactions
+// @access  Private (Admin/Moderator)
+router.get('/transactions', [adminAuth, requirePermission('payments.view')], getTransactions);
+
+// @route   POST /api/gateway/expire-abandoned
+// @desc    Cancel online tuition payments nobody finished paying (also runs hourly)
+// @access  Private (Admin/Moderator)
+router.post('/expire-abandoned', [adminAuth, requirePermission('payments.approve')], expireAbandonedCheckouts);
+
+// @route   GET /api/gateway/transactions/:reference
+// @desc    Get the status of a checkout
+// @access  Private
+router.get('/transactions/:reference', auth, getTransactionStatus);
+
+module.exports = router;
@@ -5,6 +5,7 @@ const { check } = require('express-validator');
 // Import middlewares
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 // Import controllers
 const {
@@ -91,7 +92,7 @@ const fileUpdateValidation = [
 // @route   POST /api/grades/folders
 // @desc    Create new grade folder
 // @access  Private (Admin/Moderator)
-router.post('/folders', [adminAuth, ...folderValidation], createFolder);
+router.post('/folders', [adminAuth, requirePermission('library.manage'), ...folderValidation], createFolder);
 
 // @route   GET /api/grades/folders/:gradeCategory
 // @desc    Get all folders for a grade category
@@ -106,19 +107,19 @@ router.get('/folders/single/:id', auth, getFolderById);
 // @route   PUT /api/grades/folders/:id
 // @desc    Update grade folder
 // @access  Private (Admin/Moderator)
-router.put('/folders/:id', [adminAuth, ...folderValidation.slice(0, 2)], updateFolder);
+router.put('/folders/:id', [adminAuth, requirePermission('library.manage'), ...folderValidation.slice(0, 2)], updateFolder);
 
 // @route   DELETE /api/grades/folders/:id
 // @desc    Delete grade folder
 // @access  Private (Admin/Moderator)
-router.delete('/folders/:id', adminAuth, deleteFolder);
+router.delete('/folders/:id', [adminAuth, requirePermission('library.manage')], deleteFolder);
 
 // File Routes
 
 // @route   POST /api/grades/files
 // @desc    Create new grade file
 // @access  Private (Admin/Moderator)
-router.post('/files', [adminAuth, ...fileValidation], createFile);
+router.post('/files', [adminAuth, requirePermission('library.manage'), ...fileValidation], createFile);
 
 // @route   GET /api/grades/folders/:folderId/files
 // @desc    Get all files in a folder
@@ -133,11 +134,11 @@ router.get('/files/:id', auth, getFileById);
 // @route   PUT /api/grades/files/:id
 // @desc    Update grade file
 // @access  Private (Admin/Moderator)
-router.put('/files/:id', [adminAuth, ...fileUpdateValidation], updateFile);
+router.put('/files/:id', [adminAuth, requirePermission('library.manage'), ...fileUpdateValidation], updateFile);
 
 // @route   DELETE /api/grades/files/:id
 // @desc    Delete grade file
 // @access  Private (Admin/Moderator)
-router.delete('/files/:id', adminAuth, deleteFile);
+router.delete('/files/:id', [adminAuth, requirePermission('library.manage')], deleteFile);
 
 module.exports = router;
@@ -5,6 +5,7 @@ const { check } = require('express-validator');
 // Import middlewares
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 // Import controllers
 const {
@@ -86,7 +87,7 @@ const fileUpdateValidation = [
 // @route   POST /api/grammar/folders
 // @desc    Create new grammar folder
 // @access  Private (Admin/Moderator)
-router.post('/folders', [adminAuth, ...folderValidation], createFolder);
+router.post('/folders', [adminAuth, requirePermission('library.manage'), ...folderValidation], createFolder);
 
 // @route   GET /api/grammar/folders
 // @desc    Get all grammar folders
@@ -101,19 +102,19 @@ router.get('/folders/:id', auth, getFolderById);
 // @route   PUT /api/grammar/folders/:id
 // @desc    Update grammar folder
 // @access  Private (Admin/Moderator)
-router.put('/folders/:id', [adminAuth, ...folderValidation], updateFolder);
+router.put('/folders/:id', [adminAuth, requirePermission('library.manage'), ...folderValidation], updateFolder);
 
 // @route   DELETE /api/grammar/folders/:id
 // @desc    Delete grammar folder
 // @access  Private (Admin/Moderator)
-router.delete('/folders/:id', adminAuth, deleteFolder);
+router.delete('/folders/:id', [adminAuth, requirePermission('library.manage')], deleteFolder);
 
 // File Routes
 
 // @route   POST /api/grammar/files
 // @desc    Create new grammar file
 // @access  Private (Admin/Moderator)
-router.post('/files', [adminAuth, ...fileValidation], createFile);
+router.post('/files', [adminAuth, requirePermission('library.manage'), ...fileValidation], createFile);
 
 // @route   GET /api/grammar/folders/:folderId/files
 // @desc    Get all files in a folder
@@ -128,11 +129,11 @@ router.get('/files/:id', auth, getFileById);
 // @route   PUT /api/grammar/files/:id
 // @desc    Update grammar file
 // @access  Private (Admin/Moderator)
-router.put('/files/:id', [adminAuth, ...fileUpdateValidation], updateFile);
+router.put('/files/:id', [adminAuth, requirePermission('library.manage'), ...fileUpdateValidation], updateFile);
 
 // @route   DELETE /api/grammar/files/:id
 // @desc    Delete grammar file
 // @access  Private (Admin/Moderator)
-router.delete('/files/:id', adminAuth, deleteFile);
+router.delete('/files/:id', [adminAuth, requirePermission('library.manage')], deleteFile);
 
 module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+
+// Import middlewares
+const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+
+// Import controllers
+const {
+  getHolidays,
+  createHoliday,
+  deleteHoliday
+} = require('../controllers/holidayController');
+
+// Validation rules for holiday creation
+const holidayValidation = [
+  check('date', 'A valid date is required').isISO8601(),
+  check('name', 'Name is required and cannot exceed 200 characters')
+    .trim()
+    .isLength({ min: 1, max: 200 }),
+  check('classId', 'Invalid class ID format')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId(),
+  check('reason', 'Reason cannot exceed 500 characters')
+    .optional()
+    .isLength({ max: 500 })
+];
+
+// @route   GET /api/holidays
+// @desc    Get holidays and class cancellations
+// @access  Private (Admin/Moderator)
+router.get('/', [adminAuth, requirePermission('classes.view')], getHolidays);
+
+// @route   POST /api/holidays
+// @desc    Add a holiday (or cancel a single class when classId is given)
+// @access  Private (Admin/Moderator)
+router.post('/', [adminAuth, requirePermission('classes.schedule'), ...holidayValidation], createHoliday);
+
+// @route   DELETE /api/holidays/:id
+// @desc    Delete a holiday or class cancellation
+// @access  Private (Admin/Moderator)
+router.delete('/:id', [adminAuth, requirePermission('classes.schedule')], deleteHoliday);
+
+module.exports = router;
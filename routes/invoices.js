@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+
+// Import middlewares
+const auth = require('../middleware/auth');
+const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+
+// Import controllers
+const {
+  runMonthlyBilling,
+  getMyInvoices,
+  getInvoices,
+  getArrearsSummary,
+  getClassArrears,
+  getStudentArrears,
+  waiveInvoice,
+  unwaiveInvoice
+} = require('../controllers/invoiceController');
+
+// Validation rules
+const billingRunValidation = [
+  check('year', 'Year must be a valid number')
+    .optional()
+    .isInt({ min: 2020, max: 2050 }),
+  check('month', 'Month must be between 1-12')
+    .optional()
+    .isInt({ min: 1, max: 12 }),
+  check('dueDay', 'Due day must be between 1-31')
+    .optional()
+    .isInt({ min: 1, max: 31 })
+];
+
+const waiverValidation = [
+  check('note', 'Waiver note cannot exceed 500 characters')
+    .optional()
+    .isLength({ max: 500 })
+];
+
+// @route   GET /api/invoices/my
+// @desc    Get logged-in student's invoices
+// @access  Private (Student)
+router.get('/my', auth, getMyInvoices);
+
+// @route   POST /api/invoices/billing-run
+// @desc    Create this month's (or a given month's) invoices
+// @access  Private (Admin/Moderator)
+router.post('/billing-run', [adminAuth, requirePermission('fees.manage'), ...billingRunValidation], runMonthlyBilling);
+
+// @route   GET /api/invoices/arrears
+// @desc    Get arrears totals per class
+// @access  Private (Admin/Moderator)
+router.get('/arrears', [adminAuth, requirePermission('payments.view')], getArrearsSummary);
+
+// @route   GET /api/invoices/arrears/class/:classId
+// @desc    Get arrears report for a class
+// @access  Private (Admin/Moderator)
+router.get('/arrears/class/:classId', [adminAuth, requirePermission('payments.view')], getClassArrears);
+
+// @route   GET /api/invoices/arrears/student/:studentId
+// @desc    Get arrears report for a student
+// @access  Private (Admin/Moderator)
+router.get('/arrears/student/:studentId', [adminAuth, requirePermission('payments.view')], getStudentArrears);
+
+// @route   GET /api/invoices
+// @desc    Get invoices with filters
+// @access  Private (Admin/Moderator)
+router.get('/', [adminAuth, requirePermission('payments.view')], getInvoices);
+
+// @route   PUT /api/invoices/:invoiceId/waive
+// @desc    Waive an invoice
+// @access  Private (Admin/Moderator)
+router.put('/:invoiceId/waive', [adminAuth, requirePermission('payments.approve'), ...waiverValidation], waiveInvoice);
+
+// @route   PUT /api/invoices/:invoiceId/unwaive
+// @desc    Reinstate a waived invoice
+// @access  Private (Admin/Moderator)
+router.put('/:invoiceId/unwaive', [adminAuth, requirePermission('payments.approve')], unwaiveInvoice);
+
+module.exports = router;
@@ -5,6 +5,7 @@ const { check } = require('express-validator');
 // Import middlewares
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 // Import controllers
 const {
@@ -86,7 +87,7 @@ const fileUpdateValidation = [
 // @route   POST /api/literature/folders
 // @desc    Create new literature folder
 // @access  Private (Admin/Moderator)
-router.post('/folders', [adminAuth, ...folderValidation], createFolder);
+router.post('/folders', [adminAuth, requirePermission('library.manage'), ...folderValidation], createFolder);
 
 // @route   GET /api/literature/folders
 // @desc    Get all literature folders
@@ -101,19 +102,19 @@ router.get('/folders/:id', auth, getFolderById);
 // @route   PUT /api/literature/folders/:id
 // @desc    Update literature folder
 // @access  Private (Admin/Moderator)
-router.put('/folders/:id', [adminAuth, ...folderValidation], updateFolder);
+router.put('/folders/:id', [adminAuth, requirePermission('library.manage'), ...folderValidation], updateFolder);
 
 // @route   DELETE /api/literature/folders/:id
 // @desc    Delete literature folder
 // @access  Private (Admin/Moderator)
-router.delete('/folders/:id', adminAuth, deleteFolder);
+router.delete('/folders/:id', [adminAuth, requirePermission('library.manage')], deleteFolder);
 
 // File Routes
 
 // @route   POST /api/literature/files
 // @desc    Create new literature file
 // @access  Private (Admin/Moderator)
-router.post('/files', [adminAuth, ...fileValidation], createFile);
+router.post('/files', [adminAuth, requirePermission('library.manage'), ...fileValidation], createFile);
 
 // @route   GET /api/literature/folders/:folderId/files
 // @desc    Get all files in a folder
@@ -128,11 +129,11 @@ router.get('/files/:id', auth, getFileById);
 // @route   PUT /api/literature/files/:id
 // @desc    Update literature file
 // @access  Private (Admin/Moderator)
-router.put('/files/:id', [adminAuth, ...fileUpdateValidation], updateFile);
+router.put('/files/:id', [adminAuth, requirePermission('library.manage'), ...fileUpdateValidation], updateFile);
 
 // @route   DELETE /api/literature/files/:id
 // @desc    Delete literature file
 // @access  Private (Admin/Moderator)
-router.delete('/files/:id', adminAuth, deleteFile);
+router.delete('/files/:id', [adminAuth, requirePermission('library.manage')], deleteFile);
 
 module.exports = router;
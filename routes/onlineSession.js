@@ -8,31 +8,35 @@ const {
   deleteOnlineSession
 } = require('../controllers/onlineSessionController');
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const staffAuth = require('../middleware/staffAuth');
+const requirePermission = require('../middleware/requirePermission');
+const feeAccess = require('../middleware/feeAccess');
+const { scopeByParam, scopeByBody, scopeByRecord } = require('../middleware/classScope');
+const OnlineSession = require('../models/OnlineSession');
 
 // @route   POST /api/online-sessions
 // @desc    Create a new online session
-// @access  Private (Admin/Moderator only)
-router.post('/', adminAuth, createOnlineSession);
+// @access  Private (Admin/Moderator/Teacher)
+router.post('/', [staffAuth, requirePermission('content.manage'), scopeByBody()], createOnlineSession);
 
 // @route   GET /api/online-sessions/class/:classId
 // @desc    Get all online sessions for a class
 // @access  Private
-router.get('/class/:classId', auth, getOnlineSessionsByClass);
+router.get('/class/:classId', [auth, scopeByParam(), feeAccess], getOnlineSessionsByClass);
 
 // @route   GET /api/online-sessions/:id
 // @desc    Get a single online session
 // @access  Private
-router.get('/:id', auth, getOnlineSession);
+router.get('/:id', [auth, scopeByRecord(OnlineSession)], getOnlineSession);
 
 // @route   PUT /api/online-sessions/:id
 // @desc    Update an online session
-// @access  Private (Admin/Moderator only)
-router.put('/:id', adminAuth, updateOnlineSession);
+// @access  Private (Admin/Moderator/Teacher)
+router.put('/:id', [staffAuth, requirePermission('content.manage'), scopeByRecord(OnlineSession)], updateOnlineSession);
 
 // @route   DELETE /api/online-sessions/:id
 // @desc    Delete an online session
-// @access  Private (Admin/Moderator only)
-router.delete('/:id', adminAuth, deleteOnlineSession);
+// @access  Private (Admin/Moderator/Teacher)
+router.delete('/:id', [staffAuth, requirePermission('content.manage'), scopeByRecord(OnlineSession)], deleteOnlineSession);
 
 module.exports = router;
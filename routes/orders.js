@@ -3,12 +3,15 @@ const router = express.Router();
 const { body } = require('express-validator');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { isOwnCloudinaryUrl } = require('../services/slipCheckService');
 const {
   createOrder,
   getUserOrders,
   getOrderById,
   getAllOrders,
-  updateOrderStatus
+  updateOrderStatus,
+  updateOrderSlipDetails
 } = require('../controllers/orderController');
 
 // Validation rules
@@ -17,7 +20,7 @@ const createOrderValidation = [
     .isIn(['pickup', 'delivery'])
     .withMessage('Invalid delivery type'),
   body('paymentMethod')
-    .isIn(['bank_transfer', 'cash_on_pickup'])
+    .isIn(['bank_transfer', 'cash_on_pickup', 'online'])
     .withMessage('Invalid payment method'),
   body('deliveryInfo.recipientName')
     .if(body('deliveryType').equals('delivery'))
@@ -51,6 +54,10 @@ const createOrderValidation = [
     .optional()
     .isURL()
     .withMessage('Invalid receipt URL'),
+  body('paymentReceipts.*.url')
+    .optional()
+    .custom(isOwnCloudinaryUrl)
+    .withMessage('Receipt must be uploaded through the website'),
   body('paymentReceipts.*.publicId')
     .optional()
     .trim()
@@ -83,13 +90,35 @@ const updateOrderStatusValidation = [
     .withMessage('Admin note cannot exceed 1000 characters')
 ];
 
+const slipDetailsValidation = [
+  body('bankReference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Bank reference cannot exceed 100 characters'),
+  body('bankName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Bank name cannot exceed 100 characters'),
+  body('slipAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Slip amount must be a positive number'),
+  body('slipDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Slip date must be a valid date')
+];
+
 // User Routes (require authentication)
 router.post('/', [auth, ...createOrderValidation], createOrder);
 router.get('/my-orders', auth, getUserOrders);
 router.get('/:id', auth, getOrderById);
 
 // Admin Routes
-router.get('/', adminAuth, getAllOrders);
-router.put('/:id/status', [adminAuth, ...updateOrderStatusValidation], updateOrderStatus);
+router.get('/', [adminAuth, requirePermission('shop.manage')], getAllOrders);
+router.put('/:id/status', [adminAuth, requirePermission('shop.manage'), ...updateOrderStatusValidation], updateOrderStatus);
+router.put('/:id/slip-details', [adminAuth, requirePermission('shop.manage'), ...slipDetailsValidation], updateOrderSlipDetails);
 
 module.exports = router;
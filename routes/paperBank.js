@@ -5,6 +5,7 @@ const { check } = require('express-validator');
 // Import middlewares
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 // Import controllers
 const {
@@ -53,16 +54,16 @@ router.get('/:id', auth, getPaperById);
 // @route   POST /api/paperbank
 // @desc    Create new paper
 // @access  Private (Admin/Moderator)
-router.post('/', [adminAuth, ...paperValidation], createPaper);
+router.post('/', [adminAuth, requirePermission('library.manage'), ...paperValidation], createPaper);
 
 // @route   PUT /api/paperbank/:id
 // @desc    Update paper
 // @access  Private (Admin/Moderator)
-router.put('/:id', [adminAuth, ...paperValidation], updatePaper);
+router.put('/:id', [adminAuth, requirePermission('library.manage'), ...paperValidation], updatePaper);
 
 // @route   DELETE /api/paperbank/:id
 // @desc    Delete paper (soft delete)
 // @access  Private (Admin/Moderator)
-router.delete('/:id', adminAuth, deletePaper);
+router.delete('/:id', [adminAuth, requirePermission('library.manage')], deletePaper);
 
 module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { check } = require('express-validator');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const {
   getAllPaperStructures,
   getFilterOptions,
@@ -47,16 +48,16 @@ router.get('/:id', auth, getPaperStructureById);
 // @route   POST /api/paper-structures
 // @desc    Create new paper structure
 // @access  Private (Admin/Moderator)
-router.post('/', [adminAuth, ...paperStructureValidation], createPaperStructure);
+router.post('/', [adminAuth, requirePermission('library.manage'), ...paperStructureValidation], createPaperStructure);
 
 // @route   PUT /api/paper-structures/:id
 // @desc    Update paper structure
 // @access  Private (Admin/Moderator)
-router.put('/:id', [adminAuth, ...paperStructureValidation], updatePaperStructure);
+router.put('/:id', [adminAuth, requirePermission('library.manage'), ...paperStructureValidation], updatePaperStructure);
 
 // @route   DELETE /api/paper-structures/:id
 // @desc    Delete paper structure
 // @access  Private (Admin/Moderator)
-router.delete('/:id', adminAuth, deletePaperStructure);
+router.delete('/:id', [adminAuth, requirePermission('library.manage')], deletePaperStructure);
 
 module.exports = router;
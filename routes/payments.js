@@ -5,6 +5,8 @@ const { check } = require('express-validator');
 // Import middlewares
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { isOwnCloudinaryUrl } = require('../services/slipCheckService');
 
 // Import controllers
 const {
@@ -17,9 +19,18 @@ const {
   getAllPaymentRequests,
   updatePaymentRequestStatus,
   getMyPaymentRequests,
-  deleteMyPaymentRequest
+  deleteMyPaymentRequest,
+  downloadMyPaymentReceipt,
+  downloadPaymentReceipt,
+  getMyStatement,
+  getMyCredits,
+  updateSlipDetails,
+  recheckPaymentSlip
 } = require('../controllers/paymentController');
 
+// Slips must be uploaded to our Cloudinary account
+const SLIP_URL_MESSAGE = 'Receipt must be uploaded through the website';
+
 // Validation rules
 const paymentSubmissionValidation = [
   check('classId', 'Class ID is required').notEmpty(),
@@ -30,7 +41,9 @@ const paymentSubmissionValidation = [
   check('amount', 'Amount is required and must be a positive number')
     .isFloat({ min: 0 }),
   check('receiptUrl', 'Receipt URL is required').notEmpty(),
+  check('receiptUrl', SLIP_URL_MESSAGE).custom(isOwnCloudinaryUrl),
   check('receiptPublicId', 'Receipt public ID is required').notEmpty(),
+  check('attachments.*.url', SLIP_URL_MESSAGE).custom(isOwnCloudinaryUrl),
   check('additionalNote', 'Additional note cannot exceed 500 characters')
     .optional()
     .isLength({ max: 500 })
@@ -38,7 +51,9 @@ const paymentSubmissionValidation = [
 
 const paymentUpdateValidation = [
   check('receiptUrl', 'Receipt URL is required').notEmpty(),
+  check('receiptUrl', SLIP_URL_MESSAGE).custom(isOwnCloudinaryUrl),
   check('receiptPublicId', 'Receipt public ID is required').notEmpty(),
+  check('attachments.*.url', SLIP_URL_MESSAGE).custom(isOwnCloudinaryUrl),
   check('additionalNote', 'Additional note cannot exceed 500 characters')
     .optional()
     .isLength({ max: 500 })
@@ -61,6 +76,21 @@ const bulkProcessValidation = [
     .isLength({ max: 500 })
 ];
 
+const slipDetailsValidation = [
+  check('bankReference', 'Bank reference cannot exceed 100 characters')
+    .optional()
+    .isLength({ max: 100 }),
+  check('bankName', 'Bank name cannot exceed 100 characters')
+    .optional()
+    .isLength({ max: 100 }),
+  check('slipAmount', 'Slip amount must be a positive number')
+    .optional()
+    .isFloat({ min: 0 }),
+  check('slipDate', 'Slip date must be a valid date')
+    .optional()
+    .isISO8601()
+];
+
 const statusUpdateValidation = [
   check('status', 'Status is required and must be approved, rejected, or pending')
     .isIn(['approved', 'rejected', 'pending']),
@@ -90,25 +120,55 @@ router.put('/:paymentId', [auth, ...paymentUpdateValidation], updatePaymentReque
 // @access  Private (Student)
 router.get('/my-requests', auth, getMyPaymentRequests);
 
+// @route   GET /api/payments/statement
+// @desc    Get student's own financial statement (JSON or PDF)
+// @access  Private (Student)
+router.get('/statement', auth, getMyStatement);
+
+// @route   GET /api/payments/credits
+// @desc    Get student's own credit balance and history
+// @access  Private (Student)
+router.get('/credits', auth, getMyCredits);
+
 // @route   DELETE /api/payments/:paymentId
 // @desc    Delete student's own payment request
 // @access  Private (Student)
 router.delete('/:paymentId', auth, deleteMyPaymentRequest);
 
+// @route   GET /api/payments/:paymentId/receipt
+// @desc    Download receipt PDF for student's own approved payment
+// @access  Private (Student)
+router.get('/:paymentId/receipt', auth, downloadMyPaymentReceipt);
+
 // Admin routes
 // @route   GET /api/payments/admin/:classId/:year/:month
 // @desc    Get payment requests for admin (by class, year, month)
 // @access  Private (Admin/Moderator)
-router.get('/admin/:classId/:year/:month', adminAuth, getAdminPaymentRequests);
+router.get('/admin/:classId/:year/:month', [adminAuth, requirePermission('payments.view')], getAdminPaymentRequests);
 
 // @route   PUT /api/payments/admin/:paymentId/process
 // @desc    Process payment request (approve/reject)
 // @access  Private (Admin/Moderator)
-router.put('/admin/:paymentId/process', [adminAuth, ...paymentProcessValidation], processPaymentRequest);
+router.put('/admin/:paymentId/process', [adminAuth, requirePermission('payments.approve'), ...paymentProcessValidation], processPaymentRequest);
 
 // @route   PUT /api/payments/admin/bulk-process
 // @desc    Bulk process payment requests
 // @access  Private (Admin/Moderator)
-router.put('/admin/bulk-process', [adminAuth, ...bulkProcessValidation], bulkProcessPaymentRequests);
+router.put('/admin/bulk-process', [adminAuth, requirePermission('payments.approve'), ...bulkProcessValidation], bulkProcessPaymentRequests);
+
+// @route   GET /api/payments/admin/:paymentId/receipt
+// @desc    Download receipt PDF for an approved payment
+// @access  Private (Admin/Moderator)
+router.get('/admin/:paymentId/receipt', [adminAuth, requirePermission('payments.view')], downloadPaymentReceipt);
+
+// @route   PUT /api/payments/admin/:paymentId/slip-details
+// @desc    Record bank slip details (reference, bank, amount, date) and re-check for duplicates
+// @access  Private (Admin/Moderator)
+router.put('/admin/:paymentId/slip-details', [adminAuth, requirePermission('payments.approve'), ...slipDetailsValidation], updateSlipDetails);
+
+// @route   POST /api/payments/admin/:paymentId/slip-check
+// @desc    Re-run the duplicate slip check for a payment
+// @access  Private (Admin/Moderator)
+router.post('/admin/:paymentId/slip-check', [adminAuth, requirePermission('payments.approve')], recheckPaymentSlip);
 
 module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { body } = require('express-validator');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 const {
   createPhoto,
@@ -46,16 +47,16 @@ router.get('/:id', auth, getPhotoById);
 // @route   POST /api/photo-bucket
 // @desc    Create new photo
 // @access  Private (Admin/Moderator)
-router.post('/', [adminAuth, ...photoValidation], createPhoto);
+router.post('/', [adminAuth, requirePermission('library.manage'), ...photoValidation], createPhoto);
 
 // @route   PUT /api/photo-bucket/:id
 // @desc    Update photo
 // @access  Private (Admin/Moderator)
-router.put('/:id', [adminAuth, ...photoUpdateValidation], updatePhoto);
+router.put('/:id', [adminAuth, requirePermission('library.manage'), ...photoUpdateValidation], updatePhoto);
 
 // @route   DELETE /api/photo-bucket/:id
 // @desc    Delete photo
 // @access  Private (Admin/Moderator)
-router.delete('/:id', adminAuth, deletePhoto);
+router.delete('/:id', [adminAuth, requirePermission('library.manage')], deletePhoto);
 
 module.exports = router;
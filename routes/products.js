@@ -3,6 +3,7 @@ const router = express.Router();
 const { body } = require('express-validator');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const {
   getAllProducts,
   getProductById,
@@ -131,8 +132,8 @@ router.get('/:id', getProductById);
 router.get('/:id/related', getRelatedProducts);
 
 // Admin Routes
-router.post('/', [adminAuth, ...productValidation], createProduct);
-router.put('/:id', [adminAuth, ...productUpdateValidation], updateProduct);
-router.delete('/:id', adminAuth, deleteProduct);
+router.post('/', [adminAuth, requirePermission('shop.manage'), ...productValidation], createProduct);
+router.put('/:id', [adminAuth, requirePermission('shop.manage'), ...productUpdateValidation], updateProduct);
+router.delete('/:id', [adminAuth, requirePermission('shop.manage')], deleteProduct);
 
 module.exports = router;
@@ -4,7 +4,11 @@ const { check } = require('express-validator');
 
 // Import middlewares
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const staffAuth = require('../middleware/staffAuth');
+const requirePermission = require('../middleware/requirePermission');
+const feeAccess = require('../middleware/feeAccess');
+const { scopeByParam, scopeByBody, scopeByRecord } = require('../middleware/classScope');
+const Resource = require('../models/Resource');
 
 // Import controllers
 const {
@@ -36,27 +40,27 @@ const resourceUpdateValidation = [
 
 // @route   POST /api/resources
 // @desc    Create new resource
-// @access  Private (Admin/Moderator)
-router.post('/', [adminAuth, ...resourceValidation], createResource);
+// @access  Private (Admin/Moderator/Teacher)
+router.post('/', [staffAuth, requirePermission('content.manage'), scopeByBody(), ...resourceValidation], createResource);
 
 // @route   GET /api/resources/class/:classId
 // @desc    Get all resources for a class
-// @access  Private (Admin/Moderator/Student)
-router.get('/class/:classId', auth, getClassResources);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/class/:classId', [auth, scopeByParam(), feeAccess], getClassResources);
 
 // @route   GET /api/resources/:id
 // @desc    Get resource by ID
-// @access  Private (Admin/Moderator/Student)
-router.get('/:id', auth, getResourceById);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/:id', [auth, scopeByRecord(Resource)], getResourceById);
 
 // @route   PUT /api/resources/:id
 // @desc    Update resource
-// @access  Private (Admin/Moderator)
-router.put('/:id', [adminAuth, ...resourceUpdateValidation], updateResource);
+// @access  Private (Admin/Moderator/Teacher)
+router.put('/:id', [staffAuth, requirePermission('content.manage'), scopeByRecord(Resource), ...resourceUpdateValidation], updateResource);
 
 // @route   DELETE /api/resources/:id
 // @desc    Delete resource
-// @access  Private (Admin/Moderator)
-router.delete('/:id', adminAuth, deleteResource);
+// @access  Private (Admin/Moderator/Teacher)
+router.delete('/:id', [staffAuth, requirePermission('content.manage'), scopeByRecord(Resource)], deleteResource);
 
 module.exports = router;
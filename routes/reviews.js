@@ -3,6 +3,7 @@ const router = express.Router();
 const { body } = require('express-validator');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 const {
   createFolder,
   getAllFolders,
@@ -53,7 +54,7 @@ const commentValidation = [
 // @route   POST /api/reviews/folders
 // @desc    Create new reviews folder
 // @access  Private (Admin/Moderator)
-router.post('/folders', [adminAuth, ...folderValidation], createFolder);
+router.post('/folders', [adminAuth, requirePermission('library.manage'), ...folderValidation], createFolder);
 
 // @route   GET /api/reviews/folders
 // @desc    Get all reviews folders
@@ -68,18 +69,18 @@ router.get('/folders/:id', auth, getFolderById);
 // @route   PUT /api/reviews/folders/:id
 // @desc    Update reviews folder
 // @access  Private (Admin/Moderator)
-router.put('/folders/:id', [adminAuth, ...folderValidation], updateFolder);
+router.put('/folders/:id', [adminAuth, requirePermission('library.manage'), ...folderValidation], updateFolder);
 
 // @route   DELETE /api/reviews/folders/:id
 // @desc    Delete reviews folder
 // @access  Private (Admin/Moderator)
-router.delete('/folders/:id', adminAuth, deleteFolder);
+router.delete('/folders/:id', [adminAuth, requirePermission('library.manage')], deleteFolder);
 
 // File Routes
 // @route   POST /api/reviews/files
 // @desc    Create new reviews file
 // @access  Private (Admin/Moderator)
-router.post('/files', [adminAuth, ...fileValidation], createFile);
+router.post('/files', [adminAuth, requirePermission('library.manage'), ...fileValidation], createFile);
 
 // @route   GET /api/reviews/folders/:folderId/files
 // @desc    Get all files in a folder
@@ -94,12 +95,12 @@ router.get('/files/:id', auth, getFileById);
 // @route   PUT /api/reviews/files/:id
 // @desc    Update reviews file
 // @access  Private (Admin/Moderator)
-router.put('/files/:id', [adminAuth, ...fileUpdateValidation], updateFile);
+router.put('/files/:id', [adminAuth, requirePermission('library.manage'), ...fileUpdateValidation], updateFile);
 
 // @route   DELETE /api/reviews/files/:id
 // @desc    Delete reviews file
 // @access  Private (Admin/Moderator)
-router.delete('/files/:id', adminAuth, deleteFile);
+router.delete('/files/:id', [adminAuth, requirePermission('library.manage')], deleteFile);
 
 // Like Routes
 // @route   POST /api/reviews/files/:id/like
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+
+// Import middlewares
+const adminAuth = require('../middleware/adminAuth');
+const staffAuth = require('../middleware/staffAuth');
+const requirePermission = require('../middleware/requirePermission');
+
+// Import controllers
+const {
+  getPermissions,
+  getMyPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getUserRoles,
+  setUserRoles
+} = require('../controllers/roleController');
+
+// Validation rules
+const roleValidation = [
+  check('name', 'Role name is required and cannot exceed 50 characters').trim().isLength({ min: 1, max: 50 }),
+  check('description', 'Description cannot exceed 300 characters').optional().isLength({ max: 300 }),
+  check('permissions', 'Permissions must be a list').isArray()
+];
+
+const roleUpdateValidation = [
+  check('name', 'Role name cannot be empty or exceed 50 characters').optional().trim().isLength({ min: 1, max: 50 }),
+  check('description', 'Description cannot exceed 300 characters').optional().isLength({ max: 300 }),
+  check('permissions', 'Permissions must be a list').optional().isArray()
+];
+
+// @route   GET /api/roles/permissions
+// @desc    Get every permission with its description, grouped by area
+// @access  Private (roles.manage)
+router.get('/permissions', [adminAuth, requirePermission('roles.manage')], getPermissions);
+
+// @route   GET /api/roles/me
+// @desc    Get the logged-in user's permissions (for showing and hiding admin screens)
+// @access  Private (Admin/Moderator/Teacher/Staff)
+router.get('/me', staffAuth, getMyPermissions);
+
+// @route   GET /api/roles/users/:userId
+// @desc    Get a user's assigned roles and resulting permissions
+// @access  Private (roles.manage)
+router.get('/users/:userId', [adminAuth, requirePermission('roles.manage')], getUserRoles);
+
+// @route   PUT /api/roles/users/:userId
+// @desc    Set the roles assigned to a user (replaces the current list)
+// @access  Private (roles.manage)
+router.put('/users/:userId', [
+  adminAuth,
+  requirePermission('roles.manage'),
+  check('roles', 'Roles must be a list of role IDs').isArray(),
+  check('roles.*', 'Invalid role ID').isMongoId()
+], setUserRoles);
+
+// @route   GET /api/roles
+// @desc    Get all roles
+// @access  Private (roles.manage)
+router.get('/', [adminAuth, requirePermission('roles.manage')], getRoles);
+
+// @route   POST /api/roles
+// @desc    Create a role
+// @access  Private (roles.manage)
+router.post('/', [adminAuth, requirePermission('roles.manage'), ...roleValidation], createRole);
+
+// @route   PUT /api/roles/:id
+// @desc    Update a role
+// @access  Private (roles.manage)
+router.put('/:id', [adminAuth, requirePermission('roles.manage'), ...roleUpdateValidation], updateRole);
+
+// @route   DELETE /api/roles/:id
+// @desc    Delete a role (default roles cannot be deleted)
+// @access  Private (roles.manage)
+router.delete('/:id', [adminAuth, requirePermission('roles.manage')], deleteRole);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+
+// Import middlewares
+const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+
+// Import controllers
+const {
+  previewRollover,
+  applyRollover,
+  getRollovers,
+  getRolloverById,
+  undoRollover
+} = require('../controllers/rolloverController');
+
+// Validation rules
+const rolloverValidation = [
+  check('fromYear', 'From year must be a valid year').optional().isInt({ min: 2000, max: 2100 }),
+  check('toYear', 'To year must be a valid year').optional().isInt({ min: 2000, max: 2100 }),
+  check('gradeMap', 'Grade map must be an object of old grade to new grade').optional().isObject(),
+  check('reEnrol', 'Re-enrol must be a boolean').optional().isBoolean()
+];
+
+// @route   POST /api/rollover/preview
+// @desc    Dry run of the academic year rollover (grade promotions, classes archived/cloned, re-enrolments)
+// @access  Private (Admin/Moderator)
+router.post('/preview', [adminAuth, requirePermission('rollover.manage'), ...rolloverValidation], previewRollover);
+
+// @route   POST /api/rollover/apply
+// @desc    Apply the academic year rollover (requires confirm: true)
+// @access  Private (Admin/Moderator)
+router.post('/apply', [
+  adminAuth,
+  requirePermission('rollover.manage'),
+  ...rolloverValidation,
+  check('confirm', 'Please confirm the rollover after checking the preview').equals('true')
+], applyRollover);
+
+// @route   GET /api/rollover
+// @desc    Get rollover history
+// @access  Private (Admin/Moderator)
+router.get('/', [adminAuth, requirePermission('rollover.manage')], getRollovers);
+
+// @route   GET /api/rollover/:id
+// @desc    Get rollover details
+// @access  Private (Admin/Moderator)
+router.get('/:id', [adminAuth, requirePermission('rollover.manage')], getRolloverById);
+
+// @route   POST /api/rollover/:id/undo
+// @desc    Undo the most recent rollover
+// @access  Private (Admin/Moderator)
+router.post('/:id/undo', [adminAuth, requirePermission('rollover.manage')], undoRollover);
+
+module.exports = router;
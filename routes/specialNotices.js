@@ -3,6 +3,7 @@ const router = express.Router();
 const { body } = require('express-validator');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 const {
   createNotice,
@@ -43,7 +44,7 @@ router.get('/', auth, getAllNotices);
 // @route   GET /api/special-notices/unanswered-count
 // @desc    Get unanswered questions count
 // @access  Private (Admin/Moderator)
-router.get('/unanswered-count', adminAuth, getUnansweredQuestionsCount);
+router.get('/unanswered-count', [adminAuth, requirePermission('notices.manage')], getUnansweredQuestionsCount);
 
 // @route   GET /api/special-notices/:id
 // @desc    Get special notice by ID
@@ -65,21 +66,21 @@ router.delete('/:noticeId/questions/:questionId', auth, deleteQuestion);
 // @route   POST /api/special-notices
 // @desc    Create new special notice
 // @access  Private (Admin/Moderator)
-router.post('/', [adminAuth, ...noticeValidation], createNotice);
+router.post('/', [adminAuth, requirePermission('notices.manage'), ...noticeValidation], createNotice);
 
 // @route   PUT /api/special-notices/:id
 // @desc    Update special notice
 // @access  Private (Admin/Moderator)
-router.put('/:id', [adminAuth, ...noticeUpdateValidation], updateNotice);
+router.put('/:id', [adminAuth, requirePermission('notices.manage'), ...noticeUpdateValidation], updateNotice);
 
 // @route   DELETE /api/special-notices/:id
 // @desc    Delete special notice
 // @access  Private (Admin/Moderator)
-router.delete('/:id', adminAuth, deleteNotice);
+router.delete('/:id', [adminAuth, requirePermission('notices.manage')], deleteNotice);
 
 // @route   PUT /api/special-notices/:noticeId/questions/:questionId/reply
 // @desc    Reply to question
 // @access  Private (Admin/Moderator)
-router.put('/:noticeId/questions/:questionId/reply', adminAuth, replyToQuestion);
+router.put('/:noticeId/questions/:questionId/reply', [adminAuth, requirePermission('notices.manage')], replyToQuestion);
 
 module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { body } = require('express-validator');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 const {
   submitMessage,
@@ -69,22 +70,22 @@ router.put('/:id', [auth, ...messageValidation], updateMessage);
 // @route   GET /api/student-messages/all
 // @desc    Get all student messages
 // @access  Private (Admin/Moderator)
-router.get('/all', adminAuth, getAllMessages);
+router.get('/all', [adminAuth, requirePermission('messages.manage')], getAllMessages);
 
 // @route   GET /api/student-messages/unreplied-count
 // @desc    Get unreplied messages count
 // @access  Private (Admin/Moderator)
-router.get('/unreplied-count', adminAuth, getUnrepliedCount);
+router.get('/unreplied-count', [adminAuth, requirePermission('messages.manage')], getUnrepliedCount);
 
 // @route   PUT /api/student-messages/:id/reply
 // @desc    Reply to student message
 // @access  Private (Admin/Moderator)
-router.put('/:id/reply', [adminAuth, ...replyValidation], replyToMessage);
+router.put('/:id/reply', [adminAuth, requirePermission('messages.manage'), ...replyValidation], replyToMessage);
 
 // @route   PUT /api/student-messages/:id/edit-reply
 // @desc    Edit reply to student message
 // @access  Private (Admin/Moderator)
-router.put('/:id/edit-reply', [adminAuth, ...replyValidation], editReply);
+router.put('/:id/edit-reply', [adminAuth, requirePermission('messages.manage'), ...replyValidation], editReply);
 
 // @route   DELETE /api/student-messages/:id
 // @desc    Delete student message
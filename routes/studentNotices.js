@@ -3,6 +3,7 @@ const router = express.Router();
 const { body } = require('express-validator');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 const {
   createNotice,
@@ -64,16 +65,16 @@ router.get('/:id', auth, getNoticeById);
 // @route   POST /api/student-notices
 // @desc    Create new student notice
 // @access  Private (Admin/Moderator)
-router.post('/', [adminAuth, ...noticeValidation], createNotice);
+router.post('/', [adminAuth, requirePermission('notices.manage'), ...noticeValidation], createNotice);
 
 // @route   PUT /api/student-notices/:id
 // @desc    Update student notice
 // @access  Private (Admin/Moderator)
-router.put('/:id', [adminAuth, ...noticeUpdateValidation], updateNotice);
+router.put('/:id', [adminAuth, requirePermission('notices.manage'), ...noticeUpdateValidation], updateNotice);
 
 // @route   DELETE /api/student-notices/:id
 // @desc    Delete student notice
 // @access  Private (Admin/Moderator)
-router.delete('/:id', adminAuth, deleteNotice);
+router.delete('/:id', [adminAuth, requirePermission('notices.manage')], deleteNotice);
 
 module.exports = router;
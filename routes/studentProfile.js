@@ -5,6 +5,7 @@ const { check } = require('express-validator');
 // Import middlewares
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 // Import controllers
 const {
@@ -39,22 +40,22 @@ const studentProfileUpdateValidation = [
 // @route   GET /api/student-profile/admin/:studentId
 // @desc    Get student profile by ID (Admin access)
 // @access  Private (Admin/Moderator)
-router.get('/admin/:studentId', adminAuth, getStudentProfileById);
+router.get('/admin/:studentId', [adminAuth, requirePermission('students.view')], getStudentProfileById);
 
 // @route   PUT /api/student-profile/admin/:studentId/update
 // @desc    Update student profile by ID (Admin access)
 // @access  Private (Admin/Moderator)
-router.put('/admin/:studentId/update', [adminAuth, ...studentProfileUpdateValidation], updateStudentProfileById);
+router.put('/admin/:studentId/update', [adminAuth, requirePermission('students.manage'), ...studentProfileUpdateValidation], updateStudentProfileById);
 
 // @route   GET /api/student-profile/admin/:studentId/access-context
 // @desc    Get student profile with admin-as-student context
 // @access  Private (Admin/Moderator)
-router.get('/admin/:studentId/access-context', adminAuth, getStudentProfileForAdminAccess);
+router.get('/admin/:studentId/access-context', [adminAuth, requirePermission('students.impersonate')], getStudentProfileForAdminAccess);
 
 // @route   GET /api/student-profile/admin/:studentId/validate-class-access/:classId
 // @desc    Validate admin-as-student access for specific class
 // @access  Private (Admin/Moderator)
-router.get('/admin/:studentId/validate-class-access/:classId', adminAuth, validateAdminAsStudentAccess);
+router.get('/admin/:studentId/validate-class-access/:classId', [adminAuth, requirePermission('students.impersonate')], validateAdminAsStudentAccess);
 
 // Student routes (require authentication)
 
@@ -18,6 +18,11 @@ const {
   resetStudentPassword,
   updateOwnProfile
 } = require('../controllers/studentController');
+const {
+  getMyTimetable,
+  getMyCalendarFeed,
+  resetMyCalendarFeed
+} = require('../controllers/timetableController');
 
 // Validation rules for student registration
 const studentRegistrationValidation = [
@@ -91,6 +96,21 @@ router.get('/class-requests', auth, getStudentClassRequests);
 // @access  Private (Student)
 router.get('/grades', auth, getAllGrades);
 
+// @route   GET /api/students/timetable
+// @desc    Get combined timetable (?date= for another week, or ?from=&to=)
+// @access  Private (Student)
+router.get('/timetable', auth, getMyTimetable);
+
+// @route   GET /api/students/timetable/calendar-feed
+// @desc    Get secret calendar (iCal) subscription link
+// @access  Private (Student)
+router.get('/timetable/calendar-feed', auth, getMyCalendarFeed);
+
+// @route   POST /api/students/timetable/calendar-feed/reset
+// @desc    Replace the calendar subscription link
+// @access  Private (Student)
+router.post('/timetable/calendar-feed/reset', auth, resetMyCalendarFeed);
+
 // Password Reset Routes (Public - no auth required)
 // @route   POST /api/students/forgot-password
 // @desc    Send password reset OTP to email
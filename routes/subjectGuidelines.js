@@ -5,6 +5,7 @@ const { check } = require('express-validator');
 // Import middlewares
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 // Import controllers
 const {
@@ -78,7 +79,7 @@ const fileUpdateValidation = [
 // @route   POST /api/subject-guidelines/folders
 // @desc    Create new subject guidelines folder
 // @access  Private (Admin/Moderator)
-router.post('/folders', [adminAuth, ...folderValidation], createFolder);
+router.post('/folders', [adminAuth, requirePermission('library.manage'), ...folderValidation], createFolder);
 
 // @route   GET /api/subject-guidelines/folders
 // @desc    Get all subject guidelines folders
@@ -93,19 +94,19 @@ router.get('/folders/:id', auth, getFolderById);
 // @route   PUT /api/subject-guidelines/folders/:id
 // @desc    Update subject guidelines folder
 // @access  Private (Admin/Moderator)
-router.put('/folders/:id', [adminAuth, ...folderValidation], updateFolder);
+router.put('/folders/:id', [adminAuth, requirePermission('library.manage'), ...folderValidation], updateFolder);
 
 // @route   DELETE /api/subject-guidelines/folders/:id
 // @desc    Delete subject guidelines folder
 // @access  Private (Admin/Moderator)
-router.delete('/folders/:id', adminAuth, deleteFolder);
+router.delete('/folders/:id', [adminAuth, requirePermission('library.manage')], deleteFolder);
 
 // File Routes
 
 // @route   POST /api/subject-guidelines/files
 // @desc    Create new subject guidelines file
 // @access  Private (Admin/Moderator)
-router.post('/files', [adminAuth, ...fileValidation], createFile);
+router.post('/files', [adminAuth, requirePermission('library.manage'), ...fileValidation], createFile);
 
 // @route   GET /api/subject-guidelines/folders/:folderId/files
 // @desc    Get all files in a folder
@@ -120,11 +121,11 @@ router.get('/files/:id', auth, getFileById);
 // @route   PUT /api/subject-guidelines/files/:id
 // @desc    Update subject guidelines file
 // @access  Private (Admin/Moderator)
-router.put('/files/:id', [adminAuth, ...fileUpdateValidation], updateFile);
+router.put('/files/:id', [adminAuth, requirePermission('library.manage'), ...fileUpdateValidation], updateFile);
 
 // @route   DELETE /api/subject-guidelines/files/:id
 // @desc    Delete subject guidelines file
 // @access  Private (Admin/Moderator)
-router.delete('/files/:id', adminAuth, deleteFile);
+router.delete('/files/:id', [adminAuth, requirePermission('library.manage')], deleteFile);
 
 module.exports = router;
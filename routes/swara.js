@@ -3,6 +3,7 @@ const router = express.Router();
 const { body } = require('express-validator');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
 
 const {
   createFolder,
@@ -101,7 +102,7 @@ const fileUpdateValidation = [
 // @route   POST /api/swara/folders
 // @desc    Create new swara folder
 // @access  Private (Admin/Moderator)
-router.post('/folders', [adminAuth, ...folderValidation], createFolder);
+router.post('/folders', [adminAuth, requirePermission('library.manage'), ...folderValidation], createFolder);
 
 // @route   GET /api/swara/folders
 // @desc    Get all swara folders
@@ -116,19 +117,19 @@ router.get('/folders/:id', auth, getFolderById);
 // @route   PUT /api/swara/folders/:id
 // @desc    Update swara folder
 // @access  Private (Admin/Moderator)
-router.put('/folders/:id', [adminAuth, ...folderValidation], updateFolder);
+router.put('/folders/:id', [adminAuth, requirePermission('library.manage'), ...folderValidation], updateFolder);
 
 // @route   DELETE /api/swara/folders/:id
 // @desc    Delete swara folder
 // @access  Private (Admin/Moderator)
-router.delete('/folders/:id', adminAuth, deleteFolder);
+router.delete('/folders/:id', [adminAuth, requirePermission('library.manage')], deleteFolder);
 
 // File Routes
 
 // @route   POST /api/swara/files
 // @desc    Create new swara file
 // @access  Private (Admin/Moderator)
-router.post('/files', [adminAuth, ...fileValidation], createFile);
+router.post('/files', [adminAuth, requirePermission('library.manage'), ...fileValidation], createFile);
 
 // @route   GET /api/swara/folders/:folderId/files
 // @desc    Get all files in a folder
@@ -143,11 +144,11 @@ router.get('/files/:id', auth, getFileById);
 // @route   PUT /api/swara/files/:id
 // @desc    Update swara file
 // @access  Private (Admin/Moderator)
-router.put('/files/:id', [adminAuth, ...fileUpdateValidation], updateFile);
+router.put('/files/:id', [adminAuth, requirePermission('library.manage'), ...fileUpdateValidation], updateFile);
 
 // @route   DELETE /api/swara/files/:id
 // @desc    Delete swara file
 // @access  Private (Admin/Moderator)
-router.delete('/files/:id', adminAuth, deleteFile);
+router.delete('/files/:id', [adminAuth, requirePermission('library.manage')], deleteFile);
 
 module.exports = router;
@@ -4,7 +4,10 @@ const { check } = require('express-validator');
 
 // Import middlewares
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const staffAuth = require('../middleware/staffAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { scopeByParam, scopeByBody, scopeByRecord } = require('../middleware/classScope');
+const TimeSchedule = require('../models/TimeSchedule');
 
 // Import controllers
 const {
@@ -76,37 +79,37 @@ const timeScheduleUpdateValidation = [
 
 // @route   GET /api/time-schedules/current-week-info
 // @desc    Get current week information
-// @access  Private (Admin/Moderator)
-router.get('/current-week-info', adminAuth, getCurrentWeekInfo);
+// @access  Private (Admin/Moderator/Teacher)
+router.get('/current-week-info', [staffAuth, requirePermission('content.manage')], getCurrentWeekInfo);
 
 // @route   GET /api/time-schedules/class/:classId
 // @desc    Get all time schedules for a class
-// @access  Private (Admin/Moderator/Student)
-router.get('/class/:classId', auth, getClassTimeSchedules);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/class/:classId', [auth, scopeByParam()], getClassTimeSchedules);
 
 // @route   GET /api/time-schedules/:id
 // @desc    Get time schedule by ID
-// @access  Private (Admin/Moderator/Student)
-router.get('/:id', auth, getTimeScheduleById);
+// @access  Private (Admin/Moderator/Teacher/Student)
+router.get('/:id', [auth, scopeByRecord(TimeSchedule)], getTimeScheduleById);
 
 // @route   POST /api/time-schedules
 // @desc    Create new time schedule
-// @access  Private (Admin/Moderator)
-router.post('/', [adminAuth, ...timeScheduleValidation], createTimeSchedule);
+// @access  Private (Admin/Moderator/Teacher)
+router.post('/', [staffAuth, requirePermission('content.manage'), scopeByBody(), ...timeScheduleValidation], createTimeSchedule);
 
 // @route   PUT /api/time-schedules/:id
 // @desc    Update time schedule
-// @access  Private (Admin/Moderator)
-router.put('/:id', [adminAuth, ...timeScheduleUpdateValidation], updateTimeSchedule);
+// @access  Private (Admin/Moderator/Teacher)
+router.put('/:id', [staffAuth, requirePermission('content.manage'), scopeByRecord(TimeSchedule), ...timeScheduleUpdateValidation], updateTimeSchedule);
 
 // @route   DELETE /api/time-schedules/:id
 // @desc    Delete time schedule
-// @access  Private (Admin/Moderator)
-router.delete('/:id', adminAuth, deleteTimeSchedule);
+// @access  Private (Admin/Moderator/Teacher)
+router.delete('/:id', [staffAuth, requirePermission('content.manage'), scopeByRecord(TimeSchedule)], deleteTimeSchedule);
 
 // @route   PUT /api/time-schedules/:id/tasks/:taskId/toggle
 // @desc    Toggle task completion status
-// @access  Private (Admin/Moderator)
-router.put('/:id/tasks/:taskId/toggle', adminAuth, toggleTaskCompletion);
+// @access  Private (Admin/Moderator/Teacher)
+router.put('/:id/tasks/:taskId/toggle', [staffAuth, requirePermission('content.manage'), scopeByRecord(TimeSchedule)], toggleTaskCompletion);
 
 module.exports = router;
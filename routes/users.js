@@ -7,11 +7,14 @@ const User = require('../models/User');
 const Student = require('../models/Student');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { recordAudit, snapshot } = require('../services/auditService');
+const { revokeUserSessions, getUserSessions } = require('../services/authSessionService');
 
 // @route   GET /api/users/all
 // @desc    Get all users (Admin only)
 // @access  Private (Admin)
-router.get('/all', adminAuth, async (req, res) => {
+router.get('/all', [adminAuth, requirePermission('users.view')], async (req, res) => {
   try {
     const users = await User.find({})
       .select('-password') // Exclude password field
@@ -34,7 +37,7 @@ router.get('/all', adminAuth, async (req, res) => {
 // @route   DELETE /api/users/:id
 // @desc    Delete a user (Admin only)
 // @access  Private (Admin)
-router.delete('/:id', adminAuth, async (req, res) => {
+router.delete('/:id', [adminAuth, requirePermission('users.delete')], async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -60,8 +63,17 @@ router.delete('/:id', adminAuth, async (req, res) => {
       await Student.findOneAndDelete({ userId: userId });
     }
 
-    // Delete the user
+    // Delete the user and log them out everywhere
     await User.findByIdAndDelete(userId);
+    await revokeUserSessions(userId, 'user_deleted');
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      entityType: 'User',
+      entityId: user._id,
+      summary: `Deleted user ${user.fullName} (${user.email})`,
+      before: snapshot(user, ['fullName', 'email', 'role', 'roles', 'createdAt'])
+    });
 
     res.json({
       success: true,
@@ -76,6 +88,78 @@ router.delete('/:id', adminAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/:id/sessions
+// @desc    Get the devices a user is logged in on (Admin only)
+// @access  Private (Admin)
+router.get('/:id/sessions', [adminAuth, requirePermission('users.sessions')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('fullName email role');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      user,
+      data: await getUserSessions(user._id)
+    });
+  } catch (error) {
+    console.error('Error fetching user sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/sessions
+// @desc    Log a user out of every device (Admin only)
+// @access  Private (Admin)
+router.delete('/:id/sessions', [adminAuth, requirePermission('users.sessions')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('fullName email role');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Only admins can log out another admin
+    if (user.role === 'admin' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can log out an admin account'
+      });
+    }
+
+    const sessionsEnded = await revokeUserSessions(user._id, 'admin');
+
+    await recordAudit(req, {
+      action: 'user.sessions_revoke',
+      entityType: 'User',
+      entityId: user._id,
+      summary: `Logged ${user.fullName} (${user.email}) out of ${sessionsEnded} device(s)`,
+      after: { sessionsEnded }
+    });
+
+    res.json({
+      success: true,
+      message: `${user.fullName} has been logged out of all devices`,
+      sessionsEnded
+    });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while logging user out'
+    });
+  }
+});
+
 // @route   GET /api/users/profile
 // @desc    Get current user profile
 // @access  Private
@@ -201,6 +285,9 @@ router.put('/change-password', [
       password: hashedPassword
     });
 
+    // Log out the user's other devices
+    await revokeUserSessions(req.user.id, 'password_change', { exceptSessionId: req.user.sessionId });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
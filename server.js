@@ -112,6 +112,16 @@ const studentNoticesRoutes = require('./routes/studentNotices');
 const studentMessagesRoutes = require('./routes/studentMessages');
 const usersRoutes = require('./routes/users');
 const contactRoutes = require('./routes/contact');
+const holidayRoutes = require('./routes/holidays');
+const invoiceRoutes = require('./routes/invoices');
+const feeRuleRoutes = require('./routes/feeRules');
+const gatewayRoutes = require('./routes/gateway');
+const feeReminderRoutes = require('./routes/feeReminders');
+const classSessionRoutes = require('./routes/classSessions');
+const calendarRoutes = require('./routes/calendar');
+const rolloverRoutes = require('./routes/rollover');
+const roleRoutes = require('./routes/roles');
+const auditLogRoutes = require('./routes/auditLogs');
 
 // E-commerce routes
 const productRoutes = require('./routes/products');
@@ -255,6 +265,46 @@ app.use('/api/users', usersRoutes);
 app.options('/api/contact/*', cors(corsOptions));
 app.use('/api/contact', contactRoutes);
 
+// Add specific CORS handling for holiday routes
+app.options('/api/holidays/*', cors(corsOptions));
+app.use('/api/holidays', holidayRoutes);
+
+// Add specific CORS handling for invoice routes
+app.options('/api/invoices/*', cors(corsOptions));
+app.use('/api/invoices', invoiceRoutes);
+
+// Add specific CORS handling for fee rule routes
+app.options('/api/fee-rules/*', cors(corsOptions));
+app.use('/api/fee-rules', feeRuleRoutes);
+
+// Add specific CORS handling for payment gateway routes
+app.options('/api/gateway/*', cors(corsOptions));
+app.use('/api/gateway', gatewayRoutes);
+
+// Add specific CORS handling for fee reminder routes
+app.options('/api/fee-reminders/*', cors(corsOptions));
+app.use('/api/fee-reminders', feeReminderRoutes);
+
+// Add specific CORS handling for class session routes
+app.options('/api/class-sessions/*', cors(corsOptions));
+app.use('/api/class-sessions', classSessionRoutes);
+
+// Add specific CORS handling for calendar feed routes
+app.options('/api/calendar/*', cors(corsOptions));
+app.use('/api/calendar', calendarRoutes);
+
+// Add specific CORS handling for academic year rollover routes
+app.options('/api/rollover/*', cors(corsOptions));
+app.use('/api/rollover', rolloverRoutes);
+
+// Add specific CORS handling for role and permission routes
+app.options('/api/roles/*', cors(corsOptions));
+app.use('/api/roles', roleRoutes);
+
+// Add specific CORS handling for audit log routes
+app.options('/api/audit-logs/*', cors(corsOptions));
+app.use('/api/audit-logs', auditLogRoutes);
+
 // Add specific CORS handling for e-commerce routes
 app.options('/api/products/*', cors(corsOptions));
 app.use('/api/products', productRoutes);
@@ -312,7 +362,15 @@ app.use((err, req, res, next) => {
 
 // Start server only after DB connection
 const PORT = process.env.PORT || 5000;
-connectDB().then(() => {
+connectDB().then(async () => {
+  // Create the default permission roles on first start
+  try {
+    const { ensureDefaultRoles } = require('./services/permissionService');
+    await ensureDefaultRoles();
+  } catch (err) {
+    console.error('Error creating default roles:', err.message);
+  }
+
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Allowed origins: ${allowedOrigins.join(', ')}`);
@@ -0,0 +1,58 @@
+const Attendance = require('../models/Attendance');
+
+// Chronic absence detection - reads a student's recent sheets for absence streaks and a
+// low monthly attendance rate (see controllers/attendanceAlertController).
+
+/**
+ * Work out a student's recent attendance from a class's sheets.
+ * @param {String} studentId
+ * @param {Array<Object>} sheets - Attendance sheets, newest first
+ * @param {Date} rateWindowStart - Start of the monthly rate window
+ * @returns {Object} { consecutiveAbsences, monthlySheets, monthlyRate, lastAttendedDate }
+ */
+const analyseStudentAttendance = (studentId, sheets, rateWindowStart) => {
+  let consecutiveAbsences = 0;
+  let streakBroken = false;
+  let monthlySheets = 0;
+  let monthlyAttended = 0;
+  let lastAttendedDate = null;
+
+  for (const sheet of sheets) {
+    const record = sheet.studentAttendance.find(
+      item => item.studentId.toString() === studentId.toString()
+    );
+    // Auto-generated sheets start everyone as Absent; only count records someone has marked
+    if (!record || Attendance.isUnmarkedRecord(sheet, record)) continue;
+
+    const attended = Attendance.ATTENDED_STATUSES.includes(record.status);
+    const excused = Attendance.EXCUSED_STATUSES.includes(record.status);
+
+    if (attended && !lastAttendedDate) {
+      lastAttendedDate = sheet.date;
+    }
+
+    // Excused/Medical days neither extend nor break an absence streak
+    if (!streakBroken && !excused) {
+      if (attended) {
+        streakBroken = true;
+      } else {
+        consecutiveAbsences++;
+      }
+    }
+
+    if (sheet.date >= rateWindowStart && !excused) {
+      monthlySheets++;
+      if (attended) {
+        monthlyAttended++;
+      }
+    }
+  }
+
+  const monthlyRate = monthlySheets > 0 ? Math.round((monthlyAttended / monthlySheets) * 100) : null;
+
+  return { consecutiveAbsences, monthlySheets, monthlyRate, lastAttendedDate };
+};
+
+module.exports = {
+  analyseStudentAttendance
+};
@@ -0,0 +1,91 @@
+const AuditLog = require('../models/AuditLog');
+
+// Audit log - records admin actions with before/after snapshots of the record they changed.
+
+// Never copied into snapshots
+const HIDDEN_FIELDS = ['password', 'studentPassword', 'calendarToken', '__v'];
+
+// Client IP, taking the first address forwarded by the hosting proxy
+const getClientIp = (req) => {
+  const forwarded = req.headers && req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.ip || (req.connection && req.connection.remoteAddress);
+};
+
+// Readable labels for audit summaries
+const describeStudent = (student) => (student
+  ? `${student.firstName} ${student.lastName} (${student.studentId})`
+  : 'unknown student');
+const describeClass = (classItem) => (classItem
+  ? `${classItem.grade} - ${classItem.category}`
+  : 'unknown class');
+
+/**
+ * Plain copy of a document for a before/after snapshot.
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {Array<String>} [fields] - Only copy these top-level fields
+ * @returns {Object|null}
+ */
+const snapshot = (doc, fields) => {
+  if (!doc) return null;
+
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ virtuals: false, depopulate: true })
+    : { ...doc };
+
+  const picked = {};
+  (fields || Object.keys(plain)).forEach(field => {
+    if (plain[field] !== undefined && !HIDDEN_FIELDS.includes(field)) {
+      picked[field] = plain[field];
+    }
+  });
+
+  // Turn ObjectIds and dates into plain JSON values
+  return JSON.parse(JSON.stringify(picked));
+};
+
+/**
+ * Add an entry to the audit log. Never throws: a failed write is logged and the
+ * admin action still goes through.
+ * @param {Object} req - Express request (actor from req.user, IP and user agent).
+ *   Requests made with an "access as student" token are put down to the admin behind it.
+ * @param {Object} entry
+ * @param {String} entry.action - e.g. "student.approve"
+ * @param {String} entry.entityType - e.g. "Student"
+ * @param {String} [entry.entityId]
+ * @param {String} [entry.summary] - Readable description
+ * @param {Object} [entry.before] - Snapshot before the change (see snapshot)
+ * @param {Object} [entry.after] - Snapshot after the change
+ * @returns {Promise<Object|null>} The new entry, or null if it could not be saved
+ */
+const recordAudit = async (req, entry) => {
+  try {
+    const user = (req && req.user) || {};
+    const actor = user.impersonatedBy || user;
+    return await AuditLog.create({
+      actor: actor.id,
+      actorName: actor.fullName,
+      actorEmail: actor.email,
+      actorRole: actor.role,
+      action: entry.action,
+      entityType: entry.entityType,
+      entityId: entry.entityId,
+      summary: entry.summary,
+      before: entry.before || null,
+      after: entry.after || null,
+      ipAddress: req ? getClientIp(req) : undefined,
+      userAgent: req && req.headers ? req.headers['user-agent'] : undefined
+    });
+  } catch (error) {
+    console.error('Error writing audit log:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  getClientIp,
+  describeStudent,
+  describeClass,
+  snapshot,
+  recordAudit
+};
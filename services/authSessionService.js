@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+const AuthSession = require('../models/AuthSession');
+const { getClientIp } = require('./auditService');
+
+// Login sessions - short-lived access tokens (x-auth-token) plus a rotating refresh
+// token per device, stored hashed so a database leak does not leak working tokens.
+
+const ACCESS_TOKEN_MINUTES = 15;
+const REFRESH_TOKEN_DAYS = 30;
+
+// A refresh token that has just been swapped is still accepted for this long, so two
+// tabs refreshing at the same time both get the new token instead of ending the session
+const REFRESH_GRACE_SECONDS = 10;
+
+// Tokens from before login sessions existed have no session ID, so logging out can't end
+// them. They lasted 24 hours; after the cutover they are refused and the user signs in again.
+// The LEGACY_TOKEN_CUTOVER environment variable (an ISO date) moves it.
+const DEFAULT_LEGACY_TOKEN_CUTOVER = '2026-10-21T00:00:00+05:30';
+
+const getLegacyTokenCutover = () => {
+  const cutover = new Date(process.env.LEGACY_TOKEN_CUTOVER || DEFAULT_LEGACY_TOKEN_CUTOVER);
+  return isNaN(cutover.getTime()) ? new Date(DEFAULT_LEGACY_TOKEN_CUTOVER) : cutover;
+};
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a hash lookup
+const buildRefreshToken = (session, secret) => `${session._id}.${secret}`;
+
+const newSecret = () => crypto.randomBytes(40).toString('hex');
+
+// The new secret is kept encrypted with the one it replaced, so during the grace period
+// only a holder of the previous token can read it (a database leak still gives nothing)
+const sealSecret = (secret, withSecret) => {
+  const key = crypto.createHash('sha256').update(`seal:${withSecret}`).digest();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const sealed = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), sealed].map(part => part.toString('hex')).join('.');
+};
+
+const openSecret = (sealedSecret, withSecret) => {
+  try {
+    const [iv, tag, sealed] = String(sealedSecret).split('.').map(part => Buffer.from(part, 'hex'));
+    const key = crypto.createHash('sha256').update(`seal:${withSecret}`).digest();
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(sealed), decipher.final()]).toString('utf8');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Sign an access token for a user's session.
+ * @param {Object} user - User document (id, role)
+ * @param {String} sessionId
+ * @returns {String}
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    user: {
+      id: user.id,
+      role: user.role
+    },
+    sessionId: sessionId.toString()
+  },
+  config.get('jwtSecret'),
+  { expiresIn: `${ACCESS_TOKEN_MINUTES}m` }
+);
+
+/**
+ * Start a session for a user who has just logged in.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (device details)
+ * @returns {Promise<{token: String, refreshToken: String, session: Object}>}
+ */
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await AuthSession.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.headers['user-agent'],
+    ipAddress: getClientIp(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: buildRefreshToken(session, secret),
+    session
+  };
+};
+
+/**
+ * Start a session for an admin accessing a student's account, so the "access as student"
+ * token can be ended like any other login. It has no refresh token and ends at expiresAt.
+ * @param {String} studentUserId - The student's User ID
+ * @param {Object} req - Express request of the admin (req.user)
+ * @param {Date} expiresAt
+ * @returns {Promise<Object>} AuthSession
+ */
+const createImpersonationSession = (studentUserId, req, expiresAt) => AuthSession.create({
+  user: studentUserId,
+  // Nobody holds this secret, so the session can never be refreshed
+  refreshTokenHash: hashToken(newSecret()),
+  impersonatedBy: req.user.id,
+  userAgent: req.headers['user-agent'],
+  ipAddress: getClientIp(req),
+  expiresAt
+});
+
+/**
+ * Swap a refresh token for a new access token and refresh token. Presenting a
+ * refresh token that has already been swapped ends the session, since only a
+ * copied token would be used twice - unless it was swapped within the last
+ * REFRESH_GRACE_SECONDS, when the current refresh token is returned instead.
+ * @param {String} refreshToken
+ * @param {Object} req - Express request (device details)
+ * @returns {Promise<{session: Object, refreshToken: String}|{error: String}>}
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const session = await AuthSession.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return { error: 'Session has ended. Please sign in again.' };
+  }
+
+  const presentedHash = hashToken(secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousTokenHash) {
+      const withinGrace = session.rotatedAt &&
+        Date.now() - session.rotatedAt.getTime() <= REFRESH_GRACE_SECONDS * 1000;
+      const currentSecret = withinGrace ? openSecret(session.sealedRefreshSecret, secret) : null;
+      if (currentSecret && hashToken(currentSecret) === session.refreshTokenHash) {
+        return {
+          session,
+          refreshToken: buildRefreshToken(session, currentSecret)
+        };
+      }
+
+      session.revokedAt = new Date();
+      session.revokedReason = 'token_reuse';
+      await session.save();
+    }
+    return { error: 'Session has ended. Please sign in again.' };
+  }
+
+  const nextSecret = newSecret();
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(nextSecret);
+  session.sealedRefreshSecret = sealSecret(nextSecret, secret);
+  session.rotatedAt = new Date();
+  session.lastUsedAt = new Date();
+  session.userAgent = req.headers['user-agent'] || session.userAgent;
+  session.ipAddress = getClientIp(req) || session.ipAddress;
+  await session.save();
+
+  return {
+    session,
+    refreshToken: buildRefreshToken(session, nextSecret)
+  };
+};
+
+/**
+ * Whether the session an access token belongs to is still live. Tokens without one are
+ * from before login sessions and only accepted until the legacy token cutover.
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<Boolean>}
+ */
+const isTokenSessionActive = async (decoded) => {
+  if (!decoded.sessionId) {
+    return Date.now() < getLegacyTokenCutover().getTime();
+  }
+  const session = await AuthSession.findById(decoded.sessionId).select('revokedAt expiresAt');
+  return !!session && session.isActive();
+};
+
+/**
+ * End one session.
+ * @param {String} sessionId
+ * @param {String} reason - See AuthSession.revokedReason
+ * @param {String} [userId] - Only end it if it belongs to this user
+ * @returns {Promise<Boolean>} Whether a live session was ended
+ */
+const revokeSession = async (sessionId, reason, userId) => {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+
+  const result = await AuthSession.updateOne(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+    updatedAt: new Date()
+  });
+  return result.modifiedCount > 0;
+};
+
+/**
+ * End every live session of a user.
+ * @param {String} userId
+ * @param {String} reason - See AuthSession.revokedReason
+ * @param {Object} [options]
+ * @param {String} [options.exceptSessionId] - Keep this session (e.g. the device that changed the password)
+ * @returns {Promise<Number>} Number of sessions ended
+ */
+const revokeUserSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await AuthSession.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+    updatedAt: new Date()
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * A user's live sessions, most recently used first.
+ * @param {String} userId
+ * @param {String} [currentSessionId] - Marked with current: true
+ * @returns {Promise<Array<Object>>}
+ */
+const getUserSessions = async (userId, currentSessionId) => {
+  const sessions = await AuthSession.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('userAgent ipAddress impersonatedBy createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+
+  return sessions.map(session => ({
+    ...session.toObject(),
+    current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+  }));
+};
+
+module.exports = {
+  ACCESS_TOKEN_MINUTES,
+  REFRESH_TOKEN_DAYS,
+  REFRESH_GRACE_SECONDS,
+  getLegacyTokenCutover,
+  signAccessToken,
+  createSession,
+  createImpersonationSession,
+  rotateRefreshToken,
+  isTokenSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  getUserSessions
+};
@@ -0,0 +1,143 @@
+const Invoice = require('../models/Invoice');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const CreditTransaction = require('../models/CreditTransaction');
+const FeeRuleSettings = require('../models/FeeRuleSettings');
+const { computeFee } = require('./feeService');
+const { getSriLankaNow } = require('../utils/dateHelpers');
+
+// Tuition invoices - one per student, class and month. Created for everyone by the monthly
+// billing run (controllers/invoiceController) and for a new student when they enrol.
+
+// Day of the month tuition fees fall due
+const DEFAULT_DUE_DAY = 10;
+
+// Days a student who enrols after the month's due date has to pay
+const NEW_ENROLMENT_DUE_DAYS = 7;
+
+// Student fields the fee rules need
+const BILLING_STUDENT_FIELDS = 'paymentRole freeClasses status siblingGroup';
+
+// Due at the end of the due day (clamped to the month length)
+const getDueDate = (year, month, dueDay = DEFAULT_DUE_DAY) => {
+  const lastDayOfMonth = new Date(year, month, 0).getDate();
+  return new Date(year, month - 1, Math.min(dueDay, lastDayOfMonth), 23, 59, 59, 999);
+};
+
+/**
+ * Invoice a student for a class and month, applying the fee rules, any receipt already
+ * submitted for the month and any credit the student holds.
+ * @param {Object} student - Student document (BILLING_STUDENT_FIELDS)
+ * @param {Object} classItem - Class document
+ * @param {Number} year
+ * @param {Number} month - 1-12
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - FeeRuleSettings document
+ * @param {Date} [options.dueDate] - Defaults to the month's due date
+ * @param {String} [options.createdBy] - Admin user ID
+ * @returns {Promise<Object>} { status: 'created'|'exists'|'skipped', invoice, creditUsed }
+ */
+const createMonthInvoice = async (student, classItem, year, month, options = {}) => {
+  // Free Card students and students given this class for free are not billed
+  const isFreeForStudent = student.paymentRole === 'Free Card' ||
+    student.freeClasses.some(freeClassId => freeClassId.toString() === classItem._id.toString());
+
+  if (isFreeForStudent || student.status !== 'Approved') {
+    return { status: 'skipped' };
+  }
+
+  const existingInvoice = await Invoice.findOne({
+    studentId: student._id,
+    classId: classItem._id,
+    year,
+    month
+  });
+  if (existingInvoice) {
+    return { status: 'exists', invoice: existingInvoice };
+  }
+
+  // Apply the fee rules (attendance is not known yet at billing time)
+  const fee = await computeFee(student, classItem, year, month, { settings: options.settings });
+  if (fee.amountDue <= 0) {
+    return { status: 'skipped' };
+  }
+
+  const invoice = new Invoice({
+    studentId: student._id,
+    classId: classItem._id,
+    year,
+    month,
+    amount: fee.amountDue,
+    feeBreakdown: fee.breakdown,
+    dueDate: options.dueDate || getDueDate(year, month),
+    createdBy: options.createdBy
+  });
+  try {
+    await invoice.save();
+  } catch (error) {
+    // Invoiced at the same time by another run (billing run and a new enrolment)
+    if (error.code === 11000) {
+      const createdElsewhere = await Invoice.findOne({ studentId: student._id, classId: classItem._id, year, month });
+      return { status: 'exists', invoice: createdElsewhere };
+    }
+    throw error;
+  }
+
+  // Apply any receipt the student already submitted for this month
+  const settledInvoice = await Invoice.settleFromPayments(student._id, classItem._id, year, month);
+
+  // Carry forward any credit the student holds
+  const creditUsed = await CreditTransaction.applyToInvoice(settledInvoice);
+
+  return { status: 'created', invoice: settledInvoice, creditUsed };
+};
+
+/**
+ * Invoice students who have just enrolled in a class for the current month, so a
+ * mid-month join is billed (and pro-rated from the enrolment date) straight away rather
+ * than waiting for next month's billing run. Never throws.
+ * @param {String} classId
+ * @param {Array<String>} studentIds
+ * @returns {Promise<Number>} Invoices created
+ */
+const billNewEnrolments = async (classId, studentIds) => {
+  try {
+    const classItem = await Class.findById(classId);
+    if (!classItem || !classItem.isActive || classItem.isFreeClass || !(classItem.monthlyFee > 0)) {
+      return 0;
+    }
+
+    const today = getSriLankaNow();
+    const year = today.getFullYear();
+    const month = today.getMonth() + 1;
+
+    // Past the month's due date, give the student a few days to pay
+    let dueDate = getDueDate(year, month);
+    if (dueDate < today) {
+      dueDate = new Date(today.getFullYear(), today.getMonth(), today.getDate() + NEW_ENROLMENT_DUE_DAYS, 23, 59, 59, 999);
+    }
+
+    const [students, settings] = await Promise.all([
+      Student.find({ _id: { $in: studentIds } }).select(BILLING_STUDENT_FIELDS),
+      FeeRuleSettings.getSettings()
+    ]);
+
+    let created = 0;
+    for (const student of students) {
+      const result = await createMonthInvoice(student, classItem, year, month, { settings, dueDate });
+      if (result.status === 'created') created++;
+    }
+    return created;
+  } catch (error) {
+    console.error('Error billing new enrolments:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  DEFAULT_DUE_DAY,
+  BILLING_STUDENT_FIELDS,
+  getDueDate,
+  createMonthInvoice,
+  billNewEnrolments
+};
@@ -0,0 +1,116 @@
+const Resource = require('../models/Resource');
+const TimeSchedule = require('../models/TimeSchedule');
+const Assignment = require('../models/Assignment');
+const Exam = require('../models/Exam');
+const Announcement = require('../models/Announcement');
+
+// Class cloning - copies a class's teaching materials to another class.
+// Copied attachments point at the same Cloudinary files; the delete handlers only
+// remove a file once nothing else uses it.
+
+// Materials that can be copied, in the order they are copied
+const MATERIAL_TYPES = ['resources', 'timeSchedules', 'assignments', 'exams', 'announcements'];
+
+// Plain copy of a document without its IDs and timestamps (array items get new IDs too)
+const toCopy = (doc, omit = []) => {
+  const copy = doc.toObject({ virtuals: false });
+  ['_id', '__v', 'createdAt', 'updatedAt', ...omit].forEach(field => delete copy[field]);
+
+  Object.keys(copy).forEach(field => {
+    if (Array.isArray(copy[field])) {
+      copy[field] = copy[field].map(item => {
+        if (!item || typeof item !== 'object' || !Object.prototype.hasOwnProperty.call(item, '_id')) return item;
+        const { _id, ...rest } = item;
+        return rest;
+      });
+    }
+  });
+  return copy;
+};
+
+const copiers = {
+  // Active resources
+  resources: async (sourceClassId, targetClassId, userId, session) => {
+    const resources = await Resource.find({ classId: sourceClassId, isActive: true }).session(session);
+    for (const resource of resources) {
+      await Resource.create([{ ...toCopy(resource), classId: targetClassId, createdBy: userId }], { session });
+    }
+    return resources.length;
+  },
+
+  // Weekly schedules with every task marked not done
+  timeSchedules: async (sourceClassId, targetClassId, userId, session) => {
+    const schedules = await TimeSchedule.find({ classId: sourceClassId }).session(session);
+    for (const schedule of schedules) {
+      const copy = toCopy(schedule);
+      copy.tasks = (copy.tasks || []).map(task => ({ title: task.title, description: task.description, isDone: false }));
+      await TimeSchedule.create([{ ...copy, classId: targetClassId, createdBy: userId }], { session });
+    }
+    return schedules.length;
+  },
+
+  // Unpublished templates: the new class picks its own due date before publishing
+  assignments: async (sourceClassId, targetClassId, userId, session) => {
+    const assignments = await Assignment.find({ classId: sourceClassId }).session(session);
+    for (const assignment of assignments) {
+      await Assignment.create([{
+        ...toCopy(assignment, ['publishedAt', 'dueDate']),
+        classId: targetClassId,
+        createdBy: userId,
+        isPublished: false
+      }], { session });
+    }
+    return assignments.length;
+  },
+
+  // Unpublished templates without the exam date and times
+  exams: async (sourceClassId, targetClassId, userId, session) => {
+    const exams = await Exam.find({ classId: sourceClassId }).session(session);
+    for (const exam of exams) {
+      await Exam.create([{
+        ...toCopy(exam, ['publishedAt', 'examDate', 'examStartTime', 'examEndTime']),
+        classId: targetClassId,
+        createdBy: userId,
+        isPublished: false
+      }], { session });
+    }
+    return exams.length;
+  },
+
+  // Active announcements that have not expired
+  announcements: async (sourceClassId, targetClassId, userId, session) => {
+    const announcements = await Announcement.find({
+      classId: sourceClassId,
+      isActive: true,
+      $or: [{ expiryDate: null }, { expiryDate: { $gt: new Date() } }]
+    }).session(session);
+    for (const announcement of announcements) {
+      await Announcement.create([{ ...toCopy(announcement), classId: targetClassId, createdBy: userId }], { session });
+    }
+    return announcements.length;
+  }
+};
+
+/**
+ * Copy the chosen teaching materials from one class to another.
+ * @param {String} sourceClassId
+ * @param {String} targetClassId
+ * @param {Object} copy - { resources, timeSchedules, assignments, exams, announcements } flags
+ * @param {String} userId - Admin doing the copy (recorded as creator)
+ * @param {Object} [session] - Mongoose session of the clone's transaction
+ * @returns {Promise<Object>} Number of items copied per material type
+ */
+const copyClassMaterials = async (sourceClassId, targetClassId, copy, userId, session) => {
+  const copied = {};
+  for (const type of MATERIAL_TYPES) {
+    if (copy && (copy[type] === true || copy[type] === 'true')) {
+      copied[type] = await copiers[type](sourceClassId, targetClassId, userId, session);
+    }
+  }
+  return copied;
+};
+
+module.exports = {
+  MATERIAL_TYPES,
+  copyClassMaterials
+};
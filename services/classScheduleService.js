@@ -0,0 +1,239 @@
+const Class = require('../models/Class');
+const { WEEKDAYS, getSriLankaDayRange } = require('../utils/dateHelpers');
+
+// Class scheduling - finds classes whose times overlap and works out how busy each venue is.
+
+// Default opening hours used for the venue utilisation view
+const DEFAULT_DAY_START = '06:00';
+const DEFAULT_DAY_END = '21:00';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Minutes since midnight for HH:MM (times like "9:30" are allowed)
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+const normaliseVenue = (venue) => String(venue || '').trim().toLowerCase();
+
+const getClassName = (classItem) => `${classItem.grade} - ${classItem.category}`;
+
+// Online classes do not take up a venue
+const usesVenue = (classItem) => classItem.platform !== 'Online' && Boolean(normaliseVenue(classItem.venue));
+
+// Start of the Sri Lanka day a Special class is held on (null if the date is invalid)
+const getSpecialDay = (classItem) => {
+  const specialDate = new Date(classItem.date);
+  if (isNaN(specialDate.getTime())) return null;
+  return getSriLankaDayRange(specialDate).start;
+};
+
+// Weekday a class meets on
+const getClassWeekday = (classItem) => {
+  if (classItem.type === 'Normal') return classItem.date;
+  const specialDay = getSpecialDay(classItem);
+  return specialDay ? WEEKDAYS[specialDay.getDay()] : null;
+};
+
+// Whether two classes can meet on the same day
+const meetOnSameDay = (a, b) => {
+  if (a.type === 'Special' && b.type === 'Special') {
+    const dayA = getSpecialDay(a);
+    const dayB = getSpecialDay(b);
+    return Boolean(dayA && dayB) && dayA.getTime() === dayB.getTime();
+  }
+  const weekday = getClassWeekday(a);
+  return Boolean(weekday) && weekday === getClassWeekday(b);
+};
+
+const timesOverlap = (a, b) => (
+  toMinutes(a.startTime) < toMinutes(b.endTime) && toMinutes(b.startTime) < toMinutes(a.endTime)
+);
+
+// Whether two classes are taken by any of the same teachers
+const shareTeacher = (a, b) => {
+  const teachersA = (a.teachers || []).map(id => String(id._id || id));
+  return (b.teachers || []).some(id => teachersA.includes(String(id._id || id)));
+};
+
+// What two overlapping classes cannot share. Add a check here for each new shared resource.
+const CONFLICT_CHECKS = [
+  {
+    type: 'venue',
+    message: 'Time slot conflict with existing class at the same venue',
+    clashes: (a, b) => usesVenue(a) && usesVenue(b) && normaliseVenue(a.venue) === normaliseVenue(b.venue)
+  },
+  {
+    type: 'teacher',
+    message: 'Time slot conflict with another class taken by the same teacher',
+    clashes: shareTeacher
+  }
+];
+
+/**
+ * Active classes that clash with a new or changed class.
+ * @param {Object} candidate - Class fields (type, date, startTime, endTime, venue, platform, teachers)
+ * @param {Object} [options]
+ * @param {String} [options.excludeId] - The class being updated
+ * @returns {Promise<Array>} Conflicts: { type, message, classId, className, ... }
+ */
+const findClassConflicts = async (candidate, options = {}) => {
+  const filter = { isActive: true };
+  if (options.excludeId) {
+    filter._id = { $ne: options.excludeId };
+  }
+
+  const classes = await Class.find(filter)
+    .select('type category grade date startTime endTime venue platform teachers');
+
+  const conflicts = [];
+  classes
+    .filter(classItem => meetOnSameDay(candidate, classItem) && timesOverlap(candidate, classItem))
+    .forEach(classItem => {
+      CONFLICT_CHECKS
+        .filter(check => check.clashes(candidate, classItem))
+        .forEach(check => conflicts.push({
+          type: check.type,
+          message: check.message,
+          classId: classItem._id,
+          className: getClassName(classItem),
+          classType: classItem.type,
+          date: classItem.date,
+          startTime: classItem.startTime,
+          endTime: classItem.endTime,
+          venue: classItem.venue
+        }));
+    });
+
+  return conflicts;
+};
+
+// Merge overlapping busy periods (sorted by start)
+const mergeIntervals = (intervals) => {
+  const merged = [];
+  intervals
+    .slice()
+    .sort((a, b) => a.start - b.start)
+    .forEach(interval => {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        merged.push({ start: interval.start, end: interval.end });
+      }
+    });
+  return merged;
+};
+
+// Free periods between opening and closing time
+const getFreeSlots = (busy, dayStart, dayEnd) => {
+  const free = [];
+  let cursor = dayStart;
+
+  mergeIntervals(busy).forEach(interval => {
+    if (interval.start > cursor) {
+      free.push({ start: cursor, end: Math.min(interval.start, dayEnd) });
+    }
+    cursor = Math.max(cursor, interval.end);
+  });
+  if (cursor < dayEnd) {
+    free.push({ start: cursor, end: dayEnd });
+  }
+
+  return free.filter(slot => slot.end > slot.start);
+};
+
+/**
+ * Busy and free slots for each venue and weekday.
+ * Normal classes fill their weekday every week; Special classes only count in the week they are held.
+ * @param {Array} venues - Venue names
+ * @param {Object} options
+ * @param {Date} options.weekStart - Monday of the week to show Special classes for
+ * @param {Date} options.weekEnd - Sunday of that week
+ * @param {String} [options.dayStart] - Opening time (HH:MM)
+ * @param {String} [options.dayEnd] - Closing time (HH:MM)
+ * @returns {Promise<Array>}
+ */
+const getVenueUtilisation = async (venues, options) => {
+  const dayStart = toMinutes(options.dayStart || DEFAULT_DAY_START);
+  const dayEnd = toMinutes(options.dayEnd || DEFAULT_DAY_END);
+  const openMinutes = dayEnd - dayStart;
+
+  const classes = await Class.find({ isActive: true, platform: { $ne: 'Online' } })
+    .select('type category grade date startTime endTime venue platform');
+
+  // Special classes outside the chosen week do not take up the venue
+  const weekClasses = classes.filter(classItem => {
+    if (classItem.type === 'Normal') return true;
+    const specialDay = getSpecialDay(classItem);
+    return specialDay && specialDay >= options.weekStart && specialDay <= options.weekEnd;
+  });
+
+  const weekdays = [...WEEKDAYS.slice(1), WEEKDAYS[0]]; // Monday first
+
+  return venues.map(venue => {
+    const venueClasses = weekClasses.filter(classItem => normaliseVenue(classItem.venue) === normaliseVenue(venue));
+    let weekBusyMinutes = 0;
+
+    const days = weekdays.map(weekday => {
+      const dayClasses = venueClasses
+        .filter(classItem => getClassWeekday(classItem) === weekday)
+        .sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+
+      const busyIntervals = dayClasses.map(classItem => ({
+        start: Math.max(toMinutes(classItem.startTime), dayStart),
+        end: Math.min(toMinutes(classItem.endTime), dayEnd)
+      })).filter(interval => interval.end > interval.start);
+
+      const busyMinutes = mergeIntervals(busyIntervals)
+        .reduce((total, interval) => total + interval.end - interval.start, 0);
+      weekBusyMinutes += busyMinutes;
+
+      // Classes at this venue that overlap each other
+      const clashes = [];
+      dayClasses.forEach((classItem, index) => {
+        dayClasses.slice(index + 1).forEach(other => {
+          if (timesOverlap(classItem, other)) {
+            clashes.push([classItem._id, other._id]);
+          }
+        });
+      });
+
+      return {
+        weekday,
+        busy: dayClasses.map(classItem => ({
+          classId: classItem._id,
+          className: getClassName(classItem),
+          type: classItem.type,
+          date: classItem.date,
+          startTime: classItem.startTime,
+          endTime: classItem.endTime
+        })),
+        free: getFreeSlots(busyIntervals, dayStart, dayEnd).map(slot => ({
+          startTime: toTime(slot.start),
+          endTime: toTime(slot.end)
+        })),
+        busyMinutes,
+        utilisation: openMinutes > 0 ? Math.round((busyMinutes / openMinutes) * 1000) / 10 : 0,
+        clashes
+      };
+    });
+
+    return {
+      venue,
+      days,
+      busyMinutes: weekBusyMinutes,
+      utilisation: openMinutes > 0 ? Math.round((weekBusyMinutes / (openMinutes * 7)) * 1000) / 10 : 0
+    };
+  });
+};
+
+module.exports = {
+  toMinutes,
+  timesOverlap,
+  findClassConflicts,
+  getVenueUtilisation
+};
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const AssignmentSubmission = require('../models/AssignmentSubmission');
+
+// Class scope - teachers only work with the classes they are assigned to (Class.teachers).
+// Admins and moderators can work with every class.
+
+// Roles let into staff routes
+const STAFF_ROLES = ['admin', 'moderator', 'Teacher'];
+
+const isTeacher = (user) => Boolean(user) && user.role === 'Teacher';
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+// IDs of the classes a teacher is assigned to
+const getTeacherClassIds = async (userId) => {
+  const classes = await Class.find({ teachers: userId }).select('_id');
+  return classes.map(classItem => classItem._id);
+};
+
+/**
+ * Whether a user may work with a class. Only teachers are limited; students are
+ * checked by the controllers (enrolment, fees).
+ * @param {Object} user - req.user ({ id, role })
+ * @param {String|Object} classId - Class ID (or populated class)
+ * @returns {Promise<Boolean>}
+ */
+const canAccessClass = async (user, classId) => {
+  if (!isTeacher(user)) return true;
+
+  const id = toId(classId);
+  if (!id || !mongoose.Types.ObjectId.isValid(id)) return false;
+
+  return Boolean(await Class.exists({ _id: id, teachers: user.id }));
+};
+
+// Class a record belongs to (null when the record does not exist)
+const getRecordClassId = async (Model, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const record = await Model.findById(id).select('classId');
+  return record ? record.classId : null;
+};
+
+// Class an assignment submission belongs to, through its assignment
+const getSubmissionClassId = async (submissionId) => {
+  if (!mongoose.Types.ObjectId.isValid(submissionId)) return null;
+  const submission = await AssignmentSubmission.findById(submissionId)
+    .select('assignmentId')
+    .populate('assignmentId', 'classId');
+  return submission && submission.assignmentId ? submission.assignmentId.classId : null;
+};
+
+module.exports = {
+  STAFF_ROLES,
+  isTeacher,
+  getTeacherClassIds,
+  canAccessClass,
+  getRecordClassId,
+  getSubmissionClassId
+};
@@ -303,7 +303,15 @@ class EmailService {
           },
           subject,
           html,
-          ...(options.replyTo && { replyTo: options.replyTo })
+          ...(options.replyTo && { replyTo: options.replyTo }),
+          ...(options.attachments && {
+            attachments: options.attachments.map(attachment => ({
+              content: attachment.content.toString('base64'),
+              filename: attachment.filename,
+              type: attachment.contentType,
+              disposition: 'attachment'
+            }))
+          })
         };
 
         const result = await sgMail.send(msg);
@@ -321,7 +329,8 @@ class EmailService {
           to,
           subject,
           html,
-          ...(options.replyTo && { replyTo: options.replyTo })
+          ...(options.replyTo && { replyTo: options.replyTo }),
+          ...(options.attachments && { attachments: options.attachments })
         };
 
         const result = await this.transporter.sendMail(mailOptions);
@@ -430,6 +439,43 @@ class EmailService {
     }
   }
 
+  async sendAttendanceAlertEmail(email, alertData) {
+    try {
+      const result = await this.sendEmail(
+        email,
+        `Attendance Alert: ${alertData.studentName} - Ayanna Kiyanna Sinhala Institute`,
+        this.getAttendanceAlertEmailTemplate(alertData)
+      );
+      console.log(`✅ Attendance alert email sent successfully via ${result.provider}`);
+      return result;
+    } catch (error) {
+      console.error('❌ Failed to send attendance alert email:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async sendPaymentReceiptEmail(email, receiptData, pdfBuffer) {
+    try {
+      const result = await this.sendEmail(
+        email,
+        `Payment Receipt ${receiptData.receiptNumber} - Ayanna Kiyanna Sinhala Institute`,
+        this.getPaymentReceiptEmailTemplate(receiptData),
+        {
+          attachments: [{
+            filename: `receipt-${receiptData.receiptNumber}.pdf`,
+            content: pdfBuffer,
+            contentType: 'application/pdf'
+          }]
+        }
+      );
+      console.log(`✅ Payment receipt email sent successfully via ${result.provider}`);
+      return result;
+    } catch (error) {
+      console.error('❌ Failed to send payment receipt email:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   getPasswordResetEmailTemplate(otp, fullName) {
     return `
     <!DOCTYPE html>
@@ -1056,6 +1102,173 @@ class EmailService {
     </html>
     `;
   }
+
+  getAttendanceAlertEmailTemplate(alertData) {
+    const reasonItems = [];
+    if (alertData.consecutiveAbsences) {
+      reasonItems.push(`<li>Absent for the last <strong>${alertData.consecutiveAbsences}</strong> classes in a row</li>`);
+    }
+    if (alertData.monthlyRate !== undefined && alertData.monthlyRate !== null) {
+      reasonItems.push(`<li>Attendance over the last 30 days: <strong>${alertData.monthlyRate}%</strong></li>`);
+    }
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Attendance Alert - Ayanna Kiyanna</title>
+        <style>
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                line-height: 1.6;
+                color: #333;
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 20px;
+                background-color: #f4f4f4;
+            }
+            .container {
+                background: white;
+                padding: 30px;
+                border-radius: 10px;
+                box-shadow: 0 0 20px rgba(0,0,0,0.1);
+            }
+            .header {
+                text-align: center;
+                margin-bottom: 30px;
+            }
+            .logo {
+                font-size: 28px;
+                font-weight: bold;
+                color: #e91e63;
+                margin-bottom: 10px;
+            }
+            .alert-box {
+                background: #fff3cd;
+                border-left: 4px solid #ff9800;
+                padding: 15px 20px;
+                border-radius: 5px;
+                margin: 20px 0;
+            }
+            .footer {
+                text-align: center;
+                margin-top: 30px;
+                color: #666;
+                font-size: 14px;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <div class="logo">🌸 Ayanna Kiyanna Sinhala Institute</div>
+                <h2>Attendance Alert</h2>
+            </div>
+
+            <p>Dear ${alertData.guardianName || 'Parent/Guardian'},</p>
+
+            <p>We would like to let you know that <strong>${alertData.studentName}</strong> (${alertData.studentId}) has been missing classes in <strong>${alertData.className}</strong>.</p>
+
+            <div class="alert-box">
+                <ul style="margin: 0; padding-left: 20px;">
+                    ${reasonItems.join('')}
+                </ul>
+            </div>
+
+            <p>If there is a reason for these absences, please let us know or submit an absence note through the student dashboard. We are happy to help the student catch up.</p>
+
+            <div class="footer">
+                <p>Best regards,<br>
+                <strong>Ayanna Kiyanna Sinhala Institute Team</strong></p>
+                <p><small>This is an automated attendance notification.</small></p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  getPaymentReceiptEmailTemplate(receiptData) {
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Payment Receipt - Ayanna Kiyanna</title>
+        <style>
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                line-height: 1.6;
+                color: #333;
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 20px;
+                background-color: #f4f4f4;
+            }
+            .container {
+                background: white;
+                padding: 30px;
+                border-radius: 10px;
+                box-shadow: 0 0 20px rgba(0,0,0,0.1);
+            }
+            .header {
+                text-align: center;
+                margin-bottom: 30px;
+            }
+            .logo {
+                font-size: 28px;
+                font-weight: bold;
+                color: #e91e63;
+                margin-bottom: 10px;
+            }
+            .receipt-box {
+                background: #f1f8e9;
+                border-left: 4px solid #4caf50;
+                padding: 15px 20px;
+                border-radius: 5px;
+                margin: 20px 0;
+            }
+            .footer {
+                text-align: center;
+                margin-top: 30px;
+                color: #666;
+                font-size: 14px;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <div class="logo">🌸 Ayanna Kiyanna Sinhala Institute</div>
+                <h2>Payment Receipt</h2>
+            </div>
+
+            <p>Dear ${receiptData.studentName},</p>
+
+            <p>Thank you. Your class fee payment has been approved. Your official receipt is attached to this email.</p>
+
+            <div class="receipt-box">
+                <p style="margin: 0;"><strong>Receipt No:</strong> ${receiptData.receiptNumber}</p>
+                <p style="margin: 0;"><strong>Class:</strong> ${receiptData.className}</p>
+                <p style="margin: 0;"><strong>Month:</strong> ${receiptData.period}</p>
+                <p style="margin: 0;"><strong>Amount:</strong> Rs. ${receiptData.amount}</p>
+            </div>
+
+            <p>You can also download this receipt at any time from "My Payment Requests" in the student dashboard.</p>
+
+            <div class="footer">
+                <p>Best regards,<br>
+                <strong>Ayanna Kiyanna Sinhala Institute Team</strong></p>
+                <p><small>This is an automated payment notification.</small></p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,188 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+// Shared helpers for turning tabular report data into downloadable files.
+// A table is described by `columns` ({ key, header, width }) and plain `rows` objects.
+
+const INSTITUTE_NAME = 'Ayanna Kiyanna Sinhala Institute';
+
+// PDFs use Noto Sans Sinhala (assets/fonts, SIL Open Font License), which covers both
+// Sinhala and English - the built-in Helvetica can't draw Sinhala names and notes
+const PDF_FONT = 'NotoSansSinhala';
+const PDF_FONT_BOLD = 'NotoSansSinhala-Bold';
+const FONT_DIR = path.join(__dirname, '..', 'assets', 'fonts');
+
+// Escape a single CSV cell
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Build a CSV string (with BOM so Excel opens Sinhala text correctly)
+const buildCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(row[column.key])).join(','));
+  });
+  return '\uFEFF' + lines.join('\r\n');
+};
+
+// Build an XLSX workbook buffer with a single sheet
+const buildXlsxBuffer = async (columns, rows, options = {}) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = INSTITUTE_NAME;
+  workbook.created = new Date();
+
+  const worksheet = workbook.addWorksheet(options.sheetName || 'Sheet1');
+  let headerRowNumber = 1;
+
+  if (options.title) {
+    worksheet.addRow([options.title]).font = { bold: true, size: 14 };
+    if (options.subtitle) {
+      worksheet.addRow([options.subtitle]);
+    }
+    worksheet.addRow([]);
+    headerRowNumber = worksheet.rowCount + 1;
+  }
+
+  const headerRow = worksheet.addRow(columns.map(column => column.header));
+  headerRow.font = { bold: true };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFCE4EC' } };
+
+  rows.forEach(row => {
+    worksheet.addRow(columns.map(column => row[column.key]));
+  });
+
+  columns.forEach((column, index) => {
+    worksheet.getColumn(index + 1).width = column.width || Math.max(10, String(column.header).length + 2);
+  });
+  worksheet.views = [{ state: 'frozen', ySplit: headerRowNumber }];
+
+  return workbook.xlsx.writeBuffer();
+};
+
+// Collect a PDFKit document into a buffer
+const pdfToBuffer = (doc) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+};
+
+// New PDFKit document with the Sinhala-capable fonts registered and selected
+const createPdfDocument = (options) => {
+  const doc = new PDFDocument(options);
+  doc.registerFont(PDF_FONT, path.join(FONT_DIR, 'NotoSansSinhala-Regular.ttf'));
+  doc.registerFont(PDF_FONT_BOLD, path.join(FONT_DIR, 'NotoSansSinhala-Bold.ttf'));
+  doc.font(PDF_FONT);
+  return doc;
+};
+
+// Draw the institute header at the top of a PDF page
+const drawPdfHeader = (doc, title, subtitle) => {
+  doc.fontSize(16).font(PDF_FONT_BOLD).text(INSTITUTE_NAME, { align: 'center' });
+  doc.moveDown(0.2);
+  doc.fontSize(12).font(PDF_FONT_BOLD).text(title, { align: 'center' });
+  if (subtitle) {
+    doc.fontSize(9).font(PDF_FONT).text(subtitle, { align: 'center' });
+  }
+  doc.moveDown(0.8);
+};
+
+// Build a printable, paginated table PDF
+const buildTablePdfBuffer = (columns, rows, options = {}) => {
+  const doc = createPdfDocument({
+    size: 'A4',
+    layout: options.landscape ? 'landscape' : 'portrait',
+    margin: 30
+  });
+
+  const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const totalWeight = columns.reduce((sum, column) => sum + (column.width || 10), 0);
+  const columnWidths = columns.map(column => ((column.width || 10) / totalWeight) * pageWidth);
+  const rowHeight = 16;
+  const fontSize = options.fontSize || 8;
+
+  const drawRow = (values, isHeader) => {
+    const y = doc.y;
+    let x = doc.page.margins.left;
+
+    if (isHeader) {
+      doc.rect(x, y, pageWidth, rowHeight).fill('#fce4ec');
+      doc.fillColor('#000000');
+    }
+
+    doc.font(isHeader ? PDF_FONT_BOLD : PDF_FONT).fontSize(fontSize);
+    values.forEach((value, index) => {
+      doc.text(value === null || value === undefined ? '' : String(value), x + 2, y + 4, {
+        width: columnWidths[index] - 4,
+        height: rowHeight - 4,
+        ellipsis: true,
+        lineBreak: false
+      });
+      x += columnWidths[index];
+    });
+
+    doc.moveTo(doc.page.margins.left, y + rowHeight)
+      .lineTo(doc.page.margins.left + pageWidth, y + rowHeight)
+      .strokeColor('#dddddd')
+      .stroke();
+    doc.x = doc.page.margins.left;
+    doc.y = y + rowHeight;
+  };
+
+  const headerValues = columns.map(column => column.header);
+
+  drawPdfHeader(doc, options.title || 'Report', options.subtitle);
+  drawRow(headerValues, true);
+
+  rows.forEach(row => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      drawRow(headerValues, true);
+    }
+    drawRow(columns.map(column => row[column.key]), false);
+  });
+
+  if (options.footer) {
+    doc.moveDown(1);
+    doc.font(PDF_FONT).fontSize(8).text(options.footer, doc.page.margins.left);
+  }
+
+  return pdfToBuffer(doc);
+};
+
+// Send a generated file as a download
+const sendFile = (res, content, filename, contentType) => {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(content);
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+module.exports = {
+  INSTITUTE_NAME,
+  CONTENT_TYPES,
+  PDF_FONT,
+  PDF_FONT_BOLD,
+  buildCsv,
+  buildXlsxBuffer,
+  buildTablePdfBuffer,
+  createPdfDocument,
+  drawPdfHeader,
+  pdfToBuffer,
+  sendFile
+};
@@ -0,0 +1,97 @@
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const Invoice = require('../models/Invoice');
+
+// Fee arrears gating - classes can restrict their content for Pay Card students whose
+// invoices are still unpaid a number of days after the due date. Admins can override per student.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Active admin override for a student and class (if any)
+const getOverride = (student, classId) => {
+  const now = new Date();
+  return (student.feeAccessOverrides || []).find(override =>
+    override.classId.toString() === classId.toString() &&
+    (!override.expiresAt || override.expiresAt > now)
+  ) || null;
+};
+
+// Invoices for the class that are unpaid past the grace period
+const getArrearsInvoices = async (studentId, classId, graceDays) => {
+  const cutoff = new Date(Date.now() - graceDays * DAY_MS);
+  const invoices = await Invoice.find({
+    studentId,
+    classId,
+    status: { $in: ['Due', 'Part-Paid', 'Overdue'] },
+    dueDate: { $lt: cutoff }
+  }).sort({ year: 1, month: 1 });
+
+  return invoices.filter(invoice => invoice.balance > 0);
+};
+
+/**
+ * Work out whether a user may open a class's content.
+ * Only students are ever restricted.
+ * @param {Object} user - req.user ({ id, role })
+ * @param {String} classId
+ * @returns {Promise<Object>} { allowed, reason, outstandingMonths, outstandingAmount }
+ */
+const getFeeAccess = async (user, classId) => {
+  const allowed = (reason) => ({ allowed: true, reason, outstandingMonths: [], outstandingAmount: 0 });
+
+  if (!user || user.role !== 'student' || !classId) return allowed('not_student');
+
+  const classData = await Class.findById(classId).select('feeGating isFreeClass');
+  if (!classData || !classData.feeGating || !classData.feeGating.enabled) return allowed('not_gated');
+  if (classData.isFreeClass) return allowed('free_class');
+
+  const student = await Student.findOne({ userId: user.id })
+    .select('paymentRole freeClasses feeAccessOverrides');
+  if (!student) return allowed('no_student_profile');
+
+  if (student.paymentRole !== 'Pay Card' ||
+      student.freeClasses.some(freeClassId => freeClassId.toString() === classId.toString())) {
+    return allowed('free_card');
+  }
+
+  if (getOverride(student, classId)) return allowed('admin_override');
+
+  const invoices = await getArrearsInvoices(student._id, classId, classData.feeGating.graceDays);
+  if (invoices.length === 0) return allowed('paid_up');
+
+  return {
+    allowed: false,
+    reason: 'fees_outstanding',
+    outstandingMonths: invoices.map(invoice => ({
+      invoiceId: invoice._id,
+      year: invoice.year,
+      month: invoice.month,
+      dueDate: invoice.dueDate,
+      balance: invoice.balance
+    })),
+    outstandingAmount: invoices.reduce((sum, invoice) => sum + invoice.balance, 0)
+  };
+};
+
+// Response body sent when access is restricted
+const feeRestrictedResponse = (access) => ({
+  success: false,
+  feesOutstanding: true,
+  message: 'Please settle your outstanding class fees to access this content.',
+  outstandingMonths: access.outstandingMonths,
+  outstandingAmount: access.outstandingAmount
+});
+
+// Check access and send the restricted response; returns true when the request was answered
+const denyIfFeesOutstanding = async (req, res, classId) => {
+  const access = await getFeeAccess(req.user, classId);
+  if (access.allowed) return false;
+
+  res.status(402).json(feeRestrictedResponse(access));
+  return true;
+};
+
+module.exports = {
+  getFeeAccess,
+  denyIfFeesOutstanding
+};
@@ -0,0 +1,210 @@
+const FeeReminderLog = require('../models/FeeReminderLog');
+const { getChannel, getTransport } = require('./messaging');
+const { getSriLankaNow } = require('../utils/dateHelpers');
+
+// Fee reminders - works out which reminder (if any) an unpaid invoice is due today,
+// fills in the admin's template and sends it to each recipient over the messaging channels.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A reminder that failed to send is tried again on later runs, up to this many attempts
+const MAX_SEND_ATTEMPTS = 3;
+
+// Values passed to the approved WhatsApp templates as {{1}}, {{2}}... in this order
+const WHATSAPP_TEMPLATE_PARAMETERS = ['studentName', 'className', 'period', 'balance', 'dueDate', 'daysOverdue'];
+
+// Whole-day number for a date's calendar day (ignores time of day)
+const dayNumber = (date) => Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS;
+
+/**
+ * The reminder an invoice should get today.
+ * Earlier missed days are caught up: a reminder is due for as long as its window lasts
+ * and is only sent once per recipient (see FeeReminderLog).
+ * @returns {Object|null} { stage, sequence, daysOverdue }
+ */
+const getReminderStage = (invoice, settings, now = getSriLankaNow()) => {
+  const daysUntilDue = dayNumber(invoice.dueDate) - dayNumber(now);
+
+  if (daysUntilDue > 0) {
+    if (settings.daysBeforeDue > 0 && daysUntilDue <= settings.daysBeforeDue) {
+      return { stage: 'beforeDue', sequence: 1, daysOverdue: 0 };
+    }
+    return null;
+  }
+
+  if (daysUntilDue === 0) {
+    return settings.sendOnDueDate ? { stage: 'dueToday', sequence: 1, daysOverdue: 0 } : null;
+  }
+
+  const daysOverdue = -daysUntilDue;
+  const { enabled, firstAfterDays, repeatEveryDays, maxReminders } = settings.overdue;
+  if (!enabled || daysOverdue < firstAfterDays) return null;
+
+  const sequence = Math.floor((daysOverdue - firstAfterDays) / repeatEveryDays) + 1;
+  if (sequence > maxReminders) return null;
+
+  return { stage: 'overdue', sequence, daysOverdue };
+};
+
+// Replace {{placeholders}} in a template
+const renderTemplate = (template, values) => {
+  return (template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : ''
+  ));
+};
+
+// Placeholder values for an invoice populated with studentId and classId
+const getTemplateValues = (invoice, daysOverdue = 0) => {
+  const student = invoice.studentId || {};
+  const classData = invoice.classId || {};
+  const monthName = new Date(invoice.year, invoice.month - 1, 1).toLocaleString('en-US', { month: 'long' });
+
+  return {
+    studentName: [student.firstName, student.lastName].filter(Boolean).join(' '),
+    guardianName: student.guardianName || '',
+    className: `${classData.grade} - ${classData.category}`,
+    period: `${monthName} ${invoice.year}`,
+    amount: invoice.amount.toFixed(2),
+    balance: invoice.balance.toFixed(2),
+    dueDate: invoice.dueDate.toLocaleDateString('en-GB'),
+    daysOverdue
+  };
+};
+
+// Everyone who should get the reminder, according to the settings
+const getRecipients = (student, settings) => {
+  const recipients = [
+    { recipientType: 'studentEmail', channel: 'email', to: student.email },
+    { recipientType: 'guardianEmail', channel: 'email', to: student.guardianEmail },
+    { recipientType: 'studentWhatsapp', channel: 'whatsapp', to: student.whatsappNumber },
+    { recipientType: 'guardianWhatsapp', channel: 'whatsapp', to: student.guardianContact }
+  ];
+
+  const seen = new Set();
+  return recipients.filter(recipient => {
+    if (!settings.recipients[recipient.recipientType] || !recipient.to) return false;
+    const key = `${recipient.channel}-${String(recipient.to).toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Render the subject and message for a stage, plus the WhatsApp template to send
+const buildReminderMessage = (invoice, stage, settings, daysOverdue = 0) => {
+  const template = settings.templates[stage];
+  const values = getTemplateValues(invoice, daysOverdue);
+  return {
+    subject: renderTemplate(template.subject, values),
+    text: renderTemplate(template.body, values),
+    template: {
+      name: template.whatsappTemplate,
+      language: settings.whatsappLanguage || 'en',
+      parameters: WHATSAPP_TEMPLATE_PARAMETERS.map(key => String(values[key] === undefined ? '' : values[key]))
+    }
+  };
+};
+
+/**
+ * Send one reminder for an invoice to every recipient that has not already had it.
+ * A reminder that was sent or stubbed is not sent again; one that failed is retried
+ * until it has been tried MAX_SEND_ATTEMPTS times.
+ * @param {Object} invoice - Invoice populated with studentId and classId
+ * @param {Object} reminder - Result of getReminderStage
+ * @param {Object} settings - FeeReminderSettings document
+ * @param {Object} [options]
+ * @param {String} [options.triggeredBy] - Admin user ID for manual runs
+ * @param {Boolean} [options.dryRun] - Work out what would be sent without sending
+ * @returns {Promise<Object>} { sent, stubbed, failed, skipped, messages }
+ */
+const sendInvoiceReminder = async (invoice, reminder, settings, options = {}) => {
+  const { stage, sequence, daysOverdue } = reminder;
+  const message = buildReminderMessage(invoice, stage, settings, daysOverdue);
+  const result = { sent: 0, stubbed: 0, failed: 0, skipped: 0, messages: [] };
+
+  const earlierLogs = await FeeReminderLog.find({
+    invoiceId: invoice._id,
+    stage,
+    sequence
+  }).select('recipient channel status');
+
+  const recipientKey = (channel, to) => `${channel}-${String(to).toLowerCase()}`;
+  const doneKeys = new Set();
+  const failedAttempts = new Map();
+  earlierLogs.forEach(log => {
+    const key = recipientKey(log.channel, log.recipient);
+    if (log.status === 'Failed') {
+      failedAttempts.set(key, (failedAttempts.get(key) || 0) + 1);
+    } else {
+      doneKeys.add(key);
+    }
+  });
+
+  for (const recipient of getRecipients(invoice.studentId, settings)) {
+    const key = recipientKey(recipient.channel, recipient.to);
+    if (doneKeys.has(key) || (failedAttempts.get(key) || 0) >= MAX_SEND_ATTEMPTS) {
+      result.skipped++;
+      continue;
+    }
+
+    if (options.dryRun) {
+      result.messages.push({ ...recipient, stage, sequence, subject: message.subject, text: message.text, template: message.template });
+      continue;
+    }
+
+    const log = {
+      invoiceId: invoice._id,
+      studentId: invoice.studentId._id,
+      classId: invoice.classId && invoice.classId._id,
+      stage,
+      sequence,
+      channel: recipient.channel,
+      recipientType: recipient.recipientType,
+      recipient: recipient.to,
+      subject: message.subject,
+      message: message.text,
+      triggeredBy: options.triggeredBy
+    };
+
+    try {
+      if (!getTransport()) {
+        throw new Error('MESSAGING_TRANSPORT is not set (live or stub)');
+      }
+      const channel = getChannel(recipient.channel);
+      if (!channel || !channel.isConfigured()) {
+        throw new Error(`${recipient.channel} channel is not configured`);
+      }
+
+      const sendResult = await channel.send({
+        to: recipient.to,
+        subject: message.subject,
+        text: message.text,
+        template: message.template
+      });
+      // Stubbed messages were never delivered, so they don't count as sent
+      await FeeReminderLog.create({
+        ...log,
+        status: sendResult.stubbed ? 'Stubbed' : 'Sent',
+        provider: sendResult.provider,
+        messageId: sendResult.messageId
+      });
+      result[sendResult.stubbed ? 'stubbed' : 'sent']++;
+    } catch (error) {
+      console.error(`Error sending ${stage} fee reminder to ${recipient.to}:`, error.message);
+      await FeeReminderLog.create({ ...log, status: 'Failed', error: error.message });
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  MAX_SEND_ATTEMPTS,
+  WHATSAPP_TEMPLATE_PARAMETERS,
+  getReminderStage,
+  renderTemplate,
+  getTemplateValues,
+  buildReminderMessage,
+  sendInvoiceReminder
+};
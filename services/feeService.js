@@ -0,0 +1,201 @@
+const Attendance = require('../models/Attendance');
+const Invoice = require('../models/Invoice');
+const FeeRuleSettings = require('../models/FeeRuleSettings');
+const Scholarship = require('../models/Scholarship');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const { getSriLankaNow } = require('../utils/dateHelpers');
+
+// Fee rules engine - works out what a student owes for a class in a month.
+// Rules are applied in order: free class, pro-rating, sibling discount, scholarships, attendance,
+// then any fee adjustments and carried-forward credit already recorded on the month's invoice.
+
+// Round to whole rupees
+const roundAmount = (amount) => Math.max(0, Math.round(amount));
+
+// When a student joined a class: their enrolment date, or for enrolments from before
+// enrolment dates were kept, the first class day they appear on
+const getJoinDate = async (studentId, classId) => {
+  const classItem = await Class.findById(classId).select('enrolmentDates');
+  const enrolledAt = classItem ? classItem.getEnrolmentDate(studentId) : null;
+  if (enrolledAt) {
+    return getSriLankaNow(enrolledAt);
+  }
+
+  const firstSheet = await Attendance.findOne({
+    classId,
+    'studentAttendance.studentId': studentId
+  })
+    .sort({ date: 1 })
+    .select('date');
+
+  return firstSheet ? firstSheet.date : null;
+};
+
+// Whether the student gets the sibling discount (every sibling except the first registered)
+const qualifiesForSiblingDiscount = async (student) => {
+  if (!student.siblingGroup) return false;
+
+  const firstSibling = await Student.findOne({
+    siblingGroup: student.siblingGroup,
+    status: 'Approved'
+  })
+    .sort({ createdAt: 1 })
+    .select('_id');
+
+  return Boolean(firstSibling) && firstSibling._id.toString() !== student._id.toString();
+};
+
+/**
+ * Load everything computeFee looks up for a student and class in a year, so working out
+ * many months (e.g. a year's payment status) runs the queries once.
+ * @param {Object} student - Student document
+ * @param {Object} classData - Class document
+ * @param {Number} year
+ * @returns {Promise<Object>} Pass as options.context to computeFee
+ */
+const loadFeeContext = async (student, classData, year) => {
+  const [settings, joinDate, siblingDiscount, scholarships, invoices] = await Promise.all([
+    FeeRuleSettings.getSettings(),
+    getJoinDate(student._id, classData._id),
+    qualifiesForSiblingDiscount(student),
+    Scholarship.find({
+      studentId: student._id,
+      isActive: true,
+      $or: [{ classId: null }, { classId: classData._id }]
+    }).sort({ createdAt: 1 }),
+    Invoice.find({ studentId: student._id, classId: classData._id, year })
+  ]);
+
+  return { year, settings, joinDate, siblingDiscount, scholarships, invoices };
+};
+
+/**
+ * Compute the fee due for a student, class and month.
+ * @param {Object} student - Student document
+ * @param {Object} classData - Class document
+ * @param {Number} year
+ * @param {Number} month - 1-12
+ * @param {Object} [options]
+ * @param {Object} [options.attendance] - Result of calculateAttendance; the attendance rule only applies when given
+ * @param {Object} [options.settings] - FeeRuleSettings document (loaded when omitted)
+ * @param {Object} [options.context] - Result of loadFeeContext for the same year (nothing is loaded)
+ * @returns {Promise<Object>} { monthlyFee, amountDue, isFreeClass, breakdown: [{ rule, label, amount }] }
+ */
+const computeFee = async (student, classData, year, month, options = {}) => {
+  const context = options.context && options.context.year === year ? options.context : null;
+  const settings = options.settings || (context && context.settings) || await FeeRuleSettings.getSettings();
+  const monthlyFee = classData.monthlyFee || 0;
+  const breakdown = [{ rule: 'monthly_fee', label: 'Monthly fee', amount: monthlyFee }];
+
+  const isFreeClass = classData.isFreeClass ||
+    student.paymentRole === 'Free Card' ||
+    student.freeClasses.some(freeClassId => freeClassId.toString() === classData._id.toString());
+
+  if (isFreeClass) {
+    breakdown.push({ rule: 'free_class', label: 'Free class', amount: -monthlyFee });
+    return { monthlyFee, amountDue: 0, isFreeClass, breakdown };
+  }
+
+  let amount = monthlyFee;
+
+  // Pro-rating for students who joined part-way through this month
+  if (settings.proRating.enabled && amount > 0) {
+    const joinDate = context ? context.joinDate : await getJoinDate(student._id, classData._id);
+    if (joinDate &&
+        joinDate.getFullYear() === year &&
+        joinDate.getMonth() + 1 === month &&
+        joinDate.getDate() > settings.proRating.joinedAfterDay) {
+      const reduction = amount - roundAmount(amount * settings.proRating.feePercentage / 100);
+      breakdown.push({
+        rule: 'pro_rating',
+        label: `Joined mid-month (${settings.proRating.feePercentage}% of fee)`,
+        amount: -reduction
+      });
+      amount -= reduction;
+    }
+  }
+
+  // Sibling discount
+  if (settings.siblingDiscount.enabled && settings.siblingDiscount.percentage > 0 && amount > 0) {
+    if (context ? context.siblingDiscount : await qualifiesForSiblingDiscount(student)) {
+      const reduction = roundAmount(amount * settings.siblingDiscount.percentage / 100);
+      breakdown.push({
+        rule: 'sibling_discount',
+        label: `Sibling discount (${settings.siblingDiscount.percentage}%)`,
+        amount: -reduction
+      });
+      amount -= reduction;
+    }
+  }
+
+  // Scholarships for this class (or all classes) covering the month
+  const scholarships = context ? context.scholarships : await Scholarship.find({
+    studentId: student._id,
+    isActive: true,
+    $or: [{ classId: null }, { classId: classData._id }]
+  }).sort({ createdAt: 1 });
+
+  scholarships
+    .filter(scholarship => scholarship.appliesTo(year, month))
+    .forEach(scholarship => {
+      if (amount <= 0) return;
+      const reduction = scholarship.discountType === 'Percentage'
+        ? roundAmount(amount * Math.min(scholarship.value, 100) / 100)
+        : Math.min(amount, scholarship.value);
+      breakdown.push({
+        rule: 'scholarship',
+        label: scholarship.discountType === 'Percentage'
+          ? `${scholarship.name} (${scholarship.value}%)`
+          : scholarship.name,
+        amount: -reduction,
+        scholarshipId: scholarship._id
+      });
+      amount -= reduction;
+    });
+
+  // No fee for a month the student did not attend enough
+  if (options.attendance && settings.attendanceRule.enabled && amount > 0 &&
+      options.attendance.presentDays < settings.attendanceRule.minPresentDays) {
+    breakdown.push({
+      rule: 'attendance',
+      label: `Attended fewer than ${settings.attendanceRule.minPresentDays} days`,
+      amount: -amount
+    });
+    amount = 0;
+  }
+
+  // Refund adjustments and credit recorded on this month's invoice
+  const invoice = context
+    ? context.invoices.find(item => item.month === month) || null
+    : await Invoice.findOne({ studentId: student._id, classId: classData._id, year, month });
+  if (invoice && invoice.status !== 'Waived') {
+    invoice.feeBreakdown
+      .filter(line => line.rule === 'fee_adjustment')
+      .forEach(line => {
+        if (amount <= 0) return;
+        const reduction = Math.min(amount, -line.amount);
+        breakdown.push({ rule: 'fee_adjustment', label: line.label, amount: -reduction });
+        amount -= reduction;
+      });
+
+    if (invoice.creditApplied > 0 && amount > 0) {
+      const reduction = Math.min(amount, invoice.creditApplied);
+      breakdown.push({ rule: 'credit', label: 'Credit carried forward', amount: -reduction });
+      amount -= reduction;
+    }
+  }
+
+  return {
+    monthlyFee,
+    amountDue: roundAmount(amount),
+    isFreeClass,
+    breakdown
+  };
+};
+
+module.exports = {
+  computeFee,
+  loadFeeContext,
+  getJoinDate
+};
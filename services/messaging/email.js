@@ -0,0 +1,54 @@
+const emailService = require('../emailService');
+
+// Email channel - sends through the shared email service (SendGrid or SMTP)
+
+const name = 'email';
+const label = 'Email';
+
+const isConfigured = () => true;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Plain-text message wrapped in the institute's email layout
+const toHtml = (subject, text) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f4f4f4; font-family: Arial, sans-serif;">
+  <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+    <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+      <h1 style="color: #ffffff; margin: 0; font-size: 24px;">Ayanna Kiyanna Sinhala Institute</h1>
+    </div>
+    <div style="padding: 30px; color: #333333; font-size: 15px; line-height: 1.6;">
+      ${escapeHtml(text).replace(/\n/g, '<br>')}
+    </div>
+    <div style="background-color: #f8f9fa; padding: 20px; text-align: center; color: #666666; font-size: 12px;">
+      This is an automated message. Please contact the institute if you have already paid.
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+const send = async ({ to, subject, text }) => {
+  const result = await emailService.sendEmail(to, subject, toHtml(subject, text));
+  return {
+    success: true,
+    messageId: result.messageId,
+    provider: result.provider
+  };
+};
+
+module.exports = {
+  name,
+  label,
+  isConfigured,
+  send
+};
@@ -0,0 +1,53 @@
+const email = require('./email');
+const whatsapp = require('./whatsapp');
+const { createStubChannel, getSentMessages, clearSentMessages } = require('./stub');
+
+// Pluggable messaging channels.
+// Each channel exposes:
+//   name, label, isConfigured()
+//   send({ to, subject, text, template }) -> { success, messageId, provider, stubbed } (throws on failure)
+// WhatsApp sends `template` ({ name, language, parameters }); email sends subject and text.
+
+const channels = {
+  [email.name]: email,
+  [whatsapp.name]: whatsapp
+};
+
+const stubChannels = {
+  [email.name]: createStubChannel(email.name, email.label),
+  [whatsapp.name]: createStubChannel(whatsapp.name, whatsapp.label)
+};
+
+const TRANSPORTS = ['live', 'stub'];
+
+// MESSAGING_TRANSPORT=live|stub must be set - nothing is sent (or stubbed) without it
+const getTransport = () => {
+  const transport = process.env.MESSAGING_TRANSPORT;
+  return TRANSPORTS.includes(transport) ? transport : null;
+};
+
+const isStubTransport = () => getTransport() === 'stub';
+
+const getChannel = (name) => {
+  const transport = getTransport();
+  if (!transport) return null;
+  const source = transport === 'stub' ? stubChannels : channels;
+  return source[name] || null;
+};
+
+// Channel names and whether each can send
+const getChannelStatus = () => Object.keys(channels).map(name => ({
+  name,
+  label: channels[name].label,
+  configured: Boolean(getTransport()) && channels[name].isConfigured(),
+  transport: getTransport(),
+  stub: isStubTransport()
+}));
+
+module.exports = {
+  getTransport,
+  getChannel,
+  getChannelStatus,
+  getSentMessages,
+  clearSentMessages
+};
@@ -0,0 +1,44 @@
+// Stub transport for development and testing. Messages are kept in memory
+// (and logged to the console) instead of being delivered, and the result is
+// marked `stubbed` so callers don't record them as sent.
+
+const MAX_STORED_MESSAGES = 200;
+
+const sentMessages = [];
+
+const createStubChannel = (channelName, label) => ({
+  name: channelName,
+  label: `${label} (stub)`,
+  isConfigured: () => true,
+  send: async ({ to, subject, text, template }) => {
+    const message = {
+      id: `STUB-${Date.now()}-${sentMessages.length + 1}`,
+      channel: channelName,
+      to,
+      subject,
+      text,
+      template,
+      sentAt: new Date()
+    };
+
+    sentMessages.push(message);
+    if (sentMessages.length > MAX_STORED_MESSAGES) {
+      sentMessages.shift();
+    }
+
+    console.log(`[messaging stub] ${channelName} to ${to}: ${subject || text.slice(0, 60)}`);
+    return { success: true, stubbed: true, messageId: message.id, provider: 'Stub' };
+  }
+});
+
+const getSentMessages = () => [...sentMessages];
+
+const clearSentMessages = () => {
+  sentMessages.length = 0;
+};
+
+module.exports = {
+  createStubChannel,
+  getSentMessages,
+  clearSentMessages
+};
@@ -0,0 +1,71 @@
+// WhatsApp channel - WhatsApp Business Cloud API (template messages)
+// Needs WHATSAPP_ACCESS_TOKEN and WHATSAPP_PHONE_NUMBER_ID.
+// Messages to people who have not written to us in the last 24 hours must use a
+// template approved in WhatsApp Manager, so only template messages are sent.
+
+const name = 'whatsapp';
+const label = 'WhatsApp';
+
+const API_VERSION = process.env.WHATSAPP_API_VERSION || 'v19.0';
+const REQUEST_TIMEOUT_MS = 15000;
+
+const isConfigured = () => Boolean(process.env.WHATSAPP_ACCESS_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID);
+
+// Sri Lankan numbers in international format without the plus (0771234567 -> 94771234567)
+const normaliseNumber = (number) => {
+  const digits = String(number || '').replace(/\D/g, '');
+  if (digits.length === 10 && digits.startsWith('0')) return `94${digits.slice(1)}`;
+  if (digits.length === 9) return `94${digits}`;
+  return digits;
+};
+
+// template: { name, language, parameters } - parameters fill the template's {{1}}, {{2}}...
+const send = async ({ to, template }) => {
+  if (!isConfigured()) {
+    throw new Error('WhatsApp is not configured');
+  }
+  if (!template || !template.name) {
+    throw new Error('No approved WhatsApp template is set for this message');
+  }
+
+  const response = await fetch(`https://graph.facebook.com/${API_VERSION}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      messaging_product: 'whatsapp',
+      to: normaliseNumber(to),
+      type: 'template',
+      template: {
+        name: template.name,
+        language: { code: template.language || 'en' },
+        components: [{
+          type: 'body',
+          parameters: (template.parameters || []).map(value => ({ type: 'text', text: String(value) }))
+        }]
+      }
+    }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error && result.error.message ? result.error.message : `WhatsApp API error (${response.status})`);
+  }
+
+  return {
+    success: true,
+    messageId: result.messages && result.messages[0] ? result.messages[0].id : undefined,
+    provider: 'WhatsApp Cloud API'
+  };
+};
+
+module.exports = {
+  name,
+  label,
+  isConfigured,
+  normaliseNumber,
+  send
+};
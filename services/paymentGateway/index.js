@@ -0,0 +1,49 @@
+const payhere = require('./payhere');
+const mock = require('./mock');
+
+// Pluggable online payment providers.
+// Each provider exposes:
+//   name, label, isConfigured()
+//   createCheckout({ reference, amount, currency, description, customer, returnUrl, cancelUrl, notifyUrl })
+//     -> { method, actionUrl, fields } for the browser to post
+//   verifyNotification(body)
+//     -> { valid, reference, providerPaymentId, amount, currency, status: Succeeded|Pending|Failed|Cancelled }
+
+const providers = {
+  [payhere.name]: payhere,
+  [mock.name]: mock
+};
+
+// Active provider for new checkouts (PAYMENT_GATEWAY=payhere|mock).
+// The mock gateway approves payments without taking money, so it is only used when asked for by name.
+const getActiveProvider = () => {
+  const name = process.env.PAYMENT_GATEWAY || 'payhere';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return provider;
+};
+
+const getProvider = (name) => providers[name] || null;
+
+const isMockEnabled = () => process.env.PAYMENT_GATEWAY === mock.name;
+
+// Public URLs the gateway sends the customer and notifications to
+const getCallbackUrls = (provider, reference) => {
+  const apiUrl = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  const frontendUrl = process.env.FRONTEND_URL || 'https://www.ayannakiyanna.com';
+
+  return {
+    returnUrl: `${frontendUrl}/payment-result?reference=${reference}`,
+    cancelUrl: `${frontendUrl}/payment-result?reference=${reference}&cancelled=true`,
+    notifyUrl: `${apiUrl}/api/gateway/notify/${provider.name}`
+  };
+};
+
+module.exports = {
+  getActiveProvider,
+  getProvider,
+  isMockEnabled,
+  getCallbackUrls
+};
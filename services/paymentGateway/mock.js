@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+// Mock gateway for development, enabled with PAYMENT_GATEWAY=mock and a
+// MOCK_GATEWAY_SECRET. Checkouts are completed by calling
+// POST /api/gateway/mock/complete/:reference, which sends a signed
+// notification through the same webhook handling as a real gateway.
+
+const getSecret = () => process.env.MOCK_GATEWAY_SECRET;
+
+const sign = (payload) => {
+  const message = [payload.reference, payload.paymentId, payload.amount, payload.currency, payload.status].join('|');
+  return crypto.createHmac('sha256', getSecret()).update(message).digest('hex');
+};
+
+const isConfigured = () => Boolean(process.env.MOCK_GATEWAY_SECRET);
+
+const createCheckout = ({ reference, amount, currency, description, returnUrl, cancelUrl }) => {
+  return {
+    method: 'POST',
+    actionUrl: `/api/gateway/mock/complete/${reference}`,
+    fields: {
+      reference,
+      amount: amount.toFixed(2),
+      currency,
+      description,
+      returnUrl,
+      cancelUrl
+    }
+  };
+};
+
+// Build a signed notification as the mock gateway would send it
+const buildNotification = ({ reference, amount, currency, status }) => {
+  const payload = {
+    reference,
+    paymentId: `MOCK-${Date.now()}`,
+    amount: amount.toFixed(2),
+    currency,
+    status
+  };
+  return { ...payload, signature: sign(payload) };
+};
+
+const verifyNotification = (body) => {
+  if (!isConfigured() || !body.reference || !body.signature) {
+    return { valid: false };
+  }
+
+  const expectedSignature = sign(body);
+  const valid = body.signature.length === expectedSignature.length &&
+    crypto.timingSafeEqual(Buffer.from(body.signature), Buffer.from(expectedSignature));
+
+  return {
+    valid,
+    reference: body.reference,
+    providerPaymentId: body.paymentId,
+    amount: parseFloat(body.amount),
+    currency: body.currency,
+    status: body.status
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  label: 'Mock Gateway',
+  isConfigured,
+  createCheckout,
+  verifyNotification,
+  buildNotification
+};
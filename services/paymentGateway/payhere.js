@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+// PayHere (https://www.payhere.lk) checkout and notify_url verification.
+// Required environment variables:
+//   PAYHERE_MERCHANT_ID, PAYHERE_MERCHANT_SECRET
+//   PAYHERE_SANDBOX=true to use the sandbox checkout
+
+const CHECKOUT_URLS = {
+  live: 'https://www.payhere.lk/pay/checkout',
+  sandbox: 'https://sandbox.payhere.lk/pay/checkout'
+};
+
+// PayHere status_code values
+const STATUS_CODES = {
+  '2': 'Succeeded',
+  '0': 'Pending',
+  '-1': 'Cancelled',
+  '-2': 'Failed',
+  '-3': 'Failed' // Chargeback
+};
+
+const md5Upper = (value) => crypto.createHash('md5').update(value).digest('hex').toUpperCase();
+
+const getCredentials = () => {
+  const merchantId = process.env.PAYHERE_MERCHANT_ID;
+  const merchantSecret = process.env.PAYHERE_MERCHANT_SECRET;
+  if (!merchantId || !merchantSecret) {
+    throw new Error('PayHere is not configured (PAYHERE_MERCHANT_ID / PAYHERE_MERCHANT_SECRET missing)');
+  }
+  return { merchantId, merchantSecret };
+};
+
+const isConfigured = () => Boolean(process.env.PAYHERE_MERCHANT_ID && process.env.PAYHERE_MERCHANT_SECRET);
+
+// Build the form the browser posts to PayHere
+const createCheckout = ({ reference, amount, currency, description, customer, returnUrl, cancelUrl, notifyUrl }) => {
+  const { merchantId, merchantSecret } = getCredentials();
+  const formattedAmount = amount.toFixed(2);
+
+  return {
+    method: 'POST',
+    actionUrl: process.env.PAYHERE_SANDBOX === 'true' ? CHECKOUT_URLS.sandbox : CHECKOUT_URLS.live,
+    fields: {
+      merchant_id: merchantId,
+      return_url: returnUrl,
+      cancel_url: cancelUrl,
+      notify_url: notifyUrl,
+      order_id: reference,
+      items: description,
+      currency,
+      amount: formattedAmount,
+      first_name: customer.firstName || '',
+      last_name: customer.lastName || '',
+      email: customer.email || '',
+      phone: customer.phone || '',
+      address: customer.address || '',
+      city: customer.city || 'Colombo',
+      country: 'Sri Lanka',
+      hash: md5Upper(merchantId + reference + formattedAmount + currency + md5Upper(merchantSecret))
+    }
+  };
+};
+
+// Verify the md5sig on a notify_url POST
+const verifyNotification = (body) => {
+  const { merchantId, merchantSecret } = getCredentials();
+  const {
+    merchant_id: notifiedMerchantId,
+    order_id: reference,
+    payment_id: providerPaymentId,
+    payhere_amount: amount,
+    payhere_currency: currency,
+    status_code: statusCode,
+    md5sig: signature
+  } = body;
+
+  if (!reference || !signature || notifiedMerchantId !== merchantId) {
+    return { valid: false };
+  }
+
+  const expectedSignature = md5Upper(
+    notifiedMerchantId + reference + amount + currency + statusCode + md5Upper(merchantSecret)
+  );
+
+  const valid = signature.length === expectedSignature.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature));
+
+  return {
+    valid,
+    reference,
+    providerPaymentId,
+    amount: parseFloat(amount),
+    currency,
+    status: STATUS_CODES[String(statusCode)] || 'Failed'
+  };
+};
+
+module.exports = {
+  name: 'payhere',
+  label: 'PayHere',
+  isConfigured,
+  createCheckout,
+  verifyNotification
+};
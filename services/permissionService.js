@@ -0,0 +1,117 @@
+const Role = require('../models/Role');
+
+// Permissions - named actions on admin routes, grouped into roles stored in the database.
+// Users get the permissions of the default role for their account role (User.role) plus
+// those of any roles assigned to them. Admin accounts always have every permission.
+
+// Every permission a route can require, with the text shown in the roles screen
+const PERMISSIONS = {
+  'classes.view': 'View classes, venues, class sessions and calendar feeds',
+  'classes.manage': 'Create, edit, clone and delete classes and assign their teachers',
+  'classes.enrol': 'Enrol and remove students, manage monitors, class requests and waitlists',
+  'classes.schedule': 'Manage class sessions and holidays',
+  'rollover.manage': 'Preview, apply and undo the academic year rollover',
+  'students.view': 'View student registrations and profiles',
+  'students.manage': 'Approve, reject and edit students, change their classes and message them',
+  'students.delete': 'Delete student registrations',
+  'students.impersonate': 'Open the student view as a student',
+  'attendance.manage': 'Create, edit and delete attendance sheets and run QR check-in',
+  'attendance.admin': 'Generate sheets for all classes, review absence notes, attendance analytics and chronic absence alerts',
+  'content.manage': 'Create, edit and delete assignments, exams, resources, announcements, time schedules and online sessions',
+  'content.publish': 'Publish and unpublish assignments and exams',
+  'marks.manage': 'Enter exam marks and grade assignment submissions',
+  'library.manage': 'Manage the shared file libraries, paper bank, paper structures and photo bucket',
+  'notices.manage': 'Manage special notices and student notices and answer notice questions',
+  'messages.manage': 'Read and reply to student messages and feedback',
+  'payments.view': 'View payment requests, receipts, invoices, arrears, statements and gateway transactions',
+  'payments.approve': 'Approve, reject, edit and delete payment requests, waive invoices and change payment roles',
+  'payments.refund': 'Refund payments and issue account credit',
+  'fees.manage': 'Fee rules, scholarships, billing runs, fee reminders and fee gating',
+  'shop.manage': 'Manage products, orders, delivery charges and shop analytics',
+  'users.view': 'View user accounts',
+  'users.delete': 'Delete user accounts',
+  'users.sessions': 'See where users are logged in and log them out',
+  'roles.manage': 'Create and edit roles and assign them to users',
+  'audit.view': 'View and export the audit log of admin actions'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Roles created on first start, one per account role. They can be edited but not deleted.
+// Moderators start with everything except role management, so they cannot raise their own access,
+// and the audit log, which records their own actions.
+const DEFAULT_ROLES = [
+  {
+    name: 'Moderator',
+    description: 'Default permissions for moderator accounts',
+    baseRole: 'moderator',
+    permissions: ALL_PERMISSIONS.filter(permission => !['roles.manage', 'audit.view'].includes(permission))
+  },
+  {
+    name: 'Teacher',
+    description: 'Default permissions for teacher accounts (limited to their assigned classes)',
+    baseRole: 'Teacher',
+    permissions: ['attendance.manage', 'content.manage', 'content.publish', 'marks.manage']
+  }
+];
+
+const isPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+/**
+ * Permissions a user has.
+ * @param {Object} user - User document (role, roles)
+ * @returns {Promise<Array<String>>}
+ */
+const getUserPermissions = async (user) => {
+  if (!user) return [];
+  if (user.role === 'admin') return ALL_PERMISSIONS.slice();
+
+  const roles = await Role.find({
+    $or: [
+      { _id: { $in: user.roles || [] } },
+      { baseRole: user.role }
+    ]
+  }).select('permissions baseRole');
+
+  const granted = new Set();
+  roles.forEach(role => role.permissions.forEach(permission => granted.add(permission)));
+
+  // Fall back to the built-in defaults until the default role has been created
+  if (!roles.some(role => role.baseRole === user.role)) {
+    const defaultRole = DEFAULT_ROLES.find(role => role.baseRole === user.role);
+    if (defaultRole) defaultRole.permissions.forEach(permission => granted.add(permission));
+  }
+
+  return ALL_PERMISSIONS.filter(permission => granted.has(permission));
+};
+
+// Whether a user (document, or req.user from the token) has a permission
+const userHasPermission = async (user, permission) => {
+  if (!user) return false;
+  if (user.permissions) return user.permissions.includes(permission);
+
+  const User = require('../models/User');
+  const account = await User.findById(user.id || user._id).select('role roles');
+  return (await getUserPermissions(account)).includes(permission);
+};
+
+// Create any missing default roles (run on start)
+const ensureDefaultRoles = async () => {
+  for (const defaults of DEFAULT_ROLES) {
+    const exists = await Role.exists({ baseRole: defaults.baseRole });
+    if (!exists) {
+      await Role.create({ ...defaults, isSystem: true });
+      console.log(`Created default ${defaults.name} role`);
+    }
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
+  isPermission,
+  getUserPermissions,
+  userHasPermission,
+  ensureDefaultRoles
+};
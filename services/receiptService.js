@@ -0,0 +1,125 @@
+const Counter = require('../models/Counter');
+const Payment = require('../models/Payment');
+const emailService = require('./emailService');
+const { createPdfDocument, drawPdfHeader, pdfToBuffer, PDF_FONT, PDF_FONT_BOLD } = require('./exportService');
+const { getSriLankaNow } = require('../utils/dateHelpers');
+
+// Official receipts for approved tuition payments.
+// Receipt numbers run per calendar year: AK-2025-00001, AK-2025-00002, ...
+
+const RECEIPT_PREFIX = 'AK';
+
+// Reserve the next receipt number for the current year
+const nextReceiptNumber = async () => {
+  const year = getSriLankaNow().getFullYear();
+  const seq = await Counter.next(`receipt-${year}`);
+  return `${RECEIPT_PREFIX}-${year}-${String(seq).padStart(5, '0')}`;
+};
+
+// Load a payment with everything printed on the receipt
+const loadReceiptPayment = (paymentId) => {
+  return Payment.findById(paymentId)
+    .populate('studentId', 'firstName lastName surname studentId email guardianEmail')
+    .populate('classId', 'grade category')
+    .populate('receipt.issuedBy', 'fullName')
+    .populate('adminAction.actionBy', 'fullName');
+};
+
+// Plain receipt details from a populated payment
+const getReceiptData = (payment) => {
+  const student = payment.studentId || {};
+  const classData = payment.classId || {};
+  const approvedBy = payment.receipt.issuedBy || payment.adminAction.actionBy;
+  const isOnline = payment.paymentMethod === 'Online';
+  const monthName = new Date(payment.year, payment.month - 1, 1).toLocaleString('en-US', { month: 'long' });
+
+  return {
+    receiptNumber: payment.receipt.receiptNumber,
+    issuedAt: payment.receipt.issuedAt,
+    studentName: [student.firstName, student.lastName].filter(Boolean).join(' '),
+    studentId: student.studentId,
+    className: `${classData.grade} - ${classData.category}`,
+    period: `${monthName} ${payment.year}`,
+    amount: payment.amount.toFixed(2),
+    approvedBy: isOnline && !approvedBy
+      ? 'Online payment'
+      : (approvedBy && approvedBy.fullName ? approvedBy.fullName : 'Administrator')
+  };
+};
+
+// Build the receipt PDF
+const buildReceiptPdfBuffer = (receiptData) => {
+  const doc = createPdfDocument({ size: 'A5', layout: 'landscape', margin: 30 });
+
+  drawPdfHeader(doc, 'Official Payment Receipt', `Receipt No: ${receiptData.receiptNumber}`);
+
+  const rows = [
+    ['Date', receiptData.issuedAt.toLocaleDateString('en-GB', { timeZone: 'Asia/Colombo' })],
+    ['Student', receiptData.studentName],
+    ['Student ID', receiptData.studentId],
+    ['Class', receiptData.className],
+    ['Month', receiptData.period],
+    ['Amount', `Rs. ${receiptData.amount}`],
+    ['Approved by', receiptData.approvedBy]
+  ];
+
+  const labelX = doc.page.margins.left + 40;
+  const valueX = labelX + 120;
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font(PDF_FONT_BOLD).fontSize(11).text(label, labelX, y);
+    doc.font(PDF_FONT).fontSize(11).text(value || '', valueX, y);
+    doc.moveDown(0.5);
+  });
+
+  doc.moveDown(1);
+  doc.font(PDF_FONT).fontSize(8).fillColor('#666666')
+    .text('This is a computer generated receipt and does not require a signature.', doc.page.margins.left, doc.y, { align: 'center' });
+
+  return pdfToBuffer(doc);
+};
+
+// Issue (or re-use) the receipt for an approved payment and email it the first time
+const issueReceipt = async (paymentId, issuedBy) => {
+  const payment = await Payment.findById(paymentId);
+  if (!payment || payment.status !== 'Approved') return null;
+
+  // A payment keeps its receipt number if it is approved again later
+  if (!payment.receipt || !payment.receipt.receiptNumber) {
+    payment.receipt = {
+      receiptNumber: await nextReceiptNumber(),
+      issuedAt: new Date(),
+      issuedBy
+    };
+    await payment.save();
+  }
+
+  if (payment.receipt.emailedAt) return payment;
+
+  try {
+    const populatedPayment = await loadReceiptPayment(payment._id);
+    const student = populatedPayment.studentId;
+    const recipients = [...new Set([student.email, student.guardianEmail].filter(Boolean))];
+
+    if (recipients.length > 0) {
+      const receiptData = getReceiptData(populatedPayment);
+      const pdfBuffer = await buildReceiptPdfBuffer(receiptData);
+      const result = await emailService.sendPaymentReceiptEmail(recipients, receiptData, pdfBuffer);
+      if (result && result.success) {
+        payment.receipt.emailedAt = new Date();
+        await payment.save();
+      }
+    }
+  } catch (error) {
+    console.error('Error emailing payment receipt:', error);
+  }
+
+  return payment;
+};
+
+module.exports = {
+  issueReceipt,
+  loadReceiptPayment,
+  getReceiptData,
+  buildReceiptPdfBuffer
+};
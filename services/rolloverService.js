@@ -0,0 +1,415 @@
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const Payment = require('../models/Payment');
+const Attendance = require('../models/Attendance');
+const ClassSession = require('../models/ClassSession');
+const ClassRequest = require('../models/ClassRequest');
+const AcademicRollover = require('../models/AcademicRollover');
+
+// Academic year rollover - promotes students to the next grade, archives the old year's
+// classes with their payments and attendance, clones the class definitions into the new
+// year and (optionally) re-enrols students into the matching next-grade class.
+
+// Class fields copied to the new year's clone
+const CLONED_FIELDS = [
+  'type', 'category', 'platform', 'locationLink', 'grade', 'date', 'startTime', 'endTime',
+  'venue', 'capacity', 'specialNote', 'isFreeClass', 'monthlyFee', 'autoAttendance', 'feeGating', 'teachers'
+];
+
+const getClassName = (classItem) => `${classItem.grade} - ${classItem.category}`;
+
+// Grade N moves to Grade N+1 up to Grade 11, which moves to A/L. Other grades stay as they are.
+const getDefaultGradeMap = (grades) => {
+  const gradeMap = {};
+  grades.forEach(grade => {
+    const match = /^Grade (\d+)$/.exec(grade);
+    if (!match) return;
+    const number = parseInt(match[1], 10);
+    if (number < 11) gradeMap[grade] = `Grade ${number + 1}`;
+    if (number === 11) gradeMap[grade] = 'A/L';
+  });
+  return gradeMap;
+};
+
+// Default map with the admin's changes (an empty value means the grade is not promoted)
+const resolveGradeMap = (grades, overrides = {}) => {
+  const gradeMap = getDefaultGradeMap(grades);
+  Object.keys(overrides).forEach(grade => {
+    if (overrides[grade]) {
+      gradeMap[grade] = String(overrides[grade]).trim();
+    } else {
+      delete gradeMap[grade];
+    }
+  });
+  return gradeMap;
+};
+
+// Best new-year class for a student leaving an old class: same category in the next grade,
+// preferring the same venue, then the same weekday
+const findTargetClass = (oldClass, targetGrade, clonePlans) => {
+  const candidates = clonePlans.filter(plan =>
+    plan.grade === targetGrade && plan.category === oldClass.category && plan.type === 'Normal'
+  );
+  return candidates.find(plan => plan.venue === oldClass.venue && plan.date === oldClass.date) ||
+    candidates.find(plan => plan.venue === oldClass.venue) ||
+    candidates.find(plan => plan.date === oldClass.date) ||
+    candidates[0] ||
+    null;
+};
+
+/**
+ * Work out what a rollover would do without changing anything.
+ * @param {Object} options
+ * @param {Number} options.fromYear
+ * @param {Number} options.toYear
+ * @param {Object} [options.gradeMap] - Changes to the default grade promotions
+ * @param {Boolean} [options.reEnrol] - Re-enrol students into the matching next-grade class
+ * @returns {Promise<Object>} Plan (also the dry-run report)
+ */
+const buildRolloverPlan = async ({ fromYear, toYear, gradeMap: overrides, reEnrol = false }) => {
+  const [classes, students] = await Promise.all([
+    Class.find({
+      isArchived: { $ne: true },
+      $or: [{ academicYear: null }, { academicYear: fromYear }]
+    }).sort({ grade: 1, category: 1 }),
+    Student.find({ status: 'Approved' })
+      .select('firstName lastName studentId selectedGrade enrolledClasses')
+  ]);
+
+  const grades = [...new Set([
+    ...students.map(student => student.selectedGrade),
+    ...classes.map(classItem => classItem.grade)
+  ].filter(Boolean))];
+  const gradeMap = resolveGradeMap(grades, overrides);
+
+  // Active Normal classes carry on into the new year; the rest are only archived
+  const classPlans = classes.map(classItem => ({
+    fromClassId: classItem._id,
+    className: getClassName(classItem),
+    type: classItem.type,
+    category: classItem.category,
+    grade: classItem.grade,
+    date: classItem.date,
+    venue: classItem.venue,
+    capacity: classItem.capacity,
+    wasActive: classItem.isActive,
+    enrolledCount: classItem.enrolledStudents ? classItem.enrolledStudents.length : 0,
+    action: classItem.type === 'Normal' && classItem.isActive ? 'Clone' : 'Archive'
+  }));
+  const clonePlans = classPlans.filter(plan => plan.action === 'Clone');
+  const classesById = new Map(classes.map(classItem => [classItem._id.toString(), classItem]));
+
+  const seatsTaken = new Map();
+  const warnings = [];
+
+  const studentPlans = students.map(student => {
+    const fromGrade = student.selectedGrade;
+    const toGrade = gradeMap[fromGrade] || fromGrade;
+    const oldClasses = (student.enrolledClasses || [])
+      .map(classId => classesById.get(classId.toString()))
+      .filter(Boolean);
+
+    const reEnrolments = [];
+    if (reEnrol) {
+      oldClasses.filter(classItem => classItem.type === 'Normal').forEach(classItem => {
+        const target = findTargetClass(classItem, gradeMap[classItem.grade] || classItem.grade, clonePlans);
+        if (!target) {
+          warnings.push(`No ${gradeMap[classItem.grade] || classItem.grade} ${classItem.category} class for ${student.firstName} ${student.lastName} (${student.studentId}) to move into from ${getClassName(classItem)}`);
+          return;
+        }
+
+        const key = target.fromClassId.toString();
+        const taken = seatsTaken.get(key) || 0;
+        if (taken >= target.capacity) {
+          warnings.push(`${target.className} is full - ${student.firstName} ${student.lastName} (${student.studentId}) was not re-enrolled`);
+          return;
+        }
+        if (reEnrolments.some(item => item.targetFromClassId.toString() === key)) return;
+
+        seatsTaken.set(key, taken + 1);
+        reEnrolments.push({ fromClassId: classItem._id, targetFromClassId: target.fromClassId, targetClassName: target.className });
+      });
+    }
+
+    return {
+      studentId: student._id,
+      studentCode: student.studentId,
+      name: `${student.firstName} ${student.lastName}`,
+      fromGrade,
+      toGrade,
+      removedClasses: oldClasses.map(classItem => classItem._id),
+      reEnrolments
+    };
+  });
+
+  const oldClassIds = classes.map(classItem => classItem._id);
+  const [paymentsToArchive, attendanceToArchive] = await Promise.all([
+    Payment.countDocuments({ classId: { $in: oldClassIds }, isArchived: { $ne: true } }),
+    Attendance.countDocuments({ classId: { $in: oldClassIds }, isArchived: { $ne: true } })
+  ]);
+
+  // Seats each new class will fill through re-enrolment
+  clonePlans.forEach(plan => {
+    plan.plannedEnrolments = seatsTaken.get(plan.fromClassId.toString()) || 0;
+  });
+
+  return {
+    fromYear,
+    toYear,
+    reEnrol,
+    gradeMap,
+    classes: classPlans,
+    students: studentPlans,
+    warnings,
+    summary: {
+      studentsPromoted: studentPlans.filter(plan => plan.toGrade !== plan.fromGrade).length,
+      studentsUnchanged: studentPlans.filter(plan => plan.toGrade === plan.fromGrade).length,
+      classesArchived: classPlans.length,
+      classesCreated: clonePlans.length,
+      studentsReEnrolled: studentPlans.filter(plan => plan.reEnrolments.length > 0).length,
+      paymentsArchived: paymentsToArchive,
+      attendanceArchived: attendanceToArchive
+    }
+  };
+};
+
+/**
+ * Apply a plan from buildRolloverPlan. Runs in one transaction, so a failure part way
+ * through leaves nothing half rolled over. A second apply for the same year fails with a
+ * duplicate key error (see the AcademicRollover indexes).
+ * @returns {Promise<Object>} The saved AcademicRollover
+ */
+const applyRolloverPlan = async (plan, userId) => {
+  let rollover;
+  await mongoose.connection.transaction(async (session) => {
+    [rollover] = await AcademicRollover.create([{
+      fromYear: plan.fromYear,
+      toYear: plan.toYear,
+      gradeMap: plan.gradeMap,
+      reEnrol: plan.reEnrol,
+      appliedBy: userId
+    }], { session });
+    const archivedAt = new Date();
+    const oldClassIds = plan.classes.map(classPlan => classPlan.fromClassId);
+
+    // Archive the old year's classes
+    const oldClasses = await Class.find({ _id: { $in: oldClassIds } }).session(session);
+    await Class.updateMany(
+      { _id: { $in: oldClassIds } },
+      { $set: { isActive: false, isArchived: true, archivedAt, rolloverId: rollover._id } },
+      { session }
+    );
+    await Class.updateMany(
+      { _id: { $in: oldClassIds }, academicYear: null },
+      { $set: { academicYear: plan.fromYear } },
+      { session }
+    );
+
+    // Clone class definitions into the new year
+    const cloneIds = new Map();
+    for (const classItem of oldClasses) {
+      const classPlan = plan.classes.find(item => item.fromClassId.equals(classItem._id));
+      if (!classPlan || classPlan.action !== 'Clone') continue;
+
+      const source = classItem.toObject({ virtuals: false });
+      const fields = {};
+      CLONED_FIELDS.forEach(field => {
+        fields[field] = source[field];
+      });
+      if (fields.autoAttendance && fields.autoAttendance.monitorPermissions) {
+        fields.autoAttendance.monitorPermissions.selectedMonitors = []; // monitors are picked again each year
+      }
+
+      const [clone] = await Class.create([{
+        ...fields,
+        isActive: true,
+        academicYear: plan.toYear,
+        clonedFrom: classItem._id,
+        enrolledStudents: [],
+        monitors: [],
+        createdBy: userId
+      }], { session });
+      cloneIds.set(classItem._id.toString(), clone._id);
+    }
+
+    const undatedClassIds = new Set(oldClasses
+      .filter(classItem => classItem.academicYear == null)
+      .map(classItem => classItem._id.toString()));
+    rollover.classes = plan.classes.map(classPlan => ({
+      fromClassId: classPlan.fromClassId,
+      toClassId: cloneIds.get(classPlan.fromClassId.toString()),
+      wasActive: classPlan.wasActive,
+      setAcademicYear: undatedClassIds.has(classPlan.fromClassId.toString())
+    }));
+
+    // Promote students and move their enrolments
+    let studentsReEnrolled = 0;
+    for (const studentPlan of plan.students) {
+      const addedClasses = studentPlan.reEnrolments
+        .map(item => cloneIds.get(item.targetFromClassId.toString()))
+        .filter(Boolean);
+
+      if (studentPlan.toGrade === studentPlan.fromGrade &&
+        studentPlan.removedClasses.length === 0 && addedClasses.length === 0) {
+        continue;
+      }
+
+      await Student.updateOne(
+        { _id: studentPlan.studentId },
+        { $set: { selectedGrade: studentPlan.toGrade }, $pull: { enrolledClasses: { $in: studentPlan.removedClasses } } },
+        { session }
+      );
+      if (addedClasses.length > 0) {
+        await Student.updateOne(
+          { _id: studentPlan.studentId },
+          { $addToSet: { enrolledClasses: { $each: addedClasses } } },
+          { session }
+        );
+        await Class.updateMany(
+          { _id: { $in: addedClasses } },
+          { $addToSet: { enrolledStudents: studentPlan.studentId } },
+          { session }
+        );
+        // Continuing students join the new classes on the rollover date (no pro-rating)
+        await Class.updateMany(
+          { _id: { $in: addedClasses }, 'enrolmentDates.studentId': { $ne: studentPlan.studentId } },
+          { $push: { enrolmentDates: { studentId: studentPlan.studentId, enrolledAt: archivedAt } } },
+          { session }
+        );
+        studentsReEnrolled++;
+      }
+
+      rollover.students.push({
+        studentId: studentPlan.studentId,
+        fromGrade: studentPlan.fromGrade,
+        toGrade: studentPlan.toGrade,
+        removedClasses: studentPlan.removedClasses,
+        addedClasses
+      });
+    }
+
+    // Archive the old year's payments and attendance (one at a time - a transaction
+    // can't run operations side by side)
+    const archiveUpdate = { $set: { isArchived: true, archivedAt, rolloverId: rollover._id } };
+    const paymentResult = await Payment.updateMany(
+      { classId: { $in: oldClassIds }, isArchived: { $ne: true } }, archiveUpdate, { session }
+    );
+    const attendanceResult = await Attendance.updateMany(
+      { classId: { $in: oldClassIds }, isArchived: { $ne: true } }, archiveUpdate, { session }
+    );
+
+    rollover.summary = {
+      studentsPromoted: plan.students.filter(studentPlan => studentPlan.toGrade !== studentPlan.fromGrade).length,
+      classesArchived: oldClassIds.length,
+      classesCreated: cloneIds.size,
+      studentsReEnrolled,
+      paymentsArchived: paymentResult.modifiedCount,
+      attendanceArchived: attendanceResult.modifiedCount
+    };
+    await rollover.save({ session });
+  });
+
+  return rollover;
+};
+
+// Students in the new year's classes that the rollover didn't put there
+const getOtherEnrolments = async (rollover) => {
+  const newClassIds = rollover.classes.map(item => item.toClassId).filter(Boolean);
+  const addedByRollover = new Set();
+  rollover.students.forEach(studentChange => {
+    studentChange.addedClasses.forEach(classId => {
+      addedByRollover.add(`${classId}:${studentChange.studentId}`);
+    });
+  });
+
+  const newClasses = await Class.find({ _id: { $in: newClassIds } }).select('enrolledStudents').lean();
+  return newClasses.reduce((count, classItem) => count + classItem.enrolledStudents
+    .filter(studentId => !addedByRollover.has(`${classItem._id}:${studentId}`)).length, 0);
+};
+
+// Records made in the new year that undoing would lose
+const getUndoBlockers = async (rollover) => {
+  const newClassIds = rollover.classes.map(item => item.toClassId).filter(Boolean);
+  const [payments, attendanceSheets, enrolments] = await Promise.all([
+    Payment.countDocuments({ classId: { $in: newClassIds } }),
+    Attendance.countDocuments({ classId: { $in: newClassIds } }),
+    getOtherEnrolments(rollover)
+  ]);
+  return { payments, attendanceSheets, enrolments };
+};
+
+/**
+ * Put everything back the way it was before the rollover, in one transaction.
+ * New-year classes are deleted, so this is refused once they have payments, attendance
+ * or students enrolled since the rollover (see getUndoBlockers).
+ */
+const undoRollover = async (rollover, userId) => {
+  const newClassIds = rollover.classes.map(item => item.toClassId).filter(Boolean);
+  let paymentResult;
+  let attendanceResult;
+
+  await mongoose.connection.transaction(async (session) => {
+    // Students: grade back (unless changed since) and original enrolments
+    for (const studentChange of rollover.students) {
+      await Student.updateOne(
+        { _id: studentChange.studentId, selectedGrade: studentChange.toGrade },
+        { $set: { selectedGrade: studentChange.fromGrade } },
+        { session }
+      );
+      await Student.updateOne(
+        { _id: studentChange.studentId },
+        { $pull: { enrolledClasses: { $in: newClassIds } } },
+        { session }
+      );
+      if (studentChange.removedClasses.length > 0) {
+        await Student.updateOne(
+          { _id: studentChange.studentId },
+          { $addToSet: { enrolledClasses: { $each: studentChange.removedClasses } } },
+          { session }
+        );
+      }
+    }
+
+    // Remove the new year's classes
+    await ClassSession.deleteMany({ classId: { $in: newClassIds } }, { session });
+    await ClassRequest.deleteMany({ class: { $in: newClassIds } }, { session });
+    await Class.deleteMany({ _id: { $in: newClassIds } }, { session });
+
+    // Restore the old classes
+    for (const item of rollover.classes) {
+      const unset = { archivedAt: 1, rolloverId: 1 };
+      if (item.setAcademicYear) unset.academicYear = 1;
+      await Class.updateOne(
+        { _id: item.fromClassId },
+        { $set: { isActive: item.wasActive, isArchived: false }, $unset: unset },
+        { session }
+      );
+    }
+
+    const unarchive = { $set: { isArchived: false }, $unset: { archivedAt: 1, rolloverId: 1 } };
+    paymentResult = await Payment.updateMany({ rolloverId: rollover._id }, unarchive, { session });
+    attendanceResult = await Attendance.updateMany({ rolloverId: rollover._id }, unarchive, { session });
+
+    rollover.status = 'Undone';
+    rollover.undoneBy = userId;
+    rollover.undoneAt = new Date();
+    await rollover.save({ session });
+  });
+
+  return {
+    studentsRestored: rollover.students.length,
+    classesRestored: rollover.classes.length,
+    classesDeleted: newClassIds.length,
+    paymentsRestored: paymentResult.modifiedCount,
+    attendanceRestored: attendanceResult.modifiedCount
+  };
+};
+
+module.exports = {
+  getDefaultGradeMap,
+  buildRolloverPlan,
+  applyRolloverPlan,
+  getUndoBlockers,
+  undoRollover
+};
@@ -0,0 +1,229 @@
+const ClassSession = require('../models/ClassSession');
+const Class = require('../models/Class');
+const Holiday = require('../models/Holiday');
+const Notification = require('../models/Notification');
+const { WEEKDAYS, getSriLankaDayRange } = require('../utils/dateHelpers');
+
+// Class session calendar - turns each class's timetable into individual sessions
+// that admins can cancel, reschedule, move to another venue or add to.
+
+// Longest range generated in one go
+const MAX_RANGE_DAYS = 366;
+
+// Start of each Sri Lanka day from `from` to `to` (inclusive)
+const getDaysInRange = (from, to) => {
+  const first = getSriLankaDayRange(from).start;
+  const last = getSriLankaDayRange(to).start;
+  const days = [];
+
+  for (let i = 0; i <= MAX_RANGE_DAYS; i++) {
+    const day = new Date(first.getFullYear(), first.getMonth(), first.getDate() + i);
+    if (day > last) break;
+    days.push(day);
+  }
+  return days;
+};
+
+// Timetable days for a class within the given days
+const getTimetableDays = (classItem, days) => {
+  if (classItem.type === 'Normal') {
+    return days.filter(day => WEEKDAYS[day.getDay()] === classItem.date);
+  }
+
+  // Special classes meet once, on the date stored in `date`
+  const specialDate = new Date(classItem.date);
+  if (isNaN(specialDate.getTime())) return [];
+  const specialDay = getSriLankaDayRange(specialDate).start;
+  return days.filter(day => day.getTime() === specialDay.getTime());
+};
+
+/**
+ * Create the regular sessions a class is missing between two dates.
+ * Holidays are not stored on sessions; they are applied when sessions are listed.
+ * @returns {Promise<Number>} Number of sessions created
+ */
+const materialiseClassSessions = async (classItem, from, to) => {
+  if (!classItem.isActive) return 0;
+
+  const timetableDays = getTimetableDays(classItem, getDaysInRange(from, to));
+  if (timetableDays.length === 0) return 0;
+
+  const existing = await ClassSession.find({
+    classId: classItem._id,
+    kind: 'Regular',
+    scheduledDate: { $in: timetableDays }
+  }).select('scheduledDate');
+  const existingDays = new Set(existing.map(session => session.scheduledDate.getTime()));
+
+  let created = 0;
+  for (const day of timetableDays) {
+    if (existingDays.has(day.getTime())) continue;
+
+    try {
+      await ClassSession.create({
+        classId: classItem._id,
+        kind: 'Regular',
+        scheduledDate: day,
+        date: day,
+        startTime: classItem.startTime,
+        endTime: classItem.endTime,
+        venue: classItem.venue
+      });
+      created++;
+    } catch (error) {
+      // Another request created it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return created;
+};
+
+// Create missing sessions for every active class (used by the scheduler)
+const materialiseAllSessions = async (from, to) => {
+  const classes = await Class.find({ isActive: true });
+  let created = 0;
+
+  for (const classItem of classes) {
+    try {
+      created += await materialiseClassSessions(classItem, from, to);
+    } catch (error) {
+      console.error(`Error generating sessions for class ${classItem._id}:`, error);
+    }
+  }
+
+  return { classesProcessed: classes.length, sessionsCreated: created };
+};
+
+/**
+ * Sessions for some classes between two dates (generated on demand).
+ * Sessions falling on a holiday are returned with `holiday` set and status Cancelled.
+ * @param {Array} classes - Class documents
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Object} [options]
+ * @param {Boolean} [options.includeCancelled=true]
+ * @returns {Promise<Array>} Plain session objects
+ */
+const getSessionsForClasses = async (classes, from, to, options = {}) => {
+  for (const classItem of classes) {
+    await materialiseClassSessions(classItem, from, to);
+  }
+
+  const rangeStart = getSriLankaDayRange(from).start;
+  const rangeEnd = getSriLankaDayRange(to).end;
+  const classIds = classes.map(classItem => classItem._id);
+
+  const [sessions, holidays] = await Promise.all([
+    ClassSession.find({ classId: { $in: classIds }, date: { $gte: rangeStart, $lte: rangeEnd } })
+      .populate('classId', 'grade category type platform venue')
+      .sort({ date: 1, startTime: 1 }),
+    Holiday.find({ date: { $gte: rangeStart, $lte: rangeEnd }, $or: [{ classId: null }, { classId: { $in: classIds } }] })
+  ]);
+
+  return sessions
+    .map(session => {
+      const sessionObj = session.toObject();
+      const { end } = getSriLankaDayRange(session.date);
+      const holiday = holidays.find(item =>
+        item.date >= session.date && item.date <= end &&
+        (!item.classId || item.classId.toString() === session.classId._id.toString())
+      );
+
+      if (holiday && session.status === 'Scheduled') {
+        sessionObj.status = 'Cancelled';
+        sessionObj.cancellationReason = holiday.name;
+        sessionObj.holiday = { _id: holiday._id, name: holiday.name };
+      }
+      return sessionObj;
+    })
+    .filter(session => options.includeCancelled !== false || session.status === 'Scheduled');
+};
+
+// The session a class has on a given day (materialising it if needed)
+const findSessionForDay = async (classItem, dayStart, dayEnd) => {
+  await materialiseClassSessions(classItem, dayStart, dayEnd);
+
+  return ClassSession.findOne({
+    classId: classItem._id,
+    date: { $gte: dayStart, $lte: dayEnd }
+  }).sort({ status: -1, startTime: 1 }); // 'Scheduled' before 'Cancelled'
+};
+
+const formatSessionDay = (date) => date.toLocaleDateString('en-GB', {
+  weekday: 'long',
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+});
+
+// Describe a session change for the notification
+const describeChange = (session, classItem, changeType, previous) => {
+  const className = `${classItem.grade} - ${classItem.category}`;
+  const when = `${formatSessionDay(session.date)} ${session.startTime}-${session.endTime}`;
+
+  switch (changeType) {
+    case 'Cancelled':
+      return {
+        title: 'Class Cancelled',
+        message: `Your class "${className}" on ${formatSessionDay(session.date)} has been cancelled.${session.cancellationReason ? ` Reason: ${session.cancellationReason}` : ''}`
+      };
+    case 'Restored':
+      return {
+        title: 'Class Back On',
+        message: `Your class "${className}" will be held as planned on ${when}.`
+      };
+    case 'Rescheduled':
+      return {
+        title: 'Class Rescheduled',
+        message: `Your class "${className}" has been moved from ${previous} to ${when}${session.venue ? ` at ${session.venue}` : ''}.`
+      };
+    case 'VenueChanged':
+      return {
+        title: 'Class Venue Changed',
+        message: `Your class "${className}" on ${when} will be held at ${session.venue} instead of ${previous}.`
+      };
+    case 'Extra':
+      return {
+        title: 'Extra Class Added',
+        message: `An extra session${session.title ? ` "${session.title}"` : ''} of your class "${className}" has been scheduled for ${when}${session.venue ? ` at ${session.venue}` : ''}.`
+      };
+    default:
+      return null;
+  }
+};
+
+// Notify every student enrolled in the class about a session change
+const notifySessionChange = async (session, changeType, previous) => {
+  try {
+    const classItem = await Class.findById(session.classId).populate('enrolledStudents', 'userId');
+    if (!classItem) return;
+
+    const content = describeChange(session, classItem, changeType, previous);
+    if (!content) return;
+
+    await Promise.all(classItem.enrolledStudents
+      .filter(student => student.userId)
+      .map(student => new Notification({
+        recipient: student.userId,
+        type: 'class_session_change',
+        title: content.title,
+        message: content.message,
+        data: {
+          classId: classItem._id,
+          sessionId: session._id
+        }
+      }).save()));
+  } catch (error) {
+    console.error('Error creating session change notifications:', error);
+  }
+};
+
+module.exports = {
+  materialiseClassSessions,
+  materialiseAllSessions,
+  getSessionsForClasses,
+  findSessionForDay,
+  formatSessionDay,
+  notifySessionChange
+};
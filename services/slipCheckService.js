@@ -0,0 +1,256 @@
+const cloudinary = require('cloudinary').v2;
+const SlipFingerprint = require('../models/SlipFingerprint');
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+
+// Duplicate bank-slip detection. Every uploaded slip is fingerprinted with the file's
+// Cloudinary etag, its perceptual image hash and any bank reference an admin types in.
+// Slips are only looked up through the Cloudinary API, never downloaded.
+// Matches against slips on other payments/orders are stored on the record as `slipCheck`.
+
+const CLOUDINARY_CLOUD_NAME = 'dl9k5qoae';
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+// Images whose perceptual hashes differ by this many bits or fewer are treated as the same slip
+const PHASH_MAX_DISTANCE = 6;
+
+// How far back perceptual hashes are compared
+const PHASH_LOOKBACK_DAYS = 400;
+
+// Parse a delivery URL from this Cloudinary account, e.g.
+// https://res.cloudinary.com/<cloud>/image/upload/v123/payments/abc.jpg
+// Returns null for anything else.
+const parseCloudinaryUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch (error) {
+    return null;
+  }
+
+  const [cloudName, resourceType] = parsed.pathname.split('/').filter(Boolean);
+  if (parsed.protocol !== 'https:' || parsed.hostname !== 'res.cloudinary.com' ||
+      cloudName !== CLOUDINARY_CLOUD_NAME || !['image', 'raw', 'video'].includes(resourceType)) {
+    return null;
+  }
+  return { resourceType, pathname: decodeURIComponent(parsed.pathname) };
+};
+
+// Whether a URL was uploaded to this Cloudinary account (used by the route validators)
+const isOwnCloudinaryUrl = (url) => parseCloudinaryUrl(url) !== null;
+
+const normaliseReference = (reference) => {
+  if (!reference) return null;
+  const normalised = String(reference).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return normalised || null;
+};
+
+// Number of differing bits between two hex hashes
+const hammingDistance = (hashA, hashB) => {
+  if (!hashA || !hashB || hashA.length !== hashB.length) return Infinity;
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+};
+
+// The slip files attached to a payment or order
+const getSlipFiles = (sourceType, doc) => {
+  const files = sourceType === 'Payment'
+    ? [...(doc.attachments || []), { url: doc.receiptUrl, publicId: doc.receiptPublicId }]
+    : (doc.paymentReceipts || []);
+
+  const seen = new Set();
+  return files.filter(file => {
+    if (!file.url || seen.has(file.publicId || file.url)) return false;
+    seen.add(file.publicId || file.url);
+    return true;
+  });
+};
+
+// Etag (MD5 of the contents) and perceptual hash of an uploaded slip, from the Cloudinary API.
+// Files outside this account, or whose public ID is not in the URL, are not looked up.
+const getCloudinaryFingerprint = async (file) => {
+  const parsed = parseCloudinaryUrl(file.url);
+  if (!parsed || !file.publicId || !parsed.pathname.includes(`/${file.publicId}`)) {
+    return { contentHash: null, phash: null };
+  }
+
+  const resource = await cloudinary.api.resource(file.publicId, {
+    resource_type: parsed.resourceType,
+    // PDFs and raw uploads have no perceptual hash
+    phash: parsed.resourceType === 'image'
+  });
+  return { contentHash: resource.etag || null, phash: resource.phash || null };
+};
+
+const getModel = (sourceType) => (sourceType === 'Payment' ? Payment : Order);
+
+// Short description of a record for the admin
+const describeSource = async (sourceType, sourceId) => {
+  if (sourceType === 'Payment') {
+    const payment = await Payment.findById(sourceId)
+      .populate('studentId', 'firstName lastName studentId')
+      .populate('classId', 'grade category');
+    if (!payment) return 'Deleted payment';
+    const student = payment.studentId ? `${payment.studentId.firstName} ${payment.studentId.lastName} (${payment.studentId.studentId})` : 'Unknown student';
+    const className = payment.classId ? `${payment.classId.grade} - ${payment.classId.category}` : 'Unknown class';
+    return `Tuition payment ${payment.year}-${String(payment.month).padStart(2, '0')}, ${className}, ${student} [${payment.status}]`;
+  }
+
+  const order = await Order.findById(sourceId);
+  if (!order) return 'Deleted order';
+  return `Shop order ${order.orderId}, ${order.userEmail} [${order.status}]`;
+};
+
+// Work out matches for a record from the stored fingerprints and save them as its slipCheck
+const refreshSlipCheck = async (sourceType, sourceId) => {
+  const Model = getModel(sourceType);
+  const doc = await Model.findById(sourceId);
+  if (!doc) return null;
+
+  const fingerprints = await SlipFingerprint.find({ sourceType, sourceId });
+  const matchesByKey = new Map();
+
+  const addMatch = (other, matchType, distance) => {
+    const key = `${other.sourceType}-${other.sourceId}-${matchType}`;
+    if (!matchesByKey.has(key)) {
+      matchesByKey.set(key, { sourceType: other.sourceType, sourceId: other.sourceId, matchType, distance });
+    }
+  };
+
+  const contentHashes = fingerprints.map(item => item.contentHash).filter(Boolean);
+  const references = fingerprints.map(item => item.bankReference).filter(Boolean);
+  const phashes = fingerprints.map(item => item.phash).filter(Boolean);
+
+  const isOtherRecord = (other) => !(other.sourceType === sourceType && other.sourceId.toString() === sourceId.toString());
+
+  if (contentHashes.length > 0) {
+    const sameContent = await SlipFingerprint.find({ contentHash: { $in: contentHashes } });
+    sameContent.filter(isOtherRecord).forEach(other => addMatch(other, 'ContentHash', 0));
+  }
+
+  if (references.length > 0) {
+    const sameReference = await SlipFingerprint.find({ bankReference: { $in: references } });
+    sameReference.filter(isOtherRecord).forEach(other => addMatch(other, 'BankReference', 0));
+  }
+
+  // Image hashes are only compared with slips from the same student/user or for the same
+  // amount, which is where a re-used slip turns up, so the scan stays small
+  const owner = fingerprints[0] || {};
+  const scope = [
+    owner.studentId && { studentId: owner.studentId },
+    owner.userId && { userId: owner.userId },
+    owner.amount != null && { amount: owner.amount }
+  ].filter(Boolean);
+
+  if (phashes.length > 0 && scope.length > 0) {
+    const since = new Date(Date.now() - PHASH_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const candidates = await SlipFingerprint.find({
+      phash: { $ne: null },
+      createdAt: { $gte: since },
+      $or: scope
+    })
+      .select('sourceType sourceId phash');
+    candidates.filter(isOtherRecord).forEach(other => {
+      const distance = Math.min(...phashes.map(phash => hammingDistance(phash, other.phash)));
+      if (distance <= PHASH_MAX_DISTANCE) {
+        addMatch(other, 'ImageHash', distance);
+      }
+    });
+  }
+
+  const matches = [];
+  for (const match of matchesByKey.values()) {
+    matches.push({ ...match, description: await describeSource(match.sourceType, match.sourceId) });
+  }
+
+  doc.slipCheck = {
+    status: matches.length > 0 ? 'Flagged' : (fingerprints.length > 0 ? 'Clear' : 'Unchecked'),
+    checkedAt: new Date(),
+    matches
+  };
+  await doc.save();
+
+  return doc.slipCheck;
+};
+
+// Fingerprint a record's slips and check them against earlier slips.
+// Never throws - a failed check leaves the record Unchecked for the admin.
+const checkSlips = async (sourceType, doc) => {
+  try {
+    const files = getSlipFiles(sourceType, doc);
+    const bankReference = normaliseReference(doc.slipDetails && doc.slipDetails.bankReference);
+
+    // Slips may have been replaced (updatePaymentRequest), so start again
+    await SlipFingerprint.deleteMany({ sourceType, sourceId: doc._id });
+
+    for (const file of files) {
+      let fingerprint = { contentHash: null, phash: null };
+      try {
+        fingerprint = await getCloudinaryFingerprint(file);
+      } catch (error) {
+        console.error(`Error fingerprinting slip ${file.publicId}:`, error.message);
+      }
+
+      await SlipFingerprint.create({
+        sourceType,
+        sourceId: doc._id,
+        userId: sourceType === 'Order' ? doc.user : undefined,
+        studentId: sourceType === 'Payment' ? doc.studentId : undefined,
+        amount: sourceType === 'Payment' ? doc.amount : doc.totalAmount,
+        url: file.url,
+        publicId: file.publicId,
+        contentHash: fingerprint.contentHash,
+        phash: fingerprint.phash,
+        bankReference
+      });
+    }
+
+    const slipCheck = await refreshSlipCheck(sourceType, doc._id);
+
+    // Records still awaiting approval should also show the new match
+    for (const match of slipCheck.matches) {
+      const other = await getModel(match.sourceType).findById(match.sourceId).select('status');
+      if (other && ['Pending', 'pending'].includes(other.status)) {
+        await refreshSlipCheck(match.sourceType, match.sourceId);
+      }
+    }
+
+    return slipCheck;
+  } catch (error) {
+    console.error('Error checking bank slips:', error);
+    return null;
+  }
+};
+
+// Store the bank reference typed in by an admin and re-check matches
+const setBankReference = async (sourceType, doc) => {
+  await SlipFingerprint.updateMany(
+    { sourceType, sourceId: doc._id },
+    { bankReference: normaliseReference(doc.slipDetails && doc.slipDetails.bankReference) }
+  );
+
+  const existing = await SlipFingerprint.countDocuments({ sourceType, sourceId: doc._id });
+  if (existing === 0) {
+    return checkSlips(sourceType, doc);
+  }
+  return refreshSlipCheck(sourceType, doc._id);
+};
+
+module.exports = {
+  CLOUDINARY_CLOUD_NAME,
+  isOwnCloudinaryUrl,
+  checkSlips,
+  setBankReference,
+  refreshSlipCheck
+};
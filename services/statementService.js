@@ -0,0 +1,244 @@
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const CreditTransaction = require('../models/CreditTransaction');
+const { buildTablePdfBuffer } = require('./exportService');
+
+// Student financial statement: tuition invoices, tuition payments, refunds, credits,
+// shop orders and waivers in date order with a running balance (positive balance = amount owed).
+
+const monthLabel = (year, month) => {
+  const monthName = new Date(year, month - 1, 1).toLocaleString('en-US', { month: 'long' });
+  return `${monthName} ${year}`;
+};
+
+const classLabel = (classData) => {
+  return classData ? `${classData.grade} - ${classData.category}` : 'Class';
+};
+
+// Collect every ledger entry for a student, oldest first
+const collectEntries = async (student) => {
+  const [invoices, payments, orders, credits] = await Promise.all([
+    Invoice.find({ studentId: student._id }).populate('classId', 'grade category'),
+    Payment.find({ studentId: student._id }).populate('classId', 'grade category'),
+    student.userId ? Order.find({ user: student.userId }) : [],
+    CreditTransaction.find({ studentId: student._id }).populate('classId', 'grade category')
+  ]);
+
+  const entries = [];
+
+  const invoicedMonths = new Set(
+    invoices.map(invoice => `${invoice.classId && invoice.classId._id}-${invoice.year}-${invoice.month}`)
+  );
+
+  invoices.forEach(invoice => {
+    // Refund fee reductions are listed separately, so show the amount originally billed
+    const feeReductions = invoice.feeBreakdown
+      .filter(line => line.rule === 'fee_adjustment')
+      .reduce((sum, line) => sum - line.amount, 0);
+
+    entries.push({
+      date: invoice.createdAt,
+      type: 'Invoice',
+      reference: `INV-${invoice.year}${String(invoice.month).padStart(2, '0')}`,
+      description: `Tuition fee - ${classLabel(invoice.classId)} (${monthLabel(invoice.year, invoice.month)})`,
+      status: invoice.status,
+      charge: invoice.amount + feeReductions,
+      paid: 0
+    });
+
+    // A waiver cancels whatever was still owed on the invoice
+    if (invoice.status === 'Waived') {
+      entries.push({
+        date: invoice.waiver && invoice.waiver.waivedAt ? invoice.waiver.waivedAt : invoice.updatedAt,
+        type: 'Waiver',
+        reference: `INV-${invoice.year}${String(invoice.month).padStart(2, '0')}`,
+        description: `Fee waived - ${classLabel(invoice.classId)} (${monthLabel(invoice.year, invoice.month)})${invoice.waiver && invoice.waiver.note ? `: ${invoice.waiver.note}` : ''}`,
+        status: 'Waived',
+        charge: 0,
+        paid: Math.max(0, invoice.amount - invoice.amountPaid - (invoice.creditApplied || 0))
+      });
+    }
+  });
+
+  payments.forEach(payment => {
+    const isApproved = payment.status === 'Approved';
+    const isInvoiced = invoicedMonths.has(`${payment.classId && payment.classId._id}-${payment.year}-${payment.month}`);
+
+    const reference = payment.receipt && payment.receipt.receiptNumber ? payment.receipt.receiptNumber : payment._id.toString();
+    const period = `${classLabel(payment.classId)} (${monthLabel(payment.year, payment.month)})`;
+    const overpaid = payment.refunds
+      .filter(refund => refund.reasonType === 'Overpayment')
+      .reduce((sum, refund) => sum + refund.amount, 0);
+
+    entries.push({
+      date: isApproved && payment.adminAction && payment.adminAction.actionDate
+        ? payment.adminAction.actionDate
+        : payment.createdAt,
+      type: 'Payment',
+      reference,
+      description: `Tuition payment - ${period}`,
+      status: payment.status,
+      // Months billed before invoicing existed are charged on the payment itself
+      charge: isApproved && !isInvoiced ? payment.amount - overpaid : 0,
+      paid: isApproved ? payment.amount : 0
+    });
+
+    payment.refunds.forEach(refund => {
+      // Money returned or moved into credit no longer counts as paid
+      entries.push({
+        date: refund.processedAt,
+        type: refund.type,
+        reference,
+        description: `${refund.type === 'Credit' ? 'Converted to credit' : 'Refund'} - ${period}${refund.reason ? `: ${refund.reason}` : ''}`,
+        status: refund.reasonType,
+        charge: 0,
+        paid: -refund.amount
+      });
+
+      // A cancelled class or drop-out also lowers the month's fee
+      if (refund.reasonType !== 'Overpayment') {
+        entries.push({
+          date: refund.processedAt,
+          type: 'Adjustment',
+          reference,
+          description: `Fee reduced - ${period}`,
+          status: refund.reasonType,
+          charge: -refund.amount,
+          paid: 0
+        });
+      }
+    });
+  });
+
+  credits.forEach(credit => {
+    if (credit.type === 'Applied') {
+      entries.push({
+        date: credit.createdAt,
+        type: 'Credit',
+        reference: credit.invoiceId ? credit.invoiceId.toString() : '',
+        description: `Credit applied - ${classLabel(credit.classId)}${credit.note ? ` (${credit.note})` : ''}`,
+        status: 'Applied',
+        charge: 0,
+        paid: credit.amount
+      });
+    } else if (!credit.paymentId) {
+      // Credit given directly by an admin only affects the balance once it is applied
+      entries.push({
+        date: credit.createdAt,
+        type: 'Credit',
+        reference: credit._id.toString(),
+        description: `Credit issued${credit.note ? `: ${credit.note}` : ''}`,
+        status: 'Issued',
+        charge: 0,
+        paid: 0
+      });
+    }
+  });
+
+  orders.forEach(order => {
+    const isVoid = ['rejected', 'cancelled'].includes(order.status);
+    const isPaid = ['approved', 'completed'].includes(order.status);
+
+    entries.push({
+      date: order.createdAt,
+      type: 'Order',
+      reference: order.orderId,
+      description: `Shop order (${order.items.length} item${order.items.length === 1 ? '' : 's'})`,
+      status: order.status,
+      charge: isVoid ? 0 : order.totalAmount,
+      paid: isPaid ? order.totalAmount : 0
+    });
+  });
+
+  return entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+/**
+ * Build a student's statement.
+ * @param {Object} student - Student document
+ * @param {Object} [options]
+ * @param {Number} [options.year] - Only list entries from this calendar year (earlier entries form the opening balance)
+ * @returns {Promise<Object>} { openingBalance, closingBalance, totalCharges, totalPaid, creditBalance, entries }
+ */
+const buildStatement = async (student, options = {}) => {
+  const allEntries = await collectEntries(student);
+  const year = options.year ? parseInt(options.year) : null;
+
+  let balance = 0;
+  let openingBalance = 0;
+  let totalCharges = 0;
+  let totalPaid = 0;
+  const entries = [];
+
+  allEntries.forEach(entry => {
+    balance += entry.charge - entry.paid;
+
+    const entryYear = new Date(entry.date).getFullYear();
+    if (year && entryYear < year) {
+      openingBalance = balance;
+      return;
+    }
+    if (year && entryYear > year) return;
+
+    totalCharges += entry.charge;
+    totalPaid += entry.paid;
+    entries.push({ ...entry, balance });
+  });
+
+  return {
+    year,
+    openingBalance,
+    closingBalance: openingBalance + totalCharges - totalPaid,
+    totalCharges,
+    totalPaid,
+    creditBalance: await CreditTransaction.getBalance(student._id),
+    entries
+  };
+};
+
+const STATEMENT_COLUMNS = [
+  { key: 'date', header: 'Date', width: 10 },
+  { key: 'type', header: 'Type', width: 8 },
+  { key: 'reference', header: 'Reference', width: 14 },
+  { key: 'description', header: 'Description', width: 34 },
+  { key: 'status', header: 'Status', width: 9 },
+  { key: 'charge', header: 'Charge (Rs.)', width: 10 },
+  { key: 'paid', header: 'Paid (Rs.)', width: 10 },
+  { key: 'balance', header: 'Balance (Rs.)', width: 10 }
+];
+
+// Build the statement PDF
+const buildStatementPdfBuffer = (student, statement) => {
+  const formatAmount = (amount) => amount ? amount.toFixed(2) : '';
+  const rows = statement.entries.map(entry => ({
+    ...entry,
+    date: new Date(entry.date).toLocaleDateString('en-GB', { timeZone: 'Asia/Colombo' }),
+    charge: formatAmount(entry.charge),
+    paid: formatAmount(entry.paid),
+    balance: entry.balance.toFixed(2)
+  }));
+
+  if (statement.year) {
+    rows.unshift({ description: 'Opening balance', balance: statement.openingBalance.toFixed(2) });
+  }
+
+  rows.push({
+    description: 'Totals',
+    charge: statement.totalCharges.toFixed(2),
+    paid: statement.totalPaid.toFixed(2),
+    balance: statement.closingBalance.toFixed(2)
+  });
+
+  return buildTablePdfBuffer(STATEMENT_COLUMNS, rows, {
+    title: 'Statement of Account',
+    subtitle: `${student.firstName} ${student.lastName} (${student.studentId})${statement.year ? ` | Year ${statement.year}` : ''}`,
+    footer: `Generated on ${new Date().toLocaleString('en-GB', { timeZone: 'Asia/Colombo' })}. A positive balance is an amount owed to the institute. Unused credit: Rs. ${statement.creditBalance.toFixed(2)}.`,
+    landscape: true
+  });
+};
+
+module.exports = {
+  buildStatement,
+  buildStatementPdfBuffer
+};
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const config = require('config');
+const OnlineSession = require('../models/OnlineSession');
+const Exam = require('../models/Exam');
+const Assignment = require('../models/Assignment');
+const { getSessionsForClasses } = require('./sessionService');
+const { TIMEZONE, getSriLankaNow, getSriLankaDayRange } = require('../utils/dateHelpers');
+
+// Timetables - merges class sessions, online sessions, exams and assignment due dates
+// into one list of events, and renders them as an iCalendar (.ics) feed.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back and ahead the subscribed calendar feeds reach
+const FEED_DAYS_BEFORE = 30;
+const FEED_DAYS_AFTER = 120;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// YYYY-MM-DD for a Sri Lanka day (a date made by getSriLankaDayRange/getSriLankaNow)
+const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const getClassName = (classItem) => classItem ? `${classItem.grade} - ${classItem.category}` : '';
+
+// Monday-Sunday week containing the given date
+const getWeekRange = (date = new Date()) => {
+  const { start } = getSriLankaDayRange(date);
+  const offset = (start.getDay() + 6) % 7;
+  const from = new Date(start.getFullYear(), start.getMonth(), start.getDate() - offset);
+  const to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + 6);
+  return { from, to };
+};
+
+// Range covered by the subscribed feeds
+const getFeedRange = () => {
+  const now = new Date();
+  return {
+    from: new Date(now.getTime() - FEED_DAYS_BEFORE * DAY_MS),
+    to: new Date(now.getTime() + FEED_DAYS_AFTER * DAY_MS)
+  };
+};
+
+const sortEvents = (events) => events.sort((a, b) => (
+  a.date.localeCompare(b.date) || (a.startTime || '').localeCompare(b.startTime || '')
+));
+
+/**
+ * Every timetable event for some classes between two dates.
+ * @param {Array} classes - Class documents
+ * @param {Date} from
+ * @param {Date} to
+ * @param {Object} [options]
+ * @param {Boolean} [options.sessionsOnly] - Only class sessions (used for venue feeds)
+ * @returns {Promise<Array>} Events sorted by date and start time
+ */
+const getTimetableEvents = async (classes, from, to, options = {}) => {
+  if (classes.length === 0) return [];
+
+  const rangeStart = getSriLankaDayRange(from).start;
+  const rangeEnd = getSriLankaDayRange(to).end;
+  const classIds = classes.map(classItem => classItem._id);
+  const classesById = new Map(classes.map(classItem => [classItem._id.toString(), classItem]));
+
+  const sessions = await getSessionsForClasses(classes, from, to);
+  const events = sessions.map(session => ({
+    type: 'class',
+    id: session._id,
+    classId: session.classId._id,
+    className: getClassName(session.classId),
+    title: session.title || getClassName(session.classId),
+    date: toDateKey(session.date),
+    startTime: session.startTime,
+    endTime: session.endTime,
+    allDay: false,
+    venue: session.venue,
+    status: session.status,
+    kind: session.kind,
+    isRescheduled: session.isRescheduled,
+    note: session.status === 'Cancelled' ? session.cancellationReason : session.note
+  }));
+
+  if (options.sessionsOnly) {
+    return sortEvents(events);
+  }
+
+  const [onlineSessions, exams, assignments] = await Promise.all([
+    OnlineSession.find({
+      classId: { $in: classIds },
+      isActive: true,
+      sessionDate: { $gte: rangeStart, $lte: rangeEnd }
+    }).select('title description sessionDate startTime endTime classId sessionId'),
+    Exam.find({
+      classId: { $in: classIds },
+      isPublished: true,
+      examDate: { $gte: rangeStart, $lte: rangeEnd }
+    }).select('title description examDate examStartTime examEndTime classId'),
+    Assignment.find({
+      classId: { $in: classIds },
+      isPublished: true,
+      dueDate: { $gte: rangeStart, $lte: rangeEnd }
+    }).select('title dueDate classId')
+  ]);
+
+  onlineSessions.forEach(session => {
+    const classItem = classesById.get(session.classId.toString());
+    events.push({
+      type: 'online',
+      id: session._id,
+      classId: session.classId,
+      className: getClassName(classItem),
+      title: session.title,
+      date: toDateKey(getSriLankaDayRange(session.sessionDate).start),
+      startTime: session.startTime,
+      endTime: session.endTime,
+      allDay: false,
+      venue: 'Online',
+      status: 'Scheduled',
+      sessionId: session.sessionId,
+      note: session.description
+    });
+  });
+
+  exams.forEach(exam => {
+    const classItem = classesById.get(exam.classId.toString());
+    events.push({
+      type: 'exam',
+      id: exam._id,
+      classId: exam.classId,
+      className: getClassName(classItem),
+      title: exam.title,
+      date: toDateKey(getSriLankaDayRange(exam.examDate).start),
+      startTime: exam.examStartTime || null,
+      endTime: exam.examEndTime || null,
+      allDay: !exam.examStartTime,
+      status: 'Scheduled',
+      note: exam.description
+    });
+  });
+
+  assignments.forEach(assignment => {
+    const classItem = classesById.get(assignment.classId.toString());
+    const due = getSriLankaNow(assignment.dueDate);
+    events.push({
+      type: 'assignment',
+      id: assignment._id,
+      classId: assignment.classId,
+      className: getClassName(classItem),
+      title: `Due: ${assignment.title}`,
+      date: toDateKey(due),
+      startTime: `${pad(due.getHours())}:${pad(due.getMinutes())}`,
+      endTime: null,
+      allDay: false,
+      status: 'Scheduled'
+    });
+  });
+
+  return sortEvents(events);
+};
+
+// Escape text for an iCalendar property value
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line at 75 octets without splitting multi-byte characters
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const formatIcsDate = (dateKey) => dateKey.replace(/-/g, '');
+const formatIcsDateTime = (dateKey, time) => `${formatIcsDate(dateKey)}T${time.replace(':', '').padStart(4, '0')}00`;
+
+const formatUtcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// The day after a YYYY-MM-DD key (all-day events end on the next day)
+const nextDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return toDateKey(new Date(year, month - 1, day + 1));
+};
+
+const EVENT_LABELS = {
+  class: 'Class',
+  online: 'Online Class',
+  exam: 'Exam',
+  assignment: 'Assignment'
+};
+
+const buildEventLines = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.type}-${event.id}@ayannakiyanna.com`,
+    `DTSTAMP:${stamp}`
+  ];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(event.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatIcsDate(nextDateKey(event.date))}`);
+  } else {
+    lines.push(`DTSTART;TZID=${TIMEZONE}:${formatIcsDateTime(event.date, event.startTime)}`);
+    if (event.endTime) {
+      lines.push(`DTEND;TZID=${TIMEZONE}:${formatIcsDateTime(event.date, event.endTime)}`);
+    }
+  }
+
+  const summary = event.type === 'class' || event.title.includes(event.className)
+    ? event.title
+    : `${event.title} (${event.className})`;
+  lines.push(`SUMMARY:${escapeText(event.status === 'Cancelled' ? `Cancelled: ${summary}` : summary)}`);
+
+  if (event.venue) {
+    lines.push(`LOCATION:${escapeText(event.venue)}`);
+  }
+
+  const description = [EVENT_LABELS[event.type], event.className, event.note].filter(Boolean).join('\n');
+  lines.push(`DESCRIPTION:${escapeText(description)}`);
+  lines.push(`CATEGORIES:${escapeText(EVENT_LABELS[event.type])}`);
+  lines.push(`STATUS:${event.status === 'Cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Render events as an iCalendar document.
+ * Times are written in Asia/Colombo, which has no daylight saving.
+ * @param {Array} events - Result of getTimetableEvents
+ * @param {String} calendarName
+ * @returns {String}
+ */
+const buildIcs = (events, calendarName) => {
+  const stamp = formatUtcStamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Ayanna Kiyanna//Timetable//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H',
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIMEZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:+0530',
+    'TZOFFSETTO:+0530',
+    'TZNAME:+0530',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+
+  events.forEach(event => lines.push(...buildEventLines(event, stamp)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Random secret for a personal feed URL
+const generateCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+// Signed token for admin class/venue feeds (change CALENDAR_FEED_SECRET to revoke all)
+const signFeed = (type, value) => {
+  const secret = process.env.CALENDAR_FEED_SECRET || config.get('jwtSecret');
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${type}:${String(value).trim().toLowerCase()}`)
+    .digest('hex')
+    .slice(0, 40);
+};
+
+const verifyFeedToken = (type, value, token) => {
+  if (typeof token !== 'string') return false;
+  const expected = Buffer.from(signFeed(type, value));
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const getApiUrl = () => process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+// Public feed URLs
+const getStudentFeedUrl = (token) => `${getApiUrl()}/api/calendar/student/${token}.ics`;
+const getClassFeedUrl = (classId) => `${getApiUrl()}/api/calendar/class/${classId}.ics?token=${signFeed('class', classId)}`;
+const getVenueFeedUrl = (venue) => `${getApiUrl()}/api/calendar/venue/${encodeURIComponent(venue)}.ics?token=${signFeed('venue', venue)}`;
+
+module.exports = {
+  getWeekRange,
+  getFeedRange,
+  getTimetableEvents,
+  buildIcs,
+  generateCalendarToken,
+  verifyFeedToken,
+  getStudentFeedUrl,
+  getClassFeedUrl,
+  getVenueFeedUrl
+};
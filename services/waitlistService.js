@@ -0,0 +1,221 @@
+const ClassRequest = require('../models/ClassRequest');
+const Class = require('../models/Class');
+const Notification = require('../models/Notification');
+
+// Class waitlists - requests for a full class queue in order; when a seat frees up the
+// next student is offered it and has a limited time to accept before it moves on.
+
+// How long a student has to accept an offered seat
+const OFFER_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS, 10) || 48;
+
+const getClassName = (classItem) => `${classItem.grade} - ${classItem.category}`;
+
+const getEnrolledCount = (classItem) => (classItem.enrolledStudents ? classItem.enrolledStudents.length : 0);
+
+// Seats held by offers that have not been answered yet
+const countOpenOffers = (classId) => ClassRequest.countDocuments({
+  class: classId,
+  status: 'Offered',
+  'offer.expiresAt': { $gt: new Date() }
+});
+
+/**
+ * Whether new requests for a class should join the waitlist: the class is full
+ * (counting seats held by offers) or other students are already queued.
+ */
+const shouldWaitlist = async (classItem) => {
+  const [openOffers, waiting] = await Promise.all([
+    countOpenOffers(classItem._id),
+    ClassRequest.countDocuments({ class: classItem._id, status: 'Waitlisted' })
+  ]);
+  return waiting > 0 || getEnrolledCount(classItem) + openOffers >= classItem.capacity;
+};
+
+// Number of students ahead of a waitlisted request
+const getWaitlistPosition = async (classRequest) => {
+  const ahead = await ClassRequest.countDocuments({
+    class: classRequest.class._id || classRequest.class,
+    status: 'Waitlisted',
+    $or: [
+      { waitlistPosition: { $lt: classRequest.waitlistPosition } },
+      { waitlistPosition: classRequest.waitlistPosition, waitlistedAt: { $lt: classRequest.waitlistedAt } }
+    ]
+  });
+  return ahead + 1;
+};
+
+const notifyStudent = async (student, classItem, classRequest, type, title, message) => {
+  try {
+    if (!student || !student.userId) return;
+    await Notification.createNotification({
+      recipient: student.userId,
+      type,
+      title,
+      message,
+      data: {
+        classRequestId: classRequest._id,
+        classId: classItem._id
+      }
+    });
+  } catch (error) {
+    console.error('Error creating waitlist notification:', error);
+  }
+};
+
+/**
+ * Put a request at the end of its class waitlist.
+ * @param {Object} classRequest - ClassRequest document
+ * @param {Object} classItem - Class document
+ * @param {Object} [options]
+ * @param {Object} [options.student] - Student to notify (not needed when the student made the request just now)
+ * @returns {Promise<Number>} Position in the queue
+ */
+const addToWaitlist = async (classRequest, classItem, options = {}) => {
+  const last = await ClassRequest.findOne({ class: classItem._id, status: 'Waitlisted' })
+    .sort({ waitlistPosition: -1 })
+    .select('waitlistPosition');
+
+  classRequest.status = 'Waitlisted';
+  classRequest.waitlistPosition = last && last.waitlistPosition ? last.waitlistPosition + 1 : 1;
+  classRequest.waitlistedAt = new Date();
+  classRequest.offer = undefined;
+  await classRequest.save();
+
+  const position = await getWaitlistPosition(classRequest);
+
+  if (options.student) {
+    await notifyStudent(
+      options.student,
+      classItem,
+      classRequest,
+      'waitlist_update',
+      'Added to Class Waitlist',
+      `${getClassName(classItem)} is full. You are number ${position} on the waitlist and will be notified when a seat becomes available.`
+    );
+  }
+
+  return position;
+};
+
+/**
+ * Offer any free seats in a class to the students at the front of its waitlist.
+ * Seats already held by open offers are not offered again, so this is safe to call repeatedly.
+ * @returns {Promise<Array>} Requests that were offered a seat
+ */
+const offerFreeSeats = async (classId) => {
+  const classItem = await Class.findById(classId);
+  if (!classItem || !classItem.isActive) return [];
+
+  const openOffers = await countOpenOffers(classItem._id);
+  let freeSeats = classItem.capacity - getEnrolledCount(classItem) - openOffers;
+  const offered = [];
+
+  while (freeSeats > 0) {
+    const offeredAt = new Date();
+    const classRequest = await ClassRequest.findOneAndUpdate(
+      { class: classItem._id, status: 'Waitlisted' },
+      {
+        $set: {
+          status: 'Offered',
+          offer: {
+            offeredAt,
+            expiresAt: new Date(offeredAt.getTime() + OFFER_HOURS * 60 * 60 * 1000)
+          }
+        }
+      },
+      { sort: { waitlistPosition: 1, waitlistedAt: 1 }, new: true }
+    ).populate('student', 'userId firstName lastName studentId');
+
+    if (!classRequest) break;
+
+    await notifyStudent(
+      classRequest.student,
+      classItem,
+      classRequest,
+      'waitlist_offer',
+      'A Seat Is Available! 🎉',
+      `A seat has opened up in ${getClassName(classItem)}. Accept it before ${classRequest.offer.expiresAt.toLocaleString('en-GB', { timeZone: 'Asia/Colombo' })} or it will be offered to the next student.`
+    );
+
+    offered.push(classRequest);
+    freeSeats--;
+  }
+
+  return offered;
+};
+
+/**
+ * Expire offers that were not accepted in time and pass the seats on.
+ * @returns {Promise<Object>} { offersExpired, seatsOffered }
+ */
+const expireOffers = async () => {
+  const expired = await ClassRequest.find({
+    status: 'Offered',
+    'offer.expiresAt': { $lte: new Date() }
+  }).populate('student', 'userId').populate('class', 'grade category');
+
+  const classIds = new Set();
+  let offersExpired = 0;
+
+  for (const classRequest of expired) {
+    const updated = await ClassRequest.findOneAndUpdate(
+      { _id: classRequest._id, status: 'Offered' },
+      { $set: { status: 'Expired', 'offer.respondedAt': new Date() } }
+    );
+    if (!updated) continue;
+    offersExpired++;
+
+    if (classRequest.class) {
+      classIds.add(classRequest.class._id.toString());
+      await notifyStudent(
+        classRequest.student,
+        classRequest.class,
+        classRequest,
+        'waitlist_update',
+        'Seat Offer Expired',
+        `Your seat offer for ${getClassName(classRequest.class)} has expired. You can request the class again if you are still interested.`
+      );
+    }
+  }
+
+  let seatsOffered = 0;
+  for (const classId of classIds) {
+    seatsOffered += (await offerFreeSeats(classId)).length;
+  }
+
+  return { offersExpired, seatsOffered };
+};
+
+/**
+ * Set the waitlist order of a class.
+ * @param {String} classId
+ * @param {Array<String>} requestIds - Waitlisted request IDs in the new order; any left out keep their order after these
+ * @returns {Promise<Array>} The reordered waitlist
+ */
+const reorderWaitlist = async (classId, requestIds) => {
+  const waiting = await ClassRequest.find({ class: classId, status: 'Waitlisted' })
+    .sort({ waitlistPosition: 1, waitlistedAt: 1 });
+
+  const requested = requestIds
+    .map(id => waiting.find(classRequest => classRequest._id.toString() === String(id)))
+    .filter(Boolean);
+  const rest = waiting.filter(classRequest => !requested.includes(classRequest));
+  const ordered = [...requested, ...rest];
+
+  await Promise.all(ordered.map((classRequest, index) => ClassRequest.updateOne(
+    { _id: classRequest._id },
+    { $set: { waitlistPosition: index + 1 } }
+  )));
+
+  return ordered.map(classRequest => classRequest._id);
+};
+
+module.exports = {
+  OFFER_HOURS,
+  shouldWaitlist,
+  getWaitlistPosition,
+  addToWaitlist,
+  offerFreeSeats,
+  expireOffers,
+  reorderWaitlist
+};
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { analyseStudentAttendance } = require('../services/attendanceAlertService');
+
+const studentId = new mongoose.Types.ObjectId();
+const rateWindowStart = new Date('2026-09-01');
+
+// A sheet with just this student on it
+const sheet = (date, record, fields = {}) => ({
+  date: new Date(date),
+  autoGenerated: false,
+  status: 'Completed',
+  studentAttendance: [{ studentId, ...record }],
+  ...fields
+});
+
+test('counts marked absences towards the streak and monthly rate', () => {
+  const result = analyseStudentAttendance(studentId, [
+    sheet('2026-09-20', { status: 'Absent', markedAt: new Date('2026-09-20') }),
+    sheet('2026-09-13', { status: 'Absent', markedAt: new Date('2026-09-13') }),
+    sheet('2026-09-06', { status: 'Present', markedAt: new Date('2026-09-06') })
+  ], rateWindowStart);
+
+  assert.strictEqual(result.consecutiveAbsences, 2);
+  assert.strictEqual(result.monthlySheets, 3);
+  assert.strictEqual(result.monthlyRate, 33);
+});
+
+test('skips auto-generated Draft sheets nobody has marked', () => {
+  const result = analyseStudentAttendance(studentId, [
+    sheet('2026-09-20', { status: 'Absent' }, { autoGenerated: true, status: 'Draft' }),
+    sheet('2026-09-13', { status: 'Absent' }, { autoGenerated: true, status: 'Draft' }),
+    sheet('2026-09-06', { status: 'Present', markedAt: new Date('2026-09-06') })
+  ], rateWindowStart);
+
+  assert.strictEqual(result.consecutiveAbsences, 0);
+  assert.strictEqual(result.monthlySheets, 1);
+  assert.strictEqual(result.monthlyRate, 100);
+});
+
+test('counts records marked on an auto-generated Draft sheet', () => {
+  const result = analyseStudentAttendance(studentId, [
+    sheet('2026-09-20', { status: 'Absent', markedAt: new Date('2026-09-20') }, { autoGenerated: true, status: 'Draft' }),
+    sheet('2026-09-13', { status: 'Present', markedAt: new Date('2026-09-13') })
+  ], rateWindowStart);
+
+  assert.strictEqual(result.consecutiveAbsences, 1);
+  assert.strictEqual(result.monthlySheets, 2);
+  assert.strictEqual(result.monthlyRate, 50);
+});
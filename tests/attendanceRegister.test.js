@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const Class = require('../models/Class');
+const { exportAttendanceRegister } = require('../controllers/attendanceController');
+
+const student = (firstName) => ({ _id: new mongoose.Types.ObjectId(), firstName, lastName: 'Perera', studentId: `AK-${firstName}` });
+const amal = student('Amal');
+const nimali = student('Nimali');
+
+// A marked sheet for the month; records hold populated students as in the export query
+const sheet = (day, statuses) => ({
+  _id: new mongoose.Types.ObjectId(),
+  date: new Date(2026, 9, day),
+  actualPresentCount: Object.values(statuses).filter(status => ['Present', 'Late'].includes(status)).length,
+  studentAttendance: Object.entries(statuses).map(([firstName, status]) => ({
+    studentId: [amal, nimali].find(item => item.firstName === firstName),
+    status
+  }))
+});
+
+const fakeRes = () => ({
+  statusCode: 200,
+  headers: {},
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+  setHeader(name, value) { this.headers[name] = value; },
+  send(content) { this.body = content; return this; }
+});
+
+const exportRegister = async (t, format) => {
+  t.mock.method(Class, 'findById', () => ({
+    populate: async () => ({
+      _id: new mongoose.Types.ObjectId(),
+      grade: 'Grade 7',
+      category: 'Sinhala',
+      date: 'Monday',
+      startTime: '08:00',
+      endTime: '10:00',
+      venue: 'Hall A',
+      enrolledStudents: [nimali, amal]
+    })
+  }));
+  t.mock.method(Attendance, 'find', () => ({
+    populate: () => ({
+      sort: async () => [
+        sheet(5, { Amal: 'Present', Nimali: 'Late' }),
+        sheet(12, { Amal: 'Medical', Nimali: 'Absent' }),
+        sheet(19, { Amal: 'Absent', Nimali: 'Present' })
+      ]
+    })
+  }));
+
+  const res = fakeRes();
+  await exportAttendanceRegister({ params: { classId: 'class' }, query: { month: '10', year: '2026', format } }, res);
+  return res;
+};
+
+test('builds one row per student with status codes and the month totals', async (t) => {
+  const { body } = await exportRegister(t, 'json');
+  const [amalRow, nimaliRow] = body.data.rows;
+
+  assert.deepStrictEqual(body.data.sessions.map(session => session.header), ['05/10', '12/10', '19/10']);
+  assert.strictEqual(amalRow.name, 'Amal Perera');
+  assert.deepStrictEqual([amalRow.session_0, amalRow.session_1, amalRow.session_2], ['P', 'M', 'A']);
+  // Medical is left out of the counted sessions, Late counts as present
+  assert.strictEqual(amalRow.countedSessions, 2);
+  assert.strictEqual(amalRow.percentage, 50);
+  assert.strictEqual(nimaliRow.presentCount, 2);
+  assert.strictEqual(nimaliRow.percentage, 67);
+  assert.strictEqual(body.data.totals.presentCount, 3);
+});
+
+test('downloads the register as CSV', async (t) => {
+  const res = await exportRegister(t, 'csv');
+
+  assert.strictEqual(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.match(res.headers['Content-Disposition'], /attendance-register-Grade_7-2026-10\.csv/);
+  const lines = res.body.replace('﻿', '').split('\r\n');
+  assert.strictEqual(lines[0], 'Student ID,Name,05/10,12/10,19/10,Present,Sessions,%');
+  assert.strictEqual(lines[1], 'AK-Amal,Amal Perera,P,M,A,1,2,50');
+  assert.strictEqual(lines[3].split(',')[1], 'Total present');
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const Class = require('../models/Class');
+const ClassSession = require('../models/ClassSession');
+const Holiday = require('../models/Holiday');
+const { getSriLankaDayRange } = require('../utils/dateHelpers');
+const { generateScheduledAttendanceSheets } = require('../controllers/attendanceController');
+
+const targetDate = new Date('2026-10-19T04:00:00Z');
+const { start, weekday } = getSriLankaDayRange(targetDate);
+
+// A weekly class meeting on the target day, with today's session already in the calendar
+const useTimetable = (t, { holiday = null, existingSheet = null } = {}) => {
+  const classItem = new Class({
+    type: 'Normal',
+    grade: 'Grade 7',
+    category: 'Sinhala',
+    date: weekday,
+    startTime: '08:00',
+    endTime: '10:00',
+    venue: 'Hall A',
+    enrolledStudents: [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()],
+    createdBy: new mongoose.Types.ObjectId()
+  });
+  const session = new ClassSession({
+    classId: classItem._id,
+    kind: 'Regular',
+    scheduledDate: start,
+    date: start,
+    startTime: '08:00',
+    endTime: '10:00',
+    status: 'Scheduled'
+  });
+
+  t.mock.method(Class, 'find', async () => [classItem]);
+  t.mock.method(ClassSession, 'find', () => ({
+    select: async () => [session],
+    sort: async () => [session]
+  }));
+  t.mock.method(Attendance, 'findOne', async () => existingSheet);
+  t.mock.method(Holiday, 'findForClass', async () => holiday);
+  const saved = [];
+  t.mock.method(Attendance.prototype, 'save', async function () {
+    saved.push(this);
+    return this;
+  });
+
+  return { classItem, session, saved };
+};
+
+test('creates a Draft sheet with every enrolled student for a class meeting today', async (t) => {
+  const { classItem, session, saved } = useTimetable(t);
+
+  const summary = await generateScheduledAttendanceSheets({ body: { date: targetDate.toISOString() } });
+
+  assert.strictEqual(summary.sheetsCreated, 1);
+  const [sheet] = saved;
+  assert.strictEqual(sheet.status, 'Draft');
+  assert.strictEqual(sheet.autoGenerated, true);
+  assert.ok(sheet.sessionId.equals(session._id));
+  assert.deepStrictEqual(
+    sheet.studentAttendance.map(record => record.studentId.toString()),
+    classItem.enrolledStudents.map(studentId => studentId.toString())
+  );
+  assert.ok(sheet.studentAttendance.every(record => record.status === 'Absent' && !record.markedAt));
+});
+
+test('skips classes on a holiday or that already have a sheet', async (t) => {
+  const holidayRun = useTimetable(t, { holiday: { name: 'Poya Day' } });
+  const onHoliday = await generateScheduledAttendanceSheets({ body: { date: targetDate.toISOString() } });
+  assert.strictEqual(onHoliday.sheetsCreated, 0);
+  assert.strictEqual(onHoliday.skipped[0].reason, 'Holiday: Poya Day');
+  assert.strictEqual(holidayRun.saved.length, 0);
+  t.mock.restoreAll();
+
+  useTimetable(t, { existingSheet: { _id: new mongoose.Types.ObjectId() } });
+  const alreadyMade = await generateScheduledAttendanceSheets({ body: { date: targetDate.toISOString() } });
+  assert.strictEqual(alreadyMade.skipped[0].reason, 'Sheet already exists');
+});
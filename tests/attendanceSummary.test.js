@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+
+const studentId = new mongoose.Types.ObjectId();
+
+// A marked sheet with just this student on it
+const sheet = (status, fields = {}) => ({
+  date: new Date('2026-09-01'),
+  autoGenerated: false,
+  status: 'Completed',
+  studentAttendance: [{ studentId, status, markedAt: new Date('2026-09-01') }],
+  ...fields
+});
+
+test('leaves Excused and Medical days out of the counted sheets', () => {
+  const summary = Attendance.summariseStudentAttendance(studentId, [
+    sheet('Present'),
+    sheet('Late'),
+    sheet('Absent'),
+    sheet('Excused'),
+    sheet('Medical')
+  ]);
+
+  assert.strictEqual(summary.totalSheets, 5);
+  assert.strictEqual(summary.presentCount, 2);
+  assert.strictEqual(summary.lateCount, 1);
+  assert.strictEqual(summary.excusedCount, 2);
+  assert.strictEqual(summary.absentCount, 1);
+  assert.strictEqual(summary.countedSheets, 3);
+  assert.strictEqual(summary.attendancePercentage, 67);
+});
+
+test('ignores sheets the student is not on and unmarked auto-generated records', () => {
+  const summary = Attendance.summariseStudentAttendance(studentId, [
+    sheet('Present'),
+    { ...sheet('Absent'), studentAttendance: [{ studentId: new mongoose.Types.ObjectId(), status: 'Absent' }] },
+    { ...sheet('Absent', { autoGenerated: true, status: 'Draft' }), studentAttendance: [{ studentId, status: 'Absent' }] }
+  ]);
+
+  assert.strictEqual(summary.totalSheets, 1);
+  assert.strictEqual(summary.countedSheets, 1);
+  assert.strictEqual(summary.attendancePercentage, 100);
+});
+
+test('skips unmarked records on sheets loaded with the summary fields', () => {
+  const projection = Object.fromEntries(Attendance.SUMMARY_FIELDS.split(' ').map(field => [field, 1]));
+  const draftSheet = Attendance.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    date: new Date('2026-09-08'),
+    autoGenerated: true,
+    status: 'Draft',
+    studentAttendance: [{ studentId, status: 'Absent' }]
+  }, projection);
+
+  const summary = Attendance.summariseStudentAttendance(studentId, [sheet('Present'), draftSheet]);
+
+  assert.strictEqual(summary.totalSheets, 1);
+  assert.strictEqual(summary.absentCount, 0);
+  assert.strictEqual(summary.attendancePercentage, 100);
+});
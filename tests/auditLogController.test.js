@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AuditLog = require('../models/AuditLog');
+const { getAuditLogs } = require('../controllers/auditLogController');
+
+const fakeRes = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+// Run getAuditLogs against an empty log and return the response and the filter it queried with
+const getLogs = async (t, query) => {
+  let usedFilter;
+  const chain = { sort: () => chain, skip: () => chain, limit: async () => [] };
+  t.mock.method(AuditLog, 'find', (filter) => {
+    usedFilter = filter;
+    return chain;
+  });
+  t.mock.method(AuditLog, 'countDocuments', async () => 0);
+
+  const res = fakeRes();
+  await getAuditLogs({ query }, res);
+  return { res, filter: usedFilter };
+};
+
+test('matches action and search text literally', async (t) => {
+  const { res, filter } = await getLogs(t, { action: 'pay(ment', search: '(a+)+$' });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(new RegExp(filter.action.$regex).test('pay(ment.refund'));
+  assert.ok(new RegExp(filter.$or[0].summary.$regex).test('note (a+)+$ here'));
+  assert.ok(!new RegExp(filter.$or[0].summary.$regex).test('aaaa'));
+});
+
+test('rejects object filters and invalid dates', async (t) => {
+  const objectFilter = await getLogs(t, { entityType: { $ne: null } });
+  assert.strictEqual(objectFilter.res.statusCode, 400);
+  assert.strictEqual(objectFilter.filter, undefined);
+
+  const badDate = await getLogs(t, { from: 'yesterday' });
+  assert.strictEqual(badDate.res.statusCode, 400);
+});
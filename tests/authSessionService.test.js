@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AuthSession = require('../models/AuthSession');
+const {
+  REFRESH_GRACE_SECONDS,
+  createSession,
+  createImpersonationSession,
+  rotateRefreshToken,
+  isTokenSessionActive
+} = require('../services/authSessionService');
+
+const req = { headers: { 'user-agent': 'test' }, ip: '10.0.0.1', user: { id: '64b000000000000000000001' } };
+
+// Store sessions in memory instead of the database
+const useMemorySessions = (t) => {
+  const sessions = new Map();
+  t.mock.method(AuthSession, 'create', async (fields) => {
+    const session = new AuthSession(fields);
+    session.save = async () => session;
+    sessions.set(session._id.toString(), session);
+    return session;
+  });
+  t.mock.method(AuthSession, 'findById', (id) => {
+    const session = sessions.get(id.toString()) || null;
+    return Object.assign(Promise.resolve(session), { select: async () => session });
+  });
+  return sessions;
+};
+
+const user = { _id: '64b000000000000000000002', id: '64b000000000000000000002', role: 'student' };
+
+test('a refresh token used twice ends the session', async (t) => {
+  useMemorySessions(t);
+  const { refreshToken, session } = await createSession(user, req);
+
+  const rotated = await rotateRefreshToken(refreshToken, req);
+  assert.ok(rotated.refreshToken);
+
+  // Outside the grace period the old token counts as stolen
+  session.rotatedAt = new Date(Date.now() - (REFRESH_GRACE_SECONDS + 1) * 1000);
+  const reused = await rotateRefreshToken(refreshToken, req);
+  assert.ok(reused.error);
+  assert.strictEqual(session.revokedReason, 'token_reuse');
+  assert.ok((await rotateRefreshToken(rotated.refreshToken, req)).error);
+});
+
+test('the previous refresh token gets the current one within the grace period', async (t) => {
+  useMemorySessions(t);
+  const { refreshToken, session } = await createSession(user, req);
+
+  const first = await rotateRefreshToken(refreshToken, req);
+  const second = await rotateRefreshToken(refreshToken, req);
+
+  assert.strictEqual(second.refreshToken, first.refreshToken);
+  assert.strictEqual(session.revokedAt, undefined);
+});
+
+test('tokens without a session are refused after the cutover', async (t) => {
+  t.after(() => { delete process.env.LEGACY_TOKEN_CUTOVER; });
+
+  process.env.LEGACY_TOKEN_CUTOVER = new Date(Date.now() + 60 * 1000).toISOString();
+  assert.strictEqual(await isTokenSessionActive({ user: user }), true);
+
+  process.env.LEGACY_TOKEN_CUTOVER = new Date(Date.now() - 60 * 1000).toISOString();
+  assert.strictEqual(await isTokenSessionActive({ user: user }), false);
+  assert.strictEqual(await isTokenSessionActive({ user: user, adminView: true }), false);
+});
+
+test('an access-as-student session can be revoked', async (t) => {
+  useMemorySessions(t);
+  const session = await createImpersonationSession(user._id, req, new Date(Date.now() + 30 * 60 * 1000));
+  const decoded = { user, adminView: true, sessionId: session._id.toString() };
+
+  assert.strictEqual(session.impersonatedBy.toString(), req.user.id);
+  assert.strictEqual(await isTokenSessionActive(decoded), true);
+
+  session.revokedAt = new Date();
+  assert.strictEqual(await isTokenSessionActive(decoded), false);
+});
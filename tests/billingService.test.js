@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Scholarship = require('../models/Scholarship');
+const FeeRuleSettings = require('../models/FeeRuleSettings');
+const { getDueDate, createMonthInvoice } = require('../services/billingService');
+
+const settings = new FeeRuleSettings({
+  proRating: { enabled: false },
+  siblingDiscount: { enabled: false }
+});
+
+const student = {
+  _id: new mongoose.Types.ObjectId(),
+  paymentRole: 'Pay Card',
+  status: 'Approved',
+  freeClasses: []
+};
+const classItem = { _id: new mongoose.Types.ObjectId(), monthlyFee: 2000 };
+
+test('fees fall due on the due day, clamped to the end of the month', () => {
+  assert.strictEqual(getDueDate(2026, 10).getDate(), 10);
+  assert.strictEqual(getDueDate(2026, 2, 31).getDate(), 28);
+});
+
+test('treats an invoice created at the same time by another run as existing', async (t) => {
+  const existing = { _id: new mongoose.Types.ObjectId() };
+  t.mock.method(Scholarship, 'find', () => ({ sort: async () => [] }));
+  // Not there when checked, there once the insert collides
+  let lookups = 0;
+  t.mock.method(Invoice, 'findOne', async () => (lookups++ < 2 ? null : existing));
+  t.mock.method(Invoice.prototype, 'save', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+
+  const result = await createMonthInvoice(student, classItem, 2026, 10, { settings });
+
+  assert.strictEqual(result.status, 'exists');
+  assert.strictEqual(result.invoice, existing);
+});
+
+test('skips Free Card students', async () => {
+  const result = await createMonthInvoice({ ...student, paymentRole: 'Free Card' }, classItem, 2026, 10, { settings });
+  assert.strictEqual(result.status, 'skipped');
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Resource = require('../models/Resource');
+const TimeSchedule = require('../models/TimeSchedule');
+const Assignment = require('../models/Assignment');
+const Exam = require('../models/Exam');
+const Announcement = require('../models/Announcement');
+const { copyClassMaterials } = require('../services/classCloneService');
+
+const sourceClassId = new mongoose.Types.ObjectId();
+const targetClassId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const session = { id: 'clone-session' };
+
+// Return these documents from Model.find(...).session(...)
+const findReturns = (t, Model, docs) => t.mock.method(Model, 'find', () => ({
+  session: async (querySession) => {
+    assert.strictEqual(querySession, session);
+    return docs;
+  }
+}));
+
+test('copies assignments as unpublished templates inside the clone transaction', async (t) => {
+  const assignment = new Assignment({
+    classId: sourceClassId,
+    title: 'Essay',
+    description: 'Write an essay',
+    dueDate: new Date('2026-11-01'),
+    isPublished: true,
+    createdBy: new mongoose.Types.ObjectId()
+  });
+  findReturns(t, Assignment, [assignment]);
+  const create = t.mock.method(Assignment, 'create', async (docs) => docs);
+
+  const copied = await copyClassMaterials(sourceClassId, targetClassId, { assignments: true }, userId, session);
+
+  assert.deepStrictEqual(copied, { assignments: 1 });
+  const [[copy], options] = create.mock.calls[0].arguments;
+  assert.strictEqual(options.session, session);
+  assert.strictEqual(copy.title, 'Essay');
+  assert.strictEqual(copy.classId, targetClassId);
+  assert.strictEqual(copy.createdBy, userId);
+  assert.strictEqual(copy.isPublished, false);
+  assert.strictEqual(copy.dueDate, undefined);
+  assert.strictEqual(copy._id, undefined);
+});
+
+test('a failed copy stops the clone so its transaction is rolled back', async (t) => {
+  [Resource, TimeSchedule, Exam, Announcement].forEach(Model => findReturns(t, Model, []));
+  findReturns(t, Assignment, [new Assignment({ classId: sourceClassId, title: 'Essay', createdBy: userId })]);
+  t.mock.method(Assignment, 'create', async () => { throw new Error('write failed'); });
+  const examFind = Exam.find;
+
+  await assert.rejects(
+    copyClassMaterials(sourceClassId, targetClassId, { resources: true, assignments: true, exams: true }, userId, session),
+    /write failed/
+  );
+  assert.strictEqual(examFind.mock.callCount(), 0);
+});
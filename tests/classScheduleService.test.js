@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const { timesOverlap, findClassConflicts, getVenueUtilisation } = require('../services/classScheduleService');
+
+const teacherId = new mongoose.Types.ObjectId();
+
+const classItem = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: 'Normal',
+  grade: 'Grade 7',
+  category: 'Sinhala',
+  date: 'Sunday',
+  startTime: '08:00',
+  endTime: '10:00',
+  venue: 'Hall A',
+  platform: 'Physical',
+  teachers: [],
+  ...fields
+});
+
+const mockClasses = (t, classes) => t.mock.method(Class, 'find', () => ({ select: async () => classes }));
+
+test('treats back-to-back classes as not overlapping', () => {
+  assert.strictEqual(timesOverlap({ startTime: '08:00', endTime: '10:00' }, { startTime: '10:00', endTime: '12:00' }), false);
+  assert.strictEqual(timesOverlap({ startTime: '08:00', endTime: '10:00' }, { startTime: '9:30', endTime: '11:00' }), true);
+});
+
+test('returns classes clashing by venue or teacher on the same day', async (t) => {
+  const sameVenue = classItem({ grade: 'Grade 8', venue: ' hall a ', startTime: '09:00', endTime: '11:00' });
+  const sameTeacher = classItem({ grade: 'Grade 9', venue: 'Hall B', startTime: '07:00', endTime: '08:30', teachers: [teacherId] });
+  const find = mockClasses(t, [
+    sameVenue,
+    sameTeacher,
+    classItem({ grade: 'Grade 10', startTime: '10:00', endTime: '12:00' }),
+    classItem({ grade: 'Grade 11', date: 'Saturday' }),
+    classItem({ grade: 'Grade 6', platform: 'Online', venue: 'Hall A' })
+  ]);
+
+  const conflicts = await findClassConflicts(classItem({ teachers: [teacherId] }), { excludeId: 'self' });
+
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0], { isActive: true, _id: { $ne: 'self' } });
+  assert.deepStrictEqual(conflicts.map(conflict => [conflict.type, conflict.className]), [
+    ['venue', 'Grade 8 - Sinhala'],
+    ['teacher', 'Grade 9 - Sinhala']
+  ]);
+});
+
+test('compares Special classes with Normal classes on the weekday they fall on', async (t) => {
+  // 25 October 2026 is a Sunday
+  mockClasses(t, [classItem({ type: 'Special', date: new Date(2026, 9, 25, 12).toISOString() })]);
+
+  const conflicts = await findClassConflicts(classItem());
+
+  assert.strictEqual(conflicts.length, 1);
+  assert.strictEqual(conflicts[0].classType, 'Special');
+});
+
+test('shows busy and free slots for a venue, counting Special classes only in their week', async (t) => {
+  mockClasses(t, [
+    classItem({ startTime: '08:00', endTime: '10:00' }),
+    classItem({ grade: 'Grade 8', startTime: '09:00', endTime: '11:00' }),
+    classItem({ grade: 'Grade 9', date: 'Monday', startTime: '16:00', endTime: '18:00' }),
+    classItem({ type: 'Special', date: new Date(2026, 10, 7, 12).toISOString(), startTime: '13:00', endTime: '15:00' }),
+    classItem({ grade: 'Grade 10', venue: 'Hall B' })
+  ]);
+
+  const [hallA] = await getVenueUtilisation(['Hall A'], {
+    weekStart: new Date(2026, 9, 19),
+    weekEnd: new Date(2026, 9, 25),
+    dayStart: '07:00',
+    dayEnd: '19:00'
+  });
+
+  const monday = hallA.days[0];
+  const saturday = hallA.days[5];
+  const sunday = hallA.days[6];
+  assert.strictEqual(monday.weekday, 'Monday');
+  assert.deepStrictEqual(sunday.free, [
+    { startTime: '07:00', endTime: '08:00' },
+    { startTime: '11:00', endTime: '19:00' }
+  ]);
+  assert.strictEqual(sunday.busyMinutes, 180);
+  assert.strictEqual(sunday.utilisation, 25);
+  assert.strictEqual(sunday.clashes.length, 1);
+  assert.strictEqual(saturday.busy.length, 0);
+  assert.strictEqual(hallA.busyMinutes, 300);
+});
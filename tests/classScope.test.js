@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+const Attendance = require('../models/Attendance');
+const Class = require('../models/Class');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const staffAuth = require('../middleware/staffAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { scopeByParam, scopeByRecord } = require('../middleware/classScope');
+
+const teacherId = new mongoose.Types.ObjectId();
+const ownClassId = new mongoose.Types.ObjectId();
+const otherClassId = new mongoose.Types.ObjectId();
+
+const fakeRes = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+// Run a middleware and report whether it passed the request on
+const run = async (middleware, req) => {
+  const res = fakeRes();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { passed, res };
+};
+
+// Class.exists only finds the class the teacher is assigned to
+const mockAssignments = (t) => t.mock.method(Class, 'exists', async (filter) => (
+  filter.teachers.toString() === teacherId.toString() && filter._id.toString() === ownClassId.toString()
+    ? { _id: ownClassId }
+    : null
+));
+
+const teacher = { id: teacherId, role: 'Teacher' };
+
+test('lets teachers into staff routes with the teacher permissions only', async (t) => {
+  const token = jwt.sign({ user: { id: teacherId.toString() }, sessionId: 'session' }, config.get('jwtSecret'));
+  t.mock.method(AuthSession, 'findById', () => ({ select: async () => ({ isActive: () => true }) }));
+  t.mock.method(User, 'findById', () => ({ select: async () => ({ _id: teacherId, role: 'Teacher', roles: [] }) }));
+  t.mock.method(Role, 'find', () => ({ select: async () => [] }));
+
+  const req = { header: () => token };
+  const { passed } = await run(staffAuth, req);
+
+  assert.strictEqual(passed, true);
+  assert.strictEqual(req.user.role, 'Teacher');
+  assert.strictEqual((await run(requirePermission('attendance.manage'), req)).passed, true);
+  const payments = await run(requirePermission('payments.approve'), req);
+  assert.strictEqual(payments.passed, false);
+  assert.strictEqual(payments.res.statusCode, 403);
+});
+
+test('keeps students out of staff routes', async (t) => {
+  const token = jwt.sign({ user: { id: 'student' }, sessionId: 'session' }, config.get('jwtSecret'));
+  t.mock.method(AuthSession, 'findById', () => ({ select: async () => ({ isActive: () => true }) }));
+  t.mock.method(User, 'findById', () => ({ select: async () => ({ _id: 'student', role: 'student', roles: [] }) }));
+
+  const { passed, res } = await run(staffAuth, { header: () => token });
+
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test('limits teachers to their assigned classes by URL', async (t) => {
+  mockAssignments(t);
+
+  const own = await run(scopeByParam(), { user: teacher, params: { classId: ownClassId.toString() } });
+  const other = await run(scopeByParam(), { user: teacher, params: { classId: otherClassId.toString() } });
+  const admin = await run(scopeByParam(), { user: { id: 'admin', role: 'admin' }, params: { classId: otherClassId.toString() } });
+
+  assert.strictEqual(own.passed, true);
+  assert.strictEqual(other.passed, false);
+  assert.strictEqual(other.res.statusCode, 403);
+  assert.strictEqual(admin.passed, true);
+});
+
+test('limits teachers to records of their assigned classes', async (t) => {
+  mockAssignments(t);
+  const sheets = {
+    [ownClassId.toString()]: new mongoose.Types.ObjectId(),
+    [otherClassId.toString()]: new mongoose.Types.ObjectId()
+  };
+  t.mock.method(Attendance, 'findById', (id) => ({
+    select: async () => {
+      const classId = Object.keys(sheets).find(key => sheets[key].toString() === id.toString());
+      return classId ? { classId } : null;
+    }
+  }));
+
+  const own = await run(scopeByRecord(Attendance), { user: teacher, params: { id: sheets[ownClassId].toString() } });
+  const other = await run(scopeByRecord(Attendance), { user: teacher, params: { id: sheets[otherClassId].toString() } });
+  // A missing sheet is left for the controller to answer with 404
+  const missing = await run(scopeByRecord(Attendance), { user: teacher, params: { id: new mongoose.Types.ObjectId().toString() } });
+
+  assert.strictEqual(own.passed, true);
+  assert.strictEqual(other.res.statusCode, 403);
+  assert.strictEqual(missing.passed, true);
+});
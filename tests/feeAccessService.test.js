@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const Invoice = require('../models/Invoice');
+const Student = require('../models/Student');
+const feeAccess = require('../middleware/feeAccess');
+const { getFeeAccess } = require('../services/feeAccessService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const classId = new mongoose.Types.ObjectId();
+const studentUser = { id: new mongoose.Types.ObjectId(), role: 'student' };
+
+const fakeRes = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+const overdueInvoice = (month, fields = {}) => new Invoice({
+  studentId: new mongoose.Types.ObjectId(),
+  classId,
+  year: 2026,
+  month,
+  amount: 2000,
+  amountPaid: 0,
+  status: 'Overdue',
+  dueDate: new Date(Date.now() - 30 * DAY_MS),
+  ...fields
+});
+
+const mockAccess = (t, { feeGating = { enabled: true, graceDays: 7 }, student = {}, invoices = [] } = {}) => {
+  t.mock.method(Class, 'findById', () => ({ select: async () => ({ _id: classId, feeGating, isFreeClass: false }) }));
+  t.mock.method(Student, 'findOne', () => ({
+    select: async () => ({
+      _id: new mongoose.Types.ObjectId(),
+      paymentRole: 'Pay Card',
+      freeClasses: [],
+      feeAccessOverrides: [],
+      ...student
+    })
+  }));
+  return t.mock.method(Invoice, 'find', () => ({ sort: async () => invoices }));
+};
+
+test('restricts a Pay Card student with invoices unpaid past the grace period', async (t) => {
+  const find = mockAccess(t, { invoices: [overdueInvoice(8), overdueInvoice(9, { amountPaid: 500 })] });
+
+  const access = await getFeeAccess(studentUser, classId);
+
+  assert.strictEqual(access.allowed, false);
+  assert.deepStrictEqual(access.outstandingMonths.map(item => [item.month, item.balance]), [[8, 2000], [9, 1500]]);
+  assert.strictEqual(access.outstandingAmount, 3500);
+  // Only invoices due more than the grace period ago count
+  const cutoff = find.mock.calls[0].arguments[0].dueDate.$lt;
+  assert.ok(Math.abs(Date.now() - 7 * DAY_MS - cutoff) < 1000);
+});
+
+test('allows students with an admin override, a free card, or a class that is not gated', async (t) => {
+  const invoices = [overdueInvoice(8)];
+
+  await t.test('admin override', async (t) => {
+    mockAccess(t, { invoices, student: { feeAccessOverrides: [{ classId }] } });
+    assert.strictEqual((await getFeeAccess(studentUser, classId)).reason, 'admin_override');
+  });
+
+  await t.test('expired override', async (t) => {
+    mockAccess(t, { invoices, student: { feeAccessOverrides: [{ classId, expiresAt: new Date(Date.now() - DAY_MS) }] } });
+    assert.strictEqual((await getFeeAccess(studentUser, classId)).allowed, false);
+  });
+
+  await t.test('free card', async (t) => {
+    mockAccess(t, { invoices, student: { paymentRole: 'Free Card' } });
+    assert.strictEqual((await getFeeAccess(studentUser, classId)).reason, 'free_card');
+  });
+
+  await t.test('gating off', async (t) => {
+    mockAccess(t, { invoices, feeGating: { enabled: false, graceDays: 7 } });
+    assert.strictEqual((await getFeeAccess(studentUser, classId)).reason, 'not_gated');
+  });
+
+  await t.test('admin user', async (t) => {
+    mockAccess(t, { invoices });
+    assert.strictEqual((await getFeeAccess({ id: 'admin', role: 'admin' }, classId)).allowed, true);
+  });
+});
+
+test('middleware answers 402 with the outstanding months instead of calling next', async (t) => {
+  mockAccess(t, { invoices: [overdueInvoice(8)] });
+  const res = fakeRes();
+  let nextCalled = false;
+
+  await feeAccess({ user: studentUser, params: { classId: classId.toString() } }, res, () => { nextCalled = true; });
+
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(res.statusCode, 402);
+  assert.strictEqual(res.body.feesOutstanding, true);
+  assert.strictEqual(res.body.outstandingAmount, 2000);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const FeeReminderLog = require('../models/FeeReminderLog');
+const FeeReminderSettings = require('../models/FeeReminderSettings');
+const { MAX_SEND_ATTEMPTS, getReminderStage, sendInvoiceReminder } = require('../services/feeReminderService');
+
+const settings = new FeeReminderSettings({
+  recipients: { studentEmail: true, guardianEmail: false, studentWhatsapp: true, guardianWhatsapp: false }
+});
+
+const invoice = {
+  _id: new mongoose.Types.ObjectId(),
+  studentId: {
+    _id: new mongoose.Types.ObjectId(),
+    firstName: 'Nimal',
+    lastName: 'Perera',
+    email: 'nimal@example.com',
+    whatsappNumber: '+94770000000'
+  },
+  classId: { _id: new mongoose.Types.ObjectId(), grade: 'Grade 7', category: 'Sinhala' },
+  year: 2026,
+  month: 10,
+  amount: 2500,
+  balance: 2500,
+  dueDate: new Date(2026, 9, 10)
+};
+
+// Earlier reminder logs for the invoice, and the logs written by this run
+const useLogs = (t, earlierLogs) => {
+  const written = [];
+  t.mock.method(FeeReminderLog, 'find', () => ({ select: async () => earlierLogs }));
+  t.mock.method(FeeReminderLog, 'create', async (fields) => written.push(fields));
+  return written;
+};
+
+test('works out the reminder stage from the due date', () => {
+  const defaults = new FeeReminderSettings();
+  const due = { dueDate: new Date(2026, 9, 10) };
+
+  assert.strictEqual(getReminderStage(due, defaults, new Date(2026, 9, 10, 9)).stage, 'dueToday');
+  assert.strictEqual(getReminderStage(due, defaults, new Date(2026, 8, 1)), null);
+
+  const overdue = getReminderStage(due, defaults, new Date(2026, 9, 10 + defaults.overdue.firstAfterDays));
+  assert.strictEqual(overdue.stage, 'overdue');
+  assert.strictEqual(overdue.sequence, 1);
+});
+
+test('does not send a reminder again once it was sent or stubbed', async (t) => {
+  process.env.MESSAGING_TRANSPORT = 'stub';
+  t.after(() => { delete process.env.MESSAGING_TRANSPORT; });
+  const written = useLogs(t, [
+    { channel: 'email', recipient: 'Nimal@example.com', status: 'Stubbed' },
+    { channel: 'whatsapp', recipient: '+94770000000', status: 'Sent' }
+  ]);
+
+  const result = await sendInvoiceReminder(invoice, { stage: 'dueToday', sequence: 1, daysOverdue: 0 }, settings);
+
+  assert.strictEqual(result.skipped, 2);
+  assert.strictEqual(written.length, 0);
+});
+
+test('retries a failed reminder a limited number of times', async (t) => {
+  // No transport set, so every attempt fails
+  delete process.env.MESSAGING_TRANSPORT;
+  const failed = (channel, recipient) => ({ channel, recipient, status: 'Failed' });
+  const written = useLogs(t, [
+    ...Array(MAX_SEND_ATTEMPTS).fill(failed('email', 'nimal@example.com')),
+    failed('whatsapp', '+94770000000')
+  ]);
+
+  const result = await sendInvoiceReminder(invoice, { stage: 'dueToday', sequence: 1, daysOverdue: 0 }, settings);
+
+  assert.strictEqual(result.skipped, 1);
+  assert.strictEqual(result.failed, 1);
+  assert.deepStrictEqual(written.map(log => log.channel), ['whatsapp']);
+});
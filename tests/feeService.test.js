@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const FeeRuleSettings = require('../models/FeeRuleSettings');
+const Scholarship = require('../models/Scholarship');
+const { computeFee } = require('../services/feeService');
+
+const student = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  paymentRole: 'Pay Card',
+  freeClasses: [],
+  ...fields
+});
+const classData = { _id: new mongoose.Types.ObjectId(), monthlyFee: 2000, isFreeClass: false };
+
+const scholarship = (studentId, fields) => new Scholarship({
+  studentId,
+  name: 'Merit scholarship',
+  startYear: 2026,
+  startMonth: 9,
+  createdBy: new mongoose.Types.ObjectId(),
+  ...fields
+});
+
+// Everything computeFee would look up, so no queries run
+const context = (fields = {}) => ({
+  year: 2026,
+  settings: new FeeRuleSettings({}),
+  joinDate: null,
+  siblingDiscount: false,
+  scholarships: [],
+  invoices: [],
+  ...fields
+});
+
+test('charges the full monthly fee when no rule applies', async () => {
+  const fee = await computeFee(student(), classData, 2026, 10, { context: context() });
+
+  assert.strictEqual(fee.amountDue, 2000);
+  assert.deepStrictEqual(fee.breakdown.map(line => line.rule), ['monthly_fee']);
+});
+
+test('pro-rates a mid-month join, then applies the sibling discount and scholarships in order', async () => {
+  const payer = student({ siblingGroup: 'perera' });
+  const fee = await computeFee(payer, classData, 2026, 10, {
+    context: context({
+      joinDate: new Date(2026, 9, 20),
+      siblingDiscount: true,
+      scholarships: [
+        scholarship(payer._id, { value: 50 }),
+        scholarship(payer._id, { name: 'Book grant', discountType: 'Fixed', value: 100 }),
+        scholarship(payer._id, { name: 'Next term', value: 100, startMonth: 11 })
+      ]
+    })
+  });
+
+  // 2000 -> 1000 pro-rated -> 900 after 10% sibling -> 450 after 50% -> 350 after the fixed 100
+  assert.deepStrictEqual(fee.breakdown.map(line => [line.rule, line.amount]), [
+    ['monthly_fee', 2000],
+    ['pro_rating', -1000],
+    ['sibling_discount', -100],
+    ['scholarship', -450],
+    ['scholarship', -100]
+  ]);
+  assert.strictEqual(fee.amountDue, 350);
+});
+
+test('does not pro-rate a join early in the month or in another month', async () => {
+  const early = await computeFee(student(), classData, 2026, 10, {
+    context: context({ joinDate: new Date(2026, 9, 10) })
+  });
+  const earlierMonth = await computeFee(student(), classData, 2026, 11, {
+    context: context({ joinDate: new Date(2026, 9, 20) })
+  });
+
+  assert.strictEqual(early.amountDue, 2000);
+  assert.strictEqual(earlierMonth.amountDue, 2000);
+});
+
+test('waives the fee for free cards and for too few days attended', async () => {
+  const freeCard = await computeFee(student({ paymentRole: 'Free Card' }), classData, 2026, 10, { context: context() });
+  const absent = await computeFee(student(), classData, 2026, 10, {
+    context: context(),
+    attendance: { presentDays: 1 }
+  });
+  const attended = await computeFee(student(), classData, 2026, 10, {
+    context: context(),
+    attendance: { presentDays: 2 }
+  });
+
+  assert.strictEqual(freeCard.amountDue, 0);
+  assert.strictEqual(freeCard.isFreeClass, true);
+  assert.strictEqual(absent.amountDue, 0);
+  assert.strictEqual(absent.breakdown.at(-1).rule, 'attendance');
+  assert.strictEqual(attended.amountDue, 2000);
+});
+
+test('takes fee adjustments and carried-forward credit off the month invoice', async () => {
+  const fee = await computeFee(student(), classData, 2026, 10, {
+    context: context({
+      invoices: [{
+        month: 10,
+        status: 'Pending',
+        creditApplied: 300,
+        feeBreakdown: [{ rule: 'fee_adjustment', label: 'Refund for cancelled class', amount: -500 }]
+      }]
+    })
+  });
+
+  assert.deepStrictEqual(fee.breakdown.slice(1).map(line => [line.rule, line.amount]), [
+    ['fee_adjustment', -500],
+    ['credit', -300]
+  ]);
+  assert.strictEqual(fee.amountDue, 1200);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const GatewayTransaction = require('../models/GatewayTransaction');
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const CreditTransaction = require('../models/CreditTransaction');
+const { handleNotification, startOrderCheckout } = require('../controllers/gatewayController');
+
+process.env.PAYHERE_MERCHANT_ID = '1200000';
+process.env.PAYHERE_MERCHANT_SECRET = 'merchant-secret';
+
+const md5Upper = (value) => crypto.createHash('md5').update(value).digest('hex').toUpperCase();
+
+// A PayHere notify_url POST, signed with the merchant secret
+const payhereNotification = (reference, amount, statusCode = '2', secret = 'merchant-secret') => {
+  const body = {
+    merchant_id: '1200000',
+    order_id: reference,
+    payment_id: `PH-${reference}`,
+    payhere_amount: amount.toFixed(2),
+    payhere_currency: 'LKR',
+    status_code: statusCode
+  };
+  body.md5sig = md5Upper(body.merchant_id + reference + body.payhere_amount + 'LKR' + statusCode + md5Upper(secret));
+  return body;
+};
+
+const fakeRes = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+const notify = async (body) => {
+  const res = fakeRes();
+  await handleNotification({ params: { provider: 'payhere' }, body }, res);
+  return res;
+};
+
+const tuitionTransaction = (fields = {}) => new GatewayTransaction({
+  reference: 'TUI-1',
+  provider: 'payhere',
+  targetType: 'Payment',
+  targetId: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  amount: 2500,
+  ...fields
+});
+
+test('refuses a notification with a bad signature', async (t) => {
+  const findOne = t.mock.method(GatewayTransaction, 'findOne', async () => tuitionTransaction());
+
+  const res = await notify(payhereNotification('TUI-1', 2500, '2', 'not-the-secret'));
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(findOne.mock.callCount(), 0);
+});
+
+test('applies a repeated success notification only once', async (t) => {
+  t.mock.method(GatewayTransaction, 'findOne', async () => tuitionTransaction());
+  t.mock.method(GatewayTransaction, 'findOneAndUpdate', async () => null);
+  const findPayment = t.mock.method(Payment, 'findById', async () => null);
+
+  const res = await notify(payhereNotification('TUI-1', 2500));
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.message, 'Already processed');
+  assert.strictEqual(findPayment.mock.callCount(), 0);
+});
+
+test('keeps a second successful charge for an already paid fee as credit', async (t) => {
+  const transaction = tuitionTransaction({ reference: 'TUI-2' });
+  transaction.save = async () => transaction;
+  const payment = new Payment({
+    _id: transaction.targetId,
+    studentId: new mongoose.Types.ObjectId(),
+    classId: new mongoose.Types.ObjectId(),
+    year: 2026,
+    month: 10,
+    amount: 2500,
+    paymentMethod: 'Online',
+    status: 'Approved',
+    gateway: { provider: 'payhere', reference: 'TUI-1' }
+  });
+  payment.save = async () => { throw new Error('an approved payment should not be changed'); };
+
+  t.mock.method(GatewayTransaction, 'findOne', async () => transaction);
+  t.mock.method(GatewayTransaction, 'findOneAndUpdate', async () => transaction);
+  t.mock.method(Payment, 'findById', async () => payment);
+  const createCredit = t.mock.method(CreditTransaction, 'create', async (fields) => fields);
+
+  const res = await notify(payhereNotification('TUI-2', 2500));
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(createCredit.mock.callCount(), 1);
+  const credit = createCredit.mock.calls[0].arguments[0];
+  assert.strictEqual(credit.type, 'Issued');
+  assert.strictEqual(credit.amount, 2500);
+  assert.strictEqual(credit.studentId, payment.studentId);
+});
+
+test('continues an unfinished checkout instead of starting a second one', async (t) => {
+  const order = { _id: new mongoose.Types.ObjectId(), orderId: 'ORD-7', paymentMethod: 'online', status: 'awaiting_payment', totalAmount: 1800 };
+  const open = new GatewayTransaction({
+    reference: 'ORD-OPEN',
+    provider: 'payhere',
+    targetType: 'Order',
+    targetId: order._id,
+    userId: new mongoose.Types.ObjectId(),
+    amount: 1800,
+    createdAt: new Date(Date.now() - 5 * 60 * 1000)
+  });
+
+  t.mock.method(Order, 'findOne', async () => order);
+  t.mock.method(User, 'findById', async () => ({ fullName: 'Test Student' }));
+  t.mock.method(GatewayTransaction, 'find', () => ({ sort: async () => [open] }));
+  const create = t.mock.method(GatewayTransaction, 'create', async (fields) => fields);
+
+  const res = fakeRes();
+  await startOrderCheckout({ params: { orderId: order._id.toString() }, user: { id: open.userId.toString() } }, res);
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.strictEqual(res.body.reference, 'ORD-OPEN');
+  assert.strictEqual(create.mock.callCount(), 0);
+});
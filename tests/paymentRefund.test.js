@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const CreditTransaction = require('../models/CreditTransaction');
+const Invoice = require('../models/Invoice');
+const Notification = require('../models/Notification');
+const Payment = require('../models/Payment');
+const Student = require('../models/Student');
+const { refundPayment } = require('../controllers/paymentController');
+
+const studentId = new mongoose.Types.ObjectId();
+const sinhala = { _id: new mongoose.Types.ObjectId(), grade: 'Grade 7', category: 'Sinhala' };
+
+const fakeRes = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+const invoice = (fields = {}) => new Invoice({
+  studentId,
+  classId: sinhala._id,
+  year: 2026,
+  month: 11,
+  amount: 2000,
+  amountPaid: 0,
+  dueDate: new Date(2026, 10, 10),
+  ...fields
+});
+
+// An approved October payment, populated with its class as refundPayment loads it
+const mockPayment = (t, fields = {}) => {
+  const payment = new Payment({
+    studentId,
+    classId: sinhala._id,
+    year: 2026,
+    month: 10,
+    amount: 2000,
+    receiptUrl: 'https://example.com/slip.jpg',
+    receiptPublicId: 'slip',
+    status: 'Approved',
+    ...fields
+  });
+  payment.classId = sinhala;
+  const populated = () => Object.assign(Promise.resolve(payment), { populate: populated });
+  t.mock.method(Payment, 'findById', () => ({ populate: populated }));
+  t.mock.method(Payment.prototype, 'save', async function() { return this; });
+  return payment;
+};
+
+const refund = async (t, body) => {
+  const created = [];
+  t.mock.method(CreditTransaction, 'create', async (doc) => { created.push(doc); return doc; });
+  t.mock.method(CreditTransaction, 'getBalance', async () => created.reduce((sum, doc) => sum + doc.amount, 0));
+  t.mock.method(AuditLog, 'create', async (doc) => doc);
+  t.mock.method(Invoice, 'settleFromPayments', async () => null);
+  t.mock.method(Student, 'findById', async () => null);
+  t.mock.method(Notification, 'createNotification', async () => null);
+
+  const res = fakeRes();
+  await refundPayment({
+    params: { paymentId: 'payment' },
+    body,
+    user: { id: new mongoose.Types.ObjectId(), fullName: 'Nimal Silva' },
+    headers: {}
+  }, res);
+  return { res, created };
+};
+
+test('converts an overpayment to credit without lowering the month fee', async (t) => {
+  const payment = mockPayment(t);
+  const findInvoice = t.mock.method(Invoice, 'findOne', async () => invoice());
+
+  const { res, created } = await refund(t, { type: 'Credit', reasonType: 'Overpayment', amount: '500' });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(payment.refundedAmount, 500);
+  assert.strictEqual(payment.refunds[0].type, 'Credit');
+  assert.strictEqual(created.length, 1);
+  assert.strictEqual(created[0].type, 'Issued');
+  assert.strictEqual(created[0].amount, 500);
+  assert.strictEqual(res.body.creditBalance, 500);
+  assert.strictEqual(findInvoice.mock.callCount(), 0);
+});
+
+test('refunds a cancelled class and lowers the invoiced fee by the same amount', async (t) => {
+  mockPayment(t);
+  const october = invoice({ month: 10 });
+  t.mock.method(Invoice, 'findOne', async () => october);
+  t.mock.method(Invoice.prototype, 'save', async function() { return this; });
+
+  const { res, created } = await refund(t, { type: 'Refund', reasonType: 'ClassCancelled', amount: '800', reason: 'Teacher unwell' });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(created.length, 0);
+  assert.strictEqual(october.amount, 1200);
+  assert.strictEqual(october.feeBreakdown[0].rule, 'fee_adjustment');
+  assert.strictEqual(october.feeBreakdown[0].amount, -800);
+});
+
+test('refuses to refund more than is left on the payment', async (t) => {
+  const payment = mockPayment(t, { refundedAmount: 1500 });
+
+  const { res } = await refund(t, { type: 'Refund', reasonType: 'Dropout', amount: '600' });
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(payment.refunds.length, 0);
+});
+
+test('carries credit forward against the next invoice balance', async (t) => {
+  const november = invoice({ amountPaid: 500 });
+  t.mock.method(CreditTransaction, 'getBalance', async () => 2500);
+  const create = t.mock.method(CreditTransaction, 'create', async (doc) => doc);
+  t.mock.method(Invoice.prototype, 'save', async function() { return this; });
+
+  const applied = await CreditTransaction.applyToInvoice(november);
+
+  assert.strictEqual(applied, 1500);
+  assert.strictEqual(create.mock.calls[0].arguments[0].type, 'Applied');
+  assert.strictEqual(november.creditApplied, 1500);
+  assert.strictEqual(november.status, 'Paid');
+  assert.strictEqual(await CreditTransaction.applyToInvoice(november), 0);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const requirePermission = require('../middleware/requirePermission');
+const { ALL_PERMISSIONS, getUserPermissions } = require('../services/permissionService');
+const { setUserRoles } = require('../controllers/roleController');
+
+const fakeRes = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+const role = (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields });
+const mockRoles = (t, roles) => t.mock.method(Role, 'find', () => ({ select: async () => roles }));
+
+test('gives admins every permission and moderators the defaults until their role is stored', async (t) => {
+  const find = mockRoles(t, []);
+
+  assert.deepStrictEqual(await getUserPermissions({ role: 'admin' }), ALL_PERMISSIONS);
+  assert.strictEqual(find.mock.callCount(), 0);
+
+  const moderator = await getUserPermissions({ role: 'moderator', roles: [] });
+  assert.ok(moderator.includes('payments.approve'));
+  assert.ok(!moderator.includes('roles.manage'));
+  assert.ok(!moderator.includes('audit.view'));
+});
+
+test('uses the stored default role and adds the roles assigned to the user', async (t) => {
+  const cashier = role({ name: 'Cashier', permissions: ['payments.view', 'payments.approve'] });
+  mockRoles(t, [
+    role({ baseRole: 'moderator', permissions: ['students.view'] }),
+    cashier
+  ]);
+
+  const permissions = await getUserPermissions({ role: 'moderator', roles: [cashier._id] });
+
+  assert.deepStrictEqual(permissions, ['students.view', 'payments.view', 'payments.approve']);
+});
+
+test('rejects requests missing a permission and unknown permission names', () => {
+  const res = fakeRes();
+  let passed = false;
+  requirePermission('students.delete', 'students.view')({ user: { permissions: ['students.view'] } }, res, () => { passed = true; });
+
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 403);
+  assert.deepStrictEqual(res.body.missingPermissions, ['students.delete']);
+  assert.throws(() => requirePermission('students.destroy'), /Unknown permission: students\.destroy/);
+});
+
+test('assigns roles to a staff account but never to yourself or a student', async (t) => {
+  const adminId = new mongoose.Types.ObjectId();
+  const cashier = role({ name: 'Cashier', permissions: ['payments.view'] });
+  const staff = {
+    _id: new mongoose.Types.ObjectId(),
+    fullName: 'Nimal Silva',
+    role: 'moderator',
+    roles: [],
+    save: async () => staff
+  };
+  t.mock.method(User, 'findById', async (id) => (id === 'student' ? { role: 'student' } : staff));
+  mockRoles(t, [cashier]);
+  t.mock.method(AuditLog, 'create', async (doc) => doc);
+
+  const assign = async (userId, roles) => {
+    const res = fakeRes();
+    await setUserRoles({ params: { userId }, body: { roles }, user: { id: adminId }, headers: {} }, res);
+    return res;
+  };
+
+  const ok = await assign(staff._id.toString(), [cashier._id.toString()]);
+  assert.strictEqual(ok.statusCode, 200);
+  assert.deepStrictEqual(staff.roles, [cashier._id.toString()]);
+  assert.ok(ok.body.permissions.includes('payments.view'));
+
+  assert.strictEqual((await assign(adminId.toString(), [])).statusCode, 400);
+  assert.strictEqual((await assign('student', [])).statusCode, 400);
+});
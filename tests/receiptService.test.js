@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Payment = require('../models/Payment');
+const emailService = require('../services/emailService');
+const { issueReceipt } = require('../services/receiptService');
+const { getSriLankaNow } = require('../utils/dateHelpers');
+
+const student = {
+  _id: new mongoose.Types.ObjectId(),
+  firstName: 'Amal',
+  lastName: 'Perera',
+  studentId: 'AK-0042',
+  email: 'amal@example.com',
+  guardianEmail: 'parent@example.com'
+};
+const admin = { _id: new mongoose.Types.ObjectId(), fullName: 'Nimal Silva' };
+
+const payment = (fields = {}) => new Payment({
+  studentId: student._id,
+  classId: new mongoose.Types.ObjectId(),
+  year: 2026,
+  month: 10,
+  amount: 2000,
+  receiptUrl: 'https://example.com/slip.jpg',
+  receiptPublicId: 'slip',
+  status: 'Approved',
+  ...fields
+});
+
+// findById is awaited directly for the payment and populated for the receipt
+const mockPayment = (t, doc) => {
+  t.mock.method(Payment, 'findById', () => {
+    const populated = {
+      ...doc.toObject(),
+      studentId: student,
+      classId: { grade: 'Grade 7', category: 'Sinhala' },
+      receipt: { ...doc.receipt.toObject(), issuedBy: admin },
+      adminAction: {}
+    };
+    const query = Object.assign(Promise.resolve(doc), {
+      populate() { return Object.assign(Promise.resolve(populated), { populate: query.populate }); }
+    });
+    return query;
+  });
+  t.mock.method(Payment.prototype, 'save', async function() { return this; });
+};
+
+test('numbers the receipt for the year and emails the PDF to the student and guardian', async (t) => {
+  const doc = payment();
+  mockPayment(t, doc);
+  t.mock.method(Counter, 'next', async () => 7);
+  const send = t.mock.method(emailService, 'sendPaymentReceiptEmail', async () => ({ success: true }));
+
+  const result = await issueReceipt(doc._id, admin._id);
+
+  const year = getSriLankaNow().getFullYear();
+  assert.strictEqual(result.receipt.receiptNumber, `AK-${year}-00007`);
+  assert.ok(result.receipt.emailedAt);
+  const [recipients, receiptData, pdfBuffer] = send.mock.calls[0].arguments;
+  assert.deepStrictEqual(recipients, ['amal@example.com', 'parent@example.com']);
+  assert.strictEqual(receiptData.period, 'October 2026');
+  assert.strictEqual(receiptData.amount, '2000.00');
+  assert.strictEqual(receiptData.approvedBy, 'Nimal Silva');
+  assert.strictEqual(pdfBuffer.subarray(0, 4).toString(), '%PDF');
+});
+
+test('keeps the receipt number and does not email again for a payment approved twice', async (t) => {
+  const doc = payment({
+    receipt: { receiptNumber: 'AK-2026-00003', issuedAt: new Date(), emailedAt: new Date() }
+  });
+  mockPayment(t, doc);
+  const next = t.mock.method(Counter, 'next', async () => 8);
+  const send = t.mock.method(emailService, 'sendPaymentReceiptEmail', async () => ({ success: true }));
+
+  const result = await issueReceipt(doc._id, admin._id);
+
+  assert.strictEqual(result.receipt.receiptNumber, 'AK-2026-00003');
+  assert.strictEqual(next.mock.callCount(), 0);
+  assert.strictEqual(send.mock.callCount(), 0);
+});
+
+test('issues no receipt for a payment that is not approved', async (t) => {
+  const doc = payment({ status: 'Pending' });
+  mockPayment(t, doc);
+  const next = t.mock.method(Counter, 'next', async () => 1);
+
+  assert.strictEqual(await issueReceipt(doc._id, admin._id), null);
+  assert.strictEqual(next.mock.callCount(), 0);
+});
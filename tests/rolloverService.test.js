@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const AcademicRollover = require('../models/AcademicRollover');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const Payment = require('../models/Payment');
+const Attendance = require('../models/Attendance');
+const ClassSession = require('../models/ClassSession');
+const ClassRequest = require('../models/ClassRequest');
+const { getUndoBlockers, undoRollover } = require('../services/rolloverService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A rollover that moved one student from an old class into its clone
+const appliedRollover = () => {
+  const studentId = id();
+  const oldClassId = id();
+  const newClassId = id();
+  const rollover = new AcademicRollover({
+    fromYear: 2026,
+    toYear: 2027,
+    classes: [
+      { fromClassId: oldClassId, toClassId: newClassId, wasActive: true, setAcademicYear: true },
+      { fromClassId: id(), wasActive: false, setAcademicYear: false }
+    ],
+    students: [{ studentId, fromGrade: 'Grade 6', toGrade: 'Grade 7', removedClasses: [oldClassId], addedClasses: [newClassId] }]
+  });
+  rollover.save = async () => rollover;
+  return { rollover, studentId, newClassId };
+};
+
+test('counts students enrolled in the new classes since the rollover', async (t) => {
+  const { rollover, studentId, newClassId } = appliedRollover();
+  t.mock.method(Payment, 'countDocuments', async () => 0);
+  t.mock.method(Attendance, 'countDocuments', async () => 0);
+  t.mock.method(Class, 'find', () => ({
+    select: () => ({ lean: async () => [{ _id: newClassId, enrolledStudents: [studentId, id()] }] })
+  }));
+
+  const blockers = await getUndoBlockers(rollover);
+
+  assert.deepStrictEqual(blockers, { payments: 0, attendanceSheets: 0, enrolments: 1 });
+});
+
+test('undo clears the academic year only where the rollover set it', async (t) => {
+  const { rollover } = appliedRollover();
+  const session = { id: 'test-session' };
+  t.mock.method(mongoose.connection, 'transaction', async (fn) => fn(session));
+  t.mock.method(Student, 'updateOne', async () => ({}));
+  t.mock.method(ClassSession, 'deleteMany', async () => ({}));
+  t.mock.method(ClassRequest, 'deleteMany', async () => ({}));
+  t.mock.method(Class, 'deleteMany', async () => ({}));
+  t.mock.method(Payment, 'updateMany', async () => ({ modifiedCount: 3 }));
+  t.mock.method(Attendance, 'updateMany', async () => ({ modifiedCount: 4 }));
+  const classUpdates = t.mock.method(Class, 'updateOne', async () => ({}));
+
+  const result = await undoRollover(rollover, id());
+
+  const [dated, undated] = classUpdates.mock.calls.map(call => call.arguments);
+  assert.strictEqual(dated[1].$unset.academicYear, 1);
+  assert.strictEqual(undated[1].$unset.academicYear, undefined);
+  assert.strictEqual(dated[2].session, session);
+  assert.strictEqual(rollover.status, 'Undone');
+  assert.strictEqual(result.paymentsRestored, 3);
+  assert.strictEqual(result.attendanceRestored, 4);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const Student = require('../models/Student');
+const { selfCheckIn } = require('../controllers/attendanceController');
+
+const windowOpenedAt = new Date(Date.now() - 5 * 60 * 1000);
+
+// A sheet with an open check-in window and these students on it
+const openSheet = (studentIds) => {
+  const sheet = new Attendance({
+    classId: new mongoose.Types.ObjectId(),
+    date: new Date(),
+    studentAttendance: studentIds.map(studentId => ({ studentId, status: 'Absent' })),
+    selfCheckIn: {
+      nonce: 'window-nonce',
+      issuedAt: windowOpenedAt,
+      expiresAt: new Date(Date.now() + 10 * 60 * 1000),
+      checkIns: []
+    }
+  });
+  sheet.save = async () => sheet;
+  return sheet;
+};
+
+const checkInToken = (sheet) => jwt.sign(
+  { purpose: 'attendance_check_in', attendanceId: sheet._id.toString(), nonce: 'window-nonce' },
+  config.get('jwtSecret')
+);
+
+const deviceCookie = (deviceId, issuedAt) => `checkInDevice=${jwt.sign(
+  { purpose: 'check_in_device', deviceId, iat: Math.floor(issuedAt.getTime() / 1000) },
+  config.get('jwtSecret')
+)}`;
+
+const fakeRes = () => ({
+  statusCode: 200,
+  cookies: {},
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+  cookie(name, value) { this.cookies[name] = value; return this; }
+});
+
+// Check a student in from a device, as that student's login session
+const checkIn = async (t, sheet, student, { cookie, ip = '10.0.0.1' } = {}) => {
+  t.mock.method(Student, 'findOne', async () => student);
+  t.mock.method(Attendance, 'findById', async () => sheet);
+  const req = {
+    body: { token: checkInToken(sheet) },
+    headers: cookie ? { cookie } : {},
+    ip,
+    user: { id: new mongoose.Types.ObjectId().toString(), sessionId: new mongoose.Types.ObjectId() }
+  };
+  const res = fakeRes();
+  await selfCheckIn(req, res);
+  t.mock.restoreAll();
+  return res;
+};
+
+test('refuses a second student checking in from the same device', async (t) => {
+  const students = [{ _id: new mongoose.Types.ObjectId() }, { _id: new mongoose.Types.ObjectId() }];
+  const sheet = openSheet(students.map(student => student._id));
+  const cookie = deviceCookie('phone-1', new Date(windowOpenedAt.getTime() - 60 * 60 * 1000));
+
+  const first = await checkIn(t, sheet, students[0], { cookie });
+  assert.strictEqual(first.statusCode, 200);
+  assert.strictEqual(sheet.studentAttendance[0].status, 'Present');
+
+  const second = await checkIn(t, sheet, students[1], { cookie });
+  assert.strictEqual(second.statusCode, 403);
+  assert.strictEqual(sheet.studentAttendance[1].status, 'Absent');
+  assert.strictEqual(sheet.selfCheckIn.checkIns.length, 1);
+});
+
+test('refuses a device without a cookie from before the window opened', async (t) => {
+  const student = { _id: new mongoose.Types.ObjectId() };
+  const sheet = openSheet([student._id]);
+
+  const withoutCookie = await checkIn(t, sheet, student);
+  assert.strictEqual(withoutCookie.statusCode, 403);
+  assert.ok(withoutCookie.cookies.checkInDevice, 'issues a cookie for the next window');
+
+  const newCookie = await checkIn(t, sheet, student, { cookie: deviceCookie('phone-2', new Date()) });
+  assert.strictEqual(newCookie.statusCode, 403);
+  assert.strictEqual(sheet.studentAttendance[0].status, 'Absent');
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const ClassSession = require('../models/ClassSession');
+const Holiday = require('../models/Holiday');
+const Notification = require('../models/Notification');
+const {
+  materialiseClassSessions,
+  getSessionsForClasses,
+  notifySessionChange
+} = require('../services/sessionService');
+
+const sundayClass = {
+  _id: new mongoose.Types.ObjectId(),
+  type: 'Normal',
+  grade: 'Grade 7',
+  category: 'Sinhala',
+  date: 'Sunday',
+  startTime: '08:00',
+  endTime: '10:00',
+  venue: 'Hall A',
+  isActive: true
+};
+
+// Midday, so the Sri Lanka day is the same whatever the local timezone
+const day = (date) => new Date(2026, 9, date, 12);
+
+test('creates the missing Sunday sessions for a month and skips ones already stored', async (t) => {
+  t.mock.method(ClassSession, 'find', () => ({ select: async () => [{ scheduledDate: new Date(2026, 9, 11) }] }));
+  const create = t.mock.method(ClassSession, 'create', async (doc) => {
+    // Another request stored the 25th in the meantime
+    if (doc.scheduledDate.getDate() === 25) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    return doc;
+  });
+
+  const created = await materialiseClassSessions(sundayClass, day(1), day(31));
+
+  assert.strictEqual(created, 2);
+  assert.deepStrictEqual(create.mock.calls.map(call => call.arguments[0].scheduledDate.getDate()), [4, 18, 25]);
+  const [first] = create.mock.calls[0].arguments;
+  assert.strictEqual(first.kind, 'Regular');
+  assert.strictEqual(first.venue, 'Hall A');
+  assert.strictEqual(first.startTime, '08:00');
+});
+
+test('creates no sessions for an inactive class', async (t) => {
+  const create = t.mock.method(ClassSession, 'create', async (doc) => doc);
+
+  assert.strictEqual(await materialiseClassSessions({ ...sundayClass, isActive: false }, day(1), day(31)), 0);
+  assert.strictEqual(create.mock.callCount(), 0);
+});
+
+test('lists sessions falling on a holiday as cancelled', async (t) => {
+  const session = (date, fields = {}) => new ClassSession({
+    classId: sundayClass._id,
+    kind: 'Regular',
+    scheduledDate: new Date(2026, 9, date),
+    date: new Date(2026, 9, date),
+    startTime: '08:00',
+    endTime: '10:00',
+    ...fields
+  });
+  const sessions = [
+    session(4),
+    session(11),
+    session(18, { status: 'Cancelled', cancellationReason: 'Teacher unwell' })
+  ];
+  // Populated class, as getSessionsForClasses loads it
+  sessions.forEach(item => { item.classId = { _id: sundayClass._id, grade: 'Grade 7' }; });
+
+  t.mock.method(ClassSession, 'find', (filter) => (filter.kind
+    ? { select: async () => sessions.map(item => ({ scheduledDate: item.scheduledDate })) }
+    : { populate: () => ({ sort: async () => sessions }) }));
+  t.mock.method(ClassSession, 'create', async (doc) => doc);
+  t.mock.method(Holiday, 'find', async () => [
+    { _id: new mongoose.Types.ObjectId(), name: 'Vap Poya', date: new Date(2026, 9, 11, 9), classId: null }
+  ]);
+
+  const all = await getSessionsForClasses([sundayClass], day(1), day(20));
+  const held = await getSessionsForClasses([sundayClass], day(1), day(20), { includeCancelled: false });
+
+  assert.deepStrictEqual(all.map(item => [item.date.getDate(), item.status, item.cancellationReason]), [
+    [4, 'Scheduled', undefined],
+    [11, 'Cancelled', 'Vap Poya'],
+    [18, 'Cancelled', 'Teacher unwell']
+  ]);
+  assert.strictEqual(all[1].holiday.name, 'Vap Poya');
+  assert.deepStrictEqual(held.map(item => item.date.getDate()), [4]);
+});
+
+test('notifies every enrolled student with an account about a reschedule', async (t) => {
+  const userIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  t.mock.method(Class, 'findById', () => ({
+    populate: async () => ({
+      ...sundayClass,
+      enrolledStudents: [{ userId: userIds[0] }, { userId: null }, { userId: userIds[1] }]
+    })
+  }));
+  const saved = [];
+  t.mock.method(Notification.prototype, 'save', async function() { saved.push(this); return this; });
+
+  await notifySessionChange({
+    _id: new mongoose.Types.ObjectId(),
+    classId: sundayClass._id,
+    date: new Date(2026, 9, 24),
+    startTime: '15:00',
+    endTime: '17:00',
+    venue: 'Hall B'
+  }, 'Rescheduled', 'Sunday, 25 October 2026');
+
+  assert.deepStrictEqual(saved.map(item => item.recipient.toString()), userIds.map(id => id.toString()));
+  assert.strictEqual(saved[0].title, 'Class Rescheduled');
+  assert.match(saved[0].message, /moved from Sunday, 25 October 2026 to Saturday, 24 October 2026 15:00-17:00 at Hall B/);
+});
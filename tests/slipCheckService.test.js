@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const cloudinary = require('cloudinary').v2;
+const SlipFingerprint = require('../models/SlipFingerprint');
+const Payment = require('../models/Payment');
+const { CLOUDINARY_CLOUD_NAME, isOwnCloudinaryUrl, checkSlips } = require('../services/slipCheckService');
+
+const slipUrl = (publicId) => `https://res.cloudinary.com/${CLOUDINARY_CLOUD_NAME}/image/upload/v1/${publicId}.jpg`;
+
+// A query result that can also be chained with populate/select
+const query = (value) => Object.assign(Promise.resolve(value), {
+  populate() { return this; },
+  select() { return this; }
+});
+
+// Keep fingerprints and payments in memory instead of the database
+const useMemoryStore = (t, payments) => {
+  let fingerprints = [];
+  const matches = (item, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (condition && condition.$in) return condition.$in.includes(item[field]);
+    if (field === 'sourceId') return item.sourceId.toString() === condition.toString();
+    if (typeof condition === 'object' && condition !== null) return true;
+    return item[field] === condition;
+  });
+
+  t.mock.method(SlipFingerprint, 'deleteMany', async (filter) => {
+    fingerprints = fingerprints.filter(item => !matches(item, filter));
+  });
+  t.mock.method(SlipFingerprint, 'create', async (fields) => {
+    fingerprints.push({ ...fields, createdAt: new Date() });
+  });
+  t.mock.method(SlipFingerprint, 'find', (filter) => query(
+    filter.$or ? [] : fingerprints.filter(item => matches(item, filter))
+  ));
+  t.mock.method(Payment, 'findById', (id) => query(payments.find(payment => payment._id.equals(id)) || null));
+};
+
+const payment = (publicId) => {
+  const doc = new Payment({
+    studentId: new mongoose.Types.ObjectId(),
+    classId: new mongoose.Types.ObjectId(),
+    year: 2026,
+    month: 10,
+    amount: 2500,
+    receiptUrl: slipUrl(publicId),
+    receiptPublicId: publicId,
+    attendanceData: { presentDays: 0, totalClassDays: 0 }
+  });
+  doc.save = async () => doc;
+  return doc;
+};
+
+test('only accepts https URLs from our Cloudinary account', () => {
+  assert.strictEqual(isOwnCloudinaryUrl(slipUrl('payments/slip')), true);
+  assert.strictEqual(isOwnCloudinaryUrl(slipUrl('payments/slip').replace('https:', 'http:')), false);
+  assert.strictEqual(isOwnCloudinaryUrl('https://res.cloudinary.com/someone-else/image/upload/v1/slip.jpg'), false);
+  assert.strictEqual(isOwnCloudinaryUrl('https://example.com/slip.jpg'), false);
+});
+
+test('flags a second payment with the same slip file', async (t) => {
+  const first = payment('payments/first');
+  const second = payment('payments/second');
+  useMemoryStore(t, [first, second]);
+  // Both uploads have the same contents
+  t.mock.method(cloudinary.api, 'resource', async () => ({ etag: 'same-etag' }));
+
+  assert.strictEqual((await checkSlips('Payment', first)).status, 'Clear');
+
+  const slipCheck = await checkSlips('Payment', second);
+  assert.strictEqual(slipCheck.status, 'Flagged');
+  assert.strictEqual(slipCheck.matches.length, 1);
+  assert.strictEqual(slipCheck.matches[0].matchType, 'ContentHash');
+  assert.ok(slipCheck.matches[0].sourceId.equals(first._id));
+  // The earlier payment is still pending, so it shows the match too
+  assert.strictEqual(first.slipCheck.status, 'Flagged');
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const CreditTransaction = require('../models/CreditTransaction');
+const { buildStatement, buildStatementPdfBuffer } = require('../services/statementService');
+
+const student = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  firstName: 'Amal',
+  lastName: 'Perera',
+  studentId: 'AK-0042'
+};
+const sinhala = { _id: new mongoose.Types.ObjectId(), grade: 'Grade 7', category: 'Sinhala' };
+
+const invoice = (year, month, fields = {}) => ({
+  classId: sinhala,
+  year,
+  month,
+  amount: 2000,
+  amountPaid: 0,
+  creditApplied: 0,
+  status: 'Pending',
+  feeBreakdown: [],
+  createdAt: new Date(year, month - 1, 1),
+  ...fields
+});
+
+const payment = (year, month, status, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  classId: sinhala,
+  year,
+  month,
+  amount: 2000,
+  status,
+  refunds: [],
+  adminAction: { actionDate: new Date(year, month - 1, 10) },
+  createdAt: new Date(year, month - 1, 5),
+  ...fields
+});
+
+const mockLedger = (t, { invoices = [], payments = [], orders = [], credits = [] }) => {
+  t.mock.method(Invoice, 'find', () => ({ populate: async () => invoices }));
+  t.mock.method(Payment, 'find', () => ({ populate: async () => payments }));
+  t.mock.method(Order, 'find', async () => orders);
+  t.mock.method(CreditTransaction, 'find', () => ({ populate: async () => credits }));
+  t.mock.method(CreditTransaction, 'getBalance', async () => 0);
+};
+
+test('lists invoices, payments, waivers and orders in date order with a running balance', async (t) => {
+  mockLedger(t, {
+    invoices: [
+      invoice(2026, 9),
+      invoice(2026, 8, { status: 'Waived', waiver: { waivedAt: new Date(2026, 7, 20), note: 'Hardship' } })
+    ],
+    payments: [
+      payment(2026, 9, 'Approved', { receipt: { receiptNumber: 'AK-2026-00007' } }),
+      payment(2026, 9, 'Rejected', { createdAt: new Date(2026, 8, 3) })
+    ],
+    orders: [
+      { orderId: 'ORD-1', status: 'approved', totalAmount: 750, items: [{}], createdAt: new Date(2026, 8, 15) },
+      { orderId: 'ORD-2', status: 'cancelled', totalAmount: 300, items: [{}, {}], createdAt: new Date(2026, 8, 16) }
+    ]
+  });
+
+  const statement = await buildStatement(student);
+
+  assert.deepStrictEqual(
+    statement.entries.map(entry => [entry.type, entry.status, entry.charge, entry.paid, entry.balance]),
+    [
+      ['Invoice', 'Waived', 2000, 0, 2000],
+      ['Waiver', 'Waived', 0, 2000, 0],
+      ['Invoice', 'Pending', 2000, 0, 2000],
+      ['Payment', 'Rejected', 0, 0, 2000],
+      ['Payment', 'Approved', 0, 2000, 0],
+      ['Order', 'approved', 750, 750, 0],
+      ['Order', 'cancelled', 0, 0, 0]
+    ]
+  );
+  assert.strictEqual(statement.entries[4].reference, 'AK-2026-00007');
+  assert.strictEqual(statement.closingBalance, 0);
+});
+
+test('charges months paid before invoicing on the payment and lowers the fee for class refunds', async (t) => {
+  mockLedger(t, {
+    payments: [
+      payment(2026, 3, 'Approved', {
+        refunds: [{ type: 'Refund', reasonType: 'ClassCancelled', amount: 500, processedAt: new Date(2026, 2, 25) }]
+      })
+    ]
+  });
+
+  const statement = await buildStatement(student);
+
+  assert.deepStrictEqual(
+    statement.entries.map(entry => [entry.type, entry.charge, entry.paid, entry.balance]),
+    [
+      ['Payment', 2000, 2000, 0],
+      ['Refund', 0, -500, 500],
+      ['Adjustment', -500, 0, 0]
+    ]
+  );
+});
+
+test('carries earlier years into the opening balance and builds the PDF', async (t) => {
+  mockLedger(t, {
+    invoices: [invoice(2025, 12), invoice(2026, 1)],
+    payments: [payment(2026, 1, 'Approved')]
+  });
+
+  const statement = await buildStatement(student, { year: '2026' });
+
+  assert.strictEqual(statement.year, 2026);
+  assert.strictEqual(statement.openingBalance, 2000);
+  assert.strictEqual(statement.entries.length, 2);
+  assert.strictEqual(statement.totalCharges, 2000);
+  assert.strictEqual(statement.totalPaid, 2000);
+  assert.strictEqual(statement.closingBalance, 2000);
+
+  const pdf = await buildStatementPdfBuffer(student, statement);
+  assert.strictEqual(pdf.subarray(0, 4).toString(), '%PDF');
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const AuthSession = require('../models/AuthSession');
+const Notification = require('../models/Notification');
+const Student = require('../models/Student');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { accessAsStudent } = require('../controllers/adminStudentController');
+
+const admin = { id: new mongoose.Types.ObjectId(), fullName: 'Nimal Silva', email: 'nimal@example.com', role: 'admin' };
+const classId = new mongoose.Types.ObjectId();
+const student = {
+  _id: new mongoose.Types.ObjectId(),
+  studentId: 'AK-0042',
+  firstName: 'Amal',
+  lastName: 'Perera',
+  userId: { _id: new mongoose.Types.ObjectId(), email: 'amal@example.com', fullName: 'Amal Perera' },
+  enrolledClasses: [{ _id: classId, grade: 'Grade 7', category: 'Sinhala' }]
+};
+
+const fakeRes = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+// Open the student view and return the response with the audit entries and notifications written
+const openStudentView = async (t, body = {}) => {
+  const populated = () => Object.assign(Promise.resolve(student), { populate: populated });
+  t.mock.method(Student, 'findById', () => ({ populate: populated }));
+  t.mock.method(AuthSession, 'create', async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+  const audits = [];
+  t.mock.method(AuditLog, 'create', async (entry) => {
+    const saved = { _id: new mongoose.Types.ObjectId(), ...entry };
+    audits.push(saved);
+    return saved;
+  });
+  const notify = t.mock.method(Notification, 'createNotification', async () => null);
+
+  const res = fakeRes();
+  await accessAsStudent({
+    body: { studentId: student._id.toString(), targetClassId: classId.toString(), reason: 'Parent query', ...body },
+    user: admin,
+    headers: {}
+  }, res);
+  return { res, audits, notify };
+};
+
+// Send a request through the auth middleware with a student view token
+const authorise = async (t, token, method) => {
+  t.mock.method(AuthSession, 'findById', () => ({ select: async () => ({ isActive: () => true }) }));
+  t.mock.method(User, 'findById', () => ({ select: async () => ({ role: 'student' }) }));
+  const req = { method, originalUrl: '/api/payments/submit', headers: {}, header: () => token };
+  const res = fakeRes();
+  let passed = false;
+  await auth(req, res, () => { passed = true; });
+  return { req, res, passed };
+};
+
+test('issues a short read-only token, logs the session and tells the student', async (t) => {
+  const { res, audits, notify } = await openStudentView(t);
+
+  assert.strictEqual(res.statusCode, 200);
+  const decoded = jwt.decode(res.body.studentToken);
+  assert.strictEqual(decoded.exp - decoded.iat, 30 * 60);
+  assert.strictEqual(decoded.adminView, true);
+  assert.ok(decoded.sessionId);
+  assert.strictEqual(decoded.impersonation.allowWrites, false);
+  assert.strictEqual(decoded.impersonation.sessionId, audits[0]._id.toString());
+
+  assert.strictEqual(audits[0].action, 'student.impersonate');
+  assert.strictEqual(audits[0].actor.toString(), admin.id.toString());
+  assert.match(audits[0].summary, /\(read-only\): Parent query$/);
+  const [notification] = notify.mock.calls[0].arguments;
+  assert.strictEqual(notification.recipient.toString(), student.userId._id.toString());
+  assert.match(notification.message, /\(view only\)/);
+});
+
+test('blocks writes with a read-only token but allows reads', async (t) => {
+  const { res: issued } = await openStudentView(t);
+
+  const write = await authorise(t, issued.body.studentToken, 'POST');
+  assert.strictEqual(write.passed, false);
+  assert.strictEqual(write.res.statusCode, 403);
+  assert.strictEqual(write.res.body.readOnly, true);
+
+  const read = await authorise(t, issued.body.studentToken, 'GET');
+  assert.strictEqual(read.passed, true);
+  assert.strictEqual(read.req.user.impersonatedBy.id, admin.id.toString());
+});
+
+test('puts writes made with changes allowed down to the admin', async (t) => {
+  const { res: issued, audits } = await openStudentView(t, { allowWrites: true });
+
+  const write = await authorise(t, issued.body.studentToken, 'POST');
+
+  assert.strictEqual(write.passed, true);
+  const entry = audits.find(item => item.action === 'student.impersonated_write');
+  assert.strictEqual(entry.actor, admin.id.toString());
+  assert.strictEqual(entry.actorName, 'Nimal Silva');
+  assert.strictEqual(entry.summary, 'POST /api/payments/submit while accessing as student');
+  assert.strictEqual(entry.after.sessionId, audits[0]._id.toString());
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getWeekRange,
+  buildIcs,
+  verifyFeedToken,
+  getClassFeedUrl,
+  getVenueFeedUrl
+} = require('../services/timetableService');
+
+const classEvent = (fields = {}) => ({
+  type: 'class',
+  id: 'session1',
+  className: 'Grade 7 - Sinhala',
+  title: 'Grade 7 - Sinhala',
+  date: '2026-10-25',
+  startTime: '08:00',
+  endTime: '10:00',
+  allDay: false,
+  venue: 'Hall A, Colombo',
+  status: 'Scheduled',
+  ...fields
+});
+
+// Unfolded lines of one VEVENT
+const eventLines = (ics, uid) => {
+  const lines = ics.replace(/\r\n /g, '').split('\r\n');
+  const start = lines.indexOf(`UID:${uid}@ayannakiyanna.com`);
+  return lines.slice(start, lines.indexOf('END:VEVENT', start));
+};
+
+test('runs the week from Monday to Sunday', () => {
+  const { from, to } = getWeekRange(new Date(2026, 9, 22, 12));
+
+  assert.deepStrictEqual([from.getDate(), from.getDay()], [19, 1]);
+  assert.deepStrictEqual([to.getDate(), to.getDay()], [25, 0]);
+});
+
+test('writes timed events in Colombo time and exams without a time as all-day', () => {
+  const ics = buildIcs([
+    classEvent(),
+    { type: 'exam', id: 'exam1', className: 'Grade 7 - Sinhala', title: 'Term test', date: '2026-10-31', allDay: true, status: 'Scheduled' }
+  ], 'Amal Perera');
+
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.match(ics, /X-WR-CALNAME:Amal Perera\r\n/);
+
+  const lesson = eventLines(ics, 'class-session1');
+  assert.ok(lesson.includes('DTSTART;TZID=Asia/Colombo:20261025T080000'));
+  assert.ok(lesson.includes('DTEND;TZID=Asia/Colombo:20261025T100000'));
+  assert.ok(lesson.includes('LOCATION:Hall A\\, Colombo'));
+  assert.ok(lesson.includes('STATUS:CONFIRMED'));
+
+  const exam = eventLines(ics, 'exam-exam1');
+  assert.ok(exam.includes('DTSTART;VALUE=DATE:20261031'));
+  assert.ok(exam.includes('DTEND;VALUE=DATE:20261101'));
+  assert.ok(exam.includes('SUMMARY:Term test (Grade 7 - Sinhala)'));
+});
+
+test('marks cancelled sessions and folds long lines without splitting characters', () => {
+  const note = 'පන්තිය අවලංගු කර ඇත '.repeat(10);
+  const ics = buildIcs([classEvent({ status: 'Cancelled', note })], 'Feed');
+
+  const lesson = eventLines(ics, 'class-session1');
+  assert.ok(lesson.includes('SUMMARY:Cancelled: Grade 7 - Sinhala'));
+  assert.ok(lesson.includes('STATUS:CANCELLED'));
+  assert.ok(ics.replace(/\r\n /g, '').includes(note));
+  ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+});
+
+test('accepts only the signed token for a class or venue feed', () => {
+  const classToken = new URL(getClassFeedUrl('66f0c0ffee')).searchParams.get('token');
+  const venueToken = new URL(getVenueFeedUrl('Hall A')).searchParams.get('token');
+
+  assert.strictEqual(verifyFeedToken('class', '66f0c0ffee', classToken), true);
+  assert.strictEqual(verifyFeedToken('class', '66f0c0ffef', classToken), false);
+  assert.strictEqual(verifyFeedToken('venue', 'hall a', venueToken), true);
+  assert.strictEqual(verifyFeedToken('venue', 'Hall A', classToken), false);
+  assert.strictEqual(verifyFeedToken('class', '66f0c0ffee', undefined), false);
+});
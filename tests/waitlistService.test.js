@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const ClassRequest = require('../models/ClassRequest');
+const Notification = require('../models/Notification');
+const {
+  OFFER_HOURS,
+  shouldWaitlist,
+  offerFreeSeats,
+  expireOffers,
+  reorderWaitlist
+} = require('../services/waitlistService');
+
+const fullClass = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  grade: 'Grade 7',
+  category: 'Sinhala',
+  capacity: 3,
+  isActive: true,
+  enrolledStudents: [1, 2],
+  ...fields
+});
+
+const waitingRequest = (name) => ({
+  _id: new mongoose.Types.ObjectId(),
+  student: { userId: new mongoose.Types.ObjectId(), firstName: name }
+});
+
+// countDocuments answers open offers first, then waiting requests
+const mockCounts = (t, { openOffers = 0, waiting = 0 }) => {
+  t.mock.method(ClassRequest, 'countDocuments', async (filter) => (filter.status === 'Offered' ? openOffers : waiting));
+};
+
+test('queues new requests when seats are taken by students or held by offers, or others are waiting', async (t) => {
+  await t.test('free seat', async (t) => {
+    mockCounts(t, {});
+    assert.strictEqual(await shouldWaitlist(fullClass()), false);
+  });
+  await t.test('last seat held by an offer', async (t) => {
+    mockCounts(t, { openOffers: 1 });
+    assert.strictEqual(await shouldWaitlist(fullClass()), true);
+  });
+  await t.test('students already waiting', async (t) => {
+    mockCounts(t, { waiting: 1 });
+    assert.strictEqual(await shouldWaitlist(fullClass({ capacity: 10 })), true);
+  });
+});
+
+test('offers each free seat to the front of the queue with a time-limited window', async (t) => {
+  const classItem = fullClass({ capacity: 5 });
+  const queue = [waitingRequest('Amal'), waitingRequest('Nimali'), waitingRequest('Kasun')];
+  t.mock.method(Class, 'findById', async () => classItem);
+  mockCounts(t, { openOffers: 1 });
+  const offer = t.mock.method(ClassRequest, 'findOneAndUpdate', (filter, update, options) => ({
+    populate: async () => {
+      const next = queue.shift();
+      return next && { ...next, offer: update.$set.offer };
+    }
+  }));
+  const notify = t.mock.method(Notification, 'createNotification', async () => null);
+
+  const offered = await offerFreeSeats(classItem._id);
+
+  // 5 seats, 2 enrolled and 1 held by an open offer
+  assert.deepStrictEqual(offered.map(item => item.student.firstName), ['Amal', 'Nimali']);
+  const [filter, update, options] = offer.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { class: classItem._id, status: 'Waitlisted' });
+  assert.deepStrictEqual(options.sort, { waitlistPosition: 1, waitlistedAt: 1 });
+  const { offeredAt, expiresAt } = update.$set.offer;
+  assert.strictEqual(expiresAt - offeredAt, OFFER_HOURS * 60 * 60 * 1000);
+  assert.strictEqual(notify.mock.callCount(), 2);
+  assert.strictEqual(notify.mock.calls[0].arguments[0].type, 'waitlist_offer');
+});
+
+test('expires unanswered offers and passes the seat to the next student', async (t) => {
+  const classItem = fullClass();
+  const expiredRequest = { ...waitingRequest('Amal'), class: classItem };
+  t.mock.method(ClassRequest, 'find', () => ({ populate: () => ({ populate: async () => [expiredRequest] }) }));
+  t.mock.method(Class, 'findById', async () => classItem);
+  mockCounts(t, {});
+  const next = waitingRequest('Nimali');
+  const updates = t.mock.method(ClassRequest, 'findOneAndUpdate', (filter, update) => {
+    if (update.$set.status === 'Expired') return Promise.resolve(expiredRequest);
+    return { populate: async () => ({ ...next, offer: update.$set.offer }) };
+  });
+  const notify = t.mock.method(Notification, 'createNotification', async () => null);
+
+  const summary = await expireOffers();
+
+  assert.deepStrictEqual(summary, { offersExpired: 1, seatsOffered: 1 });
+  assert.deepStrictEqual(updates.mock.calls[0].arguments[0], { _id: expiredRequest._id, status: 'Offered' });
+  assert.deepStrictEqual(notify.mock.calls.map(call => call.arguments[0].type), ['waitlist_update', 'waitlist_offer']);
+});
+
+test('moves the chosen requests to the front and keeps the rest in order', async (t) => {
+  const [first, second, third] = [waitingRequest('Amal'), waitingRequest('Nimali'), waitingRequest('Kasun')];
+  t.mock.method(ClassRequest, 'find', () => ({ sort: async () => [first, second, third] }));
+  const updateOne = t.mock.method(ClassRequest, 'updateOne', async () => ({}));
+
+  const ordered = await reorderWaitlist('class', [third._id.toString(), 'unknown']);
+
+  assert.deepStrictEqual(ordered, [third._id, first._id, second._id]);
+  assert.deepStrictEqual(
+    updateOne.mock.calls.map(call => [call.arguments[0]._id, call.arguments[1].$set.waitlistPosition]),
+    [[third._id, 1], [first._id, 2], [second._id, 3]]
+  );
+});
@@ -0,0 +1,32 @@
+// Date helpers for the institute's timezone (Asia/Colombo).
+// Attendance sheets store the start of the Sri Lanka day, built the same way
+// createAttendanceSheet does, so these helpers must stay in step with it.
+
+const TIMEZONE = 'Asia/Colombo';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Get the current Sri Lanka wall-clock time as a Date
+const getSriLankaNow = (date = new Date()) => {
+  return new Date(date.toLocaleString('en-US', { timeZone: TIMEZONE }));
+};
+
+// Get the start/end of the Sri Lanka day containing the given date, plus its weekday name
+const getSriLankaDayRange = (date = new Date()) => {
+  const sriLankaTime = getSriLankaNow(date);
+  const start = new Date(sriLankaTime.getFullYear(), sriLankaTime.getMonth(), sriLankaTime.getDate(), 0, 0, 0, 0);
+  const end = new Date(sriLankaTime.getFullYear(), sriLankaTime.getMonth(), sriLankaTime.getDate(), 23, 59, 59, 999);
+
+  return {
+    start,
+    end,
+    weekday: WEEKDAYS[sriLankaTime.getDay()]
+  };
+};
+
+module.exports = {
+  TIMEZONE,
+  WEEKDAYS,
+  getSriLankaNow,
+  getSriLankaDayRange
+};
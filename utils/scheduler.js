@@ -86,10 +86,153 @@ const scheduleCleanupTasks = () => {
     timezone: "Asia/Colombo" // Sri Lanka timezone
   });
 
+  // Schedule chronic-absence detection for 2:00 AM daily
+  cron.schedule('0 2 * * *', async () => {
+    console.log('Running scheduled chronic-absence detection at 2:00 AM...');
+    try {
+      const { runChronicAbsenceDetection } = require('../controllers/attendanceAlertController');
+      const result = await runChronicAbsenceDetection();
+      console.log('Scheduled chronic-absence detection at 2:00 AM completed:', result);
+    } catch (error) {
+      console.error('Error in scheduled chronic-absence detection at 2:00 AM:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Colombo" // Sri Lanka timezone
+  });
+
+  // Schedule class session generation for 4:30 AM daily
+  cron.schedule('30 4 * * *', async () => {
+    console.log('Running scheduled class session generation at 4:30 AM...');
+    try {
+      const { generateUpcomingSessions } = require('../controllers/classSessionController');
+      const result = await generateUpcomingSessions();
+      console.log('Scheduled class session generation at 4:30 AM completed:', {
+        sessionsCreated: result.sessionsCreated
+      });
+    } catch (error) {
+      console.error('Error in scheduled class session generation at 4:30 AM:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Colombo" // Sri Lanka timezone
+  });
+
+  // Schedule attendance sheet generation for 5:00 AM daily
+  cron.schedule('0 5 * * *', async () => {
+    console.log('Running scheduled attendance sheet generation at 5:00 AM...');
+    try {
+      const { generateScheduledAttendanceSheets } = require('../controllers/attendanceController');
+      const result = await generateScheduledAttendanceSheets();
+      console.log('Scheduled attendance sheet generation at 5:00 AM completed:', {
+        sheetsCreated: result.sheetsCreated,
+        skipped: result.skipped.length
+      });
+    } catch (error) {
+      console.error('Error in scheduled attendance sheet generation at 5:00 AM:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Colombo" // Sri Lanka timezone
+  });
+
+  // Schedule monthly tuition billing for 1:00 AM on the 1st of every month
+  cron.schedule('0 1 1 * *', async () => {
+    console.log('Running scheduled monthly billing at 1:00 AM...');
+    try {
+      const { runMonthlyBilling } = require('../controllers/invoiceController');
+      const result = await runMonthlyBilling();
+      console.log('Scheduled monthly billing completed:', {
+        invoicesCreated: result.invoicesCreated,
+        alreadyInvoiced: result.alreadyInvoiced
+      });
+    } catch (error) {
+      console.error('Error in scheduled monthly billing:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Colombo" // Sri Lanka timezone
+  });
+
+  // Schedule overdue invoice marking for 1:30 AM daily
+  cron.schedule('30 1 * * *', async () => {
+    console.log('Running scheduled overdue invoice check at 1:30 AM...');
+    try {
+      const { markOverdueInvoices } = require('../controllers/invoiceController');
+      const result = await markOverdueInvoices();
+      console.log('Scheduled overdue invoice check completed:', result);
+    } catch (error) {
+      console.error('Error in scheduled overdue invoice check:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Colombo" // Sri Lanka timezone
+  });
+
+  // Schedule fee reminders for 9:00 AM daily
+  cron.schedule('0 9 * * *', async () => {
+    console.log('Running scheduled fee reminders at 9:00 AM...');
+    try {
+      const { runFeeReminders } = require('../controllers/feeReminderController');
+      const result = await runFeeReminders();
+      console.log('Scheduled fee reminders completed:', {
+        remindersDue: result.remindersDue,
+        sent: result.sent,
+        failed: result.failed
+      });
+    } catch (error) {
+      console.error('Error in scheduled fee reminders:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Colombo" // Sri Lanka timezone
+  });
+
+  // Schedule waitlist processing at 15 minutes past every hour
+  cron.schedule('15 * * * *', async () => {
+    console.log('Running scheduled waitlist processing...');
+    try {
+      const { processWaitlists } = require('../controllers/classRequestController');
+      const result = await processWaitlists();
+      console.log('Scheduled waitlist processing completed:', {
+        offersExpired: result.offersExpired,
+        seatsOffered: result.seatsOffered
+      });
+    } catch (error) {
+      console.error('Error in scheduled waitlist processing:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Colombo" // Sri Lanka timezone
+  });
+
+  // Schedule abandoned online checkout expiry at 45 minutes past every hour
+  cron.schedule('45 * * * *', async () => {
+    console.log('Running scheduled abandoned checkout expiry...');
+    try {
+      const { expireAbandonedCheckouts } = require('../controllers/gatewayController');
+      const result = await expireAbandonedCheckouts();
+      console.log('Scheduled abandoned checkout expiry completed:', result);
+    } catch (error) {
+      console.error('Error in scheduled abandoned checkout expiry:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Colombo" // Sri Lanka timezone
+  });
+
   console.log('Scheduled cleanup tasks set up successfully');
   console.log('- Daily cleanup at 12:00 PM (noon)');
   console.log('- Daily cleanup at 12:00 AM (midnight)');
+  console.log('- Monthly tuition billing at 1:00 AM on the 1st');
+  console.log('- Daily overdue invoice check at 1:30 AM');
+  console.log('- Daily chronic-absence detection at 2:00 AM');
   console.log('- Daily monitor validation at 3:00 AM');
+  console.log('- Daily class session generation at 4:30 AM');
+  console.log('- Daily attendance sheet generation at 5:00 AM');
+  console.log('- Daily fee reminders at 9:00 AM');
+  console.log('- Hourly waitlist processing at 15 minutes past the hour');
+  console.log('- Hourly abandoned checkout expiry at 45 minutes past the hour');
 };
 
 module.exports = {